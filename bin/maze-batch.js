@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+/*******************************************************************************
+ * File: "maze-batch.js"
+ * Author: David Pettifor
+ * Description:
+ *  Makes a whole batch of mazes from the command line, without the web page:
+ *
+ *      node bin/maze-batch.js --count 100 --width 30 --height 30 --seeds 1000
+ *
+ *  Every maze is made with "CreateMaze()" (see static/js/core.js) - the same
+ *  code the "Generate!" button runs - so a maze made here can be made again
+ *  on the page from its maze code.  The puzzle and its answer key are written
+ *  to the output folder in each format asked for:
+ *      svg     maze-001.svg and maze-001-answer.svg (see svg.js)
+ *      png     maze-001.png and maze-001-answer.png, at "--dpi" (see
+ *              export.js - drawn on the canvas in raster.js)
+ *      json    maze-001.json: the maze saved with its settings, walls and
+ *              solution (see json.js) - open it on the page with "Load JSON"
+ *      ascii   maze-001.txt and maze-001-answer.txt (see ascii.js - square
+ *              mazes only)
+ *      unicode maze-001.unicode.txt and maze-001-answer.unicode.txt: the same,
+ *              drawn with box drawing characters
+ *  along with "manifest.json", which lists every maze (its number, seed, maze
+ *  code, how long the solution is and how hard the maze is - see metrics.js)
+ *  and the files written for it.
+ *
+ *  Each maze gets the next seed from "--seeds": "--seeds 1000" numbers them
+ *  1000, 1001, 1002 and so on, and "--seeds 1000-1099" makes one maze for
+ *  every seed in the range.  Leave it out and every maze gets a brand new
+ *  seed.  The rest of the settings are the same as on the page - run with
+ *  "--help" to see them all.
+ ******************************************************************************/
+
+var fs = require('fs');
+var path = require('path');
+
+var core = require('../static/js/core.js');
+var raster = require('./raster.js');
+
+// Every option that can be given: what it sets (in the settings passed to
+// "CreateMaze()"), whether it's a number, and what it does
+var BATCH_OPTIONS = {
+    'count':       { type: 'number', help: 'how many mazes to make (default: 1, or one for every seed in --seeds)' },
+    'seeds':       { type: 'text', help: 'seed of the first maze ("1000"), or a range of seeds ("1000-1099")' },
+    'width':       { setting: 'width', type: 'number', help: 'width of each maze, in cells (default: 40)' },
+    'height':      { setting: 'height', type: 'number', help: 'height of each maze (of each floor), in cells (default: 40)' },
+    'algorithm':   { setting: 'algorithm', type: 'text', help: 'algorithm to generate the mazes with (default: backtracker)' },
+    'entrance':    { setting: 'entrance', type: 'text', help: 'where the entrance goes: a corner (tl, tr, br, bl) or a wall and position (l0, t5...) (default: tl)' },
+    'exit':        { setting: 'exit', type: 'text', help: 'where the exit goes, just like --entrance (default: br)' },
+    'topology':    { setting: 'topology', type: 'text', help: 'grid: square, hex, triangle or polar (default: square)' },
+    'levels':      { setting: 'levels', type: 'number', help: 'number of floors, joined by stairs (default: 1)' },
+    'mask':        { type: 'text', help: 'text file with ASCII art of the shape to cut the mazes into (see mask.js)' },
+    'braid':       { setting: 'braid', type: 'number', help: 'percentage of dead ends knocked out to make loops (default: 0)' },
+    'bias':        { setting: 'bias', type: 'number', help: 'which way the passages tend to run: -100 (up and down) to 100 (side to side) (default: 0)' },
+    'straightness': { setting: 'straightness', type: 'number', help: 'percentage passages like to carry on straight (default: 0)' },
+    'twistiness':  { setting: 'twistiness', type: 'number', help: 'percentage passages like to turn (default: 0)' },
+    'terrain':     { setting: 'terrain', type: 'number', help: 'percentage of the maze covered in mud, water and ice (default: 0)' },
+    'weave':       { setting: 'weave', type: 'number', help: 'percentage of cells passages can tunnel under (default: 0)' },
+    'extra-exits': { setting: 'extra_exits', type: 'number', help: 'number of extra exits (default: 0)' },
+    'exit-mode':   { setting: 'exit_mode', type: 'text', help: 'how the extra exits work: first or one (default: first)' },
+    'waypoints':   { setting: 'waypoints', type: 'number', help: 'number of waypoints to visit on the way out (default: 0)' },
+    'cell-size':   { setting: 'cell_size', type: 'number', help: 'size of each cell in the pictures, in pixels (default: 10)' },
+    'formats':     { type: 'text', help: 'files to write for each maze: any of svg, png, json, ascii, unicode (default: svg,png,json)' },
+    'dpi':         { type: 'number', help: 'resolution of the PNG images (default: 300)' },
+    'out':         { type: 'text', help: 'folder to write the files to (default: mazes)' },
+    'name':        { type: 'text', help: 'what the files are called, before their number (default: maze)' },
+    'help':        { type: 'flag', help: 'show this list' }
+};
+
+// Files that can be written for each maze
+var BATCH_FORMATS = ['svg', 'png', 'json', 'ascii', 'unicode'];
+
+// Settings used for anything left out of the command line (the rest come
+// from MAZE_DEFAULTS in core.js)
+var BATCH_DEFAULTS = {
+    'count': null,
+    'seeds': null,
+    'mask': null,
+    'formats': 'svg,png,json',
+    'dpi': 300,
+    'out': 'mazes',
+    'name': 'maze'
+};
+
+// Reads the options out of "args" (the command line, after "node" and the
+// name of this file).  Returns them by name, or throws an Error if there's
+// something wrong with them.
+function ReadOptions(args)
+{
+    var options = new Object();
+    for(var option in BATCH_DEFAULTS)
+        options[option] = BATCH_DEFAULTS[option];
+
+    for(var i = 0; i < args.length; i++)
+    {
+        // options look like "--width 30" or "--width=30"
+        var match = /^--([a-z\-]+)(?:=(.*))?$/.exec(args[i]);
+        if(match == null || !BATCH_OPTIONS.hasOwnProperty(match[1]))
+            throw new Error("Don't know what \"" + args[i] + "\" means - run with --help to see the options.");
+
+        var name = match[1];
+        if(BATCH_OPTIONS[name].type == 'flag')
+        {
+            options[name] = true;
+            continue;
+        }
+
+        var value = match[2];
+        if(value === undefined)
+        {
+            i++;
+            if(i >= args.length)
+                throw new Error("--" + name + " needs a value.");
+            value = args[i];
+        }
+
+        if(BATCH_OPTIONS[name].type == 'number')
+        {
+            if(!/^-?\d+$/.test(value))
+                throw new Error("--" + name + " has to be a whole number.");
+            value = parseInt(value);
+        }
+
+        options[name] = value;
+    }
+
+    return options;
+}
+
+// Returns the list of help text for "--help"
+function GetUsage()
+{
+    var usage = 'Usage: node bin/maze-batch.js [options]\n\nMakes a batch of mazes and writes the puzzles and answer keys to a folder.\n\nOptions:\n';
+
+    for(var name in BATCH_OPTIONS)
+    {
+        var option = '  --' + name + (BATCH_OPTIONS[name].type == 'flag' ? '' : ' <' + BATCH_OPTIONS[name].type + '>');
+        while(option.length < 26)
+            option += ' ';
+        usage += option + BATCH_OPTIONS[name].help + '\n';
+    }
+
+    return usage;
+}
+
+// Works out the seed for each maze from "--seeds" and "--count" (a null seed
+// gets a brand new one).  Throws an Error if they don't make sense.
+function GetSeeds(options)
+{
+    var seeds = new Array();
+    var first = null;
+    var count = (options.count !== null) ? options.count : 1;
+
+    if(options.seeds !== null)
+    {
+        var range = /^\s*(\d+)\s*-\s*(\d+)\s*$/.exec(options.seeds);
+        if(range != null)
+        {
+            first = parseInt(range[1]);
+            var last = parseInt(range[2]);
+            if(last < first || last > core.MAX_SEED)
+                throw new Error("The seed range has to go from a smaller seed to a bigger one (up to " + core.MAX_SEED + ").");
+
+            if(options.count === null)
+                count = last - first + 1;
+            else if(options.count != last - first + 1)
+                throw new Error("There are " + (last - first + 1) + " seeds from " + first + " to " + last + ", but --count asked for " + options.count + " mazes.");
+        }
+        else
+        {
+            // (any text can be a seed - see "ParseSeed()")
+            first = core.ParseSeed(options.seeds);
+        }
+    }
+
+    if(!(count >= 1))
+        throw new Error("--count has to be at least 1.");
+
+    for(var i = 0; i < count; i++)
+        seeds.push(first === null ? null : (first + i) % (core.MAX_SEED + 1));
+
+    return seeds;
+}
+
+// Returns the settings for "CreateMaze()" from the options (everything but
+// the seed)
+function GetBatchSettings(options)
+{
+    var settings = new Object();
+
+    for(var name in BATCH_OPTIONS)
+    {
+        if(BATCH_OPTIONS[name].setting !== undefined && options.hasOwnProperty(name))
+            settings[BATCH_OPTIONS[name].setting] = options[name];
+    }
+
+    if(options.mask !== null)
+    {
+        settings.mask = core.ParseMaskText(fs.readFileSync(options.mask, 'utf8'));
+        if(settings.mask == null)
+            throw new Error("There's no shape in " + options.mask + " - draw it with any character, leaving spaces (or dots) for the cells that are cut out.");
+    }
+
+    return settings;
+}
+
+// Returns the formats to write from "--formats", or throws an Error for any
+// that aren't one of BATCH_FORMATS
+function GetFormats(options)
+{
+    var formats = options.formats.toLowerCase().split(/[\s,]+/);
+
+    for(var i = 0; i < formats.length; i++)
+    {
+        if(BATCH_FORMATS.indexOf(formats[i]) < 0)
+            throw new Error("Can't write \"" + formats[i] + "\" files - please pick from " + BATCH_FORMATS.join(', ') + ".");
+    }
+
+    return formats;
+}
+
+// Writes the files for the maze in the globals (just made by "CreateMaze()")
+// to the folder "out", in every one of "formats".  "name" is what the files
+// are called.  Returns the files written, by format (see the top of this
+// file).
+function WriteMazeFiles(out, name, formats, dpi)
+{
+    var files = new Object();
+
+    for(var i = 0; i < formats.length; i++)
+    {
+        var format = formats[i];
+
+        if(format == 'json')
+        {
+            files.json = { maze: name + '.json' };
+            fs.writeFileSync(path.join(out, files.json.maze), core.GetMazeJSON() + '\n');
+            continue;
+        }
+
+        files[format] = { puzzle: name + '.' + GetExtension(format), answer: name + '-answer.' + GetExtension(format) };
+        fs.writeFileSync(path.join(out, files[format].puzzle), DrawMazeFile(format, false, dpi));
+        fs.writeFileSync(path.join(out, files[format].answer), DrawMazeFile(format, true, dpi));
+    }
+
+    return files;
+}
+
+// Returns the file extension for "format"
+function GetExtension(format)
+{
+    if(format == 'ascii')
+        return 'txt';
+    if(format == 'unicode')
+        return 'unicode.txt';
+
+    return format;
+}
+
+// Draws the puzzle (or the answer key, if "answer" is true) in "format" and
+// returns the contents of the file
+function DrawMazeFile(format, answer, dpi)
+{
+    if(format == 'svg')
+        return core.DrawMazeSVG(answer);
+
+    if(format == 'ascii' || format == 'unicode')
+        return core.DrawMazeASCII(answer, format);
+
+    // PNG: drawn the same way as the "Download PNG" button, with the DPI
+    // written into the file
+    var canvas = raster.CreateRasterCanvas();
+    core.DrawMazeImage(canvas, answer, dpi / core.SCREEN_DPI);
+
+    return Buffer.from(core.SetPNGResolution(raster.EncodePNG(canvas), dpi));
+}
+
+// Checks that the mazes can be written in every one of "formats" (using the
+// first maze made)
+function CheckFormats(formats, dpi)
+{
+    if((formats.indexOf('ascii') >= 0 || formats.indexOf('unicode') >= 0) && core.TOPOLOGY != 'square')
+        throw new Error("Only square mazes can be written as text - please leave \"ascii\" and \"unicode\" out of --formats.");
+
+    if(formats.indexOf('png') >= 0)
+    {
+        if(!(dpi >= 72 && dpi <= 1200))
+            throw new Error("Please pick a resolution between 72 and 1200 DPI.");
+
+        var size = core.GetMazeImageSize();
+        var scale = dpi / core.SCREEN_DPI;
+        if(size[0] * scale > core.MAX_IMAGE_SIZE || size[1] * scale > core.MAX_IMAGE_SIZE)
+            throw new Error("The PNG images would be too big - please pick a lower --dpi (or a smaller --cell-size).");
+    }
+}
+
+// Pads "number" out with zeros to "digits" digits
+function PadNumber(number, digits)
+{
+    var text = String(number);
+    while(text.length < digits)
+        text = '0' + text;
+
+    return text;
+}
+
+// Makes the whole batch (see the top of this file)
+function RunBatch(args)
+{
+    var options = ReadOptions(args);
+    if(options.help)
+    {
+        process.stdout.write(GetUsage());
+        return;
+    }
+
+    var seeds = GetSeeds(options);
+    var settings = GetBatchSettings(options);
+    var formats = GetFormats(options);
+    var digits = Math.max(3, String(seeds.length).length);
+
+    var manifest = {
+        created: new Date().toISOString(),
+        count: seeds.length,
+        formats: formats,
+        mazes: new Array()
+    };
+
+    for(var i = 0; i < seeds.length; i++)
+    {
+        settings.seed = seeds[i];
+        var maze = core.CreateMaze(settings);
+        var metrics = core.GetMazeMetrics();
+        if(i == 0)
+        {
+            CheckFormats(formats, options.dpi);
+            fs.mkdirSync(options.out, { recursive: true });
+        }
+
+        var name = options.name + '-' + PadNumber(i + 1, digits);
+        var files = WriteMazeFiles(options.out, name, formats, options.dpi);
+
+        manifest.mazes.push({
+            number: i + 1,
+            seed: maze.settings.seed,
+            code: maze.code,
+            steps: maze.steps,
+            cost: maze.cost,
+            metrics: metrics,
+            files: files
+        });
+
+        console.log(name + '  ' + maze.code + '  (' + maze.steps + ' steps, ' + core.DIFFICULTIES[metrics.difficulty].name + ')');
+    }
+
+    fs.writeFileSync(path.join(options.out, 'manifest.json'), JSON.stringify(manifest, null, 2) + '\n');
+    console.log('Wrote ' + seeds.length + ' maze' + (seeds.length == 1 ? '' : 's') + ' to ' + options.out);
+}
+
+try
+{
+    RunBatch(process.argv.slice(2));
+}
+catch(error)
+{
+    console.error('Error: ' + error.message);
+    process.exitCode = 1;
+}
@@ -0,0 +1,341 @@
+/*******************************************************************************
+ * File: "raster.js"
+ * Author: David Pettifor
+ * Description:
+ *  Node doesn't have an HTML5 canvas, so this file is a small one of its own
+ *  for "maze-batch.js" to draw the PNG images on.  It only knows the parts
+ *  of the canvas that canvas.js uses - rectangles, filled shapes, lines with
+ *  square or round ends, and circles - so the images come out looking just
+ *  like the "Download PNG" button's, drawn by the very same code.
+ *
+ *  Shapes are filled in by checking the middle of every pixel (there's no
+ *  smoothing of the edges), and lines are drawn as a long thin box for each
+ *  piece of the line, with a circle on each corner when the corners are
+ *  round.  Colors have to be written as "#RRGGBB" (or "#RGB").
+ *
+ *  "EncodePNG()" then turns the pixels into a PNG file.
+ ******************************************************************************/
+
+var zlib = require('zlib');
+
+// Uses the CRC-32 checksum from export.js
+var core = require('../static/js/core.js');
+
+// How long (in pixels) each of the short straight lines a circle is drawn
+// with is
+var ARC_STEP = 2;
+
+// Returns a new (empty) canvas.  Set its "width" and "height" before calling
+// "getContext()", just like a real one.
+function CreateRasterCanvas()
+{
+    var canvas = {
+        width: 300,
+        height: 150,
+        pixels: null,
+        getContext: function()
+        {
+            if(this.pixels == null)
+                this.pixels = new Uint8Array(this.width * this.height * 3);
+            return CreateRasterContext(this);
+        }
+    };
+
+    return canvas;
+}
+
+// Returns the drawing context ("getContext('2d')") of "canvas"
+function CreateRasterContext(canvas)
+{
+    var context = {
+        canvas: canvas,
+        fillStyle: '#000000',
+        strokeStyle: '#000000',
+        lineWidth: 1,
+        lineCap: 'butt',
+        lineJoin: 'miter',
+
+        // the transform: a scale and then a move ("setTransform()")
+        scale_x: 1,
+        scale_y: 1,
+        move_x: 0,
+        move_y: 0,
+
+        // the path being built: a list of lines, each with a list of [x, y]
+        // points (already transformed into pixels) and whether it's closed
+        path: new Array(),
+
+        setTransform: function(a, b, c, d, e, f)
+        {
+            this.scale_x = a;
+            this.scale_y = d;
+            this.move_x = e;
+            this.move_y = f;
+        },
+
+        fillRect: function(x, y, width, height)
+        {
+            var left = x * this.scale_x + this.move_x;
+            var top = y * this.scale_y + this.move_y;
+            var right = (x + width) * this.scale_x + this.move_x;
+            var bottom = (y + height) * this.scale_y + this.move_y;
+
+            FillRasterShapes(canvas, new Array(new Array(new Array(left, top), new Array(right, top), new Array(right, bottom), new Array(left, bottom))), GetRasterColor(this.fillStyle));
+        },
+
+        beginPath: function()
+        {
+            this.path = new Array();
+        },
+
+        moveTo: function(x, y)
+        {
+            this.path.push({ points: new Array(this.transform(x, y)), closed: false });
+        },
+
+        lineTo: function(x, y)
+        {
+            if(this.path.length == 0)
+                this.moveTo(x, y);
+            else
+                this.path[this.path.length - 1].points.push(this.transform(x, y));
+        },
+
+        closePath: function()
+        {
+            if(this.path.length > 0)
+                this.path[this.path.length - 1].closed = true;
+        },
+
+        // (the circle is drawn as lots of short straight lines)
+        arc: function(x, y, radius, start, end)
+        {
+            var count = Math.max(8, Math.ceil(radius * Math.abs(this.scale_x) * Math.abs(end - start) / ARC_STEP));
+            for(var i = 0; i <= count; i++)
+            {
+                var angle = start + (end - start) * i / count;
+                this.lineTo(x + radius * Math.cos(angle), y + radius * Math.sin(angle));
+            }
+        },
+
+        fill: function()
+        {
+            var shapes = new Array();
+            for(var i = 0; i < this.path.length; i++)
+                shapes.push(this.path[i].points);
+
+            FillRasterShapes(canvas, shapes, GetRasterColor(this.fillStyle));
+        },
+
+        stroke: function()
+        {
+            StrokeRasterPath(canvas, this.path, this.lineWidth * Math.abs(this.scale_x), this.lineCap, this.lineJoin, GetRasterColor(this.strokeStyle));
+        },
+
+        // (gradients are only used by the play window's dots - the middle
+        // color is used for the whole thing)
+        createRadialGradient: function()
+        {
+            return {
+                colors: new Array(),
+                addColorStop: function(offset, color)
+                {
+                    this.colors.push(color);
+                }
+            };
+        },
+
+        transform: function(x, y)
+        {
+            return new Array(x * this.scale_x + this.move_x, y * this.scale_y + this.move_y);
+        }
+    };
+
+    return context;
+}
+
+// Returns "style" (a color like "#FF0000", or a gradient) as [red, green,
+// blue]
+function GetRasterColor(style)
+{
+    if(typeof style != 'string')
+        style = (style.colors.length > 0) ? style.colors[0] : '#000000';
+
+    var hex = style.replace('#', '');
+    if(hex.length == 3)
+        hex = hex.charAt(0) + hex.charAt(0) + hex.charAt(1) + hex.charAt(1) + hex.charAt(2) + hex.charAt(2);
+
+    return new Array(parseInt(hex.substr(0, 2), 16), parseInt(hex.substr(2, 2), 16), parseInt(hex.substr(4, 2), 16));
+}
+
+// Fills in "shapes" (a list of shapes, each a list of [x, y] points in
+// pixels) in "color".  Where the shapes overlap, or a shape crosses over
+// itself, it's filled in just like the canvas would (the "nonzero" rule).
+function FillRasterShapes(canvas, shapes, color)
+{
+    var top = canvas.height;
+    var bottom = -1;
+    for(var s = 0; s < shapes.length; s++)
+    {
+        for(var p = 0; p < shapes[s].length; p++)
+        {
+            top = Math.min(top, shapes[s][p][1]);
+            bottom = Math.max(bottom, shapes[s][p][1]);
+        }
+    }
+
+    top = Math.max(0, Math.floor(top));
+    bottom = Math.min(canvas.height - 1, Math.ceil(bottom));
+
+    // go down the image a row at a time, through the middle of the pixels
+    for(var y = top; y <= bottom; y++)
+    {
+        var middle = y + 0.5;
+
+        // find everywhere the row crosses the edge of a shape (and which way
+        // the edge was going)
+        var crossings = new Array();
+        for(var s = 0; s < shapes.length; s++)
+        {
+            var points = shapes[s];
+            for(var p = 0; p < points.length; p++)
+            {
+                var a = points[p];
+                var b = points[(p + 1) % points.length];
+                if((a[1] <= middle) == (b[1] <= middle))
+                    continue;
+
+                var x = a[0] + (middle - a[1]) * (b[0] - a[0]) / (b[1] - a[1]);
+                crossings.push(new Array(x, (b[1] > a[1]) ? 1 : -1));
+            }
+        }
+        crossings.sort(function(a, b) { return a[0] - b[0]; });
+
+        // the row is inside while the edges crossed don't cancel out
+        var winding = 0;
+        for(var c = 0; c < crossings.length - 1; c++)
+        {
+            winding += crossings[c][1];
+            if(winding == 0)
+                continue;
+
+            var start = Math.max(0, Math.round(crossings[c][0]));
+            var end = Math.min(canvas.width, Math.round(crossings[c + 1][0]));
+            for(var x = start; x < end; x++)
+                SetRasterPixel(canvas, x, y, color);
+        }
+    }
+}
+
+// Draws the lines in "path" (see "CreateRasterContext()"), "width" pixels
+// thick, with "cap" ends ("butt", "square" or "round") and "join" corners
+function StrokeRasterPath(canvas, path, width, cap, join, color)
+{
+    var half = width / 2;
+
+    for(var l = 0; l < path.length; l++)
+    {
+        var points = path[l].points.slice();
+        if(path[l].closed && points.length > 1)
+            points.push(points[0]);
+
+        for(var p = 0; p + 1 < points.length; p++)
+        {
+            var a = points[p];
+            var b = points[p + 1];
+            var length = Math.sqrt((b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]));
+            if(length == 0)
+                continue;
+
+            // which way the piece goes, and the way across it
+            var along_x = (b[0] - a[0]) / length;
+            var along_y = (b[1] - a[1]) / length;
+            var across_x = -along_y * half;
+            var across_y = along_x * half;
+
+            // square ends stick out past the ends of the line (but not at the
+            // corners in the middle of it)
+            var before = (cap == 'square' && p == 0 && !path[l].closed) ? half : 0;
+            var after = (cap == 'square' && p + 2 == points.length && !path[l].closed) ? half : 0;
+            var start = new Array(a[0] - along_x * before, a[1] - along_y * before);
+            var end = new Array(b[0] + along_x * after, b[1] + along_y * after);
+
+            FillRasterShapes(canvas, new Array(new Array(
+                new Array(start[0] + across_x, start[1] + across_y),
+                new Array(end[0] + across_x, end[1] + across_y),
+                new Array(end[0] - across_x, end[1] - across_y),
+                new Array(start[0] - across_x, start[1] - across_y))), color);
+        }
+
+        // round corners and ends are a circle the width of the line
+        for(var p = 0; p < points.length; p++)
+        {
+            var is_end = (p == 0 || p == points.length - 1) && !path[l].closed;
+            if((is_end && cap == 'round') || (!is_end && join == 'round'))
+                FillRasterShapes(canvas, new Array(GetRasterCircle(points[p][0], points[p][1], half)), color);
+        }
+    }
+}
+
+// Returns a circle around "x, y" (in pixels) as a list of [x, y] points
+function GetRasterCircle(x, y, radius)
+{
+    var count = Math.max(8, Math.ceil(2 * Math.PI * radius / ARC_STEP));
+    var points = new Array();
+
+    for(var i = 0; i < count; i++)
+        points.push(new Array(x + radius * Math.cos(2 * Math.PI * i / count), y + radius * Math.sin(2 * Math.PI * i / count)));
+
+    return points;
+}
+
+// Colors in the pixel at "x, y"
+function SetRasterPixel(canvas, x, y, color)
+{
+    var index = (y * canvas.width + x) * 3;
+
+    canvas.pixels[index] = color[0];
+    canvas.pixels[index + 1] = color[1];
+    canvas.pixels[index + 2] = color[2];
+}
+
+// Returns the picture on "canvas" as a PNG file (a Buffer)
+function EncodePNG(canvas)
+{
+    // every row starts with a byte saying how it's packed (0 - as it is)
+    var row = canvas.width * 3;
+    var data = Buffer.alloc((row + 1) * canvas.height);
+    for(var y = 0; y < canvas.height; y++)
+        data.set(canvas.pixels.subarray(y * row, (y + 1) * row), y * (row + 1) + 1);
+
+    // width, height, 8 bits per color, red-green-blue, and the defaults for
+    // the rest
+    var header = Buffer.alloc(13);
+    header.writeUInt32BE(canvas.width, 0);
+    header.writeUInt32BE(canvas.height, 4);
+    header[8] = 8;
+    header[9] = 2;
+
+    return Buffer.concat(new Array(
+        Buffer.from(new Array(0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A)),
+        GetPNGChunk('IHDR', header),
+        GetPNGChunk('IDAT', zlib.deflateSync(data)),
+        GetPNGChunk('IEND', Buffer.alloc(0))));
+}
+
+// Returns one chunk of a PNG file: its length, "type", "data" and checksum
+function GetPNGChunk(type, data)
+{
+    var chunk = Buffer.alloc(data.length + 12);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 'ascii');
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(core.CRC32(chunk, 4, data.length + 8), data.length + 8);
+
+    return chunk;
+}
+
+module.exports = {
+    CreateRasterCanvas: CreateRasterCanvas,
+    EncodePNG: EncodePNG
+};
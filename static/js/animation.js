@@ -0,0 +1,414 @@
+/*******************************************************************************
+ * File: "animation.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file plays back how the maze was made and then solved, one step at
+ *  a time, so you can watch the algorithms work instead of only seeing the
+ *  finished maze.  The "Animate" button makes the maze again from its maze
+ *  code (the same seed makes the same maze), writing down every step as it
+ *  goes (see "RecordStep()" in maze.js):
+ *      - Generating: every wall knocked down, with the cells not carved into
+ *        yet shaded gray.  The recursive backtracker also shows its stack -
+ *        the cells it's part way through are shaded blue until it runs out of
+ *        neighbors and backs up out of them (the steps described in the
+ *        directions on the page).  The loops, doors and extra exits are all
+ *        added at the end of this part.
+ *      - Solving: the maze is solved by "Solver()" in maze.js - a depth first
+ *        search that walks into a cell, tries each way out of it in turn and
+ *        backs out of dead ends.  The path it's on is shaded red, and the
+ *        cells it backed out of are shaded gray.  What's left at the end is
+ *        the way through.  (The answer key comes from "SolveShortest()", which
+ *        finds the cheapest way through - on a maze with loops or terrain the
+ *        search can find a different one.  It also heads straight for the
+ *        exit, without visiting any waypoints.)
+ *
+ *  Play and Pause run the animation, Step takes one step at a time while
+ *  it's paused, and the speed slider picks how many steps are taken each
+ *  frame (each notch is twice as fast as the one before it).
+ *
+ *  An edited maze (see editor.js) or one opened from a file (see json.js)
+ *  can't always be made again from its code, so only the solving is shown
+ *  for those.
+ ******************************************************************************/
+
+// Colors of the cells that haven't been carved into yet, the cells on the
+// backtracker's stack, the cell being worked on, the cells on the solver's
+// path and the ones it's backed out of
+var ANIMATION_UNCARVED_COLOR = "#BBBBBB";
+var ANIMATION_STACK_COLOR = "#BDD7EE";
+var ANIMATION_CURRENT_COLOR = "#00AA00";
+var ANIMATION_PATH_COLOR = "#FF9999";
+var ANIMATION_DEAD_COLOR = "#DDDDDD";
+
+// Smallest the cells are shown in the animation (in pixels)
+var ANIMATION_CELL_SIZE = 16;
+
+// Milliseconds between each frame of the animation
+var ANIMATION_FRAME_TIME = 50;
+
+// The animation being shown (null when there isn't one):
+//  steps       - the steps to play: the generator's (if there are any), then
+//                the solver's
+//  solving     - the index of the solver's first step
+//  final       - the walls of the maze being shown (a "Maze" array), which
+//                the animation ends up at
+//  frame       - the walls shown so far (a "Maze" array)
+//  next        - the index of the next step to play
+//  carved, stack, path, dead - the cells (keyed by "X_Y") that have been
+//                carved into, are on the backtracker's stack, are on the
+//                solver's path, or were backed out of
+//  current     - the last cell a step happened in ([x, y], or null)
+//  edited      - true if the maze can't be made again from its code (so the
+//                generator isn't shown)
+var Animation = null;
+
+// The timer for the next frame while the animation is playing (null when
+// it's paused)
+var Animation_Timer = null;
+
+// Steps taken each frame but not played yet (the slow speeds take less
+// than one step a frame)
+var Animation_Carry = 0;
+
+// Called when the (dynamically) generated "Animate" button is clicked.
+// Writes down the steps for the maze being shown, and starts playing them.
+function AnimateMaze()
+{
+    PauseAnimation();
+
+    // the maze being shown, to put back afterwards
+    var settings = ParseMazeCode(GetMazeCode());
+    settings.cell_size = CELL_SIZE;
+    var shown = GetCurrentMaze(settings);
+
+    // make it again from its code, writing down every wall knocked down...
+    var steps = new Array();
+    var copy = new Object();
+    for(var setting in settings)
+        copy[setting] = settings[setting];
+
+    var edited = false;
+    Animation_Steps = steps;
+    try
+    {
+        CreateMaze(copy);
+    }
+    catch(error)
+    {
+        edited = true;
+    }
+    finally
+    {
+        Animation_Steps = null;
+    }
+
+    // ...unless it was edited or opened from a file (then the steps wouldn't
+    // end up at the maze being shown)
+    if(edited || JSON.stringify(GetWallRows(Maze)) != JSON.stringify(GetWallRows(shown.cells)))
+    {
+        edited = true;
+        steps = new Array();
+    }
+
+    UseMaze(shown);
+    var solving = steps.length;
+
+    // then solve it with the depth first search (putting the real answer back
+    // afterwards)
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+            Maze[i][j][VISITED] = false;
+    }
+    Solution_List = new Array();
+    Steps_to_Solve = 0;
+
+    Animation_Steps = steps;
+    try
+    {
+        Solver(ENTRANCE_X, ENTRANCE_Y);
+    }
+    finally
+    {
+        Animation_Steps = null;
+        SolveMaze();
+    }
+
+    Animation = {
+        steps: steps,
+        solving: solving,
+        final: Maze,
+        frame: null,
+        next: 0,
+        carved: null,
+        stack: null,
+        path: null,
+        dead: null,
+        current: null,
+        edited: edited
+    };
+
+    document.getElementById('animation').style.display = '';
+    RestartAnimation();
+    PlayAnimation();
+}
+
+// Returns each cell's walls in "cells" (a "Maze" array) without whether it's
+// been visited (which the solver changes)
+function GetWallRows(cells)
+{
+    var rows = new Array();
+    for(var i = 0; i < cells.length; i++)
+    {
+        for(var j = 0; j < cells[i].length; j++)
+            rows.push(cells[i][j].slice(0, SIDES).join(''));
+    }
+
+    return rows;
+}
+
+// Called when the "Restart" button is clicked (and when a new animation is
+// started): goes back to the first step
+function RestartAnimation()
+{
+    if(Animation == null)
+        return;
+
+    Animation.next = 0;
+    Animation.carved = new Object();
+    Animation.stack = new Object();
+    Animation.path = new Object();
+    Animation.dead = new Object();
+    Animation.current = null;
+
+    // the generator starts with every wall up (and the solver with the
+    // finished maze, if there's no generator to show)
+    if(Animation.solving > 0)
+    {
+        Animation.frame = new Array(WIDTH);
+        for(var i = 0; i < WIDTH; i++)
+        {
+            Animation.frame[i] = new Array(HEIGHT);
+            for(var j = 0; j < HEIGHT; j++)
+            {
+                Animation.frame[i][j] = Animation.final[i][j].slice();
+                for(var wall = 0; wall < SIDES; wall++)
+                    Animation.frame[i][j][wall] = 1;
+
+                // (the terrain is only added once the maze is carved)
+                Animation.frame[i][j][COST] = TERRAINS['floor'].cost;
+            }
+        }
+    }
+    else
+        Animation.frame = Animation.final;
+
+    Animation_Carry = 0;
+    DrawAnimation();
+}
+
+// Called when the "Play" button is clicked: plays the animation until it's
+// paused (or runs out of steps)
+function PlayAnimation()
+{
+    if(Animation == null || Animation_Timer != null)
+        return;
+
+    // (playing from the end starts again)
+    if(Animation.next >= Animation.steps.length)
+        RestartAnimation();
+
+    document.getElementById('animation_play').innerHTML = 'Pause';
+    Animation_Timer = setTimeout(AnimationFrame, ANIMATION_FRAME_TIME);
+}
+
+// Called when the "Pause" button is clicked: stops the animation where it is
+function PauseAnimation()
+{
+    if(Animation_Timer != null)
+        clearTimeout(Animation_Timer);
+    Animation_Timer = null;
+
+    if(document.getElementById('animation_play') != null)
+        document.getElementById('animation_play').innerHTML = 'Play';
+}
+
+// Called when the Play/Pause button is clicked
+function ToggleAnimation()
+{
+    if(Animation_Timer != null)
+        PauseAnimation();
+    else
+        PlayAnimation();
+}
+
+// Called when the "Step" button is clicked: pauses the animation and takes
+// one step
+function StepAnimation()
+{
+    if(Animation == null)
+        return;
+
+    PauseAnimation();
+    PlayAnimationStep();
+    DrawAnimation();
+}
+
+// Called when the "Done" button is clicked: stops the animation and hides it
+function CloseAnimation()
+{
+    PauseAnimation();
+    Animation = null;
+
+    if(document.getElementById('animation') != null)
+        document.getElementById('animation').style.display = 'none';
+}
+
+// Plays one frame of the animation (as many steps as the speed slider asks
+// for) and waits for the next one
+function AnimationFrame()
+{
+    Animation_Timer = null;
+    if(Animation == null)
+        return;
+
+    Animation_Carry += Math.pow(2, parseInt(document.getElementById('animation_speed').value) - 3);
+    while(Animation_Carry >= 1 && Animation.next < Animation.steps.length)
+    {
+        PlayAnimationStep();
+        Animation_Carry--;
+    }
+
+    DrawAnimation();
+
+    if(Animation.next < Animation.steps.length)
+        Animation_Timer = setTimeout(AnimationFrame, ANIMATION_FRAME_TIME);
+    else
+        PauseAnimation();
+}
+
+// Plays the next step of the animation (see "RecordStep()" in maze.js)
+function PlayAnimationStep()
+{
+    if(Animation.next >= Animation.steps.length)
+        return;
+
+    // the solver works on the finished maze (with its doors and loops)
+    if(Animation.next == Animation.solving)
+    {
+        Animation.frame = Animation.final;
+        Animation.stack = new Object();
+    }
+
+    var step = Animation.steps[Animation.next];
+    var key = step[1] + '_' + step[2];
+    Animation.next++;
+    Animation.current = new Array(step[1], step[2]);
+
+    if(step[0] == 'carve')
+    {
+        // knock the wall down in the frame being shown
+        var shown = Maze;
+        Maze = Animation.frame;
+        RemoveWall(step[1], step[2], new Array(step[3], step[4]));
+        Maze = shown;
+
+        // (the backtracker carves from the cell on top of its stack into the
+        // next one)
+        Animation.carved[key] = true;
+        Animation.carved[step[3] + '_' + step[4]] = true;
+        if(GetGenerator(ALGORITHM) == GENERATORS['backtracker'])
+        {
+            Animation.stack[key] = true;
+            Animation.stack[step[3] + '_' + step[4]] = true;
+        }
+        Animation.current = new Array(step[3], step[4]);
+    }
+    else if(step[0] == 'back')
+        delete Animation.stack[key];
+    else if(step[0] == 'enter')
+        Animation.path[key] = true;
+    else if(step[0] == 'leave')
+    {
+        delete Animation.path[key];
+        Animation.dead[key] = true;
+    }
+}
+
+// Draws the animation as it is after the steps played so far, and says how
+// far along it is
+function DrawAnimation()
+{
+    var canvas = document.getElementById('animation_canvas');
+    if(canvas == null || Animation == null)
+        return;
+
+    var generating = (Animation.next < Animation.solving);
+
+    // (the drawing code draws "the" maze, so the frame is swapped in)
+    var shown = Maze;
+    Maze = Animation.frame;
+    try
+    {
+        var context = DrawMazeCanvas(canvas, Math.max(1, ANIMATION_CELL_SIZE / GetCellStep()));
+
+        for(var i = 0; i < WIDTH; i++)
+        {
+            for(var j = 0; j < HEIGHT; j++)
+            {
+                var color = GetAnimationColor(i, j, generating);
+                if(color != null)
+                    FillCanvasCell(context, i, j, color);
+            }
+        }
+
+        if(Animation.current != null)
+            DrawCanvasDot(context, Animation.current[0], Animation.current[1], ANIMATION_CURRENT_COLOR, GetAnimationColor(Animation.current[0], Animation.current[1], generating) || CANVAS_BACKGROUND);
+    }
+    finally
+    {
+        Maze = shown;
+    }
+
+    var status = '';
+    if(Animation.next == 0 && Animation.solving > 0)
+        status = 'Every wall is up - press Play to watch the ' + GetGenerator(ALGORITHM).name + ' algorithm carve the maze.';
+    else if(Animation.next == 0)
+        status = 'Press Play to watch a depth first search solve the maze.';
+    else if(generating)
+        status = 'Generating with the ' + GetGenerator(ALGORITHM).name + ' algorithm: step ' + Animation.next + ' of ' + Animation.solving + '.';
+    else if(Animation.next < Animation.steps.length)
+        status = 'Solving with a depth first search: step ' + (Animation.next - Animation.solving) + ' of ' + (Animation.steps.length - Animation.solving) + '.';
+    else
+        status = 'Done!  The red cells are the way through.';
+
+    if(Animation.edited)
+        status += "  (This maze can't be made again from its code - it was edited, or opened from a file - so only the solving is shown.)";
+
+    document.getElementById('animation_status').innerHTML = status;
+}
+
+// Returns the color the cell at "x, y" is shaded in the animation, or null
+// if it isn't shaded
+function GetAnimationColor(x, y, generating)
+{
+    var key = x + '_' + y;
+
+    if(generating)
+    {
+        if(!IsInMask(x, y))
+            return null;
+        if(Animation.stack[key])
+            return ANIMATION_STACK_COLOR;
+        if(!Animation.carved[key])
+            return ANIMATION_UNCARVED_COLOR;
+        return null;
+    }
+
+    if(Animation.path[key])
+        return ANIMATION_PATH_COLOR;
+    if(Animation.dead[key])
+        return ANIMATION_DEAD_COLOR;
+
+    return null;
+}
@@ -0,0 +1,529 @@
+/*******************************************************************************
+ * File: "ascii.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file draws the maze as plain text, for pasting into an email or a
+ *  terminal - and reads it back again, so a maze can be drawn by hand in a
+ *  text editor (or kept as text next to the code that uses it):
+ *
+ *      +--+--+--+          ╶─────┬──┐
+ *            |  |                │  │
+ *      +--+  +  +          ┌──╴  ╵  │
+ *      |        |          │        │
+ *      +--+--+--+          └────────┘
+ *
+ *  Each cell is ASCII_CELL_WIDTH characters wide and one line high, with a
+ *  corner between the cells on every line between the rows.  The walls are
+ *  read the same way as for the SVG (see "IsWallDrawn()" in topology.js), so
+ *  the doors are gaps in the outside wall and cells cut out of the maze's
+ *  shape (see mask.js) are left blank.  ASCII_STYLES has the characters the
+ *  walls are drawn with: "+", "-" and "|", or the Unicode box drawing ones
+ *  (where each corner is the piece that joins the walls touching it).
+ *
+ *  What's in a cell (the first of these that it has):
+ *      ^v      stairs up (^) and/or down (v) to the next floor (see levels.js)
+ *      || ==   a bridge going up and down (||) or across (==), with a tunnel
+ *              under it the other way (see weave.js)
+ *      <>      a waypoint (see puzzle.js)
+ *      ..      on the solution's path (answer keys only)
+ *      :: %% ~~  ice, mud and water (see terrain.js)
+ *  The floors of a maze with more than one are written one after another,
+ *  each under a "Floor 1:" line.
+ *
+ *  Only square mazes can be drawn in text - the other grids don't line up
+ *  into rows of characters.
+ *
+ *  Reading a maze ("ParseMazeASCII()") works the other way round: any
+ *  character (other than a space) where a wall would be drawn is a wall, so
+ *  either style - or anything drawn by hand that lines up the same way - can
+ *  be read.  The gaps in the outside wall are the doors: the first one
+ *  (reading from the top left, like a book) is the entrance, the last one is
+ *  the exit and any in between are extra exits.  The cells are read for
+ *  stairs, bridges, waypoints and terrain as above (anything else in a cell,
+ *  like the solution's path, is skipped).  Shapes can't be read back - every
+ *  cell in the box is part of the maze - and terrain hidden under something
+ *  else (like the solution's path on an answer key) is lost, so read the
+ *  puzzle rather than the answer key.  There's no seed to make a maze read
+ *  from text again, so save it as JSON (see json.js) to keep it.
+ ******************************************************************************/
+
+// How many characters wide each cell is
+var ASCII_CELL_WIDTH = 2;
+
+// The characters the walls are drawn with: a wall across, a wall up and down,
+// and the corners - picked by which walls touch the corner, adding up 1 (the
+// wall above it), 2 (to its right), 4 (below it) and 8 (to its left).  (The
+// box drawing characters are written as escapes, so they come out right
+// however the browser reads this file.)
+var ASCII_STYLES = {
+    'ascii':   { name: 'ASCII', across: '-', down: '|', corners: ' +++++++++++++++' },
+    'unicode': { name: 'Unicode', across: '\u2500', down: '\u2502', corners: ' \u2575\u2576\u2514\u2577\u2502\u250C\u251C\u2574\u2518\u2500\u2534\u2510\u2524\u252C\u253C' }
+};
+
+// What a cell covered in each kind of terrain is filled with (by the
+// terrain's name - see terrain.js)
+var ASCII_TERRAIN = {
+    'Ice': '::',
+    'Mud': '%%',
+    'Water': '~~'
+};
+
+// What the cells on the solution's path are filled with
+var ASCII_ANSWER = '..';
+
+// What waypoints are filled with
+var ASCII_WAYPOINT = '<>';
+
+// Returns the maze as text (see the top of this file), drawn in "style" (one
+// of ASCII_STYLES - plain ASCII if it's left out).  If "answer" is true, the
+// cells on the solution's path are marked.  Returns null for grids that
+// can't be drawn in text.
+function DrawMazeASCII(answer, style)
+{
+    if(TOPOLOGY != 'square')
+        return null;
+
+    var characters = ASCII_STYLES[ASCII_STYLES.hasOwnProperty(style) ? style : 'ascii'];
+
+    var floors = new Array();
+    for(var floor = 0; floor < LEVELS; floor++)
+    {
+        var lines = new Array();
+        if(LEVELS > 1)
+            lines.push('Floor ' + (floor + 1) + ':');
+
+        var base = floor * FLOOR_HEIGHT;
+        for(var j = 0; j <= FLOOR_HEIGHT; j++)
+        {
+            // the grid line above row "j"...
+            var line = '';
+            for(var i = 0; i <= WIDTH; i++)
+            {
+                line += characters.corners.charAt(GetASCIICorner(i, base + j, j == 0, j == FLOOR_HEIGHT));
+                if(i < WIDTH)
+                    line += RepeatASCII(IsASCIIWall(i, base + j, j == 0, j == FLOOR_HEIGHT) ? characters.across : ' ');
+            }
+            lines.push(line.replace(/\s+$/, ''));
+
+            if(j == FLOOR_HEIGHT)
+                break;
+
+            // ...and then the row itself
+            line = '';
+            for(var i = 0; i <= WIDTH; i++)
+            {
+                line += IsASCIISide(i, base + j) ? characters.down : ' ';
+                if(i < WIDTH)
+                    line += GetASCIICell(i, base + j, answer);
+            }
+            lines.push(line.replace(/\s+$/, ''));
+        }
+
+        floors.push(lines.join('\n'));
+    }
+
+    return floors.join('\n\n') + '\n';
+}
+
+// Returns true if the top wall of the cell at "x, y" is drawn - or, on the
+// last line of a floor ("bottom"), the bottom wall of the cell above it.
+// "top" is true on the first line of a floor (so the floor above doesn't
+// count).
+function IsASCIIWall(x, y, top, bottom)
+{
+    return (!bottom && IsWallDrawn(x, y, 0)) || (!top && IsWallDrawn(x, y - 1, 2));
+}
+
+// Returns true if the left wall of the cell at "x, y" is drawn (or the right
+// wall of the cell next to it)
+function IsASCIISide(x, y)
+{
+    return IsWallDrawn(x, y, 3) || IsWallDrawn(x - 1, y, 1);
+}
+
+// Returns which walls touch the top-left corner of the cell at "x, y", added
+// up the same way as the corners in ASCII_STYLES (see "IsASCIIWall()" for
+// "top" and "bottom")
+function GetASCIICorner(x, y, top, bottom)
+{
+    var corner = 0;
+
+    if(!top && IsASCIISide(x, y - 1))
+        corner += 1;
+    if(IsASCIIWall(x, y, top, bottom))
+        corner += 2;
+    if(!bottom && IsASCIISide(x, y))
+        corner += 4;
+    if(IsASCIIWall(x - 1, y, top, bottom))
+        corner += 8;
+
+    return corner;
+}
+
+// Returns what the cell at "x, y" is filled with (see the top of this file)
+function GetASCIICell(x, y, answer)
+{
+    if(!IsInMask(x, y))
+        return RepeatASCII(' ');
+
+    if(LEVELS > 1)
+    {
+        var up = (Maze[x][y][UP_WALL] == 0);
+        var down = (Maze[x][y][DOWN_WALL] == 0);
+        if(up || down)
+            return (up ? '^' : ' ') + (down ? 'v' : ' ');
+    }
+
+    if(IsTunnelOpen(x, y))
+        return RepeatASCII(CROSSINGS[x + '_' + y] == 'h' ? '|' : '=');
+
+    if(IsWaypoint(x, y))
+        return ASCII_WAYPOINT;
+
+    if(answer && IsAnswer(x, y))
+        return ASCII_ANSWER;
+
+    var terrain = GetTerrain(x, y);
+    if(ASCII_TERRAIN.hasOwnProperty(terrain.name))
+        return ASCII_TERRAIN[terrain.name];
+
+    return RepeatASCII(' ');
+}
+
+// Returns "character" repeated to fill the width of a cell
+function RepeatASCII(character)
+{
+    var text = '';
+    for(var i = 0; i < ASCII_CELL_WIDTH; i++)
+        text += character;
+
+    return text;
+}
+
+// Reads a maze drawn in text (see the top of this file): puts it in the
+// globals, solves it and returns it as a maze object (just like
+// "CreateMaze()" in core.js).  Throws an Error saying what's wrong if "text"
+// isn't a maze that can be read.
+function ParseMazeASCII(text)
+{
+    var floors = SplitASCIIFloors(text);
+    if(floors.length == 0)
+        throw new Error("There's no maze in that text.");
+
+    // the rows are between the lines of walls, and the cells are between the
+    // corners (of the longest line)
+    var rows = floors[0].length;
+    var length = 0;
+    for(var f = 0; f < floors.length; f++)
+    {
+        if(floors[f].length != rows)
+            throw new Error("Every floor of the maze needs the same number of rows.");
+
+        for(var l = 0; l < floors[f].length; l++)
+            length = Math.max(length, floors[f][l].length);
+    }
+
+    if(rows < 3 || rows % 2 == 0)
+        throw new Error("The maze needs a line of walls above and below every row of cells.");
+
+    var width = Math.round((length - 1) / (ASCII_CELL_WIDTH + 1));
+    var height = (rows - 1) / 2;
+    if(width < 1)
+        throw new Error("The maze needs to be at least one cell wide.");
+
+    // (so every character can be read, even after the spaces on the end of
+    // a line were trimmed off)
+    length = width * (ASCII_CELL_WIDTH + 1) + 1;
+    for(var f = 0; f < floors.length; f++)
+    {
+        for(var l = 0; l < floors[f].length; l++)
+        {
+            while(floors[f][l].length < length)
+                floors[f][l] += ' ';
+        }
+    }
+
+    var doors = GetASCIIDoors(floors, width);
+    if(doors.length < 2)
+        throw new Error("The maze needs an entrance and an exit - leave gaps in its outside wall for them.");
+
+    // what's written in each cell, and how many of each thing there are (for
+    // the settings)
+    var cells = new Array(width);
+    var count = { crossings: 0, terrain: 0, waypoints: 0 };
+    for(var i = 0; i < width; i++)
+    {
+        cells[i] = new Array();
+        for(var f = 0; f < floors.length; f++)
+        {
+            for(var j = 0; j < height; j++)
+            {
+                var cell = floors[f][j * 2 + 1].substr(i * (ASCII_CELL_WIDTH + 1) + 1, ASCII_CELL_WIDTH);
+                cells[i].push(cell);
+
+                if(cell == RepeatASCII('|') || cell == RepeatASCII('='))
+                    count.crossings++;
+                else if(cell == ASCII_WAYPOINT)
+                    count.waypoints++;
+                else if(GetASCIITerrain(cell) != null)
+                    count.terrain++;
+            }
+        }
+    }
+
+    var size = width * height * floors.length;
+    var settings = GetMazeSettings({
+        width: width,
+        height: height,
+        levels: floors.length,
+        seed: 0,
+        weave: (count.crossings > 0) ? Math.max(1, Math.round(count.crossings * 100 / size)) : 0,
+        terrain: Math.round(count.terrain * 100 / size),
+        waypoints: count.waypoints,
+        extra_exits: doors.length - 2,
+        exit_mode: 'first',
+        enter: doors[0][0],
+        entrance_position: doors[0][1],
+        exit_wall: doors[doors.length - 1][0],
+        exit_position: doors[doors.length - 1][1]
+    });
+
+    ApplySettings(settings);
+
+    var error = ICanHazErrors();
+    if(error != null)
+        throw new Error(error);
+
+    Maze = ReadASCIIWalls(floors);
+    ReadASCIICells(cells);
+
+    Extra_Exits = new Array();
+    for(var d = 1; d < doors.length - 1; d++)
+    {
+        var door = GetDoorCell(doors[d][0], doors[d][1]);
+        Extra_Exits.push({ wall: doors[d][0], position: doors[d][1], x: door[0], y: door[1], door: GetDoorWall(doors[d][0], door[0], door[1]) });
+    }
+
+    SolveMaze();
+
+    return GetCurrentMaze(settings);
+}
+
+// Returns the lines of each floor of the maze in "text", leaving out the
+// "Floor 1:" lines and the blank lines around each floor
+function SplitASCIIFloors(text)
+{
+    var lines = String(text).replace(/\r/g, '').replace(/\t/g, '    ').split('\n');
+
+    var floors = new Array();
+    var floor = new Array();
+    for(var l = 0; l <= lines.length; l++)
+    {
+        if(l == lines.length || /^\s*Floor\s+\d+:\s*$/i.test(lines[l]))
+        {
+            // (a blank line in the middle of a floor is a row with no walls
+            // in it - only the ones around it are left out)
+            while(floor.length > 0 && /^\s*$/.test(floor[floor.length - 1]))
+                floor.pop();
+            while(floor.length > 0 && /^\s*$/.test(floor[0]))
+                floor.shift();
+
+            if(floor.length > 0)
+                floors.push(floor);
+            floor = new Array();
+            continue;
+        }
+
+        floor.push(lines[l].replace(/\s+$/, ''));
+    }
+
+    return floors;
+}
+
+// Returns true if there's anything (other than spaces) in "line" from
+// "column", "length" characters long
+function IsASCIIMarked(line, column, length)
+{
+    return /\S/.test(line.substr(column, length));
+}
+
+// Returns the gaps in the outside wall of the maze drawn in "floors" (see
+// "SplitASCIIFloors()"), "width" cells wide, as [wall, position] - in the
+// order they're read (see the top of this file)
+function GetASCIIDoors(floors, width)
+{
+    var doors = new Array();
+    var step = ASCII_CELL_WIDTH + 1;
+    var last = floors.length - 1;
+
+    // along the top of the first floor...
+    for(var i = 0; i < width; i++)
+    {
+        if(!IsASCIIMarked(floors[0][0], i * step + 1, ASCII_CELL_WIDTH))
+            doors.push(new Array(0, i));
+    }
+
+    // ...down both sides of every floor...
+    var height = (floors[0].length - 1) / 2;
+    for(var f = 0; f < floors.length; f++)
+    {
+        for(var j = 0; j < height; j++)
+        {
+            var line = floors[f][j * 2 + 1];
+            if(!IsASCIIMarked(line, 0, 1))
+                doors.push(new Array(3, f * height + j));
+            if(!IsASCIIMarked(line, width * step, 1))
+                doors.push(new Array(1, f * height + j));
+        }
+    }
+
+    // ...and along the bottom of the last one
+    for(var i = 0; i < width; i++)
+    {
+        if(!IsASCIIMarked(floors[last][floors[last].length - 1], i * step + 1, ASCII_CELL_WIDTH))
+            doors.push(new Array(2, i));
+    }
+
+    return doors;
+}
+
+// Returns the "Maze" array (see the top of maze.js) with the walls drawn in
+// "floors" (see "SplitASCIIFloors()").  The size of the maze has to be set
+// first.
+function ReadASCIIWalls(floors)
+{
+    var step = ASCII_CELL_WIDTH + 1;
+
+    var cells = new Array(WIDTH);
+    for(var i = 0; i < WIDTH; i++)
+    {
+        cells[i] = new Array(HEIGHT);
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            var lines = floors[GetFloor(j)];
+            var row = GetFloorRow(j) * 2;
+
+            cells[i][j] = new Array(SIDES + 2);
+            cells[i][j][0] = IsASCIIMarked(lines[row], i * step + 1, ASCII_CELL_WIDTH) ? 1 : 0;
+            cells[i][j][1] = IsASCIIMarked(lines[row + 1], (i + 1) * step, 1) ? 1 : 0;
+            cells[i][j][2] = IsASCIIMarked(lines[row + 2], i * step + 1, ASCII_CELL_WIDTH) ? 1 : 0;
+            cells[i][j][3] = IsASCIIMarked(lines[row + 1], i * step, 1) ? 1 : 0;
+
+            // the lines between the floors are only ever walls (the doors
+            // are on the top of the first floor and the bottom of the last)
+            if(row == 0 && j > 0)
+                cells[i][j][0] = 1;
+            if(row == (FLOOR_HEIGHT - 1) * 2 && j < HEIGHT - 1)
+                cells[i][j][2] = 1;
+
+            // the stairs are read from the cells (see "ReadASCIICells()")
+            for(var wall = GRID_SIDES; wall < SIDES; wall++)
+                cells[i][j][wall] = 1;
+
+            cells[i][j][VISITED] = false;
+            cells[i][j][COST] = TERRAINS['floor'].cost;
+        }
+    }
+
+    return cells;
+}
+
+// Fills in the stairs, bridges, waypoints and terrain from what's written in
+// each cell ("cells[x][y]" - see the top of this file).  Called after the
+// walls are read.
+function ReadASCIICells(cells)
+{
+    STAIRWELLS = new Object();
+    CROSSINGS = new Object();
+    Waypoints = new Array();
+
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            var cell = cells[i][j];
+            var row = GetFloorRow(j);
+
+            // stairs up from here (or down to here from the floor above) -
+            // kept with the cell at the bottom
+            if(LEVELS > 1 && (cell.charAt(0) == '^' || cell.charAt(1) == 'v'))
+            {
+                if(cell.charAt(0) == '^' && j + FLOOR_HEIGHT < HEIGHT)
+                    OpenASCIIStairs(i, j);
+                if(cell.charAt(1) == 'v' && j - FLOOR_HEIGHT >= 0)
+                    OpenASCIIStairs(i, j - FLOOR_HEIGHT);
+                continue;
+            }
+
+            // a bridge, with the tunnel under it leading from the cell before
+            // it to the cell after it (see the top of weave.js)
+            if(cell == RepeatASCII('|') || cell == RepeatASCII('='))
+            {
+                var tunnel = (cell == RepeatASCII('|')) ? 'h' : 'v';
+                if(tunnel == 'h' ? (i == 0 || i == WIDTH - 1) : (row == 0 || row == FLOOR_HEIGHT - 1))
+                    throw new Error("The bridge in cell " + (i + 1) + ", " + (j + 1) + " is on the edge of the maze - a bridge needs a cell on each side of it for its tunnel.");
+
+                CROSSINGS[i + '_' + j] = tunnel;
+                if(tunnel == 'h')
+                {
+                    Maze[i][j][1] = Maze[i][j][3] = 1;
+                    Maze[i - 1][j][1] = 0;
+                    Maze[i + 1][j][3] = 0;
+                }
+                else
+                {
+                    Maze[i][j][0] = Maze[i][j][2] = 1;
+                    Maze[i][j - 1][2] = 0;
+                    Maze[i][j + 1][0] = 0;
+                }
+                continue;
+            }
+
+            if(cell == ASCII_WAYPOINT)
+            {
+                Waypoints.push(new Array(i, j));
+                continue;
+            }
+
+            var terrain = GetASCIITerrain(cell);
+            if(terrain != null)
+                Maze[i][j][COST] = terrain.cost;
+        }
+    }
+}
+
+// Opens the stairs from the cell at "x, y" up to the floor above it
+function OpenASCIIStairs(x, y)
+{
+    STAIRWELLS[x + '_' + y] = true;
+    Maze[x][y][UP_WALL] = 0;
+    Maze[x][y + FLOOR_HEIGHT][DOWN_WALL] = 0;
+}
+
+// Returns the terrain (see terrain.js) a cell filled with "cell" is covered
+// in, or null if it isn't one of ASCII_TERRAIN
+function GetASCIITerrain(cell)
+{
+    for(var terrain in TERRAINS)
+    {
+        if(ASCII_TERRAIN[TERRAINS[terrain].name] == cell)
+            return TERRAINS[terrain];
+    }
+
+    return null;
+}
+
+// Called when the (dynamically) generated "Download Puzzle (Text)" and
+// "Download Answer (Text)" buttons are clicked.  Saves the maze as a text
+// file, drawn in the style picked on the page.
+function DownloadText(answer)
+{
+    var text = DrawMazeASCII(answer, document.getElementById('text_style').value);
+    if(text == null)
+    {
+        alert("Only square mazes can be saved as text.");
+        return;
+    }
+
+    DownloadFile('maze-' + GetMazeCode() + (answer ? '-answer' : '') + '.txt', 'text/plain;charset=utf-8', text);
+}
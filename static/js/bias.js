@@ -0,0 +1,254 @@
+/*******************************************************************************
+ * File: "bias.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file steers the algorithms that carve the maze one step at a time,
+ *  so a whole series of puzzles can be given the same look.  Normally every
+ *  direction out of a cell is just as likely (see "ShuffleNeighbors()" in
+ *  maze.js).  With a bias, each step out of a cell is given a "weight", and
+ *  steps with a bigger weight are more likely to be taken first:
+ *      DIRECTION_BIAS  from -100 (up and down) to 100 (side to side): which
+ *                      way the passages tend to run.  On a circular maze,
+ *                      "side to side" is around the rings and "up and down"
+ *                      is in and out of them.
+ *      STRAIGHTNESS    from 0 to 100: how much a passage likes to carry on
+ *                      the way it was going - long straight runs
+ *      TWISTINESS      from 0 to 100: how much a passage likes to turn -
+ *                      short wiggly runs (the opposite of the straightness,
+ *                      so using both at once mostly cancels out)
+ *  Each setting at 100 makes the steps it likes BIAS_STRENGTH times more
+ *  likely (and DIRECTION_BIAS makes the steps it doesn't like that many times
+ *  less likely as well), so every step can still happen - a biased maze is
+ *  still a perfect maze that reaches every cell.
+ *
+ *  Which way a step goes is worked out from the middles of the two cells (see
+ *  "GetCellCenter()" in topology.js), so it works on every grid.  Taking the
+ *  stairs isn't a direction at all, so the stairs are never biased.
+ *
+ *  Only the algorithms that pick which way to carve from a cell can be
+ *  steered - the ones marked with "bias" in GENERATORS (see generators.js).
+ *  The rest either carve whole rows at once, or pick their walls in a way the
+ *  bias would break (Wilson's and Aldous-Broder are meant to be completely
+ *  unbiased).
+ *
+ *  When there's no bias, the random numbers are used exactly as they always
+ *  were, so older maze codes still make the same mazes.
+ ******************************************************************************/
+
+// Which way the passages tend to run: -100 (up and down) to 100 (side to
+// side), 0 for no preference
+var DIRECTION_BIAS = 0;
+
+// Percentage (0 - 100) passages like to carry on straight
+var STRAIGHTNESS = 0;
+
+// Percentage (0 - 100) passages like to turn
+var TWISTINESS = 0;
+
+// How many times more likely a step is with a setting at 100
+var BIAS_STRENGTH = 10;
+
+// Returns true if the maze is being carved with any bias at all
+function HasBias()
+{
+    return DIRECTION_BIAS != 0 || STRAIGHTNESS > 0 || TWISTINESS > 0;
+}
+
+// Returns the weight of the step from the cell "from" to the cell "to" (both
+// [x, y]) - how likely it is to be taken (1 for no bias).  "previous" is the
+// cell the passage came into "from" out of, or null if there isn't one.
+function GetStepWeight(from, to, previous)
+{
+    var step = GetStepDirection(from, to);
+    if(step == null)
+        return 1;
+
+    // side to side steps have 1 here, up and down steps -1, and the
+    // diagonal steps of the other grids something in between
+    var across = Math.abs(step[0]) - Math.abs(step[1]);
+    var power = DIRECTION_BIAS / 100 * across;
+
+    if(previous != null)
+    {
+        var last = GetStepDirection(previous, from);
+        if(last != null)
+        {
+            // 1 for carrying straight on, down to 0 for a right angle turn
+            // (or sharper)
+            var ahead = Math.max(0, step[0] * last[0] + step[1] * last[1]);
+            power += (STRAIGHTNESS * ahead + TWISTINESS * (1 - ahead)) / 100;
+        }
+    }
+
+    return Math.pow(BIAS_STRENGTH, power);
+}
+
+// Returns which way the step from the cell "from" to the cell "to" goes, as
+// [across, down] (a line one long), or null if it's up or down the stairs
+function GetStepDirection(from, to)
+{
+    if(GetFloor(from[1]) != GetFloor(to[1]))
+        return null;
+
+    var start = GetCellCenter(from[0], from[1]);
+    var end = GetCellCenter(to[0], to[1]);
+    var dx = end[0] - start[0];
+    var dy = end[1] - start[1];
+
+    // on a circular maze, "across" is around the ring and "down" is out
+    // from the middle
+    if(TOPOLOGY == 'polar')
+    {
+        var middle = GetPolarPoint(0, 0, from[1]);
+        var out_x = start[0] - middle[0];
+        var out_y = start[1] - middle[1];
+        var radius = Math.sqrt(out_x * out_x + out_y * out_y);
+        if(radius > 0)
+        {
+            out_x /= radius;
+            out_y /= radius;
+
+            var down = dx * out_x + dy * out_y;
+            dx = dx * out_y - dy * out_x;
+            dy = down;
+        }
+    }
+
+    var length = Math.sqrt(dx * dx + dy * dy);
+    if(length == 0)
+        return null;
+
+    return new Array(dx / length, dy / length);
+}
+
+// Shuffles the "neighbors" of the cell "from" (just like
+// "ShuffleNeighbors()" in maze.js), but with the steps that have a bigger
+// weight (see "GetStepWeight()") more likely to come first.  "previous" is
+// the cell the passage came into "from" out of, or null.
+function ShuffleBiased(from, neighbors, previous)
+{
+    // each neighbor gets a random key - the bigger the weight, the closer
+    // to 1 it tends to be - and they're sorted by it
+    var keys = new Array();
+    for(var i = 0; i < neighbors.length; i++)
+        keys.push({ key: Math.pow(Random(), 1 / GetStepWeight(from, neighbors[i], previous)), neighbor: neighbors[i] });
+
+    keys.sort(function(a, b) { return b.key - a.key; });
+
+    for(var i = 0; i < keys.length; i++)
+        neighbors[i] = keys[i].neighbor;
+
+    return neighbors;
+}
+
+// Picks one of the "weights" at random (a bigger weight is more likely to
+// be picked) and returns which one it picked
+function PickWeighted(weights)
+{
+    var total = 0;
+    for(var i = 0; i < weights.length; i++)
+        total += weights[i];
+
+    var pick = Random() * total;
+    for(var i = 0; i < weights.length - 1; i++)
+    {
+        pick -= weights[i];
+        if(pick < 0)
+            return i;
+    }
+
+    return weights.length - 1;
+}
+
+// Checks the bias settings before the maze is generated.  Returns a message
+// saying what the problem is, or null if there isn't one.
+function BiasErrors()
+{
+    if(!(DIRECTION_BIAS >= -100 && DIRECTION_BIAS <= 100))
+        return "The direction setting has to be from -100 (up and down) to 100 (side to side).";
+
+    if(!(STRAIGHTNESS >= 0 && STRAIGHTNESS <= 100) || !(TWISTINESS >= 0 && TWISTINESS <= 100))
+        return "The straightness and twistiness settings are percentages - please pick a number from 0 to 100.";
+
+    if(HasBias() && !GetGenerator(ALGORITHM).bias)
+        return "The " + GetGenerator(ALGORITHM).name + " algorithm can't be steered - please set the direction, straightness and twistiness to 0, or pick a different algorithm.";
+
+    return null;
+}
+
+// Returns the tags for the maze code (see "GetMazeCode()") for the bias
+// (nothing is added for the settings that are 0):
+//  -d[h or v][percent]     the direction the passages tend to run, for
+//                          example "-dh40" (side to side) or "-dv25"
+//  -r[percent]             straightness, for example "-r60"
+//  -z[percent]             twistiness, for example "-z30"
+function GetBiasCode()
+{
+    var code = '';
+
+    if(DIRECTION_BIAS != 0)
+        code += '-d' + (DIRECTION_BIAS > 0 ? 'h' : 'v') + Math.abs(DIRECTION_BIAS);
+    if(STRAIGHTNESS > 0)
+        code += '-r' + STRAIGHTNESS;
+    if(TWISTINESS > 0)
+        code += '-z' + TWISTINESS;
+
+    return code;
+}
+
+// Reads the tags from "GetBiasCode()" out of "tags" into "settings" (taking
+// them out of "tags").  Returns false if they aren't valid.
+function ParseBiasCode(tags, settings)
+{
+    settings.bias = 0;
+    settings.straightness = 0;
+    settings.twistiness = 0;
+
+    if(tags.hasOwnProperty('d'))
+    {
+        var match = /^([hv])(\d+)$/.exec(tags['d']);
+        if(match == null || parseInt(match[2]) > 100)
+            return false;
+
+        settings.bias = parseInt(match[2]) * (match[1] == 'h' ? 1 : -1);
+        delete tags['d'];
+    }
+
+    var percents = { 'r': 'straightness', 'z': 'twistiness' };
+    for(var tag in percents)
+    {
+        if(!tags.hasOwnProperty(tag))
+            continue;
+
+        if(!/^\d+$/.test(tags[tag]) || parseInt(tags[tag]) > 100)
+            return false;
+
+        settings[percents[tag]] = parseInt(tags[tag]);
+        delete tags[tag];
+    }
+
+    return true;
+}
+
+// Fills in the bias sliders on the page from "settings"
+function SetBiasSettings(settings)
+{
+    document.getElementById('bias').value = settings.bias;
+    document.getElementById('straightness').value = settings.straightness;
+    document.getElementById('twistiness').value = settings.twistiness;
+    UpdateBiasLabels();
+}
+
+// Called when one of the bias sliders is moved.  Shows what each slider is
+// set to next to it.
+function UpdateBiasLabels()
+{
+    var bias = parseInt(document.getElementById('bias').value);
+    if(bias == 0)
+        document.getElementById('bias_label').innerHTML = 'Even';
+    else
+        document.getElementById('bias_label').innerHTML = Math.abs(bias) + '% ' + (bias > 0 ? 'Side to Side' : 'Up and Down');
+
+    document.getElementById('straightness_label').innerHTML = document.getElementById('straightness').value + '%';
+    document.getElementById('twistiness_label').innerHTML = document.getElementById('twistiness').value + '%';
+}
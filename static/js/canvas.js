@@ -0,0 +1,236 @@
+/*******************************************************************************
+ * File: "canvas.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file draws the maze onto an HTML5 canvas.  A canvas is just one
+ *  element on the page no matter how big the maze is, which makes it far
+ *  quicker than the thousands of DIV tags made by "DrawMaze()" - especially
+ *  when we have to change the color of a cell every time the user moves.
+ *
+ *  These functions are used by the play window (solver.js) and the PNG
+ *  download (export.js), and read the
+ *  same globals as the rest of the code: "Maze", "WIDTH", "HEIGHT",
+ *  "CELL_SIZE", "BORDER_WIDTH", "BORDER_COLOR" and "TOPOLOGY".
+ *
+ *  The canvas is laid out exactly like the DIV version of the maze: each cell
+ *  is CELL_SIZE pixels on the inside, with a border of BORDER_WIDTH pixels on
+ *  each side (so the walls between cells are twice BORDER_WIDTH thick).
+ *  When a cell is colored in, the color also covers its half of any wall that
+ *  has been knocked down, so a colored path looks like one solid line - just
+ *  like the DIV cells did when their borders were hidden.
+ *
+ *  Cells covered in terrain (mud, water or ice - see terrain.js) are colored
+ *  in with the terrain's color before the walls are drawn.
+ *
+ *  Hexagon, triangle and circular mazes (see topology.js) are drawn from the
+ *  outline of each cell instead: coloring a cell in fills its whole outline,
+ *  and then the walls around it are drawn again on top.
+ *
+ *  Mazes with more than one floor (see levels.js) draw the floors side by
+ *  side - or just the one in "DRAW_FLOOR" - with the stair arrows drawn on
+ *  top of each cell.  Coloring in a cell on a floor that isn't being drawn
+ *  does nothing.
+ *
+ *  A crossing with a tunnel under it (see weave.js) has its bridge drawn
+ *  back over the top when it's colored in, just like the stairs.
+ ******************************************************************************/
+
+// Color of the cells that haven't been colored in
+var CANVAS_BACKGROUND = "#FFFFFF";
+
+// Size of the dot that shows the user's location (% of the cell)
+var CANVAS_DOT_SIZE = 80;
+
+// Sizes the canvas to fit the maze and draws every wall.
+// "scale" is optional - a scale of 2 draws everything twice as big (used for
+// high resolution images).
+function DrawMazeCanvas(canvas, scale)
+{
+    var size = GetMazeImageSize();
+
+    if(scale === undefined)
+        scale = 1;
+
+    canvas.width = Math.ceil(size[0] * scale);
+    canvas.height = Math.ceil(size[1] * scale);
+
+    // everything after this is drawn in unscaled (CELL_SIZE) pixels
+    var context = canvas.getContext('2d');
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+
+    context.fillStyle = CANVAS_BACKGROUND;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    // color in any terrain (see terrain.js) under the walls
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(GetTerrainColor(i, j) != CANVAS_BACKGROUND)
+                FillCanvasCell(context, i, j, GetTerrainColor(i, j));
+        }
+    }
+
+    // the walls are drawn centered on the lines between the cells
+    DrawCanvasLines(context, GetWallLines());
+
+    // and the stairs between the floors (see levels.js)
+    var stairs = GetAllStairPolygons();
+    for(var i = 0; i < stairs.length; i++)
+        FillCanvasShape(context, stairs[i], STAIR_COLOR);
+
+    return context;
+}
+
+// Draws "lines" (lists of [x, y] points - see "GetWallLines()") as walls
+function DrawCanvasLines(context, lines)
+{
+    context.strokeStyle = BORDER_COLOR;
+    context.lineWidth = BORDER_WIDTH * 2;
+    context.lineCap = GetWallLineCap();
+    context.lineJoin = 'round';
+    context.beginPath();
+
+    for(var i = 0; i < lines.length; i++)
+    {
+        context.moveTo(lines[i][0][0], lines[i][0][1]);
+        for(var j = 1; j < lines[i].length; j++)
+            context.lineTo(lines[i][j][0], lines[i][j][1]);
+    }
+
+    context.stroke();
+}
+
+// Colors in the cell at "x, y" (along with its half of any open walls), and
+// draws its bridge and stairs back over the top
+function FillCanvasCell(context, x, y, color)
+{
+    if(!IsFloorShown(y))
+        return;
+
+    if(TOPOLOGY != 'square')
+        FillCanvasPolygon(context, x, y, color);
+    else
+        FillCanvasSquare(context, x, y, color);
+
+    DrawCanvasLines(context, GetBridgeLines(x, y));
+
+    var stairs = GetStairPolygons(x, y);
+    for(var i = 0; i < stairs.length; i++)
+        FillCanvasShape(context, stairs[i], STAIR_COLOR);
+}
+
+// Colors in the cell at "x, y" on a square grid
+function FillCanvasSquare(context, x, y, color)
+{
+    var step = GetCellStep();
+    var wall = BORDER_WIDTH * 2;
+
+    // inside of the cell
+    var left = wall + GetFloorLeft(y) + x * step;
+    var top = wall + GetFloorRow(y) * step;
+
+    context.fillStyle = color;
+    context.fillRect(left, top, CELL_SIZE, CELL_SIZE);
+
+    // and half of each open wall (the neighbor fills in the other half)
+    if(Maze[x][y][0] == 0)
+        context.fillRect(left, top - BORDER_WIDTH, CELL_SIZE, BORDER_WIDTH);
+    if(Maze[x][y][1] == 0)
+        context.fillRect(left + CELL_SIZE, top, BORDER_WIDTH, CELL_SIZE);
+    if(Maze[x][y][2] == 0)
+        context.fillRect(left, top + CELL_SIZE, CELL_SIZE, BORDER_WIDTH);
+    if(Maze[x][y][3] == 0)
+        context.fillRect(left - BORDER_WIDTH, top, BORDER_WIDTH, CELL_SIZE);
+}
+
+// Colors in the cell at "x, y" on a grid that isn't square (see topology.js).
+// The cell's outline runs down the middle of its walls, so the whole outline
+// is filled in and then the walls around it (and around its neighbors, whose
+// wall ends can poke into the cell) are drawn back over the top.
+function FillCanvasPolygon(context, x, y, color)
+{
+    FillCanvasShape(context, GetCellPolygon(x, y), color);
+
+    // (only the walls around the cells - not the stairs)
+    var cells = new Array(new Array(x, y));
+    for(var wall = 0; wall < GRID_SIDES; wall++)
+    {
+        var neighbor = GetNeighbor(x, y, wall);
+        if(neighbor != null)
+            cells.push(neighbor);
+    }
+
+    var lines = new Array();
+    for(var i = 0; i < cells.length; i++)
+    {
+        for(var wall = 0; wall < GRID_SIDES; wall++)
+        {
+            if(Maze[cells[i][0]][cells[i][1]][wall] == 1)
+                lines.push(GetWallPoints(cells[i][0], cells[i][1], wall));
+        }
+    }
+
+    DrawCanvasLines(context, lines);
+}
+
+// Fills in the shape "points" (a list of [x, y] points) in "color"
+function FillCanvasShape(context, points, color)
+{
+    context.fillStyle = color;
+    context.beginPath();
+    context.moveTo(points[0][0], points[0][1]);
+    for(var i = 1; i < points.length; i++)
+        context.lineTo(points[i][0], points[i][1]);
+    context.closePath();
+    context.fill();
+}
+
+// Draws a dot in the middle of the cell at "x, y".  The dot fades from
+// "color" in the middle out to "background" (the same look as the old
+// CSS radial-gradient dots).
+function DrawCanvasDot(context, x, y, color, background)
+{
+    if(!IsFloorShown(y))
+        return;
+
+    FillCanvasCell(context, x, y, background);
+
+    var center = GetCellCenter(x, y);
+    var radius = GetCellRadius(x, y) * (CANVAS_DOT_SIZE / 100);
+
+    var gradient = context.createRadialGradient(center[0], center[1], 0, center[0], center[1], radius);
+    gradient.addColorStop(0, color);
+    gradient.addColorStop(1, background);
+
+    context.fillStyle = gradient;
+    context.beginPath();
+    context.arc(center[0], center[1], radius, 0, Math.PI * 2);
+    context.fill();
+}
+
+// Draws a waypoint (see puzzle.js) in the cell at "x, y": a dot in "color"
+function DrawCanvasWaypoint(context, x, y, color)
+{
+    if(!IsFloorShown(y))
+        return;
+
+    var center = GetCellCenter(x, y);
+
+    context.fillStyle = color;
+    context.beginPath();
+    context.arc(center[0], center[1], GetCellRadius(x, y) * (WAYPOINT_SIZE / 100), 0, Math.PI * 2);
+    context.fill();
+}
+
+// Works out which cell was clicked on.  Returns the cell as [x, y], or null
+// if the click landed outside of the maze.
+function GetCanvasCell(canvas, event)
+{
+    // the canvas may be shown bigger or smaller than it really is
+    var bounds = canvas.getBoundingClientRect();
+    var pixel_x = (event.clientX - bounds.left) * (canvas.width / bounds.width);
+    var pixel_y = (event.clientY - bounds.top) * (canvas.height / bounds.height);
+
+    return GetCellAt(pixel_x, pixel_y);
+}
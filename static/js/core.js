@@ -0,0 +1,376 @@
+/*******************************************************************************
+ * File: "core.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file makes mazes without the page: "CreateMaze()" takes the settings
+ *  for a maze, generates it, solves it and hands it back as an object.  It
+ *  never reads the page or pops up a message, so the same code runs in the
+ *  browser (the "Generate!" button is just "CreateMaze()" with the settings
+ *  read off the page - see "LoadMaze()" in maze.js) and in Node.
+ *
+ *  The settings are an object, laid out just like the one "ParseMazeCode()"
+ *  returns (so a maze code can be made again with
+ *  "CreateMaze(ParseMazeCode(code))" - or just "CreateMaze(code)").
+ *  Anything left out gets its default from MAZE_DEFAULTS:
+ *      width, height   - size of the maze in cells (the height of each floor)
+ *      algorithm       - the generator to use (see generators.js)
+ *      seed            - the random number seed (a number, or any text - see
+ *                        "ParseSeed()"), left out for a brand new one
+ *      entrance, exit  - where the doors go: a corner ("tl", "tr", "br" or
+ *                        "bl" - see CORNER_WALLS) or a wall letter and the
+ *                        position along it, like in maze codes ("l0", "r39" -
+ *                        see "GetDoorCode()").  "enter", "entrance_position",
+ *                        "exit_wall" and "exit_position" can be used instead.
+ *      topology, levels, mask, braid, terrain, weave, extra_exits, exit_mode,
+ *      waypoints       - the same as the settings on the page (see
+ *                        "ParseMazeCode()")
+ *      bias, straightness, twistiness
+ *                      - which way the passages tend to run, and how
+ *                        straight or twisty they are (see bias.js)
+ *      cell_size       - how big each cell is drawn (in pixels)
+ *      code            - a maze code to make again (any other settings given
+ *                        are ignored, apart from the cell size)
+ *  Settings that don't make sense throw an Error saying what's wrong (the
+ *  same message the page would show).
+ *
+ *  The maze that comes back holds:
+ *      settings        - every setting used (with the seed and doors filled
+ *                        in), laid out like the ones passed in
+ *      code            - its maze code (see "GetMazeCode()")
+ *      cells           - the "Maze" array (see the top of maze.js)
+ *      entrance, exit  - the cell each door opens into and the wall it goes
+ *                        through: { x, y, wall }
+ *      extra_exits, waypoints, stairwells, crossings - see puzzle.js,
+ *                        levels.js and weave.js
+ *      solution        - the cells on the shortest way through, from the
+ *                        entrance to the exit (as [x, y])
+ *      steps, cost     - how many moves that takes, and what it costs
+ *      solve()         - solves the maze again (after its walls have been
+ *                        changed, say), and returns the new solution
+ *
+ *  Everything else in this code still works on "the" maze in the globals
+ *  ("Maze", "WIDTH" and so on).  "CreateMaze()" leaves the maze it made in
+ *  them, and "UseMaze()" puts a maze made earlier back - so the drawing
+ *  functions (see svg.js and export.js) can draw any maze made.
+ *
+ *  In Node, "require()" this file and it loads the files it needs into a
+ *  sandbox of their own, then hands back the sandbox - so every function
+ *  (and global) the page has is there:
+ *      var core = require('./static/js/core.js');
+ *      var maze = core.CreateMaze({ width: 20, height: 20, seed: 42 });
+ *      var path = maze.solve();
+ *      var svg = core.DrawMazeSVG(true);
+ ******************************************************************************/
+
+// Settings used for anything left out of the settings passed to
+// "CreateMaze()"
+var MAZE_DEFAULTS = {
+    width: 40,
+    height: 40,
+    algorithm: 'backtracker',
+    seed: null,
+    entrance: 'tl',
+    exit: 'br',
+    topology: 'square',
+    levels: 1,
+    mask: null,
+    braid: 0,
+    bias: 0,
+    straightness: 0,
+    twistiness: 0,
+    terrain: 0,
+    weave: 0,
+    extra_exits: 0,
+    exit_mode: 'first',
+    waypoints: 0,
+    cell_size: 10
+};
+
+// Files the core needs, in the order they have to be loaded (used in Node -
+// the page loads them itself)
+var CORE_FILES = ['maze.js', 'random.js', 'topology.js', 'mask.js', 'levels.js', 'weave.js', 'generators.js', 'bias.js', 'puzzle.js', 'terrain.js', 'svg.js', 'canvas.js', 'export.js', 'ascii.js', 'json.js', 'metrics.js', 'solvers.js', 'core.js'];
+
+// Generates and solves the maze described by "settings" (see the top of this
+// file) and returns it
+function CreateMaze(settings)
+{
+    settings = GetMazeSettings(settings);
+
+    // everything the rest of the code needs is kept in the globals
+    ApplySettings(settings);
+
+    var error = ICanHazErrors();
+    if(error != null)
+        throw new Error(error);
+
+    // start the random number generator from the seed - or pick a brand new
+    // one if there wasn't one
+    if(settings.seed === null)
+        settings.seed = NewSeed();
+    SEED = settings.seed;
+    SetSeed(SEED);
+
+    // pick where the stairs between the floors can go (if there's more than
+    // one floor - see levels.js)
+    PlaceStairwells();
+
+    // and which cells passages can tunnel under (see weave.js)
+    PlaceCrossings();
+
+    // start with every wall up
+    ResetValues();
+    for(var i = 0; i < WIDTH; i++)
+    {
+        Maze[i] = new Array(HEIGHT);
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            Maze[i][j] = new Array(SIDES + 2);
+            for(var wall = 0; wall < SIDES; wall++)
+                Maze[i][j][wall] = 1;
+            Maze[i][j][VISITED] = false;
+            Maze[i][j][COST] = TERRAINS['floor'].cost;
+        }
+    }
+
+    // start the maze at exit points, using whichever algorithm was picked
+    GetGenerator(ALGORITHM).generate(STARTING_X, STARTING_Y);
+
+    // knock out some of the dead ends to make loops (if asked to)
+    BraidMaze(BRAID);
+
+    // setup the enterance and exit points
+    InstallDoors();
+
+    // add any extra exits and waypoints
+    InstallPuzzle();
+
+    // cover some of the maze in mud, water and ice
+    AddTerrain(TERRAIN);
+
+    SolveMaze();
+
+    return GetCurrentMaze(settings);
+}
+
+// Fills in the defaults (see MAZE_DEFAULTS) for anything left out of
+// "options", and returns them as a new settings object.  A maze code (given
+// on its own, or as "code") is swapped for the settings in it.
+function GetMazeSettings(options)
+{
+    if(options === undefined || options === null)
+        options = new Object();
+    if(typeof options == 'string')
+        options = { code: options };
+    if(typeof options != 'object')
+        throw new Error("The settings for a maze have to be an object (or a maze code) - see the top of core.js.");
+
+    var settings = new Object();
+
+    if(options.code !== undefined)
+    {
+        settings = ParseMazeCode(options.code);
+        if(settings == null)
+            throw new Error("That maze code doesn't look right - please check it and try again!");
+
+        settings.cell_size = (options.cell_size !== undefined) ? options.cell_size : MAZE_DEFAULTS.cell_size;
+        return settings;
+    }
+
+    for(var setting in MAZE_DEFAULTS)
+        settings[setting] = options.hasOwnProperty(setting) ? options[setting] : MAZE_DEFAULTS[setting];
+
+    // (the doors can be given either way - see the top of this file)
+    var doors = ['enter', 'entrance_position', 'exit_wall', 'exit_position'];
+    for(var i = 0; i < doors.length; i++)
+    {
+        if(options.hasOwnProperty(doors[i]))
+            settings[doors[i]] = options[doors[i]];
+    }
+
+    if(settings.seed !== null)
+        settings.seed = ParseSeed(settings.seed);
+
+    // (the size has to be right before anything can be worked out from it)
+    if(!(settings.width > 0 && settings.height > 0))
+        throw new Error("Error with dimensions...please check to make sure height and width are above zero!");
+    if(!(settings.levels >= 1 && settings.levels <= MAX_LEVELS))
+        throw new Error("Please pick between 1 and " + MAX_LEVELS + " floors.");
+
+    if(!GENERATORS.hasOwnProperty(settings.algorithm))
+        throw new Error("There isn't an algorithm called \"" + settings.algorithm + "\".");
+    if(!TOPOLOGIES.hasOwnProperty(settings.topology))
+        throw new Error("There isn't a grid called \"" + settings.topology + "\".");
+    if(!EXIT_MODES.hasOwnProperty(settings.exit_mode))
+        throw new Error("There isn't an exit mode called \"" + settings.exit_mode + "\".");
+
+    return settings;
+}
+
+// Sets all of the globals from "settings" (see "GetMazeSettings()"): the
+// size, grid, floors and shape of the maze, where its doors are, and how it's
+// generated.  Doors given as a corner or a code are swapped for their wall
+// and position.
+function ApplySettings(settings)
+{
+    WIDTH = settings.width;
+    FLOOR_HEIGHT = settings.height;
+    SetTopology(settings.topology);
+    SetLevels(settings.levels);
+    ApplyMask(settings.mask);
+    settings.mask = GetMaskShape();
+
+    // the doors' cells depend on the size, grid and shape of the maze
+    if(settings.enter === undefined)
+    {
+        var entrance = GetDoorSetting(settings.entrance);
+        settings.enter = entrance[0];
+        settings.entrance_position = entrance[1];
+    }
+    if(settings.exit_wall === undefined)
+    {
+        var exit = GetDoorSetting(settings.exit);
+        settings.exit_wall = exit[0];
+        settings.exit_position = exit[1];
+    }
+    delete settings.entrance;
+    delete settings.exit;
+    SetEntrance(settings.enter, settings.entrance_position);
+    SetExit(settings.exit_wall, settings.exit_position);
+
+    ALGORITHM = settings.algorithm;
+    SEED = settings.seed;
+    BRAID = settings.braid;
+    DIRECTION_BIAS = settings.bias;
+    STRAIGHTNESS = settings.straightness;
+    TWISTINESS = settings.twistiness;
+    TERRAIN = settings.terrain;
+    SetWeave(settings.weave);
+    EXTRA_EXITS = settings.extra_exits;
+    EXIT_MODE = settings.exit_mode;
+    WAYPOINTS = settings.waypoints;
+    CELL_SIZE = settings.cell_size;
+}
+
+// Returns [wall, position] for the door "door": a corner or a door code (see
+// the top of this file).  The size and grid of the maze have to be set
+// first - a corner goes in the first of its walls the grid can have a door
+// in (like the page does - see "UpdateDoorOptions()" in maze.js).
+function GetDoorSetting(door)
+{
+    door = String(door).toLowerCase();
+
+    if(CORNER_WALLS.hasOwnProperty(door))
+    {
+        var allowed = GetTopology().door_sides;
+        for(var i = 0; i < CORNER_WALLS[door].length; i++)
+        {
+            var wall = CORNER_WALLS[door][i];
+            if(allowed.indexOf(wall) >= 0)
+                return new Array(wall, GetCornerPosition(door, wall));
+        }
+    }
+
+    var code = ParseDoorCode(door, WIDTH, HEIGHT);
+    if(code == null)
+        throw new Error("\"" + door + "\" isn't a door - please use a corner (like \"tl\") or a wall and position (like \"l0\").");
+
+    return code;
+}
+
+// Returns the maze in the globals as a maze object (see the top of this
+// file), made with "settings"
+function GetCurrentMaze(settings)
+{
+    var maze = {
+        settings: settings,
+        code: GetMazeCode(),
+        cells: Maze,
+        entrance: { x: ENTRANCE_X, y: ENTRANCE_Y, wall: ENTRANCE_WALL },
+        exit: { x: STARTING_X, y: STARTING_Y, wall: EXIT_WALL },
+        extra_exits: Extra_Exits,
+        waypoints: Waypoints,
+        stairwells: STAIRWELLS,
+        crossings: CROSSINGS,
+        solution: null,
+        steps: 0,
+        cost: 0,
+        solve: SolveMazeObject
+    };
+
+    SaveSolution(maze);
+    return maze;
+}
+
+// Copies the solution in the globals into "maze" (from the entrance to the
+// exit - "Solution_List" goes the other way)
+function SaveSolution(maze)
+{
+    maze.solution = Solution_List.slice().reverse();
+    maze.steps = Steps_to_Solve;
+    maze.cost = Cost_to_Solve;
+}
+
+// Puts "maze" (made by "CreateMaze()") back into the globals, so it can be
+// drawn, played or solved
+function UseMaze(maze)
+{
+    ApplySettings(maze.settings);
+
+    Maze = maze.cells;
+    STAIRWELLS = maze.stairwells;
+    CROSSINGS = maze.crossings;
+    Extra_Exits = maze.extra_exits;
+    Waypoints = maze.waypoints;
+
+    Solution_List = maze.solution.slice().reverse();
+    Solution_Lookup = new Object();
+    for(var i = 0; i < Solution_List.length; i++)
+        Solution_Lookup[Solution_List[i][0] + '_' + Solution_List[i][1]] = true;
+    Steps_to_Solve = maze.steps;
+    Cost_to_Solve = maze.cost;
+}
+
+// The "solve()" of a maze object: solves the maze again and returns its
+// solution (see "SaveSolution()")
+function SolveMazeObject()
+{
+    UseMaze(this);
+    SolveMaze();
+    SaveSolution(this);
+
+    return this.solution;
+}
+
+// Loads every file in CORE_FILES into a sandbox (in Node - see the top of
+// this file) and returns it
+function LoadCore()
+{
+    var vm = require('vm');
+    var fs = require('fs');
+    var path = require('path');
+
+    // the files look their globals up on every step of making a maze, and in
+    // an ordinary sandbox each of those goes through Node - which made a
+    // 500 x 500 maze take over ten times as long as it does on the page.
+    // Newer versions of Node can make a sandbox with a plain global object
+    // instead (it's a little less walled off, but nothing here needs that).
+    var sandbox;
+    if(vm.constants && vm.constants.DONT_CONTEXTIFY)
+        sandbox = vm.createContext(vm.constants.DONT_CONTEXTIFY);
+    else
+        sandbox = vm.createContext({});
+    sandbox.console = console;
+
+    for(var i = 0; i < CORE_FILES.length; i++)
+    {
+        var file = path.join(__dirname, CORE_FILES[i]);
+        vm.runInContext(fs.readFileSync(file, 'utf8'), sandbox, { filename: file });
+    }
+
+    return sandbox;
+}
+
+// (the files in the sandbox are loaded like they are on the page, where there's
+// no "module" - so this only happens once)
+if(typeof module !== 'undefined' && module.exports && typeof window === 'undefined')
+    module.exports = LoadCore();
@@ -0,0 +1,642 @@
+/*******************************************************************************
+ * File: "editor.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file lets the user change a maze by hand after it's made - fix a
+ *  wall, move a door, or keep the part they like and make the rest again -
+ *  before printing it.  The "Edit Maze" button shows the maze on a canvas
+ *  (drawn by canvas.js, so every grid works), and the "Edit" drop-down picks
+ *  what clicking on it does:
+ *      - Toggle Walls: clicking next to a wall knocks it down (or puts it
+ *        back up).  Both cells keep their own copy of every wall (see the top
+ *        of maze.js), so both copies are changed together - just like
+ *        "RemoveWall()" does.  The outside walls can't be knocked down here
+ *        (that's what the doors are for).
+ *      - Move Doors: drag the entrance (green) or the exit (red) to another
+ *        spot on the edge of the maze.
+ *      - Lock Cells: click (or drag) to lock cells (shaded yellow) or unlock
+ *        them again.  "Regenerate the Rest" then carves the unlocked cells
+ *        again from scratch, leaving the walls between locked cells alone.
+ *      - Paint Terrain: click (or drag) to cover cells in the terrain picked
+ *        under the "Edit" drop-down (see terrain.js) - or paint them back to
+ *        plain floor.  The maze is solved again when the mouse is let go.
+ *
+ *  Regenerating works a lot like a maze cut into a shape (see mask.js): the
+ *  locked cells are cut out while each piece of unlocked cells is carved
+ *  with the algorithm picked on the page (the ones that work along whole
+ *  rows can't skip cells, so the recursive backtracker is used instead).
+ *  Then the pieces are joined back up, one wall at a time, to everything
+ *  that can be reached from the exit.  The rest comes out as a perfect maze
+ *  (no loops), whatever the "Loops" setting is.  Decoy exits (see puzzle.js)
+ *  stay walled off.
+ *
+ *  After every change the maze is solved again, and the editor says whether
+ *  it can still be solved and shades any cells that can't be reached from
+ *  the entrance in red.
+ *
+ *  An edited maze can't be made again from its maze code (the code only
+ *  makes the maze before it was edited) - use "Export JSON" to keep it.
+ ******************************************************************************/
+
+// Colors of the locked cells and the cells that can't be reached
+var EDITOR_LOCKED_COLOR = "#FFE699";
+var EDITOR_UNREACHABLE_COLOR = "#F4B6B6";
+
+// Color of the editor's messages when something is wrong with the maze
+var EDITOR_WARNING_COLOR = "#CC0000";
+
+// Smallest the cells are shown in the editor (in pixels), so they're big
+// enough to click on
+var EDITOR_CELL_SIZE = 24;
+
+// Cells that are locked, keyed by "X_Y"
+var Locked_Cells = new Object();
+
+// Cells that can't be reached from the entrance (found by
+// "CheckEditedMaze()"), keyed by "X_Y"
+var Editor_Unreachable = new Object();
+
+// The "Maze" array the locked cells belong to (a new maze starts with
+// nothing locked)
+var Editor_Maze = null;
+
+// The cells are being locked (true) or unlocked (false) while the mouse is
+// held down (null when it isn't held down)
+var Editor_Locking = null;
+
+// The terrain being painted on while the mouse is held down (a key of
+// TERRAINS - null when it isn't held down)
+var Editor_Painting = null;
+
+// The door being dragged ("entrance" or "exit" - null when there isn't one),
+// and where it would be dropped: [wall, position]
+var Editor_Dragging = null;
+var Editor_Door_Target = null;
+
+// Called when the (dynamically) generated "Edit Maze" button is clicked:
+// shows the editor
+function EditMaze()
+{
+    document.getElementById('editor').style.display = '';
+
+    var check = CheckEditedMaze();
+    ShowEditorStatus(check[0], check[1]);
+    DrawEditor();
+}
+
+// Called when the "Done" button is clicked: hides the editor
+function CloseEditor()
+{
+    document.getElementById('editor').style.display = 'none';
+}
+
+// Returns how much bigger than CELL_SIZE the maze is drawn in the editor
+function GetEditorScale()
+{
+    return Math.max(1, EDITOR_CELL_SIZE / GetCellStep());
+}
+
+// Draws the maze in the editor (if it's showing), with the locked cells,
+// the cells that can't be reached, the waypoints and the doors colored in
+function DrawEditor()
+{
+    var canvas = document.getElementById('editor_canvas');
+    if(canvas == null || document.getElementById('editor').style.display == 'none')
+        return;
+
+    // a brand new maze starts off with nothing locked
+    if(Editor_Maze !== Maze)
+    {
+        Locked_Cells = new Object();
+        Editor_Maze = Maze;
+
+        var check = CheckEditedMaze();
+        ShowEditorStatus(check[0], check[1]);
+    }
+
+    var context = DrawMazeCanvas(canvas, GetEditorScale());
+
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(Editor_Unreachable[i + '_' + j])
+                FillCanvasCell(context, i, j, EDITOR_UNREACHABLE_COLOR);
+            else if(Locked_Cells[i + '_' + j])
+                FillCanvasCell(context, i, j, EDITOR_LOCKED_COLOR);
+        }
+    }
+
+    for(var i = 0; i < Waypoints.length; i++)
+        DrawCanvasWaypoint(context, Waypoints[i][0], Waypoints[i][1], WAYPOINT_COLOR);
+
+    DrawCanvasDot(context, ENTRANCE_X, ENTRANCE_Y, PREVIEW_ENTRANCE_COLOR, GetEditorCellColor(ENTRANCE_X, ENTRANCE_Y));
+    DrawCanvasDot(context, STARTING_X, STARTING_Y, PREVIEW_EXIT_COLOR, GetEditorCellColor(STARTING_X, STARTING_Y));
+
+    // where the door being dragged would go
+    if(Editor_Dragging != null && Editor_Door_Target != null)
+    {
+        var cell = GetDoorCell(Editor_Door_Target[0], Editor_Door_Target[1]);
+        DrawCanvasDot(context, cell[0], cell[1], (Editor_Dragging == 'entrance') ? PREVIEW_ENTRANCE_COLOR : PREVIEW_EXIT_COLOR, GetEditorCellColor(cell[0], cell[1]));
+    }
+}
+
+// Returns the color the cell at "x, y" is filled with in the editor
+function GetEditorCellColor(x, y)
+{
+    if(Editor_Unreachable[x + '_' + y])
+        return EDITOR_UNREACHABLE_COLOR;
+    if(Locked_Cells[x + '_' + y])
+        return EDITOR_LOCKED_COLOR;
+
+    return GetTerrainColor(x, y);
+}
+
+// Shows "message" under the editor's buttons ("warning" colors it in)
+function ShowEditorStatus(message, warning)
+{
+    var status = document.getElementById('editor_status');
+    status.innerHTML = message;
+    status.style.color = warning ? EDITOR_WARNING_COLOR : '';
+}
+
+// Returns where the mouse is on the editor, in the same (unscaled) pixels
+// the maze is drawn in: [x, y]
+function GetEditorPoint(event)
+{
+    var canvas = document.getElementById('editor_canvas');
+    var bounds = canvas.getBoundingClientRect();
+    var scale = GetEditorScale();
+
+    return new Array((event.clientX - bounds.left) * (canvas.width / bounds.width) / scale,
+                     (event.clientY - bounds.top) * (canvas.height / bounds.height) / scale);
+}
+
+// Called when the mouse is pressed on the editor
+function EditorPressed(event)
+{
+    var point = GetEditorPoint(event);
+    var cell = GetCellAt(point[0], point[1]);
+    var mode = document.getElementById('editor_mode').value;
+
+    if(mode == 'walls')
+        ToggleEditorWall(point);
+    else if(mode == 'lock' && cell != null)
+    {
+        Editor_Locking = !Locked_Cells[cell[0] + '_' + cell[1]];
+        LockEditorCell(cell);
+    }
+    else if(mode == 'terrain' && cell != null)
+    {
+        Editor_Painting = document.getElementById('editor_terrain').value;
+        if(!TERRAINS.hasOwnProperty(Editor_Painting))
+            Editor_Painting = 'floor';
+        PaintEditorCell(cell);
+    }
+    else if(mode == 'doors' && cell != null)
+    {
+        // (the door is picked up by its cell)
+        if(cell[0] == ENTRANCE_X && cell[1] == ENTRANCE_Y)
+            Editor_Dragging = 'entrance';
+        else if(cell[0] == STARTING_X && cell[1] == STARTING_Y)
+            Editor_Dragging = 'exit';
+        Editor_Door_Target = null;
+    }
+}
+
+// Called when the mouse moves over the editor
+function EditorMoved(event)
+{
+    var point = GetEditorPoint(event);
+
+    if(Editor_Locking !== null)
+    {
+        var cell = GetCellAt(point[0], point[1]);
+        if(cell != null)
+            LockEditorCell(cell);
+    }
+    else if(Editor_Painting !== null)
+    {
+        var cell = GetCellAt(point[0], point[1]);
+        if(cell != null)
+            PaintEditorCell(cell);
+    }
+    else if(Editor_Dragging != null)
+    {
+        Editor_Door_Target = GetEditorDoor(point);
+        DrawEditor();
+    }
+}
+
+// Called when the mouse is let go (or leaves the editor): drops the door
+// being dragged, or solves the maze again with the terrain just painted
+function EditorReleased()
+{
+    Editor_Locking = null;
+
+    if(Editor_Painting !== null)
+    {
+        Editor_Painting = null;
+        EditorChanged();
+        return;
+    }
+
+    if(Editor_Dragging == null)
+        return;
+
+    var door = Editor_Dragging;
+    var target = Editor_Door_Target;
+    Editor_Dragging = null;
+    Editor_Door_Target = null;
+
+    if(target != null)
+        MoveEditorDoor(door, target[0], target[1]);
+    else
+        DrawEditor();
+}
+
+// Locks (or unlocks) the cell "cell" [x, y]
+function LockEditorCell(cell)
+{
+    var key = cell[0] + '_' + cell[1];
+    if(!!Locked_Cells[key] == Editor_Locking)
+        return;
+
+    if(Editor_Locking)
+        Locked_Cells[key] = true;
+    else
+        delete Locked_Cells[key];
+
+    DrawEditor();
+}
+
+// Covers the cell "cell" [x, y] in the terrain being painted (the cost of
+// walking into it is what says which terrain it is - see terrain.js)
+function PaintEditorCell(cell)
+{
+    var cost = TERRAINS[Editor_Painting].cost;
+    if(Maze[cell[0]][cell[1]][COST] == cost)
+        return;
+
+    Maze[cell[0]][cell[1]][COST] = cost;
+    DrawEditor();
+}
+
+// Called when the "Unlock All" button is clicked
+function UnlockAll()
+{
+    Locked_Cells = new Object();
+    DrawEditor();
+}
+
+// Knocks down (or puts back up) the wall closest to "point" [x, y] - on both
+// of the cells it's between
+function ToggleEditorWall(point)
+{
+    var cell = GetCellAt(point[0], point[1]);
+    if(cell == null)
+        return;
+
+    // find the closest of the cell's walls (not the stairs)
+    var x = cell[0];
+    var y = cell[1];
+    var wall = 0;
+    var closest = -1;
+    for(var i = 0; i < GRID_SIDES; i++)
+    {
+        var distance = GetLineDistance(point, GetWallPoints(x, y, i));
+        if(closest < 0 || distance < closest)
+        {
+            wall = i;
+            closest = distance;
+        }
+    }
+
+    // a crossing's sides belong to the tunnel under it (see weave.js), so
+    // the wall is changed from the cell on the other side
+    if(IsTunnelWall(x, y, wall))
+    {
+        x += [0, 1, 0, -1][wall];
+        y += [-1, 0, 1, 0][wall];
+        wall = (wall + 2) % 4;
+    }
+
+    var neighbor = GetNeighbor(x, y, wall);
+    if(neighbor == null)
+    {
+        ShowEditorStatus("There's no cell on the other side of that wall - use \"Move Doors\" to change where the way in and out is.", true);
+        return;
+    }
+
+    if(Maze[x][y][wall] == 0)
+        AddWall(x, y, neighbor);
+    else
+        RemoveWall(x, y, neighbor);
+
+    EditorChanged();
+}
+
+// Returns how far "point" [x, y] is from the closest part of "line" (a list
+// of [x, y] points)
+function GetLineDistance(point, line)
+{
+    var closest = -1;
+    for(var i = 0; i + 1 < line.length; i++)
+    {
+        var a = line[i];
+        var b = line[i + 1];
+        var length = (b[0] - a[0]) * (b[0] - a[0]) + (b[1] - a[1]) * (b[1] - a[1]);
+
+        // how far along the piece of the line the closest spot is (0 - 1)
+        var along = 0;
+        if(length > 0)
+            along = Math.max(0, Math.min(1, ((point[0] - a[0]) * (b[0] - a[0]) + (point[1] - a[1]) * (b[1] - a[1])) / length));
+
+        var dx = point[0] - (a[0] + along * (b[0] - a[0]));
+        var dy = point[1] - (a[1] + along * (b[1] - a[1]));
+        var distance = Math.sqrt(dx * dx + dy * dy);
+        if(closest < 0 || distance < closest)
+            closest = distance;
+    }
+
+    return closest;
+}
+
+// Returns the spot on the edge of the maze closest to "point" [x, y] that a
+// door can go: [wall, position]
+function GetEditorDoor(point)
+{
+    var best = null;
+    var closest = -1;
+
+    for(var side = 0; side < 4; side++)
+    {
+        for(var position = 0; position < GetWallLength(side); position++)
+        {
+            if(!IsDoorAllowed(side, position))
+                continue;
+
+            var cell = GetDoorCell(side, position);
+            var distance = GetLineDistance(point, GetWallPoints(cell[0], cell[1], GetDoorWall(side, cell[0], cell[1])));
+            if(closest < 0 || distance < closest)
+            {
+                best = new Array(side, position);
+                closest = distance;
+            }
+        }
+    }
+
+    return best;
+}
+
+// Moves "door" ("entrance" or "exit") to "position" along "wall": closes the
+// old doorway and opens the new one
+function MoveEditorDoor(door, wall, position)
+{
+    var cell = GetDoorCell(wall, position);
+    var other = (door == 'entrance') ? new Array(STARTING_X, STARTING_Y) : new Array(ENTRANCE_X, ENTRANCE_Y);
+    if(cell[0] == other[0] && cell[1] == other[1])
+    {
+        ShowEditorStatus("You cannot have the same cell be both the entrance and exit!", true);
+        DrawEditor();
+        return;
+    }
+
+    if(door == 'entrance')
+        Maze[ENTRANCE_X][ENTRANCE_Y][ENTRANCE_WALL] = 1;
+    else
+        Maze[STARTING_X][STARTING_Y][EXIT_WALL] = 1;
+
+    // (the page's door settings are moved along with it)
+    SetDoor(door, wall, position);
+    DrawDoorPreview();
+
+    InstallDoors();
+    EditorChanged();
+}
+
+// Called when the "Regenerate the Rest" button is clicked: carves every cell
+// that isn't locked again (see the top of this file)
+function RegenerateUnlocked()
+{
+    var generator = GetGenerator(ALGORITHM);
+    if(generator.rows)
+        generator = GetGenerator(DEFAULT_ALGORITHM);
+
+    // the cells that keep their walls: the locked ones, and any decoys
+    var kept = new Object();
+    for(var key in Locked_Cells)
+        kept[key] = true;
+    if(EXIT_MODE == 'one')
+    {
+        for(var i = 0; i < Extra_Exits.length; i++)
+            kept[Extra_Exits[i].x + '_' + Extra_Exits[i].y] = true;
+    }
+
+    // start the rest off with every wall up
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(!kept[i + '_' + j] && IsInMask(i, j))
+                SealCell(i, j);
+            Maze[i][j][VISITED] = false;
+        }
+    }
+
+    // carve each piece of unlocked cells on its own, with everything else cut
+    // out of the maze's shape while it's carved (one shape is used for every
+    // piece - its cells are put in and taken out again)
+    var shape = MASK;
+    var piece = new Array(WIDTH);
+    for(var i = 0; i < WIDTH; i++)
+    {
+        piece[i] = new Array(HEIGHT);
+        for(var j = 0; j < HEIGHT; j++)
+            piece[i][j] = false;
+    }
+
+    var carved = new Object();
+    try
+    {
+        for(var i = 0; i < WIDTH; i++)
+        {
+            for(var j = 0; j < HEIGHT; j++)
+            {
+                if(kept[i + '_' + j] || carved[i + '_' + j] || !IsInMask(i, j))
+                    continue;
+
+                var cells = FillEditorPiece(i, j, kept, piece);
+
+                // (a cell on its own has nothing to carve)
+                MASK = piece;
+                if(cells.length > 1)
+                    generator.generate(i, j);
+                MASK = shape;
+
+                for(var c = 0; c < cells.length; c++)
+                {
+                    piece[cells[c][0]][cells[c][1]] = false;
+                    carved[cells[c][0] + '_' + cells[c][1]] = true;
+                }
+            }
+        }
+    }
+    finally
+    {
+        MASK = shape;
+    }
+
+    JoinEditorPieces(kept);
+
+    // the doors were walled up along with everything else
+    InstallDoors();
+    for(var i = 0; i < Extra_Exits.length; i++)
+        Maze[Extra_Exits[i].x][Extra_Exits[i].y][Extra_Exits[i].door] = 0;
+
+    EditorChanged();
+}
+
+// Marks the piece of cells that aren't "kept" (keyed by "X_Y") that can be
+// reached from the cell at "x, y" (ignoring the walls) in the shape "piece"
+// (see mask.js), and returns its cells as a list of [x, y]
+function FillEditorPiece(x, y, kept, piece)
+{
+    var cells = new Array(new Array(x, y));
+    var stack = new Array(new Array(x, y));
+    piece[x][y] = true;
+
+    while(stack.length > 0)
+    {
+        var cell = stack.pop();
+        var neighbors = GetNeighbors(cell[0], cell[1]);
+        for(var n = 0; n < neighbors.length; n++)
+        {
+            var nx = neighbors[n][0];
+            var ny = neighbors[n][1];
+            if(!piece[nx][ny] && !kept[nx + '_' + ny])
+            {
+                piece[nx][ny] = true;
+                cells.push(neighbors[n]);
+                stack.push(neighbors[n]);
+            }
+        }
+    }
+
+    return cells;
+}
+
+// Joins the pieces of the maze back up after "RegenerateUnlocked()": starting
+// with the cells that can be reached from the exit, keeps knocking down a
+// random wall between a cell that's reached and one that isn't (and then
+// reaching everything behind it), until there aren't any left
+function JoinEditorPieces(kept)
+{
+    var reached = new Object();
+    var walls = new Array();
+    ReachEditorPiece(STARTING_X, STARTING_Y, kept, reached, walls);
+
+    while(walls.length > 0)
+    {
+        // take a random wall out of the list
+        var index = RandomInt(walls.length);
+        var wall = walls[index];
+        walls[index] = walls[walls.length - 1];
+        walls.pop();
+
+        if(reached[wall[1][0] + '_' + wall[1][1]])
+            continue;
+
+        RemoveWall(wall[0][0], wall[0][1], wall[1]);
+        ReachEditorPiece(wall[1][0], wall[1][1], kept, reached, walls);
+    }
+}
+
+// Marks every cell that can be walked to from "x, y" in "reached", and adds
+// the walls between them and the cells that aren't reached yet to "walls" (as
+// [cell, neighbor]).  The walls between two locked cells are left alone, and
+// so are the decoys (which are "kept" but not locked).
+function ReachEditorPiece(x, y, kept, reached, walls)
+{
+    // (like "FloodReached()" in puzzle.js, but keeping a list of the cells
+    // that are new, so the cells reached before aren't looked at again)
+    var cells = new Array(new Array(x, y));
+    reached[x + '_' + y] = true;
+
+    for(var c = 0; c < cells.length; c++)
+    {
+        var next = GetOpenNeighbors(cells[c][0], cells[c][1]);
+        for(var n = 0; n < next.length; n++)
+        {
+            var key = next[n][0] + '_' + next[n][1];
+            if(!reached[key])
+            {
+                reached[key] = true;
+                cells.push(next[n]);
+            }
+        }
+    }
+
+    for(var c = 0; c < cells.length; c++)
+    {
+        var key = cells[c][0] + '_' + cells[c][1];
+        var neighbors = GetNeighbors(cells[c][0], cells[c][1]);
+        for(var n = 0; n < neighbors.length; n++)
+        {
+            var next = neighbors[n][0] + '_' + neighbors[n][1];
+            if(reached[next] || (kept[next] && !Locked_Cells[next]) || (Locked_Cells[key] && Locked_Cells[next]))
+                continue;
+
+            walls.push(new Array(cells[c], neighbors[n]));
+        }
+    }
+}
+
+// Checks the maze after it's been edited: whether it can still be solved, and
+// which cells can't be reached from the entrance (kept in
+// "Editor_Unreachable" - decoys are walled off on purpose, so they don't
+// count).  Returns a message saying how it went, and whether it's a warning:
+// [message, warning]
+function CheckEditedMaze()
+{
+    var decoys = new Object();
+    if(EXIT_MODE == 'one')
+    {
+        for(var i = 0; i < Extra_Exits.length; i++)
+            decoys[Extra_Exits[i].x + '_' + Extra_Exits[i].y] = true;
+    }
+
+    Editor_Unreachable = new Object();
+    var count = 0;
+    var search = FindDistances(ENTRANCE_X, ENTRANCE_Y);
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(IsInMask(i, j) && !decoys[i + '_' + j] && GetDistance(search, new Array(i, j)) < 0)
+            {
+                Editor_Unreachable[i + '_' + j] = true;
+                count++;
+            }
+        }
+    }
+
+    var message = "The maze can be solved in " + Steps_to_Solve + " moves.";
+    if(Solution_List.length == 0)
+        message = "There's no way through the maze from the entrance to the exit!";
+    if(count > 0)
+        message += "  " + count + (count == 1 ? " cell can't" : " cells can't") + " be reached from the entrance (shown in red).";
+
+    return new Array(message, Solution_List.length == 0 || count > 0);
+}
+
+// Called after every change to the maze: solves it again, checks it and shows
+// it again (with its new answer)
+function EditorChanged()
+{
+    SolveMaze();
+
+    var check = CheckEditedMaze();
+    ShowMaze();
+    ShowEditorStatus(check[0], check[1]);
+}
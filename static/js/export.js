@@ -0,0 +1,487 @@
+/*******************************************************************************
+ * File: "export.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file saves the maze as a PNG image or as a PDF document, ready to be
+ *  printed.
+ *
+ *  PNG:
+ *      The maze is drawn onto a (hidden) canvas with "DrawMazeCanvas()" at
+ *      the resolution the user picked.  The sizes on the screen are treated as
+ *      96 DPI (what browsers use), so at 300 DPI everything is drawn 300 / 96
+ *      times bigger.  The DPI is also written into the PNG file (its "pHYs"
+ *      chunk) so that programs print it at the right size.
+ *
+ *  PDF:
+ *      The PDF is written by hand (it's just text) with the walls drawn as
+ *      lines - so, just like the SVG, it stays crisp at any size.  It has a
+ *      title at the top of every page, the puzzle, and then the answer key.
+ *      Every floor of a maze with more than one (see levels.js) is printed
+ *      side by side, with the same stair arrows as on the screen.
+ *      There are two layouts:
+ *          - Fit to Page: the maze is scaled to fill one page.
+ *          - Actual Size: the maze is printed at its size on screen.  If it
+ *            doesn't fit on one sheet, it is split up ("tiled") across as many
+ *            pages as it needs.  Neighboring pages overlap a little, and the
+ *            edges of each overlap are marked with registration marks
+ *            (crosshairs) in the margins: line up the marks on one page with
+ *            the matching marks on its neighbor, and tape them together.
+ ******************************************************************************/
+
+// Paper sizes (width and height in points - there are 72 points in an inch)
+var PAPER_SIZES = {
+    'letter': [612, 792],
+    'a4':     [595.28, 841.89]
+};
+
+// Blank space around the edge of each page (points)
+var PAGE_MARGIN = 36;
+
+// Room at the top of each page for the title (points)
+var PAGE_TITLE_HEIGHT = 30;
+
+// How much neighboring tiles overlap (points)
+var TILE_OVERLAP = 18;
+
+// Size of the registration marks (points from the center to the end of
+// each line), and how far outside the maze they are drawn
+var REGISTRATION_SIZE = 6;
+var REGISTRATION_GAP = 8;
+
+// Largest image (in pixels, each way) browsers can reliably draw
+var MAX_IMAGE_SIZE = 16384;
+
+// Screen pixels are treated as 96 DPI
+var SCREEN_DPI = 96;
+
+// Color used to fill in the solution's path on the answer key (red, as RGB)
+var PDF_ANSWER_COLOR = '1 0 0';
+
+/******************************************************************************/
+//                                 PNG                                        //
+/******************************************************************************/
+
+// Called when the (dynamically) generated "Download PNG" buttons are clicked.
+// Saves the puzzle (or the answer key, if "answer" is true) as a PNG image at
+// the DPI typed in by the user.
+function DownloadPNG(answer)
+{
+    var dpi = parseInt(document.getElementById('export_dpi').value);
+    if(isNaN(dpi) || dpi < 72 || dpi > 1200)
+    {
+        alert("Please pick a resolution between 72 and 1200 DPI.");
+        return;
+    }
+
+    var scale = dpi / SCREEN_DPI;
+    var size = GetMazeImageSize();
+    if(size[0] * scale > MAX_IMAGE_SIZE || size[1] * scale > MAX_IMAGE_SIZE)
+    {
+        alert("That image would be too big for your browser to draw - please pick a lower DPI (or use the SVG or PDF download).");
+        return;
+    }
+
+    var canvas = document.createElement('canvas');
+    DrawMazeImage(canvas, answer, scale);
+
+    var name = 'maze-' + GetMazeCode() + (answer ? '-answer' : '') + '.png';
+
+    canvas.toBlob(function(blob)
+    {
+        var reader = new FileReader();
+        reader.onload = function()
+        {
+            var png = SetPNGResolution(new Uint8Array(reader.result), dpi);
+            DownloadFile(name, 'image/png', png);
+        };
+        reader.readAsArrayBuffer(blob);
+    }, 'image/png');
+}
+
+// Draws the puzzle (or the answer key, if "answer" is true) onto "canvas",
+// "scale" times bigger than on the screen (see "DrawMazeCanvas()")
+function DrawMazeImage(canvas, answer, scale)
+{
+    var context = DrawMazeCanvas(canvas, scale);
+
+    if(answer)
+    {
+        for(var i = 0; i < Solution_List.length; i++)
+            FillCanvasCell(context, Solution_List[i][0], Solution_List[i][1], SVG_ANSWER_COLOR);
+    }
+
+    for(var i = 0; i < Waypoints.length; i++)
+        DrawCanvasWaypoint(context, Waypoints[i][0], Waypoints[i][1], WAYPOINT_COLOR);
+}
+
+// Adds a "pHYs" chunk (the physical size of the pixels) to the PNG file passed
+// in, so it prints at "dpi" dots per inch.  Returns the new file.
+function SetPNGResolution(png, dpi)
+{
+    // PNG stores the resolution in pixels per meter
+    var per_meter = Math.round(dpi / 0.0254);
+
+    // length (9), type ("pHYs"), x and y resolution, unit (1 = meter), CRC
+    var chunk = new Uint8Array(21);
+    WriteUint32(chunk, 0, 9);
+    chunk.set([0x70, 0x48, 0x59, 0x73], 4);
+    WriteUint32(chunk, 8, per_meter);
+    WriteUint32(chunk, 12, per_meter);
+    chunk[16] = 1;
+    WriteUint32(chunk, 17, CRC32(chunk, 4, 17));
+
+    // the chunk goes right after the 8 byte signature and the 25 byte IHDR
+    // chunk (browsers don't add a pHYs chunk of their own)
+    var result = new Uint8Array(png.length + chunk.length);
+    result.set(png.subarray(0, 33), 0);
+    result.set(chunk, 33);
+    result.set(png.subarray(33), 33 + chunk.length);
+
+    return result;
+}
+
+// Writes "value" into "bytes" as 4 bytes (biggest byte first) at "offset"
+function WriteUint32(bytes, offset, value)
+{
+    bytes[offset] = (value >>> 24) & 255;
+    bytes[offset + 1] = (value >>> 16) & 255;
+    bytes[offset + 2] = (value >>> 8) & 255;
+    bytes[offset + 3] = value & 255;
+}
+
+// Table used to speed up "CRC32()" (filled in the first time it is used)
+var CRC_Table = null;
+
+// Returns the CRC-32 checksum of bytes[start] up to (not including) bytes[end]
+function CRC32(bytes, start, end)
+{
+    if(CRC_Table == null)
+    {
+        CRC_Table = new Array(256);
+        for(var n = 0; n < 256; n++)
+        {
+            var c = n;
+            for(var k = 0; k < 8; k++)
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            CRC_Table[n] = c >>> 0;
+        }
+    }
+
+    var crc = 0xFFFFFFFF;
+    for(var i = start; i < end; i++)
+        crc = CRC_Table[(crc ^ bytes[i]) & 255] ^ (crc >>> 8);
+
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/******************************************************************************/
+//                                 PDF                                        //
+/******************************************************************************/
+
+// Called when the (dynamically) generated "Download PDF" button is clicked.
+function DownloadPDF()
+{
+    var title = document.getElementById('export_title').value;
+    var paper = document.getElementById('export_paper').value;
+    var fit = (document.getElementById('export_layout').value == 'fit');
+
+    DownloadFile('maze-' + GetMazeCode() + '.pdf', 'application/pdf', DrawMazePDF(title, paper, fit));
+}
+
+// Returns the PDF document (as a string): the puzzle page(s) followed by the
+// answer key page(s).  "paper" is a key into "PAPER_SIZES", and if "fit" is
+// true the maze is scaled to fit on one page - otherwise it's printed at
+// actual size and tiled across as many pages as needed.
+function DrawMazePDF(title, paper, fit)
+{
+    var page_size = PAPER_SIZES.hasOwnProperty(paper) ? PAPER_SIZES[paper] : PAPER_SIZES['letter'];
+
+    if(title.replace(/\s+/g, '').length == 0)
+        title = 'Maze Puzzle';
+
+    // the space on each page the maze can be drawn in
+    var area_width = page_size[0] - PAGE_MARGIN * 2;
+    var area_height = page_size[1] - PAGE_MARGIN * 2 - PAGE_TITLE_HEIGHT;
+
+    // size of the maze in points (at actual size: 96 pixels = 72 points)
+    var size = GetMazeImageSize();
+    var scale = 72 / SCREEN_DPI;
+
+    if(fit)
+        scale = Math.min(area_width / size[0], area_height / size[1]);
+
+    var maze_width = size[0] * scale;
+    var maze_height = size[1] * scale;
+
+    // work out how many pages it takes (tiles overlap a little, except when
+    // everything fits on one page)
+    var columns = 1;
+    var rows = 1;
+    if(maze_width > area_width)
+        columns = Math.ceil((maze_width - TILE_OVERLAP) / (area_width - TILE_OVERLAP));
+    if(maze_height > area_height)
+        rows = Math.ceil((maze_height - TILE_OVERLAP) / (area_height - TILE_OVERLAP));
+
+    var tiled = (columns > 1 || rows > 1);
+
+    // draw the maze once for the puzzle and once for the answer key
+    var puzzle = GetPDFMazeDrawing(scale, false);
+    var answer = GetPDFMazeDrawing(scale, true);
+
+    var pages = new Array();
+    var sections = [[title, puzzle], [title + ' - Answer Key', answer]];
+
+    for(var s = 0; s < sections.length; s++)
+    {
+        for(var row = 0; row < rows; row++)
+        {
+            for(var column = 0; column < columns; column++)
+            {
+                var heading = sections[s][0];
+                if(tiled)
+                    heading += '  (Row ' + (row + 1) + ' of ' + rows + ', Column ' + (column + 1) + ' of ' + columns + ')';
+
+                // the part of the maze this page shows
+                var tile_left = column * (area_width - TILE_OVERLAP);
+                var tile_top = row * (area_height - TILE_OVERLAP);
+                var tile_width = Math.min(area_width, maze_width - tile_left);
+                var tile_height = Math.min(area_height, maze_height - tile_top);
+
+                // center the maze on the page if it's smaller than the page
+                var left = PAGE_MARGIN;
+                var top = PAGE_MARGIN + PAGE_TITLE_HEIGHT;
+                if(!tiled)
+                {
+                    left += (area_width - maze_width) / 2;
+                    top += (area_height - maze_height) / 2;
+                }
+
+                var content = GetPDFText(PAGE_MARGIN, page_size[1] - PAGE_MARGIN - 14, 14, heading);
+                content += GetPDFText(PAGE_MARGIN, PAGE_MARGIN / 4, 8, 'Maze Code: ' + GetMazeCode());
+
+                // clip to this tile and move the maze so the tile lands in
+                // the drawing area (flipping the y axis - PDF's y goes up)
+                content += 'q\n';
+                content += PDFNumber(left) + ' ' + PDFNumber(page_size[1] - top - tile_height) + ' ' + PDFNumber(tile_width) + ' ' + PDFNumber(tile_height) + ' re W n\n';
+                content += '1 0 0 -1 ' + PDFNumber(left - tile_left) + ' ' + PDFNumber(page_size[1] - top + tile_top) + ' cm\n';
+                content += sections[s][1];
+                content += 'Q\n';
+
+                if(tiled)
+                {
+                    // mark where this tile's overlap with each neighbor
+                    // starts and ends (in PDF coordinates)
+                    var bottom = page_size[1] - top - tile_height;
+                    var marks = new Array();
+
+                    if(column > 0)
+                        marks.push(new Array(left, bottom - REGISTRATION_GAP), new Array(left, bottom + tile_height + REGISTRATION_GAP));
+                    if(column < columns - 1)
+                    {
+                        var x = left + area_width - TILE_OVERLAP;
+                        marks.push(new Array(x, bottom - REGISTRATION_GAP), new Array(x, bottom + tile_height + REGISTRATION_GAP));
+                    }
+                    if(row > 0)
+                        marks.push(new Array(left - REGISTRATION_GAP, bottom + tile_height), new Array(left + tile_width + REGISTRATION_GAP, bottom + tile_height));
+                    if(row < rows - 1)
+                    {
+                        var y = bottom + tile_height - (area_height - TILE_OVERLAP);
+                        marks.push(new Array(left - REGISTRATION_GAP, y), new Array(left + tile_width + REGISTRATION_GAP, y));
+                    }
+
+                    content += GetRegistrationMarks(marks);
+                }
+
+                pages.push(content);
+            }
+        }
+    }
+
+    return BuildPDF(title, page_size, pages);
+}
+
+// Returns the PDF drawing commands for the whole maze (walls, and the solution
+// path if "answer" is true), "scale" points per pixel, with the top-left corner
+// of the maze at 0, 0 and y going down.
+function GetPDFMazeDrawing(scale, answer)
+{
+    var wall = BORDER_WIDTH * 2;
+    var PDF = '';
+
+    // terrain (see terrain.js) is colored in first, one color at a time
+    var terrain = new Object();
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            var color = GetTerrainColor(i, j);
+            if(color == TERRAINS['floor'].color)
+                continue;
+
+            if(!terrain.hasOwnProperty(color))
+                terrain[color] = '';
+            terrain[color] += GetPDFLine(GetCellPolygon(i, j), scale) + ' h\n';
+        }
+    }
+    for(var color in terrain)
+        PDF += GetPDFColor(color) + ' rg\n' + terrain[color] + 'f\n';
+
+    if(answer)
+    {
+        PDF += PDF_ANSWER_COLOR + ' rg\n';
+        for(var i = 0; i < Solution_List.length; i++)
+            PDF += GetPDFLine(GetCellPolygon(Solution_List[i][0], Solution_List[i][1]), scale) + ' h\n';
+        PDF += 'f\n';
+    }
+
+    // walls: BORDER_COLOR, square ends (2 J) so the corners join up - or
+    // round ends (1 J) on grids where the walls meet at angles
+    PDF += GetPDFColor(BORDER_COLOR) + ' RG ' + PDFNumber(wall * scale) + ' w ' + (GetWallLineCap() == 'square' ? '2' : '1') + ' J 1 j\n';
+
+    var lines = GetWallLines();
+    for(var i = 0; i < lines.length; i++)
+        PDF += GetPDFLine(lines[i], scale) + '\n';
+    PDF += 'S\n';
+
+    // the stairs between the floors (see levels.js)
+    var stairs = GetAllStairPolygons();
+    if(stairs.length > 0)
+    {
+        PDF += GetPDFColor(STAIR_COLOR) + ' rg\n';
+        for(var i = 0; i < stairs.length; i++)
+            PDF += GetPDFLine(stairs[i], scale) + ' h\n';
+        PDF += 'f\n';
+    }
+
+    // waypoints (puzzle.js) are dots in the middle of their cells
+    if(Waypoints.length > 0)
+    {
+        PDF += GetPDFColor(WAYPOINT_COLOR) + ' rg\n';
+        for(var i = 0; i < Waypoints.length; i++)
+        {
+            var center = GetCellCenter(Waypoints[i][0], Waypoints[i][1]);
+            PDF += GetPDFCircle(center[0] * scale, center[1] * scale,
+                                GetCellRadius(Waypoints[i][0], Waypoints[i][1]) * (WAYPOINT_SIZE / 100) * scale);
+        }
+        PDF += 'f\n';
+    }
+
+    return PDF;
+}
+
+// Returns the PDF drawing commands for a line through "points" (a list of
+// [x, y] pixels), "scale" points per pixel
+function GetPDFLine(points, scale)
+{
+    var PDF = PDFNumber(points[0][0] * scale) + ' ' + PDFNumber(points[0][1] * scale) + ' m';
+    for(var i = 1; i < points.length; i++)
+        PDF += ' ' + PDFNumber(points[i][0] * scale) + ' ' + PDFNumber(points[i][1] * scale) + ' l';
+
+    return PDF;
+}
+
+// Returns the PDF drawing commands for a circle around "x, y" (the circle is
+// drawn with 4 curves - "k" bends each one into a quarter circle)
+function GetPDFCircle(x, y, r)
+{
+    var k = r * 0.5523;
+
+    var PDF = PDFNumber(x + r) + ' ' + PDFNumber(y) + ' m ';
+    PDF += PDFNumber(x + r) + ' ' + PDFNumber(y + k) + ' ' + PDFNumber(x + k) + ' ' + PDFNumber(y + r) + ' ' + PDFNumber(x) + ' ' + PDFNumber(y + r) + ' c ';
+    PDF += PDFNumber(x - k) + ' ' + PDFNumber(y + r) + ' ' + PDFNumber(x - r) + ' ' + PDFNumber(y + k) + ' ' + PDFNumber(x - r) + ' ' + PDFNumber(y) + ' c ';
+    PDF += PDFNumber(x - r) + ' ' + PDFNumber(y - k) + ' ' + PDFNumber(x - k) + ' ' + PDFNumber(y - r) + ' ' + PDFNumber(x) + ' ' + PDFNumber(y - r) + ' c ';
+    PDF += PDFNumber(x + k) + ' ' + PDFNumber(y - r) + ' ' + PDFNumber(x + r) + ' ' + PDFNumber(y - k) + ' ' + PDFNumber(x + r) + ' ' + PDFNumber(y) + ' c\n';
+
+    return PDF;
+}
+
+// Returns the PDF drawing commands for a registration mark (a crosshair with
+// a small circle around its center) at each [x, y] in "marks"
+function GetRegistrationMarks(marks)
+{
+    var PDF = '0 0 0 RG 0.5 w 0 J\n';
+
+    for(var i = 0; i < marks.length; i++)
+    {
+        var x = marks[i][0];
+        var y = marks[i][1];
+
+        PDF += PDFNumber(x - REGISTRATION_SIZE) + ' ' + PDFNumber(y) + ' m ' + PDFNumber(x + REGISTRATION_SIZE) + ' ' + PDFNumber(y) + ' l\n';
+        PDF += PDFNumber(x) + ' ' + PDFNumber(y - REGISTRATION_SIZE) + ' m ' + PDFNumber(x) + ' ' + PDFNumber(y + REGISTRATION_SIZE) + ' l\n';
+        PDF += GetPDFCircle(x, y, REGISTRATION_SIZE / 2);
+    }
+
+    PDF += 'S\n';
+
+    return PDF;
+}
+
+// Returns the PDF commands to write "text" at "x, y" (PDF coordinates) in
+// Helvetica, "size" points high
+function GetPDFText(x, y, size, text)
+{
+    // only plain characters are safe in the built-in font, and the brackets
+    // and backslashes need escaping
+    text = String(text).replace(/[^\x20-\x7E]/g, '?').replace(/([\\()])/g, '\\$1');
+
+    return 'BT /F1 ' + size + ' Tf ' + PDFNumber(x) + ' ' + PDFNumber(y) + ' Td (' + text + ') Tj ET\n';
+}
+
+// Turns a color like "#FF8000" into PDF's "1 0.502 0" format
+function GetPDFColor(color)
+{
+    var match = /^#?([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color);
+    if(match == null)
+        return '0 0 0';
+
+    return PDFNumber(parseInt(match[1], 16) / 255) + ' ' + PDFNumber(parseInt(match[2], 16) / 255) + ' ' + PDFNumber(parseInt(match[3], 16) / 255);
+}
+
+// Writes a number with at most 3 decimal places (PDF doesn't allow "1e-7")
+function PDFNumber(value)
+{
+    return String(Math.round(value * 1000) / 1000);
+}
+
+// Puts the PDF file together from the drawing commands for each page
+function BuildPDF(title, page_size, pages)
+{
+    // objects 1-4 are the catalog, page list, font and document information -
+    // then each page gets two objects: the page and its drawing commands
+    var objects = new Array();
+    var kids = new Array();
+
+    for(var i = 0; i < pages.length; i++)
+        kids.push((5 + i * 2) + ' 0 R');
+
+    objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+    objects.push('<< /Type /Pages /Kids [' + kids.join(' ') + '] /Count ' + pages.length + ' >>');
+    objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+    objects.push('<< /Title (' + String(title).replace(/[^\x20-\x7E]/g, '?').replace(/([\\()])/g, '\\$1') + ') /Producer (Maze Generator) >>');
+
+    for(var i = 0; i < pages.length; i++)
+    {
+        objects.push('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + PDFNumber(page_size[0]) + ' ' + PDFNumber(page_size[1]) + '] ' +
+                     '/Resources << /Font << /F1 3 0 R >> >> /Contents ' + (6 + i * 2) + ' 0 R >>');
+        objects.push('<< /Length ' + pages[i].length + ' >>\nstream\n' + pages[i] + 'endstream');
+    }
+
+    // everything is plain text, so string lengths are byte offsets
+    var PDF = '%PDF-1.4\n';
+    var offsets = new Array();
+
+    for(var i = 0; i < objects.length; i++)
+    {
+        offsets.push(PDF.length);
+        PDF += (i + 1) + ' 0 obj\n' + objects[i] + '\nendobj\n';
+    }
+
+    var xref = PDF.length;
+    PDF += 'xref\n0 ' + (objects.length + 1) + '\n0000000000 65535 f \n';
+    for(var i = 0; i < offsets.length; i++)
+        PDF += ('0000000000' + offsets[i]).slice(-10) + ' 00000 n \n';
+
+    PDF += 'trailer\n<< /Size ' + (objects.length + 1) + ' /Root 1 0 R /Info 4 0 R >>\nstartxref\n' + xref + '\n%%EOF\n';
+
+    return PDF;
+}
@@ -0,0 +1,661 @@
+/*******************************************************************************
+ * File: "generators.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file contains the different algorithms that can be used to carve the
+ *  passages of a maze.  Every algorithm works on the same global "Maze" array
+ *  that "maze.js" sets up (all walls up, no cells visited) and knocks walls
+ *  down using the same helper functions: "GetNeighbors()" and "RemoveWall()".
+ *  Because of this, the drawing and solving code never needs to know which
+ *  algorithm made the maze.
+ *
+ *  Each algorithm gives the maze a different "texture":
+ *      - Recursive Backtracker: long, winding corridors with few branches.
+ *      - Prim's: lots of short dead ends branching out from the start.
+ *      - Kruskal's: an even mix of short passages all over the maze.
+ *      - Wilson's and Aldous-Broder: completely unbiased - every possible
+ *        maze is equally likely to come out.
+ *      - Eller's: built one row at a time, short horizontal passages.
+ *      - Growing Tree: a mix between the backtracker and Prim's.
+ *      - Binary Tree and Sidewinder: very fast, but with a clear diagonal or
+ *        vertical bias and an open corridor along the top (and right) edge.
+ *
+ *  The registry "GENERATORS" maps the value of the "Algorithm" drop-down menu
+ *  to the name of the algorithm and the function that runs it.  Every
+ *  function is passed the cell the maze starts at (the exit cell) - the
+ *  algorithms that don't have a starting cell simply ignore it.
+ *
+ *  Most of the algorithms only ever look at a cell's neighbors, so they work
+ *  on any grid (see topology.js).  Eller's, Binary Tree and Sidewinder work
+ *  along rows and columns, so they're marked with "rows" and can only be used
+ *  on grids where the cells beside, above and below each other are always
+ *  neighbors (everything but triangles) - and not on mazes cut into a shape
+ *  (see mask.js), since they'd carve into the cells that are cut out.
+ *
+ *  All random choices go through "Random()" and "RandomInt()" (random.js) so
+ *  that the same seed always carves the same maze.
+ *
+ *  The algorithms marked with "bias" pick which way to carve out of a cell,
+ *  so they can be steered by the direction, straightness and twistiness
+ *  settings (see bias.js).
+ *
+ *  BRAIDING:
+ *      Every algorithm above makes a "perfect" maze: there is exactly one path
+ *      between any two cells.  After the maze is carved, "BraidMaze()" can
+ *      knock out some of the dead ends (the "Loops" percentage on the page),
+ *      which joins passages up into loops.  A braided maze has more than one
+ *      way through, which makes it much harder to solve by hand (following
+ *      one wall no longer always works), and means the solver has to look
+ *      for the shortest path instead of just any path.
+ ******************************************************************************/
+
+// Registry of the generation algorithms, keyed by the drop-down menu value
+var GENERATORS = {
+    'backtracker':  { name: 'Recursive Backtracker', generate: GenerateMaze, bias: true },
+    'prim':         { name: "Prim's", generate: GeneratePrim, bias: true },
+    'kruskal':      { name: "Kruskal's", generate: GenerateKruskal },
+    'wilson':       { name: "Wilson's", generate: GenerateWilson },
+    'eller':        { name: "Eller's", generate: GenerateEller, rows: true },
+    'aldousbroder': { name: 'Aldous-Broder', generate: GenerateAldousBroder },
+    'growingtree':  { name: 'Growing Tree', generate: GenerateGrowingTree, bias: true },
+    'binarytree':   { name: 'Binary Tree', generate: GenerateBinaryTree, rows: true },
+    'sidewinder':   { name: 'Sidewinder', generate: GenerateSidewinder, rows: true }
+};
+
+// Algorithm used when nothing (or something unknown) has been selected
+var DEFAULT_ALGORITHM = 'backtracker';
+
+// Chance (out of 1) that the Growing Tree algorithm picks the newest cell
+// instead of a random one.  1 acts like the backtracker, 0 acts like Prim's.
+var GROWING_TREE_NEWEST = 0.5;
+
+// Percentage (0 - 100) of dead ends knocked out after the maze is carved
+var BRAID = 0;
+
+// Looks up the generation algorithm for the drop-down value passed in
+function GetGenerator(algorithm)
+{
+    if(GENERATORS.hasOwnProperty(algorithm))
+        return GENERATORS[algorithm];
+
+    return GENERATORS[DEFAULT_ALGORITHM];
+}
+
+// Prim's algorithm:
+//  1) Mark the starting cell as visited and add its neighbors to a "frontier"
+//  2) Pick a random cell from the frontier
+//  3) Knock down the wall between it and a random visited neighbor
+//  4) Mark it as visited, add its unvisited neighbors to the frontier
+//  5) Repeat until the frontier is empty
+function GeneratePrim(w, h)
+{
+    // list of cells waiting to be added to the maze
+    var frontier = new Array();
+
+    // the cell each cell was joined on from, keyed by "X_Y" (only needed to
+    // steer the passages - see bias.js)
+    var parents = new Object();
+    parents[w + '_' + h] = null;
+
+    AddToFrontier(w, h, frontier);
+
+    while(frontier.length > 0)
+    {
+        // pull a random cell out of the frontier
+        var index = RandomInt(frontier.length);
+        var cell = frontier[index];
+        frontier[index] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        // connect it to one of the cells already in the maze
+        var visited = new Array();
+        var neighbors = GetNeighbors(cell[0], cell[1]);
+        for(var i = 0; i < neighbors.length; i++)
+        {
+            if(Maze[neighbors[i][0]][neighbors[i][1]][VISITED] == true)
+                visited.push(neighbors[i]);
+        }
+
+        var parent = null;
+        if(HasBias())
+        {
+            // (the passage runs from the cell in the maze into this one)
+            var weights = new Array();
+            for(var i = 0; i < visited.length; i++)
+                weights.push(GetStepWeight(visited[i], cell, parents[visited[i][0] + '_' + visited[i][1]]));
+            parent = visited[PickWeighted(weights)];
+            parents[cell[0] + '_' + cell[1]] = parent;
+        }
+        else
+            parent = visited[RandomInt(visited.length)];
+
+        RemoveWall(cell[0], cell[1], parent);
+        AddToFrontier(cell[0], cell[1], frontier);
+    }
+}
+
+// Marks the cell as visited and adds any of its neighbors that are not yet
+// part of the maze (or the frontier) to the frontier list
+function AddToFrontier(w, h, frontier)
+{
+    Maze[w][h][VISITED] = true;
+
+    var neighbors = GetNeighbors(w, h);
+    for(var i = 0; i < neighbors.length; i++)
+    {
+        var neighbor = Maze[neighbors[i][0]][neighbors[i][1]];
+
+        // we use the visited flag of "null" to say "already in the frontier"
+        if(neighbor[VISITED] == false)
+        {
+            neighbor[VISITED] = null;
+            frontier.push(neighbors[i]);
+        }
+    }
+}
+
+// Kruskal's algorithm:
+//  Every cell starts out in its own "set".  We make a list of every wall in
+//  the maze, shuffle it, and then go through it one wall at a time.  If the
+//  two cells on either side of a wall are in different sets, we knock the wall
+//  down and join the two sets.  Once we're through the list, every cell is in
+//  the same set (they're all connected) and there are no loops.
+function GenerateKruskal(w, h)
+{
+    // list of walls: [x, y, neighbor]
+    var walls = new Array();
+
+    // each cell's set is kept as a parent index (x + y * WIDTH)
+    var parents = new Array(WIDTH * HEIGHT);
+
+    for(var y = 0; y < HEIGHT; y++)
+    {
+        for(var x = 0; x < WIDTH; x++)
+        {
+            parents[x + y * WIDTH] = x + y * WIDTH;
+            Maze[x][y][VISITED] = true;
+
+            // cells cut out of the maze's shape (see mask.js) have no walls
+            // to knock down
+            if(!IsInMask(x, y))
+                continue;
+
+            // only add the walls to neighbors that come after this cell (on a
+            // square grid, the right and bottom walls) so we don't add each
+            // one twice
+            var neighbors = GetNeighbors(x, y);
+            for(var i = 0; i < neighbors.length; i++)
+            {
+                if(neighbors[i][0] + neighbors[i][1] * WIDTH > x + y * WIDTH)
+                    walls.push(new Array(x, y, neighbors[i]));
+            }
+        }
+    }
+
+    ShuffleList(walls);
+
+    for(var i = 0; i < walls.length; i++)
+    {
+        var first = FindSet(parents, walls[i][0] + walls[i][1] * WIDTH);
+        var second = FindSet(parents, walls[i][2][0] + walls[i][2][1] * WIDTH);
+
+        if(first != second)
+        {
+            RemoveWall(walls[i][0], walls[i][1], walls[i][2]);
+            parents[first] = second;
+        }
+    }
+}
+
+// Returns the set that the cell "index" belongs to in the "parents" list,
+// shortening the chain of parents along the way so later lookups are quick
+function FindSet(parents, index)
+{
+    var root = index;
+    while(parents[root] != root)
+        root = parents[root];
+
+    while(parents[index] != root)
+    {
+        var next = parents[index];
+        parents[index] = root;
+        index = next;
+    }
+
+    return root;
+}
+
+// Wilson's algorithm:
+//  1) Mark the starting cell as part of the maze
+//  2) Pick any cell that is not in the maze yet and go for a random walk,
+//     remembering which direction we left each cell in, until we bump into
+//     a cell that is in the maze.  (If the walk crosses itself, the later
+//     direction simply overwrites the earlier one - this erases the loop)
+//  3) Go back to where the walk started and follow the remembered directions,
+//     knocking down walls and adding each cell to the maze
+//  4) Repeat until every cell is in the maze
+function GenerateWilson(w, h)
+{
+    // direction each cell was left in during the current walk
+    var exits = new Array(WIDTH * HEIGHT);
+
+    // cells that are not part of the maze yet (leaving out any cut out of
+    // its shape - see mask.js)
+    var remaining = new Array();
+    for(var y = 0; y < HEIGHT; y++)
+        for(var x = 0; x < WIDTH; x++)
+            if((x != w || y != h) && IsInMask(x, y))
+                remaining.push(new Array(x, y));
+
+    Maze[w][h][VISITED] = true;
+    ShuffleList(remaining);
+
+    for(var i = 0; i < remaining.length; i++)
+    {
+        var start = remaining[i];
+        if(Maze[start[0]][start[1]][VISITED] == true)
+            continue;
+
+        // random walk until we hit the maze
+        var current = start;
+        while(Maze[current[0]][current[1]][VISITED] == false)
+        {
+            var neighbors = GetNeighbors(current[0], current[1]);
+            var next = neighbors[RandomInt(neighbors.length)];
+            exits[current[0] + current[1] * WIDTH] = next;
+            current = next;
+        }
+
+        // now carve the loop-erased walk into the maze
+        current = start;
+        while(Maze[current[0]][current[1]][VISITED] == false)
+        {
+            var next = exits[current[0] + current[1] * WIDTH];
+            Maze[current[0]][current[1]][VISITED] = true;
+            RemoveWall(current[0], current[1], next);
+            current = next;
+        }
+    }
+}
+
+// Eller's algorithm:
+//  Builds the maze one row at a time, keeping track of which cells in the
+//  current row are already connected (in the same "set").
+//  1) Randomly join neighboring cells in the row that are in different sets
+//  2) For each set, knock down at least one bottom wall so it carries on
+//     into the next row
+//  3) Cells in the next row that didn't get a passage from above get a new
+//     set of their own
+//  On the last row, every neighboring cell in a different set is joined so
+//  the whole maze ends up connected.
+function GenerateEller(w, h)
+{
+    // set number of each cell in the current row
+    var sets = new Array(WIDTH);
+    var next_set = 0;
+
+    for(var x = 0; x < WIDTH; x++)
+        sets[x] = next_set++;
+
+    for(var y = 0; y < HEIGHT; y++)
+    {
+        var last_row = (y == HEIGHT - 1);
+
+        for(var x = 0; x < WIDTH; x++)
+            Maze[x][y][VISITED] = true;
+
+        // join neighbors in the row
+        for(var x = 0; x < WIDTH - 1; x++)
+        {
+            if(sets[x] != sets[x + 1] && (last_row || RandomInt(2) == 0))
+            {
+                RemoveWall(x, y, new Array(x + 1, y));
+
+                // merge the right-hand set into ours
+                var old_set = sets[x + 1];
+                for(var i = 0; i < WIDTH; i++)
+                    if(sets[i] == old_set)
+                        sets[i] = sets[x];
+            }
+        }
+
+        if(last_row)
+            break;
+
+        // group the columns of the row by set (in random order)
+        var groups = new Object();
+        var columns = new Array();
+        for(var x = 0; x < WIDTH; x++)
+            columns.push(x);
+        ShuffleList(columns);
+
+        for(var i = 0; i < columns.length; i++)
+        {
+            var set = sets[columns[i]];
+            if(!groups.hasOwnProperty(set))
+                groups[set] = new Array();
+            groups[set].push(columns[i]);
+        }
+
+        // every set gets at least one passage down to the next row
+        var next_sets = new Array(WIDTH);
+        for(var set in groups)
+        {
+            var group = groups[set];
+            var count = 1 + RandomInt(group.length);
+
+            for(var i = 0; i < count; i++)
+            {
+                RemoveWall(group[i], y, new Array(group[i], y + 1));
+                next_sets[group[i]] = sets[group[i]];
+            }
+        }
+
+        // cells without a passage from above start a new set
+        for(var x = 0; x < WIDTH; x++)
+        {
+            if(next_sets[x] === undefined)
+                next_sets[x] = next_set++;
+        }
+
+        sets = next_sets;
+    }
+}
+
+// Aldous-Broder algorithm:
+//  Take a random walk around the maze.  Whenever we step into a cell that
+//  hasn't been visited yet, knock down the wall we just walked through.
+//  Stop once every cell has been visited.  Slow, but completely unbiased.
+function GenerateAldousBroder(w, h)
+{
+    var remaining = GetMaskSize() - 1;
+    var current = new Array(w, h);
+
+    Maze[w][h][VISITED] = true;
+
+    while(remaining > 0)
+    {
+        var neighbors = GetNeighbors(current[0], current[1]);
+        var next = neighbors[RandomInt(neighbors.length)];
+
+        if(Maze[next[0]][next[1]][VISITED] == false)
+        {
+            RemoveWall(current[0], current[1], next);
+            Maze[next[0]][next[1]][VISITED] = true;
+            remaining--;
+        }
+
+        current = next;
+    }
+}
+
+// Growing Tree algorithm:
+//  Keeps a list of "active" cells, starting with the starting cell.  Each
+//  step picks a cell from the list (the newest one, or a random one, based on
+//  "GROWING_TREE_NEWEST") and carves into one of its unvisited neighbors,
+//  adding that neighbor to the list.  Cells with no unvisited neighbors are
+//  taken off the list.
+function GenerateGrowingTree(w, h)
+{
+    // the active cells, in the order they were added.  Cells taken off the
+    // list are left where they are and just stop being counted (see
+    // "CountActive()") - cutting them out of the middle of the list moved
+    // every cell after them, which took seconds on a big maze.
+    var active = new Array();
+    var counts = new Array(WIDTH * HEIGHT + 1);
+    for(var i = 0; i < counts.length; i++)
+        counts[i] = 0;
+    var remaining = 0;
+
+    // the cell each cell was carved into from, keyed by "X_Y" (only needed to
+    // steer the passages - see bias.js)
+    var parents = new Object();
+    parents[w + '_' + h] = null;
+
+    Maze[w][h][VISITED] = true;
+    CountActive(counts, active.length, 1);
+    active.push(new Array(w, h));
+    remaining++;
+
+    while(remaining > 0)
+    {
+        var index = remaining - 1;
+        if(Random() >= GROWING_TREE_NEWEST)
+            index = RandomInt(remaining);
+
+        var slot = FindActive(counts, index);
+        var cell = active[slot];
+
+        // find the neighbors we could carve into
+        var unvisited = new Array();
+        var neighbors = GetNeighbors(cell[0], cell[1]);
+        for(var i = 0; i < neighbors.length; i++)
+        {
+            if(Maze[neighbors[i][0]][neighbors[i][1]][VISITED] == false)
+                unvisited.push(neighbors[i]);
+        }
+
+        if(unvisited.length == 0)
+        {
+            CountActive(counts, slot, -1);
+            remaining--;
+            continue;
+        }
+
+        var next = null;
+        if(HasBias())
+        {
+            var weights = new Array();
+            for(var i = 0; i < unvisited.length; i++)
+                weights.push(GetStepWeight(cell, unvisited[i], parents[cell[0] + '_' + cell[1]]));
+            next = unvisited[PickWeighted(weights)];
+            parents[next[0] + '_' + next[1]] = cell;
+        }
+        else
+            next = unvisited[RandomInt(unvisited.length)];
+
+        RemoveWall(cell[0], cell[1], next);
+        Maze[next[0]][next[1]][VISITED] = true;
+        CountActive(counts, active.length, 1);
+        active.push(next);
+        remaining++;
+    }
+}
+
+// Adds "change" (1 or -1) to how many cells are still active at "slot" of the
+// Growing Tree's list.  "counts" is a Fenwick tree: "counts[i]" holds how
+// many are active in the "i & -i" slots up to slot "i - 1", so both adding and
+// finding (see "FindActive()") only look at a handful of entries.
+function CountActive(counts, slot, change)
+{
+    for(var i = slot + 1; i < counts.length; i += (i & -i))
+        counts[i] += change;
+}
+
+// Returns the slot of the Growing Tree's list that holds the cell "index"
+// places along the cells still active (counting from 0)
+function FindActive(counts, index)
+{
+    var step = 1;
+    while(step * 2 < counts.length)
+        step *= 2;
+
+    // skip over the biggest runs of slots that don't reach that cell yet
+    var slot = 0;
+    for(; step > 0; step = Math.floor(step / 2))
+    {
+        if(slot + step < counts.length && counts[slot + step] <= index)
+        {
+            slot += step;
+            index -= counts[slot];
+        }
+    }
+
+    return slot;
+}
+
+// Binary Tree algorithm:
+//  For every cell, knock down either the top or the right wall (picked at
+//  random).  Cells along the top row can only go right, and cells along the
+//  right column can only go up.
+function GenerateBinaryTree(w, h)
+{
+    for(var y = 0; y < HEIGHT; y++)
+    {
+        for(var x = 0; x < WIDTH; x++)
+        {
+            Maze[x][y][VISITED] = true;
+
+            var choices = new Array();
+            if(y > 0)
+                choices.push(new Array(x, y - 1));
+            if(x < WIDTH - 1)
+                choices.push(new Array(x + 1, y));
+
+            if(choices.length > 0)
+                RemoveWall(x, y, choices[RandomInt(choices.length)]);
+        }
+    }
+}
+
+// Sidewinder algorithm:
+//  Works one row at a time, from left to right, building up "runs" of cells.
+//  At each cell we randomly decide to either keep going right (knocking down
+//  the right wall), or close the run: pick a random cell in the run and knock
+//  down its top wall.  The top row is one long corridor.
+function GenerateSidewinder(w, h)
+{
+    for(var y = 0; y < HEIGHT; y++)
+    {
+        var run_start = 0;
+
+        for(var x = 0; x < WIDTH; x++)
+        {
+            Maze[x][y][VISITED] = true;
+
+            var close_run = (x == WIDTH - 1) || (y > 0 && RandomInt(2) == 0);
+
+            if(close_run)
+            {
+                if(y > 0)
+                {
+                    var cell = run_start + RandomInt(x - run_start + 1);
+                    RemoveWall(cell, y, new Array(cell, y - 1));
+                }
+                run_start = x + 1;
+            }
+            else
+                RemoveWall(x, y, new Array(x + 1, y));
+        }
+    }
+}
+
+// Shuffles a plain list of values (the same way "ShuffleNeighbors()" does)
+function ShuffleList(list)
+{
+    for(var i = 0; i < list.length; i++)
+    {
+        var random_index = RandomInt(list.length);
+        var temp = list[i];
+        list[i] = list[random_index];
+        list[random_index] = temp;
+    }
+
+    return list;
+}
+
+// Knocks out "percent" percent of the maze's dead ends (cells with only one
+// way in or out).  Each dead end picked gets one more of its walls knocked
+// down, joining it to a neighbor - another dead end if there is one next to
+// it (that gets rid of two dead ends at once), otherwise any neighbor.
+function BraidMaze(percent)
+{
+    if(percent <= 0)
+        return;
+
+    // find every dead end, and go through them in a random order
+    var dead_ends = new Array();
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(CountWalls(i, j) == SIDES - 1)
+                dead_ends.push(new Array(i, j));
+        }
+    }
+    ShuffleList(dead_ends);
+
+    for(var d = 0; d < dead_ends.length; d++)
+    {
+        var w = dead_ends[d][0];
+        var h = dead_ends[d][1];
+
+        // joining up an earlier dead end may have fixed this one already
+        if(CountWalls(w, h) != SIDES - 1 || Random() * 100 >= percent)
+            continue;
+
+        // neighbors we're still walled off from (and which of those are
+        // dead ends too)
+        var closed = new Array();
+        var closed_dead_ends = new Array();
+        var neighbors = GetNeighbors(w, h);
+        for(var i = 0; i < neighbors.length; i++)
+        {
+            if(Maze[w][h][GetWallBetween(w, h, neighbors[i])] == 1)
+            {
+                closed.push(neighbors[i]);
+                if(CountWalls(neighbors[i][0], neighbors[i][1]) == SIDES - 1)
+                    closed_dead_ends.push(neighbors[i]);
+            }
+        }
+
+        if(closed_dead_ends.length > 0)
+            closed = closed_dead_ends;
+        if(closed.length > 0)
+            RemoveWall(w, h, closed[RandomInt(closed.length)]);
+    }
+}
+
+// Counts how many of the cell's walls are still up
+function CountWalls(w, h)
+{
+    var count = 0;
+    for(var i = 0; i < SIDES; i++)
+    {
+        if(Maze[w][h][i] == 1)
+            count++;
+    }
+
+    return count;
+}
+
+// Returns the tags for the maze code (see "GetMazeCode()") that describe how
+// the maze was carved, besides the algorithm and seed:
+//  -b[percent]     dead ends knocked out (braiding), for example "-b25"
+function GetGeneratorCode()
+{
+    var code = '';
+
+    if(BRAID > 0)
+        code += '-b' + BRAID;
+
+    return code;
+}
+
+// Reads the tags from "GetGeneratorCode()" out of "tags" into "settings"
+// (taking them out of "tags").  Returns false if they aren't valid.
+function ParseGeneratorCode(tags, settings)
+{
+    settings.braid = 0;
+
+    if(tags.hasOwnProperty('b'))
+    {
+        if(!/^\d+$/.test(tags['b']) || parseInt(tags['b']) > 100)
+            return false;
+
+        settings.braid = parseInt(tags['b']);
+        delete tags['b'];
+    }
+
+    return true;
+}
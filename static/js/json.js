@@ -0,0 +1,304 @@
+/*******************************************************************************
+ * File: "json.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file saves the maze as a JSON file and opens it again later - walls
+ *  and all - so a maze can be kept and shown again without generating it.
+ *  (A maze code makes the same maze again too, but only with the same
+ *  version of the generator - a saved file doesn't depend on it.)
+ *
+ *  The file holds one object:
+ *      format      always "a-maze-ing" (MAZE_JSON_FORMAT)
+ *      version     which version of this layout the file uses
+ *                  (MAZE_JSON_VERSION) - files from newer versions can't be
+ *                  opened
+ *      code        the maze code the maze was made from (see "GetMazeCode()")
+ *      settings    width, height (of each floor), levels, topology,
+ *                  algorithm, seed, braid, bias, straightness, twistiness,
+ *                  terrain, weave, extra_exits, exit_mode, waypoints and
+ *                  cell_size - just like the settings passed to
+ *                  "CreateMaze()" (see core.js) - and mask: the shape of one
+ *                  floor, one text row per row of cells ("#" in the maze,
+ *                  "." cut out), or null
+ *      entrance, exit
+ *                  where the doors are: "side" and "position" (the door's
+ *                  outside wall - 0 top, 1 right, 2 bottom, 3 left - and how
+ *                  far along it), plus the cell the door opens into ("x" and
+ *                  "y") and which of that cell's walls it goes through
+ *                  ("wall")
+ *      walls       one text row for every row of cells (all of the floors,
+ *                  top to bottom), with each cell's walls written as 1s (up)
+ *                  and 0s (down) in the same order as in "Maze" (see the top
+ *                  of maze.js), and a space between the cells
+ *      costs       the cost of walking into each cell, laid out the same way
+ *                  (see terrain.js)
+ *      stairwells  the cells at the bottom of each set of stairs: [x, y]
+ *      crossings   the cells with a tunnel under them: [x, y, "h" or "v"]
+ *      extra_exits the extra exits (see puzzle.js): { wall, position, x, y,
+ *                  door }
+ *      waypoints   the waypoints: [x, y]
+ *      solution, steps, cost
+ *                  the cells on the way through (from the entrance to the
+ *                  exit, as [x, y]), how many moves it takes and what it
+ *                  costs.  These are for other programs reading the file -
+ *                  opening the file works the solution out again from the
+ *                  walls.
+ ******************************************************************************/
+
+// What's in the "format" of every saved maze
+var MAZE_JSON_FORMAT = 'a-maze-ing';
+
+// Version of the layout above (goes up whenever the layout changes, so older
+// files can still be read)
+var MAZE_JSON_VERSION = 1;
+
+// Returns the maze in the globals as the text of a JSON file (see the top of
+// this file)
+function GetMazeJSON()
+{
+    var data = {
+        format: MAZE_JSON_FORMAT,
+        version: MAZE_JSON_VERSION,
+        code: GetMazeCode(),
+        settings: {
+            width: WIDTH,
+            height: FLOOR_HEIGHT,
+            levels: LEVELS,
+            topology: TOPOLOGY,
+            algorithm: ALGORITHM,
+            seed: SEED,
+            braid: BRAID,
+            bias: DIRECTION_BIAS,
+            straightness: STRAIGHTNESS,
+            twistiness: TWISTINESS,
+            terrain: TERRAIN,
+            weave: WEAVE,
+            extra_exits: EXTRA_EXITS,
+            exit_mode: EXIT_MODE,
+            waypoints: WAYPOINTS,
+            cell_size: CELL_SIZE,
+            mask: GetMaskRows(GetMaskShape())
+        },
+        entrance: { side: ENTER, position: ENTRANCE_POSITION, x: ENTRANCE_X, y: ENTRANCE_Y, wall: ENTRANCE_WALL },
+        exit: { side: EXIT, position: EXIT_POSITION, x: STARTING_X, y: STARTING_Y, wall: EXIT_WALL },
+        walls: new Array(),
+        costs: new Array(),
+        stairwells: new Array(),
+        crossings: new Array(),
+        extra_exits: Extra_Exits,
+        waypoints: Waypoints,
+        solution: Solution_List.slice().reverse(),
+        steps: Steps_to_Solve,
+        cost: Cost_to_Solve
+    };
+
+    for(var j = 0; j < HEIGHT; j++)
+    {
+        var walls = new Array();
+        var costs = new Array();
+        for(var i = 0; i < WIDTH; i++)
+        {
+            walls.push(Maze[i][j].slice(0, SIDES).join(''));
+            costs.push(Maze[i][j][COST]);
+        }
+
+        data.walls.push(walls.join(' '));
+        data.costs.push(costs.join(' '));
+    }
+
+    for(var cell in STAIRWELLS)
+        data.stairwells.push(SplitCellKey(cell));
+
+    for(var cell in CROSSINGS)
+        data.crossings.push(SplitCellKey(cell).concat(CROSSINGS[cell]));
+
+    return JSON.stringify(data);
+}
+
+// Opens a maze saved by "GetMazeJSON()": puts it in the globals, solves it
+// and returns it as a maze object (just like "CreateMaze()" in core.js).
+// Throws an Error saying what's wrong if "text" isn't a maze that can be
+// opened.
+function ParseMazeJSON(text)
+{
+    var data = null;
+    try
+    {
+        data = JSON.parse(text);
+    }
+    catch(error)
+    {
+        throw new Error("That file isn't a saved maze - it isn't a JSON file.");
+    }
+
+    if(data == null || data.format != MAZE_JSON_FORMAT || !(data.version >= 1) || data.settings == null || data.entrance == null || data.exit == null)
+        throw new Error("That file isn't a saved maze.");
+    if(data.version > MAZE_JSON_VERSION)
+        throw new Error("That maze was saved by a newer version of the maze generator - please update it to open the file.");
+
+    // the settings (and the doors) are set up just like for a new maze...
+    var settings = new Object();
+    for(var setting in data.settings)
+        settings[setting] = data.settings[setting];
+    settings.mask = GetRowsShape(data.settings.mask);
+    settings.enter = data.entrance.side;
+    settings.entrance_position = data.entrance.position;
+    settings.exit_wall = data.exit.side;
+    settings.exit_position = data.exit.position;
+
+    settings = GetMazeSettings(settings);
+    if(settings.seed === null)
+        throw new Error("That file is missing the maze's seed.");
+
+    ApplySettings(settings);
+
+    var error = ICanHazErrors();
+    if(error != null)
+        throw new Error(error);
+
+    // ...but the walls are read out of the file instead of being generated
+    Maze = ReadJSONCells(data.walls, data.costs);
+
+    STAIRWELLS = new Object();
+    var stairwells = data.stairwells || new Array();
+    for(var i = 0; i < stairwells.length; i++)
+        STAIRWELLS[stairwells[i][0] + '_' + stairwells[i][1]] = true;
+
+    CROSSINGS = new Object();
+    var crossings = data.crossings || new Array();
+    for(var i = 0; i < crossings.length; i++)
+        CROSSINGS[crossings[i][0] + '_' + crossings[i][1]] = crossings[i][2];
+
+    Extra_Exits = data.extra_exits || new Array();
+    Waypoints = data.waypoints || new Array();
+
+    SolveMaze();
+
+    return GetCurrentMaze(settings);
+}
+
+// Returns the "Maze" array read from the "walls" and "costs" rows of a saved
+// maze (see the top of this file).  Throws an Error if they don't fit the
+// maze in the globals.
+function ReadJSONCells(walls, costs)
+{
+    if(!Array.isArray(walls) || walls.length != HEIGHT)
+        throw new Error("The walls in that file don't match the size of the maze.");
+
+    var cells = new Array(WIDTH);
+    for(var i = 0; i < WIDTH; i++)
+        cells[i] = new Array(HEIGHT);
+
+    for(var j = 0; j < HEIGHT; j++)
+    {
+        var row = String(walls[j]).split(' ');
+        var row_costs = (Array.isArray(costs) && costs[j] !== undefined) ? String(costs[j]).split(' ') : null;
+        if(row.length != WIDTH)
+            throw new Error("The walls in that file don't match the size of the maze.");
+
+        for(var i = 0; i < WIDTH; i++)
+        {
+            if(row[i].length != SIDES || !/^[01]+$/.test(row[i]))
+                throw new Error("The walls of cell " + (i + 1) + ", " + (j + 1) + " in that file don't look right.");
+
+            cells[i][j] = new Array(SIDES + 2);
+            for(var wall = 0; wall < SIDES; wall++)
+                cells[i][j][wall] = parseInt(row[i].charAt(wall));
+            cells[i][j][VISITED] = false;
+            cells[i][j][COST] = (row_costs != null && parseFloat(row_costs[i]) > 0) ? parseFloat(row_costs[i]) : TERRAINS['floor'].cost;
+        }
+    }
+
+    return cells;
+}
+
+// Returns "shape" (see "ScaleShape()" in mask.js) as rows of text: "#" for
+// the cells in the maze and "." for the ones cut out.  Returns null if there
+// isn't a shape.
+function GetMaskRows(shape)
+{
+    if(shape == null)
+        return null;
+
+    var rows = new Array();
+    for(var j = 0; j < shape[0].length; j++)
+    {
+        var row = '';
+        for(var i = 0; i < shape.length; i++)
+            row += shape[i][j] ? '#' : '.';
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+// Turns rows of text from "GetMaskRows()" back into a shape
+function GetRowsShape(rows)
+{
+    if(!Array.isArray(rows) || rows.length == 0)
+        return null;
+
+    var shape = GetFullShape(String(rows[0]).length, rows.length);
+    for(var i = 0; i < shape.length; i++)
+    {
+        for(var j = 0; j < rows.length; j++)
+            shape[i][j] = (String(rows[j]).charAt(i) == '#');
+    }
+
+    return shape;
+}
+
+// Returns the cell key "X_Y" as [x, y]
+function SplitCellKey(key)
+{
+    var xy = key.split('_');
+    return new Array(parseInt(xy[0]), parseInt(xy[1]));
+}
+
+// Called when the (dynamically) generated "Export JSON" button is clicked.
+// Saves the maze as a JSON file.
+function DownloadJSON()
+{
+    DownloadFile('maze-' + GetMazeCode() + '.json', 'application/json', GetMazeJSON());
+}
+
+// Called when a file is picked with the "Saved Maze" button.  Opens the maze
+// saved in it (as JSON, or drawn as text - see ascii.js), fills in its
+// settings on the page and shows it.
+function LoadMazeFile(input)
+{
+    if(input.files.length == 0)
+        return;
+
+    var reader = new FileReader();
+    reader.onload = function()
+    {
+        // (so the same file can be picked again)
+        input.value = '';
+
+        var maze = null;
+        try
+        {
+            // (a saved maze is always a JSON object - anything else is read
+            // as a maze drawn in text)
+            if(/^\s*\{/.test(reader.result))
+                maze = ParseMazeJSON(reader.result);
+            else
+                maze = ParseMazeASCII(reader.result);
+        }
+        catch(error)
+        {
+            alert(error.message);
+            return;
+        }
+
+        // filling in the page changes the globals, so the maze is put back
+        // into them afterwards
+        SetPageSettings(maze.settings);
+        UseMaze(maze);
+
+        ShowMaze();
+        alert('Maze Loaded!');
+    };
+    reader.readAsText(input.files[0]);
+}
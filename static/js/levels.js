@@ -0,0 +1,263 @@
+/*******************************************************************************
+ * File: "levels.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file lets a maze have several floors ("levels") stacked on top of
+ *  each other, joined by stairs.
+ *
+ *  The floors are kept one after another in the "Maze" array, going down:
+ *  each floor is FLOOR_HEIGHT rows high, and HEIGHT is the rows of every
+ *  floor put together (LEVELS x FLOOR_HEIGHT).  So the cell at "x, y" is on
+ *  floor "GetFloor(y)", in row "GetFloorRow(y)" of that floor, and the cell
+ *  right above it (one floor up) is at "x, y + FLOOR_HEIGHT".  A maze with
+ *  one floor is laid out exactly like it always has been.
+ *
+ *  When there's more than one floor, every cell gets two more walls after
+ *  the walls around it (see "GRID_SIDES" in topology.js):
+ *      Maze[x][y][UP_WALL]   = the ceiling (stairs up to the floor above)
+ *      Maze[x][y][DOWN_WALL] = the floor (stairs down to the floor below)
+ *  Only some cells - the "stairwells" - have anything on the other side of
+ *  them.  Before the maze is carved, STAIRWELL_CHANCE percent of the cells
+ *  on each floor are picked at random to be stairwells (always at least
+ *  one), and "GetNeighbor()" only goes up or down through those.  That way
+ *  the generators carve stairs, and the solvers walk up and down them,
+ *  without knowing anything about floors - and the maze doesn't end up with
+ *  stairs in every other cell.
+ *
+ *  Floors are drawn side by side (the first floor on the left), with a gap
+ *  between them.  A cell with stairs going up has an arrow pointing up in
+ *  it, and the cell at the top of those stairs (in the same spot, on the
+ *  next floor) has an arrow pointing down.  The play window only shows the
+ *  floor the user is on (see "DRAW_FLOOR").
+ ******************************************************************************/
+
+// Number of floors in the maze
+var LEVELS = 1;
+
+// Largest number of floors supported
+var MAX_LEVELS = 10;
+
+// Percentage (0 - 100) of the cells on each floor that can have stairs up to
+// the next floor
+var STAIRWELL_CHANCE = 5;
+
+// Cells with stairs between them and the cell right above them (on the next
+// floor up), keyed by "X_Y"
+var STAIRWELLS = new Object();
+
+// Space left between the floors when they're drawn side by side (in cells)
+var FLOOR_GAP = 2;
+
+// Floor that's drawn (-1 draws every floor, side by side)
+var DRAW_FLOOR = -1;
+
+// Color of the stair arrows
+var STAIR_COLOR = "#7030A0";
+
+// Size of the stair arrows (% of the cell)
+var STAIR_SIZE = 60;
+
+// Returns which floor (0 is the first floor) row "y" of the maze is on
+function GetFloor(y)
+{
+    return Math.floor(y / FLOOR_HEIGHT);
+}
+
+// Returns which row of its floor row "y" of the maze is
+function GetFloorRow(y)
+{
+    return y - GetFloor(y) * FLOOR_HEIGHT;
+}
+
+// Returns true if the floor that row "y" is on is being drawn
+function IsFloorShown(y)
+{
+    return DRAW_FLOOR < 0 || GetFloor(y) == DRAW_FLOOR;
+}
+
+// Returns how far (in pixels) from the left of the drawing the floor that row
+// "y" is on starts
+function GetFloorLeft(y)
+{
+    if(DRAW_FLOOR >= 0)
+        return 0;
+
+    return GetFloor(y) * (GetFloorImageSize()[0] + FLOOR_GAP * GetCellStep());
+}
+
+// Returns how many floors are drawn
+function GetFloorsShown()
+{
+    if(DRAW_FLOOR >= 0)
+        return 1;
+
+    return LEVELS;
+}
+
+// Returns the cell [x, y] up (or down) the stairs through wall "wall"
+// (UP_WALL or DOWN_WALL) of the cell at "x, y", or null if there aren't any
+// stairs there
+function GetStairNeighbor(x, y, wall)
+{
+    // the stairs are kept with the cell at the bottom of them
+    var bottom = (wall == UP_WALL) ? y : y - FLOOR_HEIGHT;
+    var top = bottom + FLOOR_HEIGHT;
+
+    if(bottom < 0 || top >= HEIGHT || !STAIRWELLS[x + '_' + bottom])
+        return null;
+
+    return new Array(x, (wall == UP_WALL) ? top : bottom);
+}
+
+// Picks which cells have stairs up to the next floor (see the top of this
+// file).  Called after the random numbers are seeded, so the same seed always
+// picks the same stairwells.
+function PlaceStairwells()
+{
+    STAIRWELLS = new Object();
+
+    for(var floor = 0; floor < LEVELS - 1; floor++)
+    {
+        // every cell that's in the maze's shape on both floors
+        var cells = new Array();
+        for(var i = 0; i < WIDTH; i++)
+        {
+            for(var j = floor * FLOOR_HEIGHT; j < (floor + 1) * FLOOR_HEIGHT; j++)
+            {
+                if(IsInMask(i, j) && IsInMask(i, j + FLOOR_HEIGHT))
+                    cells.push(new Array(i, j));
+            }
+        }
+
+        var placed = 0;
+        for(var c = 0; c < cells.length; c++)
+        {
+            if(Random() * 100 < STAIRWELL_CHANCE)
+            {
+                STAIRWELLS[cells[c][0] + '_' + cells[c][1]] = true;
+                placed++;
+            }
+        }
+
+        // the floors have to be joined somewhere
+        if(placed == 0 && cells.length > 0)
+        {
+            var cell = cells[RandomInt(cells.length)];
+            STAIRWELLS[cell[0] + '_' + cell[1]] = true;
+        }
+    }
+}
+
+// Returns the arrows drawn in the cell at "x, y" for its stairs (as a list of
+// triangles - lists of [x, y] points): one pointing up if the stairs going up
+// are open, one pointing down if the stairs going down are
+function GetStairPolygons(x, y)
+{
+    var polygons = new Array();
+    if(LEVELS <= 1)
+        return polygons;
+
+    var up = (Maze[x][y][UP_WALL] == 0);
+    var down = (Maze[x][y][DOWN_WALL] == 0);
+
+    var center = GetCellCenter(x, y);
+    var size = GetCellRadius(x, y) * (STAIR_SIZE / 100);
+
+    // with both arrows in the cell, each one gets half of it
+    if(up && down)
+        size = size / 2;
+
+    if(up)
+    {
+        var cy = center[1] - (down ? size : 0);
+        polygons.push(new Array(new Array(center[0], cy - size), new Array(center[0] + size, cy + size), new Array(center[0] - size, cy + size)));
+    }
+    if(down)
+    {
+        var cy = center[1] + (up ? size : 0);
+        polygons.push(new Array(new Array(center[0] - size, cy - size), new Array(center[0] + size, cy - size), new Array(center[0], cy + size)));
+    }
+
+    return polygons;
+}
+
+// Returns every stair arrow in the floors being drawn (see
+// "GetStairPolygons()")
+function GetAllStairPolygons()
+{
+    var polygons = new Array();
+    if(LEVELS <= 1)
+        return polygons;
+
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(IsFloorShown(j))
+                polygons = polygons.concat(GetStairPolygons(i, j));
+        }
+    }
+
+    return polygons;
+}
+
+// Reads the number of floors from the page (the height typed in is the height
+// of each floor)
+function ReadLevels()
+{
+    SetLevels(parseInt(document.getElementById('levels').value));
+}
+
+// Sets the number of floors (after FLOOR_HEIGHT), and makes room for the
+// stairs in the cells
+function SetLevels(levels)
+{
+    LEVELS = levels;
+    HEIGHT = FLOOR_HEIGHT * LEVELS;
+
+    SetTopology(TOPOLOGY);
+}
+
+// Checks the number of floors before the maze is generated.  Returns a
+// message saying what the problem is, or null if there isn't one.
+function LevelErrors()
+{
+    if(!(LEVELS >= 1 && LEVELS <= MAX_LEVELS))
+        return "Please pick between 1 and " + MAX_LEVELS + " floors.";
+
+    // the algorithms that work along whole rows and columns would carve
+    // straight from one floor into the next
+    if(LEVELS > 1 && GetGenerator(ALGORITHM).rows)
+        return "The " + GetGenerator(ALGORITHM).name + " algorithm can only make mazes with one floor - please pick a different algorithm.";
+
+    return null;
+}
+
+// Returns the tag for the maze code (see "GetMazeCode()") for the floors:
+//  -l[floors]      the number of floors, for example "-l3" (nothing is added
+//                  for a maze with one floor)
+function GetLevelCode()
+{
+    if(LEVELS > 1)
+        return '-l' + LEVELS;
+
+    return '';
+}
+
+// Reads the tag from "GetLevelCode()" out of "tags" into "settings" (taking
+// it out of "tags").  Returns false if it isn't valid.
+function ParseLevelCode(tags, settings)
+{
+    settings.levels = 1;
+
+    if(tags.hasOwnProperty('l'))
+    {
+        if(!/^\d+$/.test(tags['l']) || parseInt(tags['l']) < 1 || parseInt(tags['l']) > MAX_LEVELS)
+            return false;
+
+        settings.levels = parseInt(tags['l']);
+        delete tags['l'];
+    }
+
+    return true;
+}
@@ -0,0 +1,558 @@
+/*******************************************************************************
+ * File: "mask.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file lets a maze be carved inside a shape (a "mask") instead of
+ *  filling the whole WIDTH x HEIGHT rectangle - a pumpkin, a heart, the
+ *  letters of a name...
+ *
+ *  The mask is kept in "MASK": MASK[x][y] is true if the cell at "x, y" is
+ *  part of the maze, and false if it's cut out.  When there's no shape (or
+ *  the shape covers every cell) "MASK" is null.  The cells that are cut out
+ *  stay in the "Maze" array with all of their walls up, but "GetNeighbor()"
+ *  (topology.js) acts like they're outside the maze - so the generators,
+ *  the solvers and the braiding never walk into them, and the drawing code
+ *  draws the walls around the edge of the shape (its silhouette) the same
+ *  way it draws the outside of the rectangle.
+ *
+ *  The doors go on the edge of the shape: a door on the left side of the
+ *  maze, in row 5, goes into the first cell of row 5 that's in the shape
+ *  (see "GetDoorCell()" in maze.js).
+ *
+ *  The shape can come from three places (the "Shape" drop-down):
+ *      - Draw: click (or drag) on the grid to cut cells out or put them back
+ *      - Text: ASCII art - spaces and dots are cut out, anything else (like
+ *        "#" or "X") is part of the maze, one line per row
+ *      - Image: a black and white picture - the dark parts are the maze
+ *  Text and images are stretched to fit the size of the maze.  The shape is
+ *  laid over the cells by their [x, y] positions, so on the other grids (see
+ *  topology.js) it gets stretched to fit the cells too.
+ *
+ *  A maze with more than one floor (see levels.js) has the same shape on
+ *  every floor - the shape is made to fit one floor (WIDTH x FLOOR_HEIGHT)
+ *  and the drawing grid only shows one.
+ *
+ *  The shape is saved in the maze code so the same maze can be made again
+ *  (see "GetMaskCode()").  Loading a code puts its shape on the drawing grid.
+ ******************************************************************************/
+
+// The shape of the maze: MASK[x][y] is true if the cell is part of the maze
+// (null means every cell is)
+var MASK = null;
+
+// Cells painted on the drawing grid (kept at the size they were drawn at -
+// they're stretched if the size of the maze changes)
+var MASK_DRAWN = null;
+
+// Picture the shape is taken from (when "Image" is picked)
+var MASK_IMAGE = null;
+
+// Pixels darker than this (0 - 255) are part of the maze
+var MASK_DARKNESS = 128;
+
+// Colors of the drawing grid
+var MASK_INSIDE_COLOR = "#555555";
+var MASK_OUTSIDE_COLOR = "#FFFFFF";
+
+// The cells are being cut out (false) or put back (true) while the mouse is
+// held down on the drawing grid (null when it isn't held down)
+var Mask_Painting = null;
+
+// Returns true if the cell at "x, y" is part of the maze's shape
+function IsInMask(x, y)
+{
+    return MASK == null || MASK[x][y] == true;
+}
+
+// Returns how many cells are part of the maze's shape
+function GetMaskSize()
+{
+    if(MASK == null)
+        return WIDTH * HEIGHT;
+
+    var count = 0;
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(MASK[i][j])
+                count++;
+        }
+    }
+
+    return count;
+}
+
+// Works out "MASK" from the "Shape" drop-down for a maze that's WIDTH x
+// HEIGHT (every floor gets the same shape)
+function BuildMask()
+{
+    ApplyMask(ReadMaskShape());
+}
+
+// Returns the shape picked with the "Shape" drop-down (whatever was drawn,
+// typed or loaded for it), or null if the maze doesn't have one
+function ReadMaskShape()
+{
+    var mode = document.getElementById('mask_mode').value;
+
+    if(mode == 'draw')
+        return MASK_DRAWN;
+    if(mode == 'text')
+        return ParseMaskText(document.getElementById('mask_text').value);
+    if(mode == 'image' && MASK_IMAGE != null)
+        return GetImageShape(MASK_IMAGE);
+
+    return null;
+}
+
+// Works out "MASK" from "shape" (a 2-dimensional array of true/false, or null
+// for no shape at all), stretched to WIDTH x FLOOR_HEIGHT and repeated on
+// every floor
+function ApplyMask(shape)
+{
+    MASK = null;
+    if(shape == null)
+        return;
+
+    var floor = ScaleShape(shape, WIDTH, FLOOR_HEIGHT);
+    MASK = new Array(WIDTH);
+    for(var i = 0; i < WIDTH; i++)
+    {
+        MASK[i] = new Array(HEIGHT);
+        for(var j = 0; j < HEIGHT; j++)
+            MASK[i][j] = floor[i][GetFloorRow(j)];
+    }
+
+    // a shape that covers every cell is the same as no shape at all
+    if(GetMaskSize() == WIDTH * HEIGHT)
+        MASK = null;
+}
+
+// Returns the shape of one floor of "MASK" (the other way around from
+// "ApplyMask()"), or null if the maze doesn't have a shape
+function GetMaskShape()
+{
+    if(MASK == null)
+        return null;
+
+    var shape = GetFullShape(WIDTH, FLOOR_HEIGHT);
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < FLOOR_HEIGHT; j++)
+            shape[i][j] = MASK[i][j];
+    }
+
+    return shape;
+}
+
+// Stretches (or shrinks) "shape" (a 2-dimensional array of true/false, like
+// "MASK") to "width" x "height" cells
+function ScaleShape(shape, width, height)
+{
+    var shape_width = shape.length;
+    var shape_height = shape[0].length;
+    var scaled = new Array(width);
+
+    for(var i = 0; i < width; i++)
+    {
+        scaled[i] = new Array(height);
+        for(var j = 0; j < height; j++)
+        {
+            // use whichever cell of the shape this cell's middle lands in
+            var x = Math.floor((i + 0.5) * shape_width / width);
+            var y = Math.floor((j + 0.5) * shape_height / height);
+            scaled[i][j] = (shape[x][y] == true);
+        }
+    }
+
+    return scaled;
+}
+
+// Turns ASCII art into a shape (see "ScaleShape()"): spaces and dots are cut
+// out, anything else is part of the maze.  Returns null if there's no art.
+function ParseMaskText(text)
+{
+    var lines = String(text).replace(/\r/g, '').split('\n');
+
+    // blank lines above and below the art don't count
+    while(lines.length > 0 && /^[\s.]*$/.test(lines[0]))
+        lines.shift();
+    while(lines.length > 0 && /^[\s.]*$/.test(lines[lines.length - 1]))
+        lines.pop();
+
+    var width = 0;
+    for(var j = 0; j < lines.length; j++)
+        width = Math.max(width, lines[j].replace(/\s+$/, '').length);
+
+    if(width == 0)
+        return null;
+
+    var shape = new Array(width);
+    for(var i = 0; i < width; i++)
+    {
+        shape[i] = new Array(lines.length);
+        for(var j = 0; j < lines.length; j++)
+        {
+            var character = (i < lines[j].length) ? lines[j].charAt(i) : ' ';
+            shape[i][j] = !/[\s.]/.test(character);
+        }
+    }
+
+    return shape;
+}
+
+// Turns a picture into a WIDTH x FLOOR_HEIGHT shape (see "ScaleShape()"):
+// the dark parts are the maze, the light (or see-through) parts are cut out
+function GetImageShape(image)
+{
+    var canvas = document.createElement('canvas');
+    canvas.width = WIDTH;
+    canvas.height = FLOOR_HEIGHT;
+
+    var context = canvas.getContext('2d');
+    context.fillStyle = MASK_OUTSIDE_COLOR;
+    context.fillRect(0, 0, WIDTH, FLOOR_HEIGHT);
+    context.drawImage(image, 0, 0, WIDTH, FLOOR_HEIGHT);
+
+    var pixels = context.getImageData(0, 0, WIDTH, FLOOR_HEIGHT).data;
+    var shape = new Array(WIDTH);
+    for(var i = 0; i < WIDTH; i++)
+    {
+        shape[i] = new Array(FLOOR_HEIGHT);
+        for(var j = 0; j < FLOOR_HEIGHT; j++)
+        {
+            var index = (j * WIDTH + i) * 4;
+            shape[i][j] = (pixels[index] + pixels[index + 1] + pixels[index + 2]) / 3 < MASK_DARKNESS;
+        }
+    }
+
+    return shape;
+}
+
+// Called when the "Shape" drop-down changes (or the text or picture for it
+// does): shows the right inputs, works out the new shape and moves the doors
+// onto its edge
+function UpdateMask()
+{
+    var mode = document.getElementById('mask_mode').value;
+
+    document.getElementById('mask_draw').style.display = (mode == 'draw') ? '' : 'none';
+    document.getElementById('mask_text_area').style.display = (mode == 'text') ? '' : 'none';
+    document.getElementById('mask_image_area').style.display = (mode == 'image') ? '' : 'none';
+
+    // start the drawing grid off with every cell in the maze
+    if(mode == 'draw' && MASK_DRAWN == null)
+        MASK_DRAWN = GetFullShape(WIDTH, FLOOR_HEIGHT);
+
+    BuildMask();
+    FixDoors();
+    DrawDoorPreview();
+    DrawMaskEditor();
+}
+
+// Returns a "width" x "height" shape with every cell in the maze
+function GetFullShape(width, height)
+{
+    var shape = new Array(width);
+    for(var i = 0; i < width; i++)
+    {
+        shape[i] = new Array(height);
+        for(var j = 0; j < height; j++)
+            shape[i][j] = true;
+    }
+
+    return shape;
+}
+
+// Called when a picture is picked for the shape: loads it, then updates the
+// shape once it's ready
+function LoadMaskImage(input)
+{
+    if(input.files.length == 0)
+        return;
+
+    var reader = new FileReader();
+    reader.onload = function()
+    {
+        var image = new Image();
+        image.onload = function()
+        {
+            MASK_IMAGE = image;
+            UpdateMask();
+        };
+        image.src = reader.result;
+    };
+    reader.readAsDataURL(input.files[0]);
+}
+
+// Called when the "Use Its Size" button is clicked: makes the maze exactly as
+// big as the ASCII art (one cell for every character)
+function UseMaskTextSize()
+{
+    var shape = ParseMaskText(document.getElementById('mask_text').value);
+    if(shape == null)
+        return;
+
+    document.getElementById('dim_width').value = shape.length;
+    document.getElementById('dim_height').value = shape[0].length;
+    UpdateDims();
+}
+
+// Switches to drawing the shape, starting with "shape" (or to no shape at all
+// if "shape" is null) - used when a maze code is loaded
+function SetMaskShape(shape)
+{
+    MASK_DRAWN = shape;
+    document.getElementById('mask_mode').value = (shape == null) ? 'none' : 'draw';
+    UpdateMask();
+}
+
+// Puts every cell of the drawing grid in the maze ("inside" is true) or cuts
+// every one out (called by the "Fill" and "Clear" buttons)
+function FillMask(inside)
+{
+    MASK_DRAWN = GetFullShape(WIDTH, FLOOR_HEIGHT);
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < FLOOR_HEIGHT; j++)
+            MASK_DRAWN[i][j] = inside;
+    }
+
+    UpdateMask();
+}
+
+// Draws the drawing grid (one floor's worth): the cells in the maze are dark,
+// the cells that are cut out are white
+function DrawMaskEditor()
+{
+    var canvas = document.getElementById('mask_canvas');
+    if(canvas == null || !(WIDTH > 0) || !(FLOOR_HEIGHT > 0) || !(HEIGHT > 0))
+        return;
+
+    var scale = PREVIEW_SIZE / Math.max(WIDTH, FLOOR_HEIGHT);
+    canvas.width = Math.ceil(WIDTH * scale);
+    canvas.height = Math.ceil(FLOOR_HEIGHT * scale);
+
+    var context = canvas.getContext('2d');
+    context.fillStyle = MASK_OUTSIDE_COLOR;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+
+    context.fillStyle = MASK_INSIDE_COLOR;
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < FLOOR_HEIGHT; j++)
+        {
+            if(IsInMask(i, j))
+                context.fillRect(i * scale, j * scale, scale, scale);
+        }
+    }
+
+    // light grid lines (only if the cells are big enough to see)
+    if(scale >= 4)
+    {
+        context.strokeStyle = '#DDDDDD';
+        context.lineWidth = 1;
+        context.beginPath();
+        for(var i = 0; i <= WIDTH; i++)
+        {
+            context.moveTo(i * scale, 0);
+            context.lineTo(i * scale, FLOOR_HEIGHT * scale);
+        }
+        for(var j = 0; j <= FLOOR_HEIGHT; j++)
+        {
+            context.moveTo(0, j * scale);
+            context.lineTo(WIDTH * scale, j * scale);
+        }
+        context.stroke();
+    }
+}
+
+// Returns the cell [x, y] of the drawing grid under the mouse (or null)
+function GetMaskEditorCell(event)
+{
+    var canvas = document.getElementById('mask_canvas');
+    var bounds = canvas.getBoundingClientRect();
+    var scale = PREVIEW_SIZE / Math.max(WIDTH, FLOOR_HEIGHT);
+
+    var x = Math.floor((event.clientX - bounds.left) * (canvas.width / bounds.width) / scale);
+    var y = Math.floor((event.clientY - bounds.top) * (canvas.height / bounds.height) / scale);
+
+    if(x < 0 || y < 0 || x >= WIDTH || y >= FLOOR_HEIGHT)
+        return null;
+    return new Array(x, y);
+}
+
+// Called when the mouse is pressed on the drawing grid: flips the cell under
+// it, and keeps doing the same to every cell the mouse is dragged over
+function MaskEditorPressed(event)
+{
+    var cell = GetMaskEditorCell(event);
+    if(cell == null)
+        return;
+
+    // painting is done on the grid as it's shown (at the maze's size)
+    MASK_DRAWN = ScaleShape(MASK_DRAWN, WIDTH, FLOOR_HEIGHT);
+    Mask_Painting = !MASK_DRAWN[cell[0]][cell[1]];
+
+    PaintMaskCell(cell);
+}
+
+// Called when the mouse moves over the drawing grid
+function MaskEditorMoved(event)
+{
+    if(Mask_Painting === null)
+        return;
+
+    var cell = GetMaskEditorCell(event);
+    if(cell != null)
+        PaintMaskCell(cell);
+}
+
+// Called when the mouse is let go (or leaves the drawing grid): the doors are
+// moved onto the edge of the new shape
+function MaskEditorReleased()
+{
+    if(Mask_Painting === null)
+        return;
+
+    Mask_Painting = null;
+    UpdateMask();
+}
+
+// Cuts out (or puts back) one cell of the drawing grid
+function PaintMaskCell(cell)
+{
+    if(MASK_DRAWN[cell[0]][cell[1]] == Mask_Painting)
+        return;
+
+    MASK_DRAWN[cell[0]][cell[1]] = Mask_Painting;
+    BuildMask();
+    DrawMaskEditor();
+}
+
+// Checks the shape for problems before the maze is generated.  Returns a
+// message saying what the problem is, or null if there isn't one.
+function MaskErrors()
+{
+    if(MASK == null)
+        return null;
+
+    // the algorithms that work along whole rows and columns can't skip cells
+    if(GetGenerator(ALGORITHM).rows)
+        return "The " + GetGenerator(ALGORITHM).name + " algorithm needs the whole rectangle of cells - please pick a different algorithm for a shaped maze.";
+
+    if(GetMaskSize() < 2)
+        return "The shape needs at least 2 cells in it!";
+
+    if(!IsMaskConnected())
+        return "Every part of the shape has to join up with the rest - the maze can't get to cells that are cut off.";
+
+    return null;
+}
+
+// Returns true if every cell in the shape can be reached from every other one
+// (ignoring walls).  Every floor has the same shape and the stairs always
+// join the floors up (see levels.js), so only the exit's floor is checked.
+function IsMaskConnected()
+{
+    var reached = new Object();
+    var count = 1;
+    var stack = new Array(new Array(STARTING_X, STARTING_Y));
+    reached[STARTING_X + '_' + STARTING_Y] = true;
+
+    while(stack.length > 0)
+    {
+        var cell = stack.pop();
+
+        // (not up or down the stairs)
+        for(var wall = 0; wall < GRID_SIDES; wall++)
+        {
+            var neighbor = GetNeighbor(cell[0], cell[1], wall);
+            if(neighbor == null)
+                continue;
+
+            var key = neighbor[0] + '_' + neighbor[1];
+            if(!reached[key])
+            {
+                reached[key] = true;
+                count++;
+                stack.push(neighbor);
+            }
+        }
+    }
+
+    return count == GetMaskSize() / LEVELS;
+}
+
+// Returns the tag for the maze code (see "GetMazeCode()") for the shape:
+//  -m[runs]    the cells, row by row, as the lengths of the runs of cells
+//              that are cut out and in the maze (taking turns, starting with
+//              cut out), in base 36 with dots between them - for example
+//              "-m0.6.3.2.3.6" is a 5 x 4 maze with a 3 x 2 hole in the
+//              middle
+// Nothing is added if the maze doesn't have a shape.  Only the first floor is
+// written (they all have the same shape).
+function GetMaskCode()
+{
+    if(MASK == null)
+        return '';
+
+    var runs = new Array();
+    var inside = false;
+    var length = 0;
+
+    for(var j = 0; j < FLOOR_HEIGHT; j++)
+    {
+        for(var i = 0; i < WIDTH; i++)
+        {
+            if(MASK[i][j] != inside)
+            {
+                runs.push(length.toString(36));
+                inside = !inside;
+                length = 0;
+            }
+            length++;
+        }
+    }
+    runs.push(length.toString(36));
+
+    return '-m' + runs.join('.');
+}
+
+// Reads the tag from "GetMaskCode()" out of "tags" into "settings" (taking it
+// out of "tags").  Returns false if it isn't valid.
+function ParseMaskCode(tags, settings)
+{
+    settings.mask = null;
+
+    if(tags.hasOwnProperty('m'))
+    {
+        if(!/^[0-9a-z]+(\.[0-9a-z]+)*$/.test(tags['m']))
+            return false;
+
+        var runs = tags['m'].split('.');
+        var shape = GetFullShape(settings.width, settings.height);
+        var cell = 0;
+
+        for(var r = 0; r < runs.length; r++)
+        {
+            var length = parseInt(runs[r], 36);
+
+            // every cell has to be in exactly one run
+            if(cell + length > settings.width * settings.height)
+                return false;
+
+            for(var c = 0; c < length; c++, cell++)
+                shape[cell % settings.width][Math.floor(cell / settings.width)] = (r % 2 == 1);
+        }
+
+        if(cell != settings.width * settings.height)
+            return false;
+
+        settings.mask = shape;
+        delete tags['m'];
+    }
+
+    return true;
+}
@@ -24,8 +24,16 @@
  *      array[2] = bottom wall
  *      array[3] = left wall
  *      array[4] = visited
+ *      array[5] = cost of walking into the cell (see terrain.js)
  *  A "1" means that wall is still up, and a "0" would mean it has been knocked
- *  down.  If the cell has been visited, "array[4]" would be "true".
+ *  down.  If the cell has been visited, "array[4]" would be "true".  Every
+ *  cell starts out as plain floor, which costs 1 to walk into (one move).
+ *  Mazes can also be made of hexagons, triangles or rings (see topology.js),
+ *  which have a different number of walls - so the code uses "VISITED" and
+ *  "COST" for where those two are kept (4 and 5 on a square grid).  Any of
+ *  them can be cut into a shape, leaving some cells out (see mask.js), or
+ *  stacked up into floors joined by stairs (see levels.js).  Square mazes can
+ *  have passages that tunnel under each other, too (see weave.js).
  *
  *  To generate the maze, we first create a 2-dimensional array full of these
  *  cells, all initialized as above: all 4 walls are up, and none of the cells
@@ -37,7 +45,8 @@
  *  increases as you go DOWN.  So (0,0) would be in the top-left corner.
  *
  *  Say we start here, (so our exiting point will be at cell [0,0]).  We follow
- *  the following steps, recursively:
+ *  the following steps, recursively (the code keeps its own stack of cells
+ *  rather than calling itself, so big mazes don't run out of call stack):
  *  1) Mark the current cell as being visited.
  *  2) Now get a list of neighboring cells - this is defined as cells to the
  *      top, right, bottom, or left of our current cell.
@@ -63,8 +72,9 @@
  *
  *  3) The last section is the maze solver.  Because the maze is generated at
  *  random, I, the computer, nor anyone else knows exactly what the path is
- *  without solving it.  So I wrote a recursive function much like the one used
- *  to generate it, to solve it.  It first starts at the starting point defined
+ *  without solving it.  So I wrote a function much like the one used to
+ *  generate it, to solve it (it also keeps its own stack instead of
+ *  recursing).  It first starts at the starting point defined
  *  by "ENTRANCE_X" and "ENTERANCE_Y".  It then runs through the "Maze" array
  *  and for each cell, finds neighboring cells it has access to (where the wall
  *  is defined as 0 in the array) AND where that neighbor has not yet been
@@ -79,6 +89,17 @@
  *  correspond to cells on the right path - and when colored in the maze, reveal
  *  the proper path from start to finish.
  *
+ *  That only works because a "perfect" maze has exactly one path.  Mazes with
+ *  loops (see "BraidMaze()" in generators.js) have more than one, so the maze
+ *  is actually solved with the A* search in "SolveShortest()", which always
+ *  finds the shortest path.
+ *
+ *  The steps above (reading the settings aside) are run by "CreateMaze()" in
+ *  core.js, which never touches the page - so mazes can be made in Node, too.
+ *  "LoadMaze()" just reads the settings off the page and hands them over.
+ *
+ *  The largest maze supported is MAX_WIDTH x MAX_HEIGHT (500 x 500) cells.
+ *
  ******************************************************************************/
 
 // Cell "class" represented by an array:
@@ -90,11 +111,24 @@
 //  [2] = Bottom wall
 //  [3] = Left wall
 //  [4] = visited
+//  [5] = cost to walk into
+// (other grids have more or fewer walls - see "VISITED" and "COST" in
+// topology.js)
 
 // Default width and height - set by user after GUI loads
 var WIDTH = 40;
 var HEIGHT = 40;
 
+// Height of each floor of the maze.  HEIGHT counts the rows of every floor
+// (see levels.js), so this is only different when there's more than one.
+var FLOOR_HEIGHT = 40;
+
+// Largest width and height supported.  Generating and solving don't use
+// recursion, so the limit isn't the call stack - it's how big a page of DIVs
+// the browser can draw (and how long the slower algorithms take).
+var MAX_WIDTH = 500;
+var MAX_HEIGHT = 500;
+
 // Default starting position (where the Maze exit will be)
 var STARTING_X = WIDTH - 1;
 var STARTING_Y = HEIGHT - 1;
@@ -118,12 +152,23 @@ var BORDER_NO_COLOR = "transparent";
 // Style of the border (PLEASE DON'T CHANGE)
 var BORDER_STYLE = "solid";
 
+// Generation algorithm (key into "GENERATORS" - see generators.js)
+var ALGORITHM = 'backtracker';
+
+// Seed the maze was generated from (see random.js)
+var SEED = 0;
+
 // Entrance [0 = top, 1 = right, 2 = bottom, 3 = left] with respect to starting cell
 var ENTER = 3;
 
 // Exit [0 = top, 1 = right, 2 = bottom, 3 = left] with respect to exiting cell
 var EXIT = 1;
 
+// Which wall of the entrance and exit cells the doors go through (the same as
+// "ENTER" and "EXIT" on a square grid - see "GetDoorWall()" in topology.js)
+var ENTRANCE_WALL = 3;
+var EXIT_WALL = 1;
+
 // HTML that holds the generated Maze
 var Maze_HTML;
 
@@ -137,6 +182,10 @@ var Maze = new Array(WIDTH);
 // Number of steps it takes to solve the maze
 var Steps_to_Solve = 0;
 
+// What the cheapest way through the maze costs (the same as "Steps_to_Solve"
+// unless there's terrain in the maze - see terrain.js)
+var Cost_to_Solve = 0;
+
 /******************************************************************************/
 //                    HTML PAGE GENERATION                                    //
 //                      (Maze code below)                                     //
@@ -154,7 +203,7 @@ var HTML_INFO = '<h2 class="tab">Welcome to my online maze puzzle generator!  Th
 
 // holds printing instructions
 var HTML_PRINT = '<h2 class="step">Printing</h2>\
-                 <h2 class="tab">The way the mazes are drawn are by creating miniature DIV spaces with defined borders.  Because of this, some "Print Previews" may look awful.  However, most printers print just fine.  My suggestion would be to try printing first, and if it doesn\'t come out right, you can take a screenshot and try printing it that way.</h2>';
+                 <h2 class="tab">The way the mazes are drawn are by creating miniature DIV spaces with defined borders.  Because of this, some "Print Previews" may look awful.  For the best printouts, use the download buttons instead:<ul><li>PDF: a title, the puzzle and the answer key, ready to print.  Pick "Fit to Page" to fill one sheet, or "Actual Size" to print at the size shown on screen - big mazes are split across several pages, with registration marks in the margins to line the pages up.</li><li>SVG: drawn with lines, so it stays crisp at any size.</li><li>PNG: a picture at the DPI you choose (300 is good for most printers).</li></ul></h2>';
 
 // holds interactive instructions
 var HTML_INTERACTIVE = '<br><br><h2 class="step">Solve the Maze*</h2>\
@@ -176,8 +225,8 @@ var HTML_BORDER_INPUT = '<table class="tab"><tr><td>Border Width: </td><td><inpu
 
 // holds the entrance and exit inputs
 var HTML_ENTRANCE_EXIT_TITLE = '<br><br><h2 class="step">Entrance and Exit</h2>';
-var HTML_ENTRANCE_INPUT = '<table class="tab"><tr><td>Entrance Location: </td><td><SELECT id="entrance" onchange="UpdateEntrance(this.value);"><OPTION value="tl">Top-Left Corner</OPTION><OPTION value="tr">Top-Right Corner</OPTION><OPTION value="br">Bottom-Right Corner</OPTION><OPTION value="bl">Bottom-Left Corner</OPTION></SELECT></td><td>&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;</td><td>Wall Entrance: </td><td><SELECT id="wall_entrance" onclick="UpdateEWall();"><OPTION value="3">Left Wall</OPTION><OPTION value="0">Top Wall</OPTION></SELECT></td></tr>';
-var HTML_EXIT_INPUT = '<tr><td>Exit Location: </td><td><SELECT id="exit" onchange="UpdateExit(this.value);"><OPTION value="br">Bottom-Right Corner</OPTION><OPTION value="bl">Bottom-Left Corner</OPTION><OPTION value="tr">Top-Right Corner</OPTION><OPTION value="Tl">Top-Left Corner</OPTION></SELECT></td><td>&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;</td><td>Wall Exit: </td><td><SELECT id="wall_exit" onclick="UpdateEWall();"><OPTION value="1">Right Wall</OPTION><OPTION value="3">Bottom Wall</OPTION></SELECT></td></tr>';
+var HTML_ENTRANCE_INPUT = '<table class="tab"><tr><td>Entrance Location: </td><td><SELECT id="entrance" onchange="UpdateEntrance(this.value);"><OPTION value="tl">Top-Left Corner</OPTION><OPTION value="tr">Top-Right Corner</OPTION><OPTION value="br">Bottom-Right Corner</OPTION><OPTION value="bl">Bottom-Left Corner</OPTION></SELECT></td><td>&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;</td><td>Wall Entrance: </td><td><SELECT id="wall_entrance" onchange="UpdateEWall();"><OPTION value="3">Left Wall</OPTION><OPTION value="0">Top Wall</OPTION></SELECT></td></tr>';
+var HTML_EXIT_INPUT = '<tr><td>Exit Location: </td><td><SELECT id="exit" onchange="UpdateExit(this.value);"><OPTION value="br">Bottom-Right Corner</OPTION><OPTION value="bl">Bottom-Left Corner</OPTION><OPTION value="tr">Top-Right Corner</OPTION><OPTION value="tl">Top-Left Corner</OPTION></SELECT></td><td>&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;</td><td>Wall Exit: </td><td><SELECT id="wall_exit" onchange="UpdateEWall();"><OPTION value="1">Right Wall</OPTION><OPTION value="2">Bottom Wall</OPTION></SELECT></td></tr>';
 
 
 // holds the HTML code for the "Generate" button
@@ -192,7 +241,7 @@ var SOLVER_SETTINGS = '<br><br><div style="border: solid 1px #FFF; margin-left:
                     &nbsp;&nbsp;&nbsp;&nbsp;&nbsp;<span><input type="checkbox" id="showsplits" onchange="ToggleSplits(this.checked);"> Show Split Offs</input></span>\
                     &nbsp;&nbsp;&nbsp;&nbsp;&nbsp;<span><input type="checkbox" id="showstats" onchange="ToggleCurrentStats(this.checked);"> Show Current Stats</input></span></div>';
 // holds instructions to solve the maze in the child window created when the "View Puzzle" button is clicked
-var INSTRUCTIONS = '<br><br><div style="margin-left: auto; margin-right: auto; text-align: center;"><img src="static/images/directions.png" width="200px" style="vertical-align: middle;" title="Movement: Up: W, Down: S, Left: A, Right: D">&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;<img src="static/images/click.png" width="100px" style="vertical-align: middle;" title="Click on maze to jump to previously visited location"></div>';
+var INSTRUCTIONS = '<br><br><div style="margin-left: auto; margin-right: auto; text-align: center;"><img src="static/images/directions.png" width="200px" style="vertical-align: middle;" title="Movement: Up: W, Down: S, Left: A, Right: D">&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;&nbsp;<img src="static/images/click.png" width="100px" style="vertical-align: middle;" title="Click on maze to jump to previously visited location"></div><div style="text-align: center; margin-top: 10px;">Undo a move with Ctrl+Z, and redo it with Ctrl+Y.</div>';
 
 // holds the current stats
 var STATS = '<br><br><div id="livestats" style="margin-left: auto; margin-right: auto; text-align: center;"></div>'
@@ -249,185 +298,562 @@ function CheckValue(element)
 }
 
 
-// This function updates the entrance value and the wall options for the drop-down menus
-// Value being passed in can be:
+// The entrance and exit ("doors") can be anywhere along the outside of the
+// maze.  Each door is described by the wall it goes through [0 = top,
+// 1 = right, 2 = bottom, 3 = left] and its position along that wall (counting
+// from the left for the top and bottom walls, and from the top for the left
+// and right walls, starting at 0).  The "Location" drop-downs have shortcuts
+// for the four corners:
 //  tl - top-left
 //  tr - top-right
 //  br - bottom-right
 //  bl - bottom-left
-function UpdateEntrance(location)
+//  custom - anywhere (picked with the "Position" box or the preview)
+
+// Walls a door in each corner can go through (the first one is the default)
+var CORNER_WALLS = {
+    'tl': [3, 0],
+    'tr': [1, 0],
+    'br': [1, 2],
+    'bl': [3, 2]
+};
+
+// Names of the walls for the drop-down menus
+var WALL_NAMES = ['Top Wall', 'Right Wall', 'Bottom Wall', 'Left Wall'];
+
+// Letters used for the walls in maze codes
+var WALL_LETTERS = ['t', 'r', 'b', 'l'];
+
+// Positions of the doors along their walls
+var ENTRANCE_POSITION = 0;
+var EXIT_POSITION = WIDTH - 1;
+
+// Size (in pixels) of the door preview on the main page
+var PREVIEW_SIZE = 300;
+
+// Colors of the entrance and exit on the door preview
+var PREVIEW_ENTRANCE_COLOR = "#00AA00";
+var PREVIEW_EXIT_COLOR = "#FF0000";
+
+// Returns how many cells long a wall is (top and bottom walls are as long as
+// the maze is wide, left and right walls as long as it is high)
+function GetWallLength(wall)
 {
-    document.getElementById('wall_entrance').options.length = 0;
+    if(wall == 0 || wall == 2)
+        return WIDTH;
+    return HEIGHT;
+}
 
-    // if the location is top-left, our entrance will be 0,0
-    if(location == 'tl')
-    {
-        ENTRANCE_X = 0;
-        ENTRANCE_Y = 0;
-        
-        document.getElementById('wall_entrance').options[0] = new Option("Left Wall", 3, true);
-        document.getElementById('wall_entrance').options[1] = new Option("Top Wall", 0, false);
-    }
-    
-    // if the location is top-right, our entrance will be WIDTH, 0
-    if(location == 'tr')
-    {
-        ENTRANCE_X = WIDTH - 1;
-        ENTRANCE_Y = 0;
-        
-        document.getElementById('wall_entrance').options[0] = new Option("Right Wall", 1, true);
-        document.getElementById('wall_entrance').options[1] = new Option("Top Wall", 0, false);
-    }
-    
-    // if the location is bottom-right, our entrance will be WIDTH, HEIGHT
-    if(location == 'br')
+// Returns the cell [x, y] that a door at "position" along "wall" opens into.
+// On a maze cut into a shape (see mask.js) that's the first cell in from the
+// edge that's part of the shape (or the cell on the edge, if none of them are).
+function GetDoorCell(wall, position)
+{
+    var cell = new Array(0, position);
+    if(wall == 0)
+        cell = new Array(position, 0);
+    else if(wall == 1)
+        cell = new Array(WIDTH - 1, position);
+    else if(wall == 2)
+        cell = new Array(position, HEIGHT - 1);
+    
+    // which way is "in" from each wall (without going onto another floor -
+    // see levels.js)
+    var step = [[0, 1], [-1, 0], [0, -1], [1, 0]][wall];
+    var x = cell[0];
+    var y = cell[1];
+    while(x >= 0 && y >= 0 && x < WIDTH && y < HEIGHT && GetFloor(y) == GetFloor(cell[1]))
     {
-        ENTRANCE_X = WIDTH - 1;
-        ENTRANCE_Y = HEIGHT - 1;
+        if(IsInMask(x, y))
+            return new Array(x, y);
         
-        document.getElementById('wall_entrance').options[0] = new Option("Right Wall", 1, true);
-        document.getElementById('wall_entrance').options[1] = new Option("Bottom Wall", 2, false);
+        x += step[0];
+        y += step[1];
     }
     
-    // lastly, if our location is bottom-left, our entrance will be 0, HEIGHT
-    if(location == 'bl')
+    return cell;
+}
+
+// Returns the position along "wall" of the corner "location"
+function GetCornerPosition(location, wall)
+{
+    // corners on the right or bottom are at the far end of the wall
+    if(wall == 0 || wall == 2)
+        return (location == 'tr' || location == 'br') ? WIDTH - 1 : 0;
+    return (location == 'br' || location == 'bl') ? HEIGHT - 1 : 0;
+}
+
+// Returns the "Location" drop-down value for a door: the corner it is in
+// (if it is in a corner, going through one of that corner's walls), or "custom"
+function GetDoorLocation(wall, position)
+{
+    for(var location in CORNER_WALLS)
     {
-        ENTRANCE_X = 0;
-        ENTRANCE_Y = HEIGHT - 1;
-        
-        document.getElementById('wall_entrance').options[0] = new Option("Left Wall", 3, true);
-        document.getElementById('wall_entrance').options[1] = new Option("Bottom Wall", 2, false);
+        if(CORNER_WALLS[location].indexOf(wall) >= 0 && GetCornerPosition(location, wall) == position)
+            return location;
     }
+    return 'custom';
+}
+
+// This function updates the entrance value and the wall options for the drop-down menus
+// when the "Entrance Location" drop-down changes
+function UpdateEntrance(location)
+{
+    UpdateDoorOptions('entrance', location);
+    FixDoors();
+    DrawDoorPreview();
 }
 
 // This function updates the exit value and the wall options for the drop-down menus
-// Value being passed in can be:
-//  tl - top-left
-//  tr - top-right
-//  br - bottom-right
-//  bl - bottom-left
+// when the "Exit Location" drop-down changes
 function UpdateExit(location)
 {
-    document.getElementById('wall_exit').options.length = 0;
+    UpdateDoorOptions('exit', location);
+    FixDoors();
+    DrawDoorPreview();
+}
+
+// Fills in the wall drop-down for a door ("entrance" or "exit"): a corner only
+// has its two outside walls to pick from, anywhere else can use all four
+// (leaving out any the grid can't have doors in - see topology.js).
+// The position box is moved to the corner (if it is a corner).
+function UpdateDoorOptions(door, location)
+{
+    var select = document.getElementById('wall_' + door);
+    var current = parseInt(select.value);
+    var walls = new Array();
+    var allowed = GetTopology().door_sides;
 
-    // if the location is top-left, our entrance will be 0,0
-    if(location == 'tl')
+    for(var i = 0; i < allowed.length; i++)
     {
-        STARTING_X = 0;
-        STARTING_Y = 0;
-        
-        document.getElementById('wall_exit').options[0] = new Option("Left Wall", 3, true);
-        document.getElementById('wall_exit').options[1] = new Option("Top Wall", 0, false);
+        if(!CORNER_WALLS.hasOwnProperty(location) || CORNER_WALLS[location].indexOf(allowed[i]) >= 0)
+            walls.push(allowed[i]);
     }
+
+    // keep corners in the same order as "CORNER_WALLS" (the first is the default)
+    if(CORNER_WALLS.hasOwnProperty(location))
+        walls.sort(function(a, b) { return CORNER_WALLS[location].indexOf(a) - CORNER_WALLS[location].indexOf(b); });
+
+    select.options.length = 0;
+    for(var i = 0; i < walls.length; i++)
+        select.options[i] = new Option(GetSideName(walls[i]), walls[i], i == 0);
+
+    // keep the wall that was picked, if it's still allowed
+    if(walls.indexOf(current) >= 0)
+        select.value = current;
+    else
+        select.value = walls[0];
+
+    if(CORNER_WALLS.hasOwnProperty(location))
+        document.getElementById(door + '_position').value = GetCornerPosition(location, parseInt(select.value)) + 1;
+}
+
+// Reads the exit's wall and position from the page
+function GetExit()
+{
+    SetExit(parseInt(document.getElementById('wall_exit').value), parseInt(document.getElementById('exit_position').value) - 1);
+}
+
+// Puts the exit at "position" along "wall" and works out which cell it is in
+// (where the maze starts being generated from)
+function SetExit(wall, position)
+{
+    EXIT = wall;
+    EXIT_POSITION = position;
     
-    // if the location is top-right, our entrance will be WIDTH, 0
-    if(location == 'tr')
-    {
-        STARTING_X = WIDTH - 1;
-        STARTING_Y = 0;
-        
-        document.getElementById('wall_exit').options[0] = new Option("Right Wall", 1, true);
-        document.getElementById('wall_exit').options[1] = new Option("Top Wall", 0, false);
-    }
+    var cell = GetDoorCell(EXIT, EXIT_POSITION);
+    STARTING_X = cell[0];
+    STARTING_Y = cell[1];
+    EXIT_WALL = GetDoorWall(EXIT, STARTING_X, STARTING_Y);
+}
+
+// Reads the entrance's wall and position from the page
+function GetEntrance()
+{
+    SetEntrance(parseInt(document.getElementById('wall_entrance').value), parseInt(document.getElementById('entrance_position').value) - 1);
+}
+
+// Puts the entrance at "position" along "wall" and works out which cell it is
+// in
+function SetEntrance(wall, position)
+{
+    ENTER = wall;
+    ENTRANCE_POSITION = position;
     
-    // if the location is bottom-right, our entrance will be WIDTH, HEIGHT
-    if(location == 'br')
-    {
-        STARTING_X = WIDTH - 1;
-        STARTING_Y = HEIGHT - 1;
-        
-        document.getElementById('wall_exit').options[0] = new Option("Right Wall", 1, true);
-        document.getElementById('wall_exit').options[1] = new Option("Bottom Wall", 2, false);
-    }
+    var cell = GetDoorCell(ENTER, ENTRANCE_POSITION);
+    ENTRANCE_X = cell[0];
+    ENTRANCE_Y = cell[1];
+    ENTRANCE_WALL = GetDoorWall(ENTER, ENTRANCE_X, ENTRANCE_Y);
+}
+
+// This function updates the Enterance/Exit walls when changed from the drop-down menu
+// (a door in a corner moves to the matching end of its new wall)
+function UpdateEWall()
+{
+    var doors = new Array('entrance', 'exit');
     
-    // lastly, if our location is bottom-left, our entrance will be 0, HEIGHT
-    if(location == 'bl')
+    for(var i = 0; i < doors.length; i++)
     {
-        STARTING_X = 0;
-        STARTING_Y = HEIGHT - 1;
+        var location = document.getElementById(doors[i]).value;
+        var wall = parseInt(document.getElementById('wall_' + doors[i]).value);
         
-        document.getElementById('wall_exit').options[0] = new Option("Left Wall", 3, true);
-        document.getElementById('wall_exit').options[1] = new Option("Bottom Wall", 2, false);
+        if(CORNER_WALLS.hasOwnProperty(location))
+            document.getElementById(doors[i] + '_position').value = GetCornerPosition(location, wall) + 1;
     }
+    
+    // (moving any door that isn't allowed where it ended up)
+    FixDoors();
+    DrawDoorPreview();
 }
 
-function GetExit()
+// This function is called when a door's "Position" box is changed - the door
+// is no longer in a corner, so all four walls become available
+function UpdateDoorPosition(door)
+{
+    document.getElementById(door).value = 'custom';
+    UpdateDoorOptions(door, 'custom');
+    
+    FixDoors();
+    DrawDoorPreview();
+}
+
+// Moves a door ("entrance" or "exit") to "position" along "wall", updating
+// the drop-downs and position box to match
+function SetDoor(door, wall, position)
+{
+    var location = GetDoorLocation(wall, position);
+    
+    document.getElementById(door).value = location;
+    UpdateDoorOptions(door, location);
+    document.getElementById('wall_' + door).value = wall;
+    document.getElementById(door + '_position').value = position + 1;
+    
+    GetEntrance();
+    GetExit();
+}
+
+function UpdateDims()
+{
+    WIDTH = parseInt(document.getElementById('dim_width').value);
+    FLOOR_HEIGHT = parseInt(document.getElementById('dim_height').value);
+    
+    // the height is the height of each floor (see levels.js)
+    ReadLevels();
+    
+    // the shape (if there is one) is stretched to the new size
+    BuildMask();
+    DrawMaskEditor();
+    
+    // doors in corners stay in their corners
+    UpdateEWall();
+}
+
+// Draws a small picture of the maze's outline on the main page showing where
+// the entrance (green) and exit (red) are.  Clicking on an edge of the
+// preview moves a door there (see "DoorPreviewClicked()").
+function DrawDoorPreview()
 {
-    var location = document.getElementById('exit').value;
+    var canvas = document.getElementById('door_preview');
+    if(canvas == null || !(WIDTH > 0) || !(HEIGHT > 0))
+        return;
+    
+    // fit the maze in the preview (leaving room for the doors on the edges)
+    var scale = PREVIEW_SIZE / Math.max(WIDTH, HEIGHT);
+    var margin = 6;
+    canvas.width = Math.ceil(WIDTH * scale) + margin * 2;
+    canvas.height = Math.ceil(HEIGHT * scale) + margin * 2;
     
-    // if the location is top-left, our entrance will be 0,0
-    if(location == 'tl')
+    var context = canvas.getContext('2d');
+    context.clearRect(0, 0, canvas.width, canvas.height);
+    
+    // light grid lines (only if the cells are big enough to see)
+    if(scale >= 4)
     {
-        STARTING_X = 0;
-        STARTING_Y = 0;
+        context.strokeStyle = '#DDDDDD';
+        context.lineWidth = 1;
+        context.beginPath();
+        for(var i = 1; i < WIDTH; i++)
+        {
+            context.moveTo(margin + i * scale, margin);
+            context.lineTo(margin + i * scale, margin + HEIGHT * scale);
+        }
+        for(var j = 1; j < HEIGHT; j++)
+        {
+            context.moveTo(margin, margin + j * scale);
+            context.lineTo(margin + WIDTH * scale, margin + j * scale);
+        }
+        context.stroke();
     }
     
-    // if the location is top-right, our entrance will be WIDTH, 0
-    if(location == 'tr')
+    // shade in the cells of the maze's shape (see mask.js)
+    if(MASK != null)
     {
-        STARTING_X = WIDTH - 1;
-        STARTING_Y = 0;
+        context.fillStyle = '#CCCCCC';
+        for(var i = 0; i < WIDTH; i++)
+        {
+            for(var j = 0; j < HEIGHT; j++)
+            {
+                if(IsInMask(i, j))
+                    context.fillRect(margin + i * scale, margin + j * scale, scale, scale);
+            }
+        }
     }
     
-    // if the location is bottom-right, our entrance will be WIDTH, HEIGHT
-    if(location == 'br')
+    // the floors are shown one above the other (see levels.js), with a line
+    // where each one starts
+    if(LEVELS > 1)
     {
-        STARTING_X = WIDTH - 1;
-        STARTING_Y = HEIGHT - 1;
+        context.strokeStyle = '#888888';
+        context.lineWidth = 2;
+        context.beginPath();
+        for(var floor = 1; floor < LEVELS; floor++)
+        {
+            context.moveTo(margin, margin + floor * FLOOR_HEIGHT * scale);
+            context.lineTo(margin + WIDTH * scale, margin + floor * FLOOR_HEIGHT * scale);
+        }
+        context.stroke();
     }
     
-    // lastly, if our location is bottom-left, our entrance will be 0, HEIGHT
-    if(location == 'bl')
+    context.strokeStyle = BORDER_COLOR;
+    context.lineWidth = 2;
+    context.strokeRect(margin, margin, WIDTH * scale, HEIGHT * scale);
+    
+    DrawPreviewDoor(context, ENTER, ENTRANCE_POSITION, scale, margin, PREVIEW_ENTRANCE_COLOR);
+    DrawPreviewDoor(context, EXIT, EXIT_POSITION, scale, margin, PREVIEW_EXIT_COLOR);
+}
+
+// Draws one door on the preview as a thick colored line over its wall
+function DrawPreviewDoor(context, wall, position, scale, margin, color)
+{
+    if(!(position >= 0 && position < GetWallLength(wall)))
+        return;
+    
+    var cell = GetDoorCell(wall, position);
+    var left = margin + cell[0] * scale;
+    var top = margin + cell[1] * scale;
+    
+    // doors are drawn at least a few pixels long so they can be seen
+    var length = Math.max(scale, 4);
+    
+    context.strokeStyle = color;
+    context.lineWidth = 6;
+    context.beginPath();
+    if(wall == 0 || wall == 2)
+    {
+        var y = (wall == 0) ? top : top + scale;
+        context.moveTo(left + scale / 2 - length / 2, y);
+        context.lineTo(left + scale / 2 + length / 2, y);
+    }
+    else
     {
-        STARTING_X = 0;
-        STARTING_Y = HEIGHT - 1;
+        var x = (wall == 3) ? left : left + scale;
+        context.moveTo(x, top + scale / 2 - length / 2);
+        context.lineTo(x, top + scale / 2 + length / 2);
     }
+    context.stroke();
 }
 
-function GetEntrance()
+// Called when the door preview is clicked: moves the door picked in the
+// "Place" drop-down to the edge of the maze closest to where the user clicked
+function DoorPreviewClicked(event)
 {
-    var location = document.getElementById('entrance').value;
-    
-    // if the location is top-left, our entrance will be 0,0
-    if(location == 'tl')
+    var canvas = document.getElementById('door_preview');
+    var bounds = canvas.getBoundingClientRect();
+    var scale = PREVIEW_SIZE / Math.max(WIDTH, HEIGHT);
+    var margin = 6;
+    
+    // where the click was, in cells (can be a fraction of a cell)
+    var x = ((event.clientX - bounds.left) * (canvas.width / bounds.width) - margin) / scale;
+    var y = ((event.clientY - bounds.top) * (canvas.height / bounds.height) - margin) / scale;
+    
+    // how far the click was from each wall [top, right, bottom, left] (only
+    // the walls the grid can have doors in - see topology.js)
+    var distances = new Array(y, WIDTH - x, HEIGHT - y, x);
+    var allowed = GetTopology().door_sides;
+    var wall = allowed[0];
+    for(var i = 1; i < allowed.length; i++)
     {
-        ENTRANCE_X = 0;
-        ENTRANCE_Y = 0;
+        if(distances[allowed[i]] < distances[wall])
+            wall = allowed[i];
     }
     
-    // if the location is top-right, our entrance will be WIDTH, 0
-    if(location == 'tr')
+    var position = GetClosestDoorPosition(wall, Math.floor((wall == 0 || wall == 2) ? x : y));
+    if(position < 0)
+        return;
+    
+    SetDoor(document.getElementById('door_placing').value, wall, position);
+    DrawDoorPreview();
+}
+
+// Returns the maze code letters for a door: the wall's letter followed by
+// the position along the wall (for example "l0" or "b39")
+function GetDoorCode(wall, position)
+{
+    return WALL_LETTERS[wall] + position;
+}
+
+// Turns a door from a maze code back into [wall, position] for a maze that
+// is "width" by "height".  Codes from before doors could go anywhere used the
+// corner and wall instead (for example "tl3"), so those are understood too.
+// Returns null if the door isn't valid.
+function ParseDoorCode(code, width, height)
+{
+    var match = /^([trbl])(\d+)$/.exec(code);
+    if(match != null)
     {
-        ENTRANCE_X = WIDTH - 1;
-        ENTRANCE_Y = 0;
+        var wall = WALL_LETTERS.indexOf(match[1]);
+        var position = parseInt(match[2]);
+        var length = (wall == 0 || wall == 2) ? width : height;
+        
+        if(position >= length)
+            return null;
+        return new Array(wall, position);
     }
     
-    // if the location is bottom-right, our entrance will be WIDTH, HEIGHT
-    if(location == 'br')
+    match = /^(tl|tr|br|bl)([0-3])$/.exec(code);
+    if(match != null)
     {
-        ENTRANCE_X = WIDTH - 1;
-        ENTRANCE_Y = HEIGHT - 1;
+        var wall = parseInt(match[2]);
+        if(CORNER_WALLS[match[1]].indexOf(wall) < 0)
+            return null;
+        
+        // corners on the right or bottom are at the far end of the wall
+        var position = 0;
+        if(wall == 0 || wall == 2)
+            position = (match[1] == 'tr' || match[1] == 'br') ? width - 1 : 0;
+        else
+            position = (match[1] == 'br' || match[1] == 'bl') ? height - 1 : 0;
+        
+        return new Array(wall, position);
     }
     
-    // lastly, if our location is bottom-left, our entrance will be 0, HEIGHT
-    if(location == 'bl')
+    return null;
+}
+
+// Builds the "maze code" for the maze that was just generated.  The code holds
+// everything needed to make the exact same maze again, separated by dashes:
+//  [width]x[height]-[algorithm]-[entrance]-[exit]-[seed]
+// The doors are written as their wall's letter and position (see
+// "GetDoorCode()") and the seed is written in base 36 to keep the code short.
+// Any other settings that were changed from their defaults are added to the
+// end as "tags": a dash, a letter saying what the setting is, and its value
+// (see "GetGeneratorCode()" in generators.js, "GetBiasCode()" in bias.js,
+// "GetPuzzleCode()" in puzzle.js, "GetTerrainCode()" in terrain.js,
+// "GetTopologyCode()" in topology.js, "GetMaskCode()" in mask.js,
+// "GetLevelCode()" in levels.js and "GetWeaveCode()" in weave.js).
+// The height is the height of each floor, and the doors on the left and
+// right walls count down through every floor.
+// Examples:
+//  40x40-backtracker-l0-r39-1kx3zq
+//  40x40-backtracker-l0-r39-1kx3zq-b25-e2f-w5-t30
+//  40x40-prim-l0-r39-1kx3zq-dh40-r60
+//  30x12-backtracker-b0-t0-1kx3zq-gp
+//  5x4-prim-l0-r3-1kx3zq-m0.6.3.2.3.6
+//  20x20-backtracker-t0-b19-1kx3zq-l3
+//  20x20-backtracker-l0-r19-1kx3zq-x20
+function GetMazeCode()
+{
+    return WIDTH + 'x' + FLOOR_HEIGHT + '-' + ALGORITHM + '-' +
+           GetDoorCode(ENTER, ENTRANCE_POSITION) + '-' +
+           GetDoorCode(EXIT, EXIT_POSITION) + '-' +
+           SEED.toString(36) + GetGeneratorCode() + GetBiasCode() + GetPuzzleCode() + GetTerrainCode() + GetTopologyCode() +
+           GetMaskCode() + GetLevelCode() + GetWeaveCode();
+}
+
+// Splits a maze code (see "GetMazeCode()") into its settings.
+// Returns null if the code isn't valid.
+function ParseMazeCode(code)
+{
+    var match = /^(\d+)x(\d+)-([a-z]+)-([a-z]+\d+)-([a-z]+\d+)-([0-9a-z]+)((?:-[a-z][0-9a-z.]*)*)$/i.exec(String(code).replace(/\s+/g, ''));
+
+    if(match == null || !GENERATORS.hasOwnProperty(match[3].toLowerCase()))
+        return null;
+
+    var settings = {
+        width: parseInt(match[1]),
+        height: parseInt(match[2]),
+        algorithm: match[3].toLowerCase(),
+        seed: parseInt(match[6], 36)
+    };
+    if(settings.seed > MAX_SEED)
+        return null;
+
+    // split the tags up by their letter (each one can only be used once)
+    var tags = new Object();
+    var list = match[7].toLowerCase().split('-');
+    for(var i = 1; i < list.length; i++)
     {
-        ENTRANCE_X = 0;
-        ENTRANCE_Y = HEIGHT - 1;
+        if(tags.hasOwnProperty(list[i].charAt(0)))
+            return null;
+        tags[list[i].charAt(0)] = list[i].substring(1);
     }
+
+    // each setting takes its own tags out - anything left over isn't valid
+    if(!ParseGeneratorCode(tags, settings) || !ParseBiasCode(tags, settings) || !ParsePuzzleCode(tags, settings) || !ParseTerrainCode(tags, settings) ||
+       !ParseTopologyCode(tags, settings) || !ParseMaskCode(tags, settings) || !ParseLevelCode(tags, settings) ||
+       !ParseWeaveCode(tags, settings))
+        return null;
+    for(var tag in tags)
+        return null;
+
+    // the doors on the left and right walls can be on any floor
+    var entrance = ParseDoorCode(match[4].toLowerCase(), settings.width, settings.height * settings.levels);
+    var exit = ParseDoorCode(match[5].toLowerCase(), settings.width, settings.height * settings.levels);
+    if(entrance == null || exit == null)
+        return null;
+
+    settings.enter = entrance[0];
+    settings.entrance_position = entrance[1];
+    settings.exit_wall = exit[0];
+    settings.exit_position = exit[1];
+
+    return settings;
 }
 
-// This function updates the Enterance/Exit walls when changed from the drop-down menu
-function UpdateEWall()
+// Called when the "Load Code" button is clicked.  Fills in all of the settings
+// from the maze code typed in and generates the maze again.
+function LoadMazeCode()
 {
-    ENTER = document.getElementById('wall_entrance').value;
-    EXIT = document.getElementById('wall_exit').value;
+    var settings = ParseMazeCode(document.getElementById('maze_code').value);
+
+    if(settings == null)
+    {
+        alert("That maze code doesn't look right - please check it and try again!");
+        return;
+    }
+
+    SetPageSettings(settings);
+
+    LoadMaze();
 }
 
-function UpdateDims()
+// Fills in every setting on the page from "settings" (laid out like the ones
+// "ParseMazeCode()" returns)
+function SetPageSettings(settings)
 {
-    WIDTH = parseInt(document.getElementById('dim_width').value);
-    HEIGHT = parseInt(document.getElementById('dim_height').value);
+    document.getElementById('dim_width').value = settings.width;
+    document.getElementById('dim_height').value = settings.height;
+    document.getElementById('algorithm').value = settings.algorithm;
+    document.getElementById('seed').value = settings.seed;
+    document.getElementById('braid').value = settings.braid;
+    document.getElementById('terrain').value = settings.terrain;
+    document.getElementById('topology').value = settings.topology;
+    document.getElementById('levels').value = settings.levels;
+    document.getElementById('weave').value = settings.weave;
+    SetTopology(settings.topology);
+    UpdateDims();
+    SetMaskShape(settings.mask);
+
+    SetDoor('entrance', settings.enter, settings.entrance_position);
+    SetDoor('exit', settings.exit_wall, settings.exit_position);
+    DrawDoorPreview();
+
+    SetPuzzleSettings(settings);
+    SetBiasSettings(settings);
+    
+    // (maze codes don't have a cell size - saved mazes do)
+    if(settings.cell_size !== undefined)
+        document.getElementById('cell_size').value = settings.cell_size;
 }
 
 /******************************************************************************/
@@ -440,60 +866,98 @@ function ResetValues()
     Maze = new Array(WIDTH);
     Solution_List = new Array();
     Steps_to_Solve = 0;
+    Cost_to_Solve = 0;
 }
 
-// Initialize the maze as WIDTHxHEIGHT, setting all cells to have NOT been visited
-// and all four walls turned on (put up)
+// Generates a new maze from the settings on the page (see "CreateMaze()" in
+// core.js) and shows it
 function LoadMaze()
 {
-    ResetValues();
-    GetEntrance();
-    GetExit();
-    UpdateEWall();
-    
-    HEIGHT = parseInt(document.getElementById('dim_height').value);
-    WIDTH = parseInt(document.getElementById('dim_width').value);
-    //BORDER_WIDTH = parseInt(document.getElementById('border_thickness').value);
-    CELL_SIZE = parseInt(document.getElementById('cell_size').value);
-    
-    // do some error checking
-    if(ICanHazErrors())
-        return;
-    
-    // start by creating a 10x10 maze
-    for(var i = 0; i < WIDTH; i++)
+    try
     {
-        Maze[i] = new Array(HEIGHT);
-        for(var j = 0; j < HEIGHT; j++)
-        {
-            Maze[i][j] = new Array(5);
-            Maze[i][j][0] = 1;
-            Maze[i][j][1] = 1;
-            Maze[i][j][2] = 1;
-            Maze[i][j][3] = 1;
-            Maze[i][j][4] = false;
-        }
+        // (keeps making mazes until one is as hard as asked for - see
+        // metrics.js)
+        CreateRatedMaze(ReadMazeSettings(), document.getElementById('difficulty').value);
     }
+    catch(error)
+    {
+        alert(error.message);
+        return;
+    }
+    
+    ShowMaze();
+    
+    // notify the user!
+    alert('New Maze Generated!');
+}
 
-    // start the maze at exit points
-    GenerateMaze(STARTING_X,STARTING_Y);
-
-    // setup the enterance and exit points
-    InstallDoors();
+// Reads every setting for the maze off the page, laid out for "CreateMaze()"
+// (see core.js)
+function ReadMazeSettings()
+{
+    var settings = new Object();
+    
+    settings.width = parseInt(document.getElementById('dim_width').value);
+    settings.height = parseInt(document.getElementById('dim_height').value);
+    settings.topology = document.getElementById('topology').value;
+    settings.levels = parseInt(document.getElementById('levels').value);
+    
+    // (a picture is turned into a shape the size of the maze - see mask.js)
+    WIDTH = settings.width;
+    FLOOR_HEIGHT = settings.height;
+    settings.mask = ReadMaskShape();
+    
+    settings.enter = parseInt(document.getElementById('wall_entrance').value);
+    settings.entrance_position = parseInt(document.getElementById('entrance_position').value) - 1;
+    settings.exit_wall = parseInt(document.getElementById('wall_exit').value);
+    settings.exit_position = parseInt(document.getElementById('exit_position').value) - 1;
+    
+    //BORDER_WIDTH = parseInt(document.getElementById('border_thickness').value);
+    settings.cell_size = parseInt(document.getElementById('cell_size').value);
+    settings.algorithm = document.getElementById('algorithm').value;
+    
+    // (an empty seed field picks a brand new seed)
+    settings.seed = document.getElementById('seed').value;
+    
+    settings.braid = parseInt(document.getElementById('braid').value);
+    settings.bias = parseInt(document.getElementById('bias').value);
+    settings.straightness = parseInt(document.getElementById('straightness').value);
+    settings.twistiness = parseInt(document.getElementById('twistiness').value);
+    settings.terrain = parseInt(document.getElementById('terrain').value);
+    settings.weave = parseInt(document.getElementById('weave').value);
+    settings.extra_exits = parseInt(document.getElementById('extra_exits').value);
+    settings.exit_mode = document.getElementById('exit_mode').value;
+    settings.waypoints = parseInt(document.getElementById('waypoints').value);
+    
+    return settings;
+}
 
+// Shows the maze that was just made: draws it (and its answer), fills in its
+// maze code and adds the links
+function ShowMaze()
+{
     // After the maze is generated, create a table - each with cells containing
     // borders that match each cell in the maze (draw the maze: HTML-style baby!)
     Maze_HTML = DrawMaze();
     
-    // Solve the maze, if requested (most likely)
-    SolveMaze();
+    // draw the HTML code of the answer (maze with path filled in)
+    Maze_HTML_Answer = DrawMazeAnswer();
+    
+    // show the code that will make this exact maze again
+    document.getElementById('maze_code').value = GetMazeCode();
     
     // show the links
-    document.getElementById('links').innerHTML = '<button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="PlayPuzzle()">Play!</button><button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="ShowPuzzle()">View Printer-Friendly Version</button><button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="ShowAnswer()">View Answer</button>';
+    document.getElementById('links').innerHTML = '<button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="PlayPuzzle()">Play!</button><button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="ShowPuzzle()">View Printer-Friendly Version</button><button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="ShowAnswer()">View Answer</button><button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="EditMaze()">Edit Maze</button><button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="AnimateMaze()">Animate</button><button type="button" class="btn btn-success" style="margin-left: 20px;" onclick="ShowSolverComparison()">Compare Solvers</button><button type="button" class="btn btn-default" style="margin-left: 20px;" onclick="DownloadSVG(false)">Download Puzzle (SVG)</button><button type="button" class="btn btn-default" style="margin-left: 20px;" onclick="DownloadSVG(true)">Download Answer (SVG)</button><button type="button" class="btn btn-default" style="margin-left: 20px;" onclick="DownloadPNG(false)">Download Puzzle (PNG)</button><button type="button" class="btn btn-default" style="margin-left: 20px;" onclick="DownloadPNG(true)">Download Answer (PNG)</button><button type="button" class="btn btn-default" style="margin-left: 20px;" onclick="DownloadPDF()">Download PDF</button><button type="button" class="btn btn-default" style="margin-left: 20px;" onclick="DownloadText(false)">Download Puzzle (Text)</button><button type="button" class="btn btn-default" style="margin-left: 20px;" onclick="DownloadText(true)">Download Answer (Text)</button><button type="button" class="btn btn-default" style="margin-left: 20px;" onclick="DownloadJSON()">Export JSON</button>';
     
-    // notify the user!
-    alert('New Maze Generated!');
+    // show how hard it is (see metrics.js)
+    ShowMazeMetrics();
     
+    // and keep the editor (if it's open) showing the same maze - an
+    // animation or solver comparison of the old one is closed (see
+    // animation.js and solvers.js)
+    DrawEditor();
+    CloseAnimation();
+    CloseSolverComparison();
 }
 
 // This function is called when the (dynamically) generated "View Puzzle" button
@@ -522,13 +986,35 @@ function PlayPuzzle()
     // create a general "DIV" which will capture keystrokes
     new_window.document.write('\n<body><h2 align="center">Maze Puzzle</h2><br>');
     
-    // write maze information
-    new_window.document.write(Maze_HTML);
+    // the maze is drawn on a canvas (by solver.js) - one element is much
+    // quicker to update than a DIV for every cell
+    new_window.document.write('\n<canvas id="maze_canvas" style="display: block; margin-left: auto; margin-right: auto; cursor: pointer;"></canvas>');
+    
+    // the clock (see solver.js) - it starts with the first move
+    new_window.document.write('\n<div id="timer" style="text-align: center; margin-top: 10px;">Time: 0:00.0</div>');
+    
+    // say which floor is being shown, and how to take the stairs (see
+    // levels.js)
+    if(LEVELS > 1)
+        new_window.document.write('\n<div id="floor_label" style="text-align: center; margin-top: 10px;"></div><div style="text-align: center;">Take the stairs up with R (or Page Up) and down with F (or Page Down).</div>');
+    
+    // show what the terrain costs (if there is any)
+    if(HasTerrain())
+        new_window.document.write('\n<div style="text-align: center; margin-top: 10px;">' + GetTerrainLegend() + '</div>');
     
     // add instructions
     new_window.document.write('\n'+SOLVER_SETTINGS+'\n'+STATS+'\n'+INSTRUCTIONS);
     
-    // include the "solver.js" file - which allows for interactive solving!
+    // include the "topology.js", "mask.js", "levels.js" and "weave.js" files (the shape of the cells and of the maze, its floors
+    // and its tunnels), the
+    // "terrain.js" file (terrain colors and costs), the "canvas.js" file (drawing) and the "solver.js" file - which
+    // allows for interactive solving!
+    new_window.document.write('<script language="JavaScript" type="text/javascript" src="static/js/topology.js"></script>');
+    new_window.document.write('<script language="JavaScript" type="text/javascript" src="static/js/mask.js"></script>');
+    new_window.document.write('<script language="JavaScript" type="text/javascript" src="static/js/levels.js"></script>');
+    new_window.document.write('<script language="JavaScript" type="text/javascript" src="static/js/weave.js"></script>');
+    new_window.document.write('<script language="JavaScript" type="text/javascript" src="static/js/terrain.js"></script>');
+    new_window.document.write('<script language="JavaScript" type="text/javascript" src="static/js/canvas.js"></script>');
     new_window.document.write('<script language="JavaScript" type="text/javascript" src="static/js/solver.js"></script>');
     
     new_window.document.close();
@@ -545,106 +1031,182 @@ function ShowAnswer()
     new_window.document.close()
 }
 
-// Checks to make sure there are no errors in the GUI (silly pplz)
+// Saves "contents" to the user's computer as a file called "filename".
+// "type" is the kind of file it is (for example "image/svg+xml").
+function DownloadFile(filename, type, contents)
+{
+    var link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([contents], { type: type }));
+    link.download = filename;
+    
+    // the link has to be on the page for some browsers to follow it
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    
+    URL.revokeObjectURL(link.href);
+}
+
+// Checks to make sure there are no errors in the GUI (silly pplz).
+// Returns a message saying what's wrong (the first problem found), or null if
+// everything is good.
 function ICanHazErrors()
 {
+    var error = null;
+    
     // check to make sure entrance and exits aren't the same
     if(STARTING_X == ENTRANCE_X && STARTING_Y == ENTRANCE_Y)
-    {
-        alert("You cannot have the same cell be both the entrance and exit!");
-        return true;
-    }
-    
-    // make sure height, width is all good
-    if(HEIGHT <= 0 || WIDTH <= 0)
-    {
-        alert("Error with dimensions...please check to make sure height and width are above zero!");
-        return true;
-    }
+        return "You cannot have the same cell be both the entrance and exit!";
+    
+    // make sure height, width is all good (and are numbers at all)
+    if(!(HEIGHT > 0 && WIDTH > 0))
+        return "Error with dimensions...please check to make sure height and width are above zero!";
+    
+    // check the number of floors (see levels.js)
+    error = LevelErrors();
+    if(error != null)
+        return error;
+    
+    // make sure the doors are actually on their walls
+    if(!(ENTRANCE_POSITION >= 0 && ENTRANCE_POSITION < GetWallLength(ENTER)))
+        return "The entrance position must be between 1 and " + GetWallLength(ENTER) + " for the " + GetSideName(ENTER) + ".";
+    if(!(EXIT_POSITION >= 0 && EXIT_POSITION < GetWallLength(EXIT)))
+        return "The exit position must be between 1 and " + GetWallLength(EXIT) + " for the " + GetSideName(EXIT) + ".";
+    
+    // and that the grid can have a door there (see topology.js)
+    if(ENTRANCE_WALL < 0 || EXIT_WALL < 0)
+        return (MASK != null ? "The edge of the shape" : "A " + GetTopology().name + " maze") + " can't have a door there - please move the " + (ENTRANCE_WALL < 0 ? "entrance" : "exit") + " to a different spot.";
+    
+    // check the shape the maze is cut into (see mask.js)
+    error = MaskErrors();
+    if(error != null)
+        return error;
+    
+    // some algorithms only work on grids with rows and columns
+    if(GetGenerator(ALGORITHM).rows && !GetTopology().rows)
+        return "The " + GetGenerator(ALGORITHM).name + " algorithm needs rows and columns of cells - please pick a different algorithm for a " + GetTopology().name + " maze.";
+    
+    // a circular maze with fewer than 3 wedges would join cells to themselves
+    if(TOPOLOGY == 'polar' && WIDTH < 3)
+        return "A circular maze needs to be at least 3 cells wide.";
+    
+    // and can't have too many rings for its width (see topology.js)
+    error = TopologyErrors();
+    if(error != null)
+        return error;
+    
+    // braiding is a percentage
+    if(!(BRAID >= 0 && BRAID <= 100))
+        return "The loops setting is a percentage of dead ends to remove - please pick a number from 0 to 100.";
+    
+    // check the direction, straightness and twistiness (see bias.js)
+    error = BiasErrors();
+    if(error != null)
+        return error;
+    
+    // the terrain is a percentage too
+    if(!(TERRAIN >= 0 && TERRAIN <= 100))
+        return "The terrain setting is the percentage of the maze to cover - please pick a number from 0 to 100.";
+    
+    // check the passages tunneling under each other (see weave.js)
+    error = WeaveErrors();
+    if(error != null)
+        return error;
+    
+    // check the extra exits and waypoints
+    error = PuzzleErrors();
+    if(error != null)
+        return error;
+    
+    // make sure the maze isn't bigger than we can handle
+    // (counting the rows of every floor)
+    if(HEIGHT > MAX_HEIGHT || WIDTH > MAX_WIDTH)
+        return "That maze is too big!  The largest maze supported is " + MAX_WIDTH + " cells wide and " + MAX_HEIGHT + " cells high" + (LEVELS > 1 ? " (all of the floors put together)." : ".");
     
     // make sure border is ok
     if(BORDER_WIDTH <= 0)
-    {
-        alert("No border will result in a white box.  Please make sure your border is at least 1.");
-        return true;
-    }
+        return "No border will result in a white box.  Please make sure your border is at least 1.";
     
     if(BORDER_WIDTH >= CELL_SIZE)
-    {
-        alert("Your border is the size of your cells - this is really ugly and probably won't work...please fix this!");
-        return true;
-    }
+        return "Your border is the size of your cells - this is really ugly and probably won't work...please fix this!";
     
     if(CELL_SIZE < 4)
-    {
-        alert("The cell size is awfully small - please make it bigger?");
-        return true;
-    }
+        return "The cell size is awfully small - please make it bigger?";
     
-    return false;
+    return null;
 }
 
-// Recursive function, passing in the "current cell"
+// Generates the maze, starting at the cell passed in.
+// This follows the exact steps described at the top of this file, but instead
+// of calling itself once for every cell (which runs out of call stack on big
+// mazes), it keeps its own "stack" of the cells it is part way through.  The
+// cell on top of the stack is the one we're working on: when it runs out of
+// neighbors we pop it off and pick up where we left off with the cell below
+// it - exactly like returning from the recursive call would.
 function GenerateMaze(w, h)
 {
-    //alert("Marking ["+w+","+h+"] as Visited");
-    // Mark the current cell as "visited"
-    Maze[w][h][4] = true;
+    // cells we are part way through, with their shuffled neighbors
+    var stack = new Array();
+    stack.push(VisitCell(w, h, null));
     
-    // Get a list of neighbors
-    var neighbors_unshuffled = GetNeighbors(w,h);
-    
-    // Randomly shuffle our neighbors
-    var neighbors = ShuffleNeighbors(neighbors_unshuffled);
-    
-    // loop through our neighbors list...
-    for(var i = 0; i < neighbors.length; i++)
+    while(stack.length > 0)
     {
-        // check if this neighbor has been visited
-        //alert("Checking if Neighbor: ["+neighbors[i][0]+","+neighbors[i][1]+"] as been visited: "+Maze[neighbors[i][0]][neighbors[i][1]][4]);
+        var current = stack[stack.length - 1];
+        
+        // if we've checked all of this cell's neighbors, we're done with it
+        if(current.next >= current.neighbors.length)
+        {
+            stack.pop();
+            RecordStep(new Array('back', current.w, current.h));
+            continue;
+        }
+        
+        var neighbor = current.neighbors[current.next];
+        current.next++;
         
-        if(Maze[neighbors[i][0]][neighbors[i][1]][4] == false)
+        // check if this neighbor has been visited
+        if(Maze[neighbor[0]][neighbor[1]][VISITED] == false)
         {
-            //alert("Removing wall between ["+w+","+h+"] and ["+neighbors[i][0]+","+neighbors[i][1]+"]");
             // remove the wall between this cell, and the current neighbor
-            RemoveWall(w,h,neighbors[i]);
+            RemoveWall(current.w, current.h, neighbor);
             
-            //alert("Calling function with new neighbor: ["+neighbors[i][0]+","+neighbors[i][1]+"]");
-            // Recursively call GenerateMaze, passing in this new neighbor
-            GenerateMaze(neighbors[i][0], neighbors[i][1]);
+            // and carry on from the neighbor
+            stack.push(VisitCell(neighbor[0], neighbor[1], new Array(current.w, current.h)));
         }
     }
 }
 
+// Marks the cell as "visited" and returns the stack entry used by
+// "GenerateMaze()": the cell, its randomly shuffled neighbors, and which
+// neighbor to check next.  "previous" is the cell we carved in from (or null)
+// - the passages can be steered by which way they're going (see bias.js).
+function VisitCell(w, h, previous)
+{
+    Maze[w][h][VISITED] = true;
+    
+    var neighbors = GetNeighbors(w, h);
+    if(HasBias())
+        ShuffleBiased(new Array(w, h), neighbors, previous);
+    else
+        ShuffleNeighbors(neighbors);
+    
+    return { w: w, h: h, neighbors: neighbors, next: 0 };
+}
+
 // Examines the enterance and exit locations and makes the proper adjustment based
-// on the ENTER and EXIT values
+// on the ENTRANCE_WALL and EXIT_WALL values
 function InstallDoors()
 {
-    // Install Entrance opening
-    // [0 = top, 1 = right, 2 = bottom, 3 = left] with respect to starting cell
-    if (ENTER == 0)
-        Maze[ENTRANCE_X][ENTRANCE_Y][0] = 0;
-    if (ENTER == 1)
-        Maze[ENTRANCE_X][ENTRANCE_Y][1] = 0;
-    if (ENTER == 2)
-        Maze[ENTRANCE_X][ENTRANCE_Y][2] = 0;
-    if (ENTER == 3)
-        Maze[ENTRANCE_X][ENTRANCE_Y][3] = 0;
+    // Install Entrance opening (the wall of the starting cell it goes through)
+    Maze[ENTRANCE_X][ENTRANCE_Y][ENTRANCE_WALL] = 0;
         
-    // Install Exit opening
-    // [0 = top, 1 = right, 2 = bottom, 3 = left] with respect to ending cell
-    if (EXIT == 0)
-        Maze[STARTING_X][STARTING_Y][0] = 0;
-    if (EXIT == 1)
-        Maze[STARTING_X][STARTING_Y][1] = 0;
-    if (EXIT == 2)
-        Maze[STARTING_X][STARTING_Y][2] = 0;
-    if (EXIT == 3)
-        Maze[STARTING_X][STARTING_Y][3] = 0;
+    // Install Exit opening (the wall of the ending cell it goes through)
+    Maze[STARTING_X][STARTING_Y][EXIT_WALL] = 0;
 }
 
-// Returns a list of arrays (w,h) that are above, below, left, and right of
-// the cell that is passed in.
+// Returns a list of arrays (w,h) of the cells next to the cell that is passed
+// in (on a square grid: above, right, below and left, in that order - one
+// for each wall, see "GetNeighbor()" in topology.js).
 // Be careful: we need to check where our boundaries are so we don't end up with
 // a neighbor location beyond the edges of our 2D array (maze)
 function GetNeighbors(w,h)
@@ -652,34 +1214,14 @@ function GetNeighbors(w,h)
     // list of neighbors
     var neighbors = new Array();
     
-    // keep track of the number of neighbors we're at
-    var current_neighbor = 0;
-    
-    // first add the neighbor above
-    if(h != 0)
-    {
-        neighbors[current_neighbor] = new Array(w, h-1);
-        current_neighbor++;
-    }
-    
-    // add the neighbor to the right
-    if(w < WIDTH - 1)
+    // walls on the outside of the maze don't have a neighbor
+    for(var wall = 0; wall < SIDES; wall++)
     {
-        neighbors[current_neighbor] = new Array(w+1, h);
-        current_neighbor++;
+        var neighbor = GetNeighbor(w, h, wall);
+        if(neighbor != null)
+            neighbors.push(neighbor);
     }
     
-    // add the neighbor below
-    if(h < HEIGHT - 1)
-    {
-        neighbors[current_neighbor] = new Array(w, h+1);
-        current_neighbor++;
-    }
-    
-    // add the neighbor to the left
-    if(w != 0)
-        neighbors[current_neighbor] = new Array(w-1, h);
-    
     return neighbors;
 }
 
@@ -691,7 +1233,8 @@ function ShuffleNeighbors(neighbors)
     for(var i = 0; i < neighbors.length; i++)
     {
         // get a random number based on the length of our list
-        random_index = Math.floor(Math.random()*neighbors.length);
+        // (from the seeded generator, so the same seed gives the same maze)
+        random_index = RandomInt(neighbors.length);
         
         // swap the two arrays at 'i' and 'random_index' (deep copy)
         var temp_array = new Array(2);
@@ -712,50 +1255,49 @@ function ShuffleNeighbors(neighbors)
 // This function removes the wall between the cell at "w,h" and
 // the cell represented by the array "neighbor[w,h]".
 // The "wall" is represented by a "1" (or "0" for absence) in the
-// "Maze" array.
+// "Maze" array.  Both cells keep their own copy of the wall (for example our
+// top wall [0] is the neighbor above's bottom wall [2]), so both come down.
 function RemoveWall(w, h, neighbor)
 {
-    // if the neighbor is above us
-    if(neighbor[1] < h)
-    {
-        // remove the wall above us [0] and the neighbor's bottom wall [2]
-        Maze[w][h][0] = 0;
-        Maze[neighbor[0]][neighbor[1]][2] = 0;
-        return;
-    }
-    
-    // if the neighbor is below us
-    if(neighbor[1] > h)
-    {
-        // remove the wall below us [2] and the neighbor's top wall [0]
-        Maze[w][h][2] = 0;
-        Maze[neighbor[0]][neighbor[1]][0] = 0;
-        return;
-    }
+    Maze[w][h][GetWallBetween(w, h, neighbor)] = 0;
+    Maze[neighbor[0]][neighbor[1]][GetWallBetween(neighbor[0], neighbor[1], new Array(w, h))] = 0;
     
-    // if the neighbor is to the right of us
-    if(neighbor[0] > w)
-    {
-        // remove the wall to the right of us [1] and the neighbor's left wall [3]
-        Maze[w][h][1] = 0;
-        Maze[neighbor[0]][neighbor[1]][3] = 0;
-        return;
-    }
-    
-    // if the neighbor is to the left of us
-    if(neighbor[0] < w)
-    {
-        // remove the wall to the left of us [3] and the neighbor's right wall [1]
-        Maze[w][h][3] = 0;
-        Maze[neighbor[0]][neighbor[1]][1] = 0;
-        return;
-    }
+    RecordStep(new Array('carve', w, h, neighbor[0], neighbor[1]));
+}
+
+// Writes "step" down for the animation (see animation.js) - if it's being
+// written down at all.  Each step is a list: what happened, then the cell it
+// happened to (and the neighbor, for a wall being knocked down):
+//  ['carve', x, y, nx, ny] - the wall between two cells was knocked down
+//  ['back', x, y]          - the generator is done with a cell and backs up
+//  ['enter', x, y]         - the solver walked into a cell
+//  ['leave', x, y]         - the solver hit a dead end and backed out
+function RecordStep(step)
+{
+    if(Animation_Steps != null)
+        Animation_Steps.push(step);
+}
+
+// Puts the wall between the cell at "w,h" and the cell "neighbor[w,h]" back
+// up - on both sides, just like "RemoveWall()" knocks it down (used by the
+// editor - see editor.js)
+function AddWall(w, h, neighbor)
+{
+    Maze[w][h][GetWallBetween(w, h, neighbor)] = 1;
+    Maze[neighbor[0]][neighbor[1]][GetWallBetween(neighbor[0], neighbor[1], new Array(w, h))] = 1;
 }
 
 // This function loops through the "Maze" and for each cell, draws a DIV cell
 // with borders that match the "walls" of that cell...
+// (DIVs can only be square, and can't leave out the cells cut out of a shape,
+// lay the floors out side by side or draw bridges, so the other grids, shaped
+// mazes, mazes with more than one floor and weave mazes are drawn as SVG
+// instead)
 function DrawMaze()
 {
+    if(TOPOLOGY != 'square' || MASK != null || LEVELS > 1 || HasCrossings())
+        return DrawMazeSVGHTML(false);
+    
     // HTML variable to hold our code
     var HTML = '\n<div style="margin-left: auto; margin-right: auto; display: table; border-collapse:collapse; ">';
     
@@ -770,6 +1312,13 @@ function DrawMaze()
             // create a new cell
             HTML += '    <div id="'+i+'_'+j+'" style="display: table-cell; border-width:' + BORDER_WIDTH + '; border-style:' + BORDER_STYLE + '; float: left; ';
             
+            // waypoints are colored in so they can be found on the printout
+            // (and so is any terrain)
+            if(IsWaypoint(i, j))
+                HTML += 'background-color: ' + WAYPOINT_COLOR + '; ';
+            else
+                HTML += 'background-color: ' + GetTerrainColor(i, j) + '; ';
+            
             // get our border information
             HTML += GetBorderStyles(i, j);
             HTML += '" onclick="JumpHere(this.id);">';
@@ -885,6 +1434,16 @@ function GetBorderStyles(w, h)
         else
             additional_width += BORDER_WIDTH;
     }
+    for(var i = 0; i < Extra_Exits.length; i++)
+    {
+        if(Extra_Exits[i].x == w && Extra_Exits[i].y == h)
+        {
+            if(Extra_Exits[i].wall == 0 || Extra_Exits[i].wall == 2)
+                additional_height += BORDER_WIDTH;
+            else
+                additional_width += BORDER_WIDTH;
+        }
+    }
     
     // add our final widths and heights for this cell
     CSS += ' width:' + additional_width + 'px; height:' + additional_height +'px;';
@@ -901,6 +1460,15 @@ function GetBorderStyles(w, h)
 // List containing all coordinates that are included in the solution's path
 var Solution_List = new Array();
 
+// Every step taken while the maze is made and solved, when the animation is
+// watching (see "RecordStep()" and animation.js) - null the rest of the time
+var Animation_Steps = null;
+
+// Same cells as "Solution_List", but keyed by "X_Y" so we can quickly check if
+// a cell is on the path (searching the list for every cell is far too slow for
+// big mazes)
+var Solution_Lookup = new Object();
+
 // This function acts the same as the recursive function - only follows different
 // steps.  It starts at the starting point, and gathers a list of neighbors
 // which it has access to (no wall exists between).  It then calls that neighbor
@@ -913,63 +1481,225 @@ function SolveMaze()
     for(var i = 0; i < WIDTH; i++)
     {
         for(var j = 0; j < HEIGHT; j++)
-            Maze[i][j][4] = false;
+            Maze[i][j][VISITED] = false;
     }
     
-    // Call the maze solver, passing in the starting point
-    Solver(ENTRANCE_X, ENTRANCE_Y);
+    // (throwing away the old solution, if the maze was solved before)
+    Solution_List = new Array();
+    Steps_to_Solve = 0;
+    Cost_to_Solve = 0;
+    
+    // Call the maze solver, passing in the starting point (puzzles with
+    // waypoints or more than one way out need the tour solver in puzzle.js)
+    if(IsTourPuzzle())
+        SolveTour();
+    else
+        SolveShortest(ENTRANCE_X, ENTRANCE_Y);
     
-    // draw the HTML code of the answer (maze with path filled in)
-    Maze_HTML_Answer = DrawMazeAnswer();
+    Solution_Lookup = new Object();
+    for(var i = 0; i < Solution_List.length; i++)
+        Solution_Lookup[Solution_List[i][0] + '_' + Solution_List[i][1]] = true;
 }
 
-// Actual recursive function
+// Actual solving function.  Just like "GenerateMaze()", this keeps its own
+// stack of cells instead of calling itself for every cell, so big mazes don't
+// run out of call stack.  The stack always holds the path from the entrance
+// to the cell we're checking, so once we find the end, the stack IS the
+// solution.
 function Solver(x, y)
 {
-    // check to see if we're at the ending point
-    if(x == STARTING_X && y == STARTING_Y)
+    // cells on the path so far, with the neighbors we can get to from them
+    var path = new Array();
+    
+    // cell we're about to step into (null when we need to pick one)
+    var next = new Array(x, y);
+    
+    while(true)
     {
-        // NOTE: we don't add one to the number of steps it takes to solve
-        // because the user will already be in one cell (free move)
-        // so the actual number of moves it takes to solve is one less than the
-        // number of cells included in the solution's path...
+        if(next != null)
+        {
+            // check to see if we're at the ending point
+            if(next[0] == STARTING_X && next[1] == STARTING_Y)
+            {
+                RecordStep(new Array('enter', next[0], next[1]));
+                
+                // add the end and then every cell on the path, walking back
+                // to the entrance (the same order the recursive version used)
+                Solution_List.push(new Array(next[0], next[1]));
+                
+                for(var i = path.length - 1; i >= 0; i--)
+                {
+                    Solution_List.push(new Array(path[i].x, path[i].y));
+                    
+                    // NOTE: we don't count the end cell because the user will
+                    // already be in one cell (free move) so the actual number
+                    // of moves is one less than the cells on the path
+                    Steps_to_Solve = Steps_to_Solve + 1;
+                }
+                
+                return true;
+            }
+            
+            // set this cell to being visited
+            Maze[next[0]][next[1]][VISITED] = true;
+            RecordStep(new Array('enter', next[0], next[1]));
+            
+            // get a list of accessible neighbors (don't bother randomizing them)
+            path.push({ x: next[0], y: next[1], neighbors: GetNeighborAccess(next[0], next[1]), next: 0 });
+            next = null;
+        }
+        
+        // if we ran out of cells, none of them lead to the end
+        if(path.length == 0)
+            return false;
         
-        // add this location to the solution list
-        Solution_List.push(new Array(x, y));
-        return true;
+        // try this cell's next neighbor, or give up on this cell
+        var current = path[path.length - 1];
+        if(current.next < current.neighbors.length)
+        {
+            next = current.neighbors[current.next];
+            current.next++;
+        }
+        else
+        {
+            path.pop();
+            RecordStep(new Array('leave', current.x, current.y));
+        }
     }
-    
-    // set this cell to being visited
-    Maze[x][y][4] = true;
-    
-    // get a list of accessible neighbors
-    var neighbors = GetNeighborAccess(x, y);
+}
 
-    //alert(neighbors);
+// Finds the cheapest path from the cell at "x, y" to the exit and puts it in
+// "Solution_List" (from the exit back to "x, y", just like "Solver()").
+// "Solver()" stops at the first path it finds, which is only the best one
+// when there's just one path (a perfect maze) - braided mazes have loops, and
+// terrain makes some moves cost more than others, so this uses Dijkstra's
+// algorithm with an A* ("A star") guess added:
+//  - Every cell waiting to be looked at is kept in a "heap" (a list that
+//    always hands back its smallest item first), sorted by what it cost to
+//    get there (Dijkstra's algorithm) plus a guess of what it will cost to
+//    get from there to the exit (A*).
+//  - The guess is the straight up/down/left/right distance to the exit (or
+//    the closest thing to it on other grids - see "GetDistanceGuess()" in
+//    topology.js).  Every move costs at least 1, so getting there can never
+//    be cheaper than the guess, which means the first time we pull the exit out of the heap,
+//    we got there the cheapest way.
+//  - Looking at cells closest to the exit first means we usually only search
+//    part of the maze.
+// Also fills in "Steps_to_Solve" (moves on the path) and "Cost_to_Solve".
+// Returns false if the exit can't be reached.
+function SolveShortest(x, y)
+{
+    var cost = new Array(WIDTH);
+    var previous = new Array(WIDTH);
+    for(var i = 0; i < WIDTH; i++)
+    {
+        cost[i] = new Array(HEIGHT);
+        previous[i] = new Array(HEIGHT);
+    }
     
-    // don't bother randomizing them - that would be pointless.
-    // Run through the list of them, checking if they lead to the end...
-    for(var i = 0; i < neighbors.length; i++)
+    var heap = new Array();
+    cost[x][y] = 0;
+    previous[x][y] = null;
+    HeapPush(heap, { x: x, y: y, cost: 0, score: GetDistanceGuess(x, y, STARTING_X, STARTING_Y) });
+    
+    while(heap.length > 0)
     {
-        if(Solver(neighbors[i][0], neighbors[i][1]) == true)
+        var cell = HeapPop(heap);
+        
+        // we may have found a cheaper way to this cell since it was added
+        if(Maze[cell.x][cell.y][VISITED] == true)
+            continue;
+        Maze[cell.x][cell.y][VISITED] = true;
+        
+        if(cell.x == STARTING_X && cell.y == STARTING_Y)
         {
-            // if one of the neighbors leads to the end, add this current
-            // cell to the list of solutions
-            Solution_List.push(new Array(x, y));
-            
-            // add one to the step count to solve
-            Steps_to_Solve = Steps_to_Solve + 1;
+            // walk back to the start (the end cell isn't a move - see "Solver()")
+            var step = new Array(cell.x, cell.y);
+            while(step != null)
+            {
+                Solution_List.push(step);
+                step = previous[step[0]][step[1]];
+            }
+            Steps_to_Solve = Solution_List.length - 1;
+            Cost_to_Solve = cell.cost;
             
-            // and return true!
             return true;
         }
+        
+        var neighbors = GetNeighborAccess(cell.x, cell.y);
+        for(var i = 0; i < neighbors.length; i++)
+        {
+            var nx = neighbors[i][0];
+            var ny = neighbors[i][1];
+            var next_cost = cell.cost + Maze[nx][ny][COST];
+            
+            if(cost[nx][ny] === undefined || next_cost < cost[nx][ny])
+            {
+                cost[nx][ny] = next_cost;
+                previous[nx][ny] = new Array(cell.x, cell.y);
+                HeapPush(heap, { x: nx, y: ny, cost: next_cost, score: next_cost + GetDistanceGuess(nx, ny, STARTING_X, STARTING_Y) });
+            }
+        }
     }
     
-    // if we never returned true up to this point, none of our neighbors lead
-    // to the end, so we...unfortunately, are worthless.
     return false;
 }
 
+// Adds "item" to the heap (see "SolveShortest()"), keeping the item with the
+// smallest "score" at the front
+function HeapPush(heap, item)
+{
+    heap.push(item);
+    
+    // move the new item up until its parent is smaller than it
+    var index = heap.length - 1;
+    while(index > 0)
+    {
+        var parent = Math.floor((index - 1) / 2);
+        if(heap[parent].score <= heap[index].score)
+            break;
+        
+        var temp = heap[parent];
+        heap[parent] = heap[index];
+        heap[index] = temp;
+        index = parent;
+    }
+}
+
+// Takes the item with the smallest "score" out of the heap and returns it
+function HeapPop(heap)
+{
+    var top = heap[0];
+    var last = heap.pop();
+    
+    if(heap.length > 0)
+    {
+        heap[0] = last;
+        
+        // move it back down until both of its children are bigger than it
+        var index = 0;
+        while(true)
+        {
+            var smallest = index;
+            var left = index * 2 + 1;
+            var right = index * 2 + 2;
+            if(left < heap.length && heap[left].score < heap[smallest].score)
+                smallest = left;
+            if(right < heap.length && heap[right].score < heap[smallest].score)
+                smallest = right;
+            if(smallest == index)
+                break;
+            
+            var temp = heap[smallest];
+            heap[smallest] = heap[index];
+            heap[index] = temp;
+            index = smallest;
+        }
+    }
+    
+    return top;
+}
+
 // This function examines the available options for a path
 // and returns a list of new neighbors one can move to from the passed in
 // cell
@@ -977,32 +1707,111 @@ function GetNeighborAccess(x, y)
 {
     var neighbor_list = new Array();
     
-    // examine the walls, look for "0" (be careful for entry/exit points!)
-    if(Maze[x][y][0] == 0 && y != 0 && Maze[x][y-1][4] == false)
+    // examine the walls, look for "0" (be careful for entry/exit points -
+    // they're open, but there's no cell on the other side!)
+    var open = GetOpenNeighbors(x, y);
+    for(var i = 0; i < open.length; i++)
+    {
+        if(Maze[open[i][0]][open[i][1]][VISITED] == false)
+            neighbor_list.push(open[i]);
+    }
+    
+    return neighbor_list;
+}
+
+// Returns a list of the cells [x, y] that can be walked to from the cell at
+// "x, y" (where the wall between them is down), whether they've been visited
+// or not
+function GetOpenNeighbors(x, y)
+{
+    var neighbor_list = new Array();
+    
+    for(var wall = 0; wall < SIDES; wall++)
     {
-        // we can go up!
-        neighbor_list.push(new Array(x, (y-1)));
+        if(Maze[x][y][wall] != 0)
+            continue;
+        
+        var neighbor = GetNeighbor(x, y, wall);
+        if(neighbor != null)
+            neighbor_list.push(neighbor);
     }
     
-    if(Maze[x][y][1] == 0 && x != (WIDTH - 1) && Maze[x+1][y][4] == false)
+    return neighbor_list;
+}
+
+// Finds how far away every cell is from the cell at "x, y" - what the cheapest
+// way there costs (which is the number of moves, unless there's terrain).
+// This is Dijkstra's algorithm (like "SolveShortest()" without the guess, and
+// without stopping at the exit).  Returns the search, which holds:
+//  distance[x][y] - cost of getting to that cell (-1 if it can't be reached)
+//  previous[x][y] - the cell [x, y] you come from on the way there
+function FindDistances(x, y)
+{
+    var distance = new Array(WIDTH);
+    var previous = new Array(WIDTH);
+    var done = new Array(WIDTH);
+    for(var i = 0; i < WIDTH; i++)
     {
-        // we can go to the right!
-        neighbor_list.push(new Array((x + 1), y));
+        distance[i] = new Array(HEIGHT);
+        previous[i] = new Array(HEIGHT);
+        done[i] = new Array(HEIGHT);
+        for(var j = 0; j < HEIGHT; j++)
+            distance[i][j] = -1;
     }
     
-    if(Maze[x][y][2] == 0 && y != (HEIGHT - 1) && Maze[x][y+1][4] == false)
+    var heap = new Array();
+    distance[x][y] = 0;
+    previous[x][y] = null;
+    HeapPush(heap, { x: x, y: y, score: 0 });
+    
+    while(heap.length > 0)
     {
-        // we can go down!
-        neighbor_list.push(new Array(x, (y+1)));
+        var cell = HeapPop(heap);
+        if(done[cell.x][cell.y])
+            continue;
+        done[cell.x][cell.y] = true;
+        
+        var neighbors = GetOpenNeighbors(cell.x, cell.y);
+        for(var i = 0; i < neighbors.length; i++)
+        {
+            var nx = neighbors[i][0];
+            var ny = neighbors[i][1];
+            var next_distance = cell.score + Maze[nx][ny][COST];
+            
+            if(distance[nx][ny] < 0 || next_distance < distance[nx][ny])
+            {
+                distance[nx][ny] = next_distance;
+                previous[nx][ny] = new Array(cell.x, cell.y);
+                HeapPush(heap, { x: nx, y: ny, score: next_distance });
+            }
+        }
     }
     
-    if(Maze[x][y][3] == 0 && x != 0 && Maze[x-1][y][4] == false)
+    return { x: x, y: y, distance: distance, previous: previous };
+}
+
+// Returns what it costs to get to "cell" [x, y] in a search from
+// "FindDistances()" (-1 if it can't be reached)
+function GetDistance(search, cell)
+{
+    return search.distance[cell[0]][cell[1]];
+}
+
+// Returns the path from "cell" [x, y] back to where the search started (both
+// ends included), or an empty list if the cell can't be reached
+function GetPathTo(search, cell)
+{
+    var path = new Array();
+    if(GetDistance(search, cell) < 0)
+        return path;
+    
+    while(cell != null)
     {
-        // we can go to the left!
-        neighbor_list.push(new Array((x - 1), y));
+        path.push(new Array(cell[0], cell[1]));
+        cell = search.previous[cell[0]][cell[1]];
     }
     
-    return neighbor_list;
+    return path;
 }
 
 // This function loops through the "Maze" and for each cell, draws a DIV cell
@@ -1010,6 +1819,10 @@ function GetNeighborAccess(x, y)
 // the list "Solution_List", fills the background of that cell red.
 function DrawMazeAnswer()
 {
+    if(TOPOLOGY != 'square' || MASK != null || LEVELS > 1 || HasCrossings())
+        return DrawMazeSVGHTML(true);
+    
+
     // HTML variable to hold our code
     var HTML = '\n<div style="display: table; margin-left: auto; margin-right: auto; display: table; border-collapse:collapse; ">';
     
@@ -1022,10 +1835,12 @@ function DrawMazeAnswer()
         for(var i = 0; i < WIDTH; i++)
         {
             // get background color (is answer?)
-            var answer_color = "#FFFFFF; ";
+            var answer_color = GetTerrainColor(i, j) + "; ";
             
             if(IsAnswer(i, j))
                 answer_color = "#FF0000; ";            
+            if(IsWaypoint(i, j))
+                answer_color = WAYPOINT_COLOR + "; ";
             
             // create a new cell
             HTML += '    <div style="display: table-cell; border-width:' + BORDER_WIDTH + '; border-style:' + BORDER_STYLE + '; float: left; background-color: ' + answer_color;
@@ -1045,16 +1860,11 @@ function DrawMazeAnswer()
     return HTML;
 }
 
-// basically looks through the array "Solution_List" to see if the passed in coordinates
-// are a cell that is on the solution path
+// basically looks up the passed in coordinates in "Solution_Lookup" to see if
+// they are a cell that is on the solution path
 function IsAnswer(x, y)
 {
-    for(var i = 0; i < Solution_List.length; i++)
-    {
-        if(Solution_List[i][0] == x && Solution_List[i][1] == y)
-            return true;
-    }
-    return false;
+    return Solution_Lookup.hasOwnProperty(x + '_' + y);
 }
 
 // Just for kicks - this is line 1000.
\ No newline at end of file
@@ -0,0 +1,448 @@
+/*******************************************************************************
+ * File: "metrics.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file measures a maze after it's been made (and solved), so it can be
+ *  graded without anyone having to solve it by hand.  "GetMazeMetrics()"
+ *  looks at the maze in the globals and works out:
+ *      dead_ends       cells with only one way out of them (not counting the
+ *                      cells the doors are in)
+ *      junctions       cells with three or more ways out of them - where you
+ *                      have to pick which way to go (like the splits
+ *                      "CountOpenings()" marks in solver.js, but a door
+ *                      doesn't count as a way out)
+ *      river           how much the maze "flows": the share of the cells
+ *                      (0 - 1) that are just part of a passage (exactly two
+ *                      ways out).  Mazes with long winding passages have a
+ *                      high river factor, mazes with lots of short dead ends
+ *                      have a low one.
+ *      longest_corridor
+ *                      the most cells in a row without a choice to make (a
+ *                      run of passage cells)
+ *      solution_ratio  the share of the cells (0 - 1) the solution goes
+ *                      through
+ *      dead_end_depth  how far it is, on average, from a dead end back to the
+ *                      solution - how far you walk before you find out you
+ *                      took a wrong turn
+ *      solution_junctions
+ *                      how many of the junctions are on the solution (the
+ *                      choices you have to get right on the way through)
+ *      average_distance
+ *                      how many moves it is, on average, from the entrance
+ *                      to each cell
+ *
+ *  These are rolled up into a score from 0 (trivial) to 100, and the score
+ *  picks one of the DIFFICULTIES.  First they're made into a "raw" score:
+ *      - how much of the maze the solution goes through (the solution ratio,
+ *        on a log scale - a solution twice as long adds the same amount
+ *        however long it was to begin with)
+ *      - how many more junctions the solution goes through than the rest of
+ *        the maze has
+ *      - the river factor (the fewer, longer dead ends there are, the longer
+ *        each wrong turn takes to find out about)
+ *      - how deep the dead ends are, next to the way to an average cell
+ *  Every algorithm has its own texture (see generators.js), so a Prim's maze
+ *  and a Recursive Backtracker's maze of the same size don't get anywhere
+ *  near the same raw score.  The raw score is measured against the ones the
+ *  same algorithm usually makes on the same shape of cells instead
+ *  (DIFFICULTY_BASELINES), and the score is roughly the percentage of those
+ *  mazes this one beats - so about a third of the mazes any algorithm makes
+ *  come out at each difficulty.
+ *
+ *  "CreateRatedMaze()" keeps making new mazes (with new seeds) until one
+ *  lands in the difficulty asked for - the "Difficulty" setting on the page.
+ ******************************************************************************/
+
+// The difficulty ratings, and the lowest score each one starts at
+var DIFFICULTIES = {
+    'easy':   { name: 'Easy', min: 0 },
+    'medium': { name: 'Medium', min: 34 },
+    'hard':   { name: 'Hard', min: 67 }
+};
+
+// How many mazes "CreateRatedMaze()" makes looking for the difficulty asked
+// for before giving up
+var MAX_DIFFICULTY_TRIES = 40;
+
+// How much the junctions, river factor and dead end depth count in the raw
+// score, next to the length of the solution (see the top of this file)
+var JUNCTION_WEIGHT = 0.3;
+var RIVER_WEIGHT = 0.5;
+var DEPTH_WEIGHT = 0.3;
+
+// The raw score each algorithm's mazes usually get on each shape of cell (see
+// the top of this file), measured from 40 mazes of each size - 10 x 8,
+// 25 x 25, 40 x 40 and 60 x 40, or 20 x 4, 40 x 7, 64 x 11 and 100 x 16 for
+// circular mazes (see "TopologyErrors()" in topology.js):
+//  typical - the raw score of a maze BASELINE_SIZE x BASELINE_SIZE cells
+//  wider   - how much that changes every time the maze is made "e" times as
+//            wide (the solution goes through less of a bigger maze)
+//  higher  - the same for making it "e" times as high (this isn't the same
+//            as "wider" - a Sidewinder maze's solution, for one, gets longer
+//            with the height much more than with the width)
+//  spread  - how far the raw scores of mazes that size usually are from that
+//            (the standard deviation)
+//  narrowing - how much less spread out they get every time the number of
+//            cells is multiplied by "e" (negative if they get more spread
+//            out)
+var DIFFICULTY_BASELINES = {
+    'square': {
+        'backtracker': { typical: -0.16, wider: 0.05, higher: -0.34, spread: 0.25, narrowing: -0.02 },
+        'prim':        { typical: -1.59, wider: -0.37, higher: -0.54, spread: 0.08, narrowing: 0.24 },
+        'kruskal':     { typical: -1.26, wider: -0.24, higher: -0.52, spread: 0.14, narrowing: -0.03 },
+        'wilson':      { typical: -1.19, wider: -0.34, higher: -0.36, spread: 0.16, narrowing: -0.07 },
+        'eller':       { typical: -1.17, wider: -0.40, higher: -0.37, spread: 0.17, narrowing: 0.05 },
+        'aldousbroder':{ typical: -1.19, wider: -0.25, higher: -0.50, spread: 0.16, narrowing: -0.09 },
+        'growingtree': { typical: -1.25, wider: -0.40, higher: -0.41, spread: 0.10, narrowing: 0.17 },
+        'binarytree':  { typical: -1.61, wider: -0.46, higher: -0.51, spread: 0.08, narrowing: 0.19 },
+        'sidewinder':  { typical: -1.37, wider: -0.61, higher: -0.25, spread: 0.09, narrowing: 0.23 }
+    },
+    'hex': {
+        'backtracker': { typical: -0.16, wider: 0.03, higher: -0.32, spread: 0.22, narrowing: 0.01 },
+        'prim':        { typical: -1.67, wider: -0.41, higher: -0.51, spread: 0.08, narrowing: 0.19 },
+        'kruskal':     { typical: -1.30, wider: -0.28, higher: -0.49, spread: 0.14, narrowing: 0.02 },
+        'wilson':      { typical: -1.27, wider: -0.29, higher: -0.47, spread: 0.16, narrowing: -0.04 },
+        'eller':       { typical: -1.17, wider: -0.40, higher: -0.37, spread: 0.17, narrowing: 0.05 },
+        'aldousbroder':{ typical: -1.20, wider: -0.43, higher: -0.31, spread: 0.16, narrowing: -0.01 },
+        'growingtree': { typical: -1.28, wider: -0.40, higher: -0.40, spread: 0.12, narrowing: 0.07 },
+        'binarytree':  { typical: -1.61, wider: -0.46, higher: -0.51, spread: 0.08, narrowing: 0.19 },
+        'sidewinder':  { typical: -1.37, wider: -0.61, higher: -0.25, spread: 0.09, narrowing: 0.23 }
+    },
+    'triangle': {
+        'backtracker': { typical: -0.23, wider: -0.20, higher: -0.17, spread: 0.22, narrowing: -0.09 },
+        'prim':        { typical: -1.38, wider: -0.68, higher: -0.24, spread: 0.08, narrowing: 0.24 },
+        'kruskal':     { typical: -1.09, wider: -0.67, higher: -0.08, spread: 0.14, narrowing: -0.01 },
+        'wilson':      { typical: -1.06, wider: -0.56, higher: -0.18, spread: 0.15, narrowing: 0.03 },
+        'aldousbroder':{ typical: -1.05, wider: -0.40, higher: -0.34, spread: 0.16, narrowing: -0.01 },
+        'growingtree': { typical: -1.09, wider: -0.66, higher: -0.17, spread: 0.12, narrowing: 0.16 }
+    },
+    'polar': {
+        'backtracker': { typical: -10.97, wider: 5.39, higher: -6.26, spread: 0.72, narrowing: 0.12 },
+        'prim':        { typical: -2.27, wider: -0.76, higher: -0.31, spread: 0.16, narrowing: 0.23 },
+        'kruskal':     { typical: -3.38, wider: 0.06, higher: -1.18, spread: 0.35, narrowing: 0.24 },
+        'wilson':      { typical: 0.96, wider: -2.03, higher: 1.46, spread: 0.50, narrowing: -0.06 },
+        'eller':       { typical: -2.65, wider: 0.59, higher: -1.47, spread: 0.13, narrowing: -0.02 },
+        'aldousbroder':{ typical: 1.72, wider: -2.40, higher: 1.88, spread: 0.55, narrowing: 0.00 },
+        'growingtree': { typical: -0.19, wider: -1.57, higher: 0.81, spread: 0.21, narrowing: 0.24 },
+        'binarytree':  { typical: -1.81, wider: -0.20, higher: -0.77, spread: 0.07, narrowing: 0.14 },
+        'sidewinder':  { typical: -2.72, wider: 0.31, higher: -1.32, spread: 0.07, narrowing: 0.17 }
+    }
+};
+var BASELINE_SIZE = 25;
+
+// How quickly the score goes from 0 to 100 as the raw score goes from below
+// the typical one to above it (1.7 makes it close to the percentage of mazes
+// it beats)
+var SCORE_STEEPNESS = 1.7;
+
+// Measures the maze in the globals (see the top of this file).  The maze has
+// to be solved first.  Returns an object holding each measurement, plus the
+// "score" and "difficulty" (a key of DIFFICULTIES).
+function GetMazeMetrics()
+{
+    var metrics = {
+        cells: 0,
+        dead_ends: 0,
+        junctions: 0,
+        river: 0,
+        longest_corridor: 0,
+        solution_ratio: 0,
+        dead_end_depth: 0,
+        solution_junctions: 0,
+        average_distance: 0,
+        steps: Steps_to_Solve,
+        width: WIDTH,
+        height: FLOOR_HEIGHT,
+        topology: TOPOLOGY,
+        algorithm: ALGORITHM,
+        score: 0,
+        difficulty: GetDifficulty(0)
+    };
+
+    // the cells the doors are in don't count as dead ends (they lead out)
+    var doors = new Object();
+    doors[ENTRANCE_X + '_' + ENTRANCE_Y] = true;
+    doors[STARTING_X + '_' + STARTING_Y] = true;
+    for(var i = 0; i < Extra_Exits.length; i++)
+        doors[Extra_Exits[i].x + '_' + Extra_Exits[i].y] = true;
+
+    var dead_ends = new Array();
+    var passages = 0;
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(!IsInMask(i, j))
+                continue;
+
+            metrics.cells++;
+
+            var openings = GetOpenNeighbors(i, j).length;
+            if(openings == 1 && !doors[i + '_' + j])
+                dead_ends.push(new Array(i, j));
+            else if(openings == 2)
+                passages++;
+            else if(openings >= 3)
+            {
+                metrics.junctions++;
+                if(Solution_Lookup[i + '_' + j])
+                    metrics.solution_junctions++;
+            }
+        }
+    }
+
+    metrics.dead_ends = dead_ends.length;
+    if(metrics.cells == 0)
+        return metrics;
+
+    metrics.river = passages / metrics.cells;
+    metrics.longest_corridor = GetLongestCorridor();
+
+    // (the solution can go through a cell more than once when there are
+    // waypoints, so the cells are counted from the lookup)
+    var on_solution = 0;
+    for(var cell in Solution_Lookup)
+        on_solution++;
+    metrics.solution_ratio = on_solution / metrics.cells;
+
+    metrics.dead_end_depth = GetDeadEndDepth(dead_ends);
+    metrics.average_distance = GetAverageDistance();
+
+    metrics.score = GetDifficultyScore(metrics);
+    metrics.difficulty = GetDifficulty(metrics.score);
+
+    return metrics;
+}
+
+// Returns the most cells in a row there are in the maze with exactly two ways
+// out of them (without a choice to make)
+function GetLongestCorridor()
+{
+    var counted = new Object();
+    var longest = 0;
+
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(counted[i + '_' + j] || !IsInMask(i, j) || GetOpenNeighbors(i, j).length != 2)
+                continue;
+
+            // walk both ways along the corridor until it stops being one
+            var length = 0;
+            var stack = new Array(new Array(i, j));
+            counted[i + '_' + j] = true;
+            while(stack.length > 0)
+            {
+                var cell = stack.pop();
+                length++;
+
+                var next = GetOpenNeighbors(cell[0], cell[1]);
+                for(var n = 0; n < next.length; n++)
+                {
+                    var key = next[n][0] + '_' + next[n][1];
+                    if(!counted[key] && GetOpenNeighbors(next[n][0], next[n][1]).length == 2)
+                    {
+                        counted[key] = true;
+                        stack.push(next[n]);
+                    }
+                }
+            }
+
+            if(length > longest)
+                longest = length;
+        }
+    }
+
+    return longest;
+}
+
+// Returns how many moves it is, on average, from each of the "dead_ends"
+// ([x, y]) back to the nearest cell on the solution.  The distances are all
+// found at once, walking out from every cell on the solution together.
+function GetDeadEndDepth(dead_ends)
+{
+    if(dead_ends.length == 0 || Solution_List.length == 0)
+        return 0;
+
+    var depth = new Object();
+    var queue = new Array();
+    for(var cell in Solution_Lookup)
+    {
+        depth[cell] = 0;
+        queue.push(SplitCellKey(cell));
+    }
+
+    for(var q = 0; q < queue.length; q++)
+    {
+        var moves = depth[queue[q][0] + '_' + queue[q][1]] + 1;
+        var next = GetOpenNeighbors(queue[q][0], queue[q][1]);
+        for(var n = 0; n < next.length; n++)
+        {
+            var key = next[n][0] + '_' + next[n][1];
+            if(depth[key] === undefined)
+            {
+                depth[key] = moves;
+                queue.push(next[n]);
+            }
+        }
+    }
+
+    // (dead ends that can't be reached from the solution - behind a decoy
+    // door, say - are left out)
+    var total = 0;
+    var count = 0;
+    for(var i = 0; i < dead_ends.length; i++)
+    {
+        var key = dead_ends[i][0] + '_' + dead_ends[i][1];
+        if(depth[key] !== undefined)
+        {
+            total += depth[key];
+            count++;
+        }
+    }
+
+    return (count == 0) ? 0 : total / count;
+}
+
+// Returns how many moves it is, on average, from the entrance to each cell
+// that can be reached from it
+function GetAverageDistance()
+{
+    var distance = new Object();
+    distance[ENTRANCE_X + '_' + ENTRANCE_Y] = 0;
+    var queue = new Array(new Array(ENTRANCE_X, ENTRANCE_Y));
+    var total = 0;
+
+    for(var q = 0; q < queue.length; q++)
+    {
+        var moves = distance[queue[q][0] + '_' + queue[q][1]];
+        total += moves;
+
+        var next = GetOpenNeighbors(queue[q][0], queue[q][1]);
+        for(var n = 0; n < next.length; n++)
+        {
+            var key = next[n][0] + '_' + next[n][1];
+            if(distance[key] === undefined)
+            {
+                distance[key] = moves + 1;
+                queue.push(next[n]);
+            }
+        }
+    }
+
+    return total / queue.length;
+}
+
+// Rolls the measurements from "GetMazeMetrics()" up into a score from 0 to
+// 100 (see the top of this file)
+function GetDifficultyScore(metrics)
+{
+    if(metrics.cells == 0 || metrics.steps == 0 || metrics.average_distance == 0)
+        return 0;
+
+    // the raw score: how long the solution is, plus how many more choices
+    // there are on it than elsewhere, plus the river factor, plus how deep
+    // the dead ends are
+    var length = Math.log(metrics.solution_ratio);
+    var choices = 0;
+    if(metrics.junctions > 0 && metrics.solution_ratio > 0)
+        choices = metrics.solution_junctions / (metrics.solution_ratio * metrics.junctions);
+    var depth = metrics.dead_end_depth / metrics.average_distance;
+    var raw = length + JUNCTION_WEIGHT * choices + RIVER_WEIGHT * metrics.river + DEPTH_WEIGHT * depth;
+
+    // then how many spreads above (or below) the usual raw score for the
+    // algorithm and shape of cells it is, at this size
+    var baseline = GetDifficultyBaseline(metrics.topology, metrics.algorithm);
+    var wider = Math.log(metrics.width / BASELINE_SIZE);
+    var higher = Math.log(metrics.height / BASELINE_SIZE);
+    var typical = baseline.typical + baseline.wider * wider + baseline.higher * higher;
+    var spread = baseline.spread * Math.exp(-baseline.narrowing * (wider + higher));
+    var spreads = (raw - typical) / spread;
+
+    return Math.round(100 / (1 + Math.exp(-SCORE_STEEPNESS * spreads)));
+}
+
+// Looks up the usual raw score (see DIFFICULTY_BASELINES) for mazes made by
+// "algorithm" (a key of GENERATORS) with "topology" (one of TOPOLOGIES)
+// cells
+function GetDifficultyBaseline(topology, algorithm)
+{
+    var baselines = DIFFICULTY_BASELINES['square'];
+    if(DIFFICULTY_BASELINES.hasOwnProperty(topology))
+        baselines = DIFFICULTY_BASELINES[topology];
+
+    if(baselines.hasOwnProperty(algorithm))
+        return baselines[algorithm];
+
+    return baselines[DEFAULT_ALGORITHM];
+}
+
+// Returns the difficulty (a key of DIFFICULTIES) a maze with "score" gets
+function GetDifficulty(score)
+{
+    var difficulty = null;
+    for(var key in DIFFICULTIES)
+    {
+        if(score >= DIFFICULTIES[key].min && (difficulty == null || DIFFICULTIES[key].min > DIFFICULTIES[difficulty].min))
+            difficulty = key;
+    }
+
+    return difficulty;
+}
+
+// Makes mazes with "settings" (see "CreateMaze()" in core.js) until one comes
+// out as "difficulty" (a key of DIFFICULTIES, or "any" for the first one
+// made), and returns it with its measurements in "metrics".  A maze with a
+// seed given can only be made one way, so it's returned whatever its
+// difficulty is.  Throws an Error if no maze of that difficulty turns up in
+// MAX_DIFFICULTY_TRIES tries.
+function CreateRatedMaze(settings, difficulty)
+{
+    if(difficulty != 'any' && !DIFFICULTIES.hasOwnProperty(difficulty))
+        throw new Error("There isn't a difficulty called \"" + difficulty + "\".");
+
+    var seeded = (settings.seed !== undefined && settings.seed !== null && ParseSeed(settings.seed) !== null);
+    var tries = (difficulty == 'any' || seeded) ? 1 : MAX_DIFFICULTY_TRIES;
+
+    for(var i = 0; i < tries; i++)
+    {
+        // (each try needs a copy - making the maze fills in the settings)
+        var copy = new Object();
+        for(var setting in settings)
+            copy[setting] = settings[setting];
+
+        var maze = CreateMaze(copy);
+        maze.metrics = GetMazeMetrics();
+        if(tries == 1 || maze.metrics.difficulty == difficulty)
+            return maze;
+    }
+
+    throw new Error("Couldn't make a maze that's " + DIFFICULTIES[difficulty].name + " in " + MAX_DIFFICULTY_TRIES + " tries - please try again.");
+}
+
+// Fills in the "metrics" panel on the page with the measurements of the maze
+// in the globals (called by "ShowMaze()" in maze.js, so it's measured again
+// after it's been edited)
+function ShowMazeMetrics()
+{
+    var metrics = GetMazeMetrics();
+    var target = document.getElementById('difficulty').value;
+
+    var html = '<div class="col-md-12"><h4>Difficulty: ' + DIFFICULTIES[metrics.difficulty].name + ' (' + metrics.score + ' out of 100)';
+    if(target != 'any' && target != metrics.difficulty)
+        html += ' - not ' + DIFFICULTIES[target].name + ' like the Difficulty asked for';
+    html += '</h4>';
+
+    html += '<table class="table table-condensed" style="width: auto;">';
+    html += '<tr><td>Moves to solve</td><td>' + metrics.steps + '</td></tr>';
+    html += '<tr><td>Dead ends</td><td>' + metrics.dead_ends + '</td></tr>';
+    html += '<tr><td>Junctions</td><td>' + metrics.junctions + '</td></tr>';
+    html += '<tr><td>River factor</td><td>' + Math.round(metrics.river * 100) + '%</td></tr>';
+    html += '<tr><td>Longest corridor</td><td>' + metrics.longest_corridor + ' cells</td></tr>';
+    html += '<tr><td>Solution path</td><td>' + Math.round(metrics.solution_ratio * 100) + '% of the cells</td></tr>';
+    html += '<tr><td>Average dead end depth</td><td>' + metrics.dead_end_depth.toFixed(1) + ' moves</td></tr>';
+    html += '</table></div>';
+
+    document.getElementById('metrics').innerHTML = html;
+}
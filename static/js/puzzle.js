@@ -0,0 +1,532 @@
+/*******************************************************************************
+ * File: "puzzle.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file turns a plain maze into more of a puzzle by adding extra exits
+ *  and "waypoints" (keys) that have to be collected before leaving.
+ *
+ *  EXTRA EXITS:
+ *      Besides the exit picked on the page, more exits can be knocked through
+ *      the outside walls at random.  There are two ways they can work (picked
+ *      with the "Exit Mode" drop-down):
+ *          - First One Reached Wins ("first"): every exit can be used - the
+ *            user can leave through whichever one they reach first, and the
+ *            answer uses the closest one.
+ *          - Only One Leads Out ("one"): the extra exits are decoys.  The cell
+ *            behind each decoy is walled off from the rest of the maze, so
+ *            only the real exit can be reached from the entrance.  Walling
+ *            off a cell can cut the maze into pieces, so the pieces are joined
+ *            back up afterwards by knocking down one wall for each piece
+ *            (which keeps it a perfect maze).
+ *
+ *  WAYPOINTS:
+ *      Waypoints are cells that have to be visited (in any order) before the
+ *      user is allowed to leave the maze.  The solver works out the shortest
+ *      (cheapest, if there's terrain) tour: it finds the distance between the
+ *      entrance, every waypoint and every exit (see "FindDistances()" in
+ *      maze.js), then tries every order of waypoints, remembering the best
+ *      way to reach each set of waypoints (the Held-Karp method) so it
+ *      doesn't have to try them one at a time.
+ *      The tour can walk over the same cells more than once.
+ *
+ *  Everything here is placed after the maze has been carved, using the same
+ *  random number generator (random.js), so the same maze code always gives
+ *  the same puzzle.  Waypoints and extra exits in the "first" mode never
+ *  change the maze itself (apart from the doors knocked through the outside
+ *  walls) - only the decoy ("one") exit mode changes the walls inside it,
+ *  walling off the decoys' cells and joining the rest back up.
+ ******************************************************************************/
+
+// Exit modes, keyed by the "Exit Mode" drop-down value (the letters are used
+// in maze codes)
+var EXIT_MODES = {
+    'first': { name: 'First One Reached Wins', letter: 'f' },
+    'one':   { name: 'Only One Leads Out', letter: 'o' }
+};
+
+// Most extra exits and waypoints a maze can have (the solver tries every
+// order of waypoints, so this needs to stay small)
+var MAX_EXTRA_EXITS = 8;
+var MAX_WAYPOINTS = 10;
+
+// Color the waypoints are drawn in
+var WAYPOINT_COLOR = "#FFAA00";
+
+// Size of the waypoint markers (% of the cell)
+var WAYPOINT_SIZE = 70;
+
+// Settings from the page
+var EXTRA_EXITS = 0;
+var EXIT_MODE = 'first';
+var WAYPOINTS = 0;
+
+// Extra exits in the maze: { wall, position, x, y, door } for each one
+// ("wall" is the side of the maze it's on, and "door" is the wall of its cell
+// it goes through - they're the same on a square grid, see topology.js)
+var Extra_Exits = new Array();
+
+// Cells that have to be visited before leaving: [x, y] for each one
+var Waypoints = new Array();
+
+// Checks the puzzle settings (called from "ICanHazErrors()").
+// Returns a message saying what's wrong, or null if nothing is.
+function PuzzleErrors()
+{
+    if(!(EXTRA_EXITS >= 0 && EXTRA_EXITS <= MAX_EXTRA_EXITS))
+        return "Please pick between 0 and " + MAX_EXTRA_EXITS + " extra exits.";
+
+    if(!(WAYPOINTS >= 0 && WAYPOINTS <= MAX_WAYPOINTS))
+        return "Please pick between 0 and " + MAX_WAYPOINTS + " waypoints.";
+
+    // walling off decoys in a maze this thin would cut it in two
+    if(EXTRA_EXITS > 0 && EXIT_MODE == 'one' && (WIDTH < 3 || FLOOR_HEIGHT < 3))
+        return "Decoy exits need a maze at least 3 cells wide and 3 cells high.";
+
+    if(WAYPOINTS > GetMaskSize() - 2)
+        return "There isn't enough room in the maze for " + WAYPOINTS + " waypoints!";
+
+    return null;
+}
+
+// Adds the extra exits and waypoints to the maze that was just generated
+// (after "InstallDoors()")
+function InstallPuzzle()
+{
+    Extra_Exits = new Array();
+    Waypoints = new Array();
+
+    // cells that already have something in them, keyed by "X_Y"
+    var used = new Object();
+    used[ENTRANCE_X + '_' + ENTRANCE_Y] = true;
+    used[STARTING_X + '_' + STARTING_Y] = true;
+
+    AddExtraExits(used);
+    AddWaypoints(used);
+}
+
+// Knocks EXTRA_EXITS more doors through the outside walls, at random places
+// that don't already have a door.  Decoys (EXIT_MODE "one") are walled off
+// from the rest of the maze.
+function AddExtraExits(used)
+{
+    // every spot on the outside walls a door could go: [wall, position]
+    var spots = new Array();
+    for(var wall = 0; wall < 4; wall++)
+    {
+        for(var position = 0; position < GetWallLength(wall); position++)
+        {
+            if(IsDoorAllowed(wall, position))
+                spots.push(new Array(wall, position));
+        }
+    }
+
+    var sealed = new Object();
+
+    while(Extra_Exits.length < EXTRA_EXITS && spots.length > 0)
+    {
+        // take a random spot out of the list
+        var index = RandomInt(spots.length);
+        var spot = spots[index];
+        spots[index] = spots[spots.length - 1];
+        spots.pop();
+
+        var cell = GetDoorCell(spot[0], spot[1]);
+        var key = cell[0] + '_' + cell[1];
+        if(used[key])
+            continue;
+
+        if(EXIT_MODE == 'one')
+        {
+            // a decoy can't cut any other cell off from the rest of the maze
+            sealed[key] = true;
+            if(!IsGridConnected(sealed))
+            {
+                delete sealed[key];
+                continue;
+            }
+        }
+
+        used[key] = true;
+        Extra_Exits.push({ wall: spot[0], position: spot[1], x: cell[0], y: cell[1], door: GetDoorWall(spot[0], cell[0], cell[1]) });
+    }
+
+    if(EXIT_MODE == 'one')
+    {
+        for(var i = 0; i < Extra_Exits.length; i++)
+            SealCell(Extra_Exits[i].x, Extra_Exits[i].y);
+
+        ReconnectMaze(sealed);
+    }
+
+    // finally, open up the doors
+    for(var i = 0; i < Extra_Exits.length; i++)
+        Maze[Extra_Exits[i].x][Extra_Exits[i].y][Extra_Exits[i].door] = 0;
+}
+
+// Checks (ignoring walls) that every cell that isn't "sealed" can still be
+// reached from every other one
+function IsGridConnected(sealed)
+{
+    var reached = new Object();
+    var count = 0;
+    var total = GetMaskSize();
+    var stack = new Array();
+
+    for(var key in sealed)
+        total--;
+
+    // start from the exit (it can never be sealed)
+    reached[STARTING_X + '_' + STARTING_Y] = true;
+    stack.push(new Array(STARTING_X, STARTING_Y));
+
+    while(stack.length > 0)
+    {
+        var cell = stack.pop();
+        count++;
+
+        var neighbors = GetNeighbors(cell[0], cell[1]);
+        for(var i = 0; i < neighbors.length; i++)
+        {
+            var key = neighbors[i][0] + '_' + neighbors[i][1];
+            if(!reached[key] && !sealed[key])
+            {
+                reached[key] = true;
+                stack.push(neighbors[i]);
+            }
+        }
+    }
+
+    return count == total;
+}
+
+// Puts every wall of the cell at "x, y" back up (on both sides of the wall -
+// outside walls too, the door is opened again afterwards)
+function SealCell(x, y)
+{
+    for(var wall = 0; wall < SIDES; wall++)
+    {
+        Maze[x][y][wall] = 1;
+
+        var neighbor = GetNeighbor(x, y, wall);
+        if(neighbor != null)
+            Maze[neighbor[0]][neighbor[1]][GetWallBetween(neighbor[0], neighbor[1], new Array(x, y))] = 1;
+    }
+}
+
+// After decoys have been walled off, the maze may be in pieces.  Starting from
+// the exit, this finds every cell that can be reached, then keeps knocking down
+// one wall between a reached cell and a piece that can't be reached until
+// every (unsealed) cell can be reached again.
+function ReconnectMaze(sealed)
+{
+    var reached = new Object();
+    FloodReached(STARTING_X, STARTING_Y, reached);
+
+    var joined = true;
+    while(joined)
+    {
+        joined = false;
+
+        for(var i = 0; i < WIDTH; i++)
+        {
+            for(var j = 0; j < HEIGHT; j++)
+            {
+                var key = i + '_' + j;
+                if(reached[key] || sealed[key])
+                    continue;
+
+                // is this cell next to one we can reach?
+                var neighbors = GetNeighbors(i, j);
+                for(var n = 0; n < neighbors.length; n++)
+                {
+                    if(reached[neighbors[n][0] + '_' + neighbors[n][1]])
+                    {
+                        RemoveWall(neighbors[n][0], neighbors[n][1], new Array(i, j));
+                        FloodReached(i, j, reached);
+                        joined = true;
+                        break;
+                    }
+                }
+            }
+        }
+    }
+}
+
+// Marks every cell that can be walked to from "x, y" in "reached"
+function FloodReached(x, y, reached)
+{
+    var stack = new Array(new Array(x, y));
+    reached[x + '_' + y] = true;
+
+    while(stack.length > 0)
+    {
+        var cell = stack.pop();
+        var next = GetOpenNeighbors(cell[0], cell[1]);
+
+        for(var i = 0; i < next.length; i++)
+        {
+            var key = next[i][0] + '_' + next[i][1];
+            if(!reached[key])
+            {
+                reached[key] = true;
+                stack.push(next[i]);
+            }
+        }
+    }
+}
+
+// Picks WAYPOINTS random cells (that don't already have a door or waypoint)
+function AddWaypoints(used)
+{
+    // every cell that's free, in a list we can pick from
+    var cells = new Array();
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(!used[i + '_' + j] && IsInMask(i, j))
+                cells.push(new Array(i, j));
+        }
+    }
+
+    while(Waypoints.length < WAYPOINTS && cells.length > 0)
+    {
+        var index = RandomInt(cells.length);
+        Waypoints.push(cells[index]);
+        cells[index] = cells[cells.length - 1];
+        cells.pop();
+    }
+}
+
+// Returns every exit the user can leave through: { x, y, wall } for each one
+// ("wall" is the wall of the cell the door goes through).
+// The exit picked on the page always comes first.
+function GetExitDoors()
+{
+    var doors = new Array({ x: STARTING_X, y: STARTING_Y, wall: EXIT_WALL });
+
+    // decoys can't be reached, so they don't count
+    if(EXIT_MODE == 'first')
+    {
+        for(var i = 0; i < Extra_Exits.length; i++)
+            doors.push({ x: Extra_Exits[i].x, y: Extra_Exits[i].y, wall: Extra_Exits[i].door });
+    }
+
+    return doors;
+}
+
+// Returns true if the cell at "x, y" is a waypoint
+function IsWaypoint(x, y)
+{
+    for(var i = 0; i < Waypoints.length; i++)
+    {
+        if(Waypoints[i][0] == x && Waypoints[i][1] == y)
+            return true;
+    }
+    return false;
+}
+
+// Returns true if there's anything more to solve than getting from the
+// entrance to the exit
+function IsTourPuzzle()
+{
+    return Waypoints.length > 0 || GetExitDoors().length > 1;
+}
+
+// Works out the shortest way from the entrance, through every waypoint, and out
+// of any exit.  Fills in "Solution_List" (from the exit back to the entrance,
+// just like "Solver()"), "Steps_to_Solve" and "Cost_to_Solve".  Returns false
+// if there is no way through.
+function SolveTour()
+{
+    var exits = GetExitDoors();
+
+    // distances from the entrance and from each waypoint to everywhere else
+    var points = new Array(new Array(ENTRANCE_X, ENTRANCE_Y)).concat(Waypoints);
+    var searches = new Array();
+    for(var i = 0; i < points.length; i++)
+        searches.push(FindDistances(points[i][0], points[i][1]));
+
+    var count = Waypoints.length;
+    var all = (1 << count) - 1;
+
+    // best[set][last] = shortest walk from the entrance that visits every
+    // waypoint in "set" (one bit per waypoint), ending at waypoint "last"
+    var best = new Array(all + 1);
+    var previous = new Array(all + 1);
+    for(var set = 0; set <= all; set++)
+    {
+        best[set] = new Array(count);
+        previous[set] = new Array(count);
+    }
+
+    for(var i = 0; i < count; i++)
+    {
+        best[1 << i][i] = GetDistance(searches[0], Waypoints[i]);
+        previous[1 << i][i] = -1;
+    }
+
+    for(var set = 1; set <= all; set++)
+    {
+        for(var last = 0; last < count; last++)
+        {
+            if(!(set & (1 << last)) || best[set][last] === undefined || best[set][last] < 0)
+                continue;
+
+            // try going to each waypoint not in the set yet
+            for(var next = 0; next < count; next++)
+            {
+                if(set & (1 << next))
+                    continue;
+
+                var leg = GetDistance(searches[last + 1], Waypoints[next]);
+                if(leg < 0)
+                    continue;
+
+                var grown = set | (1 << next);
+                var distance = best[set][last] + leg;
+                if(best[grown][next] === undefined || distance < best[grown][next])
+                {
+                    best[grown][next] = distance;
+                    previous[grown][next] = last;
+                }
+            }
+        }
+    }
+
+    // pick the best last waypoint and exit (with no waypoints, go straight
+    // from the entrance to the closest exit)
+    var best_total = -1;
+    var best_last = -1;
+    var best_exit = -1;
+    for(var e = 0; e < exits.length; e++)
+    {
+        var target = new Array(exits[e].x, exits[e].y);
+
+        if(count == 0)
+        {
+            var total = GetDistance(searches[0], target);
+            if(total >= 0 && (best_total < 0 || total < best_total))
+            {
+                best_total = total;
+                best_exit = e;
+            }
+            continue;
+        }
+
+        for(var last = 0; last < count; last++)
+        {
+            var leg = GetDistance(searches[last + 1], target);
+            if(best[all][last] === undefined || leg < 0)
+                continue;
+
+            var total = best[all][last] + leg;
+            if(best_total < 0 || total < best_total)
+            {
+                best_total = total;
+                best_last = last;
+                best_exit = e;
+            }
+        }
+    }
+
+    if(best_total < 0)
+        return false;
+
+    // list the stops in reverse: the exit, then the waypoints back to the
+    // first one.  "sources" holds which search to follow back from each stop
+    // (the one from the stop before it - the entrance's search is number 0).
+    var stops = new Array(new Array(exits[best_exit].x, exits[best_exit].y));
+    var sources = new Array();
+    var set = all;
+    var last = best_last;
+    while(last >= 0)
+    {
+        stops.push(Waypoints[last]);
+        sources.push(last + 1);
+
+        var before = previous[set][last];
+        set = set & ~(1 << last);
+        last = before;
+    }
+    sources.push(0);
+
+    // walk each leg backwards, from a stop to the one before it
+    Solution_List.push(stops[0]);
+    for(var i = 0; i < sources.length; i++)
+    {
+        var leg = GetPathTo(searches[sources[i]], stops[i]);
+
+        // the first cell of each leg is already in the list
+        for(var j = 1; j < leg.length; j++)
+            Solution_List.push(leg[j]);
+    }
+
+    Steps_to_Solve = Solution_List.length - 1;
+    Cost_to_Solve = best_total;
+    return true;
+}
+
+// Returns the tags for the maze code (see "GetMazeCode()") that describe the
+// puzzle - nothing at all for a plain maze, so old codes stay the same:
+//  -e[count][mode letter]  extra exits, for example "-e2f"
+//  -w[count]               waypoints, for example "-w5"
+function GetPuzzleCode()
+{
+    var code = '';
+
+    if(EXTRA_EXITS > 0)
+        code += '-e' + EXTRA_EXITS + EXIT_MODES[EXIT_MODE].letter;
+    if(WAYPOINTS > 0)
+        code += '-w' + WAYPOINTS;
+
+    return code;
+}
+
+// Reads the puzzle's tags (see "GetPuzzleCode()") out of "tags" into
+// "settings", taking them out of "tags" as it goes.  Returns false if they
+// aren't valid.
+function ParsePuzzleCode(tags, settings)
+{
+    settings.extra_exits = 0;
+    settings.exit_mode = 'first';
+    settings.waypoints = 0;
+
+    if(tags.hasOwnProperty('e'))
+    {
+        var match = /^(\d+)([a-z])$/.exec(tags['e']);
+        if(match == null)
+            return false;
+
+        settings.extra_exits = parseInt(match[1]);
+        settings.exit_mode = null;
+        for(var mode in EXIT_MODES)
+        {
+            if(EXIT_MODES[mode].letter == match[2])
+                settings.exit_mode = mode;
+        }
+
+        if(settings.exit_mode == null || settings.extra_exits > MAX_EXTRA_EXITS)
+            return false;
+        delete tags['e'];
+    }
+
+    if(tags.hasOwnProperty('w'))
+    {
+        if(!/^\d+$/.test(tags['w']) || parseInt(tags['w']) > MAX_WAYPOINTS)
+            return false;
+
+        settings.waypoints = parseInt(tags['w']);
+        delete tags['w'];
+    }
+
+    return true;
+}
+
+// Fills in the puzzle settings on the page (used when loading a maze code)
+function SetPuzzleSettings(settings)
+{
+    document.getElementById('extra_exits').value = settings.extra_exits;
+    document.getElementById('exit_mode').value = settings.exit_mode;
+    document.getElementById('waypoints').value = settings.waypoints;
+}
@@ -0,0 +1,74 @@
+/*******************************************************************************
+ * File: "random.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file contains the random number generator used to build the maze.
+ *  JavaScript's own "Math.random()" can't be started from a known value, so
+ *  a maze made with it can never be made again.  Instead, every random choice
+ *  the generators make goes through "Random()", which is a small "seeded"
+ *  generator (Mulberry32): give it the same seed and it hands back the exact
+ *  same list of numbers, so the same maze comes out every time.
+ *
+ *  The seed is a whole number from 0 to 4294967295.  Seeds typed in by the
+ *  user that aren't numbers (like "week5") are turned into a number first,
+ *  so any word can be used as a seed.
+ ******************************************************************************/
+
+// Largest seed (seeds are 32-bit unsigned whole numbers)
+var MAX_SEED = 4294967295;
+
+// Current state of the generator - changes with every number handed out
+var Random_State = 0;
+
+// Starts the generator over from the seed passed in
+function SetSeed(seed)
+{
+    Random_State = seed >>> 0;
+}
+
+// Picks a brand new seed (used when the user leaves the seed field empty)
+function NewSeed()
+{
+    return Math.floor(Math.random() * (MAX_SEED + 1));
+}
+
+// Turns what the user typed in the seed field into a seed number:
+// whole numbers are used as-is, anything else is hashed (FNV-1a) into one.
+// Returns null for an empty field.
+function ParseSeed(text)
+{
+    text = String(text).replace(/^\s+|\s+$/g, '');
+
+    if(text.length == 0)
+        return null;
+
+    if(/^[0-9]+$/.test(text) && parseInt(text) <= MAX_SEED)
+        return parseInt(text);
+
+    var hash = 2166136261;
+    for(var i = 0; i < text.length; i++)
+    {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+
+    return hash >>> 0;
+}
+
+// Returns a random number from 0 up to (but not including) 1
+function Random()
+{
+    Random_State = (Random_State + 0x6D2B79F5) | 0;
+
+    var t = Random_State;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+// Returns a random whole number from 0 up to (but not including) "max"
+function RandomInt(max)
+{
+    return Math.floor(Random() * max);
+}
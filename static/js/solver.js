@@ -4,9 +4,9 @@
  * Author: David Pettifor
  * Description:
  *      This file contains the GUI interactions code for solving the "Maze".
- *  The document object contains elements of DIV type in a row/column format,
- *  represented by the parent window's "Maze" object.  This Maze object is a
- *  3-dimensional array:
+ *  The document contains a single canvas that the maze is drawn on (see
+ *  canvas.js), represented by the parent window's "Maze" object.  This Maze
+ *  object is a 3-dimensional array:
  *      Dimension 1: Width of the maze
  *      Dimension 2: Height of the maze
  *      Dimension 3: Array containing five (5) pieces of information:
@@ -15,8 +15,15 @@
  *          [2]: Bottom wall (1 [true] or 0 [false])
  *          [3]: Left wall (1 [true] or 0 [false])
  *          [4]: Visited (true or false)
+ *          [5]: Cost of walking into the cell
  *      A wall with a "1" means the wall exists, and a wall with a "0" means
- *      the wall has been knocked down.
+ *      the wall has been knocked down.  Hexagon, triangle and circular mazes
+ *      have a different number of walls (see topology.js), so the visited
+ *      flag and the cost are found with "VISITED" and "COST" instead.  Mazes
+ *      with more than one floor have the stairs up and down as two more
+ *      walls (see levels.js).  On a weave maze (see weave.js) the wall
+ *      leading into a tunnel goes straight under the crossing, so moving
+ *      through it comes out in the cell on the far side.
  *
  *  Other information is needed from the parent window:
  *      - Starting and Ending coordinates
@@ -27,13 +34,16 @@
  *  This information is gathered upon loading just below this commented section.
  *
  *  DOCUMENT OBJECTS:
- *      Each cell in the maze is represented by a very detailed DIV object with
- *      specific styles applied (mostly borders and colors).  Each DIV is given
- *      a unique ID that follows the following format:
- *          "X_Y"
+ *      The maze is drawn on a canvas with the ID "maze_canvas".  Each cell in
+ *      the maze is a square on the canvas, found by its coordinates:
+ *          [X, Y]
  *          Where:
  *              X = Width Coordinate
  *              Y = Height Coordinate
+ *      The background color of each cell is kept in "Cell_Colors" so that a
+ *      cell can be redrawn (for example, after the user's dot leaves it).
+ *      Clicking on the canvas is turned back into a cell coordinate by
+ *      "GetCanvasCell()".
  *      Keep in mind that the origins of this coordinate system is in the top-
  *      left corner of the maze: [0, 0].
  *      Example:
@@ -44,7 +54,7 @@
  *          Bottom-right corner: [39, 39]
  *
  *  MOVEMENT:
- *      Movement is defined by the characters:
+ *      Movement is defined by the characters (or the arrow keys):
  *          "W": Up
  *          "S": Down
  *          "A": Left
@@ -53,37 +63,82 @@
  *      to be captured in a keyDown event, and they are the typical characters
  *      of movement in many other software applications (games).
  *
+ *      Other grids (see topology.js) turn the keys into walls their own way
+ *      (see "GetMoveWalls()"):
+ *          - Hexagons: "W" and "S" go straight up and down, "Q", "E", "Z" and
+ *            "C" go up-left, up-right, down-left and down-right, and "A" and
+ *            "D" go down-left or up-left (down-right or up-right) - whichever
+ *            is open.
+ *          - Triangles: "A" and "D" go left and right, and "W" or "S" go
+ *            through the flat side of the triangle.
+ *          - Circles: "W" goes in towards the center, "S" goes out, and "A"
+ *            and "D" go around the ring.
+ *      On a maze with more than one floor, "R" (or Page Up) goes up the
+ *      stairs and "F" (or Page Down) goes down them.  Only the floor the
+ *      user is on is drawn (see "ShowFloor()"), and the stairs are shown as
+ *      arrows.
+ *
  *      Each time a movement character is pressed, the script references the
  *      Maze object to check if that movement is possible (that wall is a 0).
- *      If so, it clears the current document element of the generated
- *      background-image (updating colors according to enabled options), changes
- *      the current location's coordinates based on the move, and updates the
- *      new cell the user moved to in order to contain the background-image that
- *      represents where our user's current location is.
+ *      If so, it redraws the current cell without the dot (updating colors
+ *      according to enabled options), changes the current location's
+ *      coordinates based on the move, and draws the dot in the new cell the
+ *      user moved to.
  *
- *      Every time a move is successfully made, the move count increases by 1.
+ *      Every time a move is successfully made, the move count increases by 1,
+ *      and the cost of the cell moved into (see terrain.js - plain floor
+ *      costs 1, mud, water and ice cost more) is added to the user's cost.
+ *      At the end, the cost is compared to the cheapest way through.
  *
  *  USER'S LOCATION REPRESENTATION:
  *      The user's location is represented by a gradient red dot.  This dot is
- *      drawn using CSS styling and is set using the objects "background-image"
- *      property.  The CSS code required is browser-dependent, which is
- *      determined and set upon loading of the page.
+ *      drawn on the canvas with a radial gradient that fades out into the
+ *      cell's background color.
  *
  *  FINISHING:
  *      During each move, the script checks to see if that last move exits the
- *      user out the exiting wall of the exit cell.  If so, it alerts the user,
- *      sets the current coordinates to [-1, -1] (preventing any further moves),
- *      and displays a table of ending statistics.
+ *      user out the exiting wall of an exit cell (a maze can have more than
+ *      one exit - see puzzle.js).  If so, it alerts the user, sets the
+ *      current coordinates to [-1, -1] (preventing any further moves), and
+ *      displays a table of ending statistics.  From there the user can
+ *      watch the answer being played (see "PlayAnswer()"), and play back
+ *      their own path from the move log - or drag the slider to scrub
+ *      through it a move at a time (see "ShowReplay()").
+ *
+ *  TIMER AND SCORE:
+ *      The clock starts when the user makes their first move, and stops
+ *      while the window isn't in focus (it starts again with the next move).
+ *      When the maze is finished, the time, the moves and the jumps are
+ *      rolled up into a score (see "GetScore()"), and the user can put their
+ *      name on the leaderboard for the maze.  The leaderboards are kept in
+ *      the browser (localStorage), one for each maze code (and the walls of
+ *      the maze - an edited maze keeps the code it was made from, see
+ *      editor.js, but gets a leaderboard of its own).
+ *
+ *  UNDO AND REDO:
+ *      Every move (and jump) the user makes is written down in "Move_Log".
+ *      Ctrl+Z takes the last one back - the dot goes back where it was, and
+ *      the move (or jump) count, the cost, the visited path and any waypoint
+ *      it collected go back to how they were before it.  Ctrl+Y (or
+ *      Ctrl+Shift+Z) makes the last move taken back again.  Making a new move
+ *      forgets the moves that were taken back.  How many times the user
+ *      undid a move is counted in the statistics.
+ *
+ *  WAYPOINTS:
+ *      Some mazes have waypoints (dots) that have to be collected before
+ *      leaving.  A waypoint is collected by stepping into its cell, which
+ *      rubs out its dot.  Trying to leave before every waypoint has been
+ *      collected just tells the user how many are left.
  *
  *  OPTIONS:
  *      There are three (3) options available for the user to enable during
  *      play:
  *
  *      - Show Visited Path:
- *          This runs through the maze object looking for that last element [4]
- *          for any that are "true".  This means the user has visited that
- *          location in the maze, and it updates the DIV object's background
- *          color to that of the "VisitedBGColor" variable.
+ *          This runs through the maze object looking for the visited element
+ *          [VISITED] for any that are "true".  This means the user has
+ *          visited that location in the maze, and it updates that cell's
+ *          background color to that of the "VisitedBGColor" variable.
  *      - Show Split Offs:
  *          This runs through the maze object looking for cells that have been
  *          visited AND that have at least 3 open walls.  A cell with at least
@@ -91,7 +146,7 @@
  *          go.  Each cell has at least 2 open walls (enter and exit), but only
  *          cells with 3 or 4 open walls give the user a choice of which
  *          direction they would like to proceed in.  When it finds one of these
- *          cells, it changes that object's background color to that of the
+ *          cells, it changes that cell's background color to that of the
  *          "SplitOffsColor" variable.
  *      - Show Current Stats:
  *          This displays a table below showing the current move count and
@@ -106,11 +161,19 @@
 //  [2] = Bottom wall
 //  [3] = Left wall
 //  [4] = visited
+//  [5] = cost to walk into
 
 
 
-// copy over the maze object
+// copy over the maze object (and the shape of its grid, of the maze, its
+// floors and its tunnels - see topology.js, mask.js, levels.js and weave.js)
 var Maze = window.opener.Maze;
+LEVELS = window.opener.LEVELS;
+STAIRWELLS = window.opener.STAIRWELLS;
+WEAVE = window.opener.WEAVE;
+CROSSINGS = window.opener.CROSSINGS;
+SetTopology(window.opener.TOPOLOGY);
+MASK = window.opener.MASK;
 
 // starting locations
 var Start_X = window.opener.ENTRANCE_X;
@@ -120,15 +183,34 @@ var Start_Y = window.opener.ENTRANCE_Y;
 var End_X = window.opener.STARTING_X;
 var End_Y = window.opener.STARTING_Y;
 
+// every way out of the maze (the exit above, plus any extra exits): { x, y, wall }
+var Exit_Doors = window.opener.GetExitDoors();
+
+// cells that have to be visited before leaving, and the ones collected so far
+// (keyed by "X_Y")
+var Waypoints = window.opener.Waypoints;
+var Waypoints_Collected = new Object();
+var Waypoints_Left = Waypoints.length;
+
+// how the waypoints are drawn
+var WAYPOINT_COLOR = window.opener.WAYPOINT_COLOR;
+var WAYPOINT_SIZE = window.opener.WAYPOINT_SIZE;
+
 // Maze limits
 var WIDTH = window.opener.WIDTH;
 var HEIGHT = window.opener.HEIGHT;
+var FLOOR_HEIGHT = window.opener.FLOOR_HEIGHT;
+
+// Size of the cells and walls (used to draw the maze on the canvas)
+var CELL_SIZE = window.opener.CELL_SIZE;
+var BORDER_WIDTH = window.opener.BORDER_WIDTH;
+var BORDER_COLOR = window.opener.BORDER_COLOR;
 
-// Exiting wall
-var Exit = window.opener.EXIT;
+// Exiting wall (of the exit cell)
+var Exit = window.opener.EXIT_WALL;
 
-// Entering wall
-var Enter = window.opener.ENTER;
+// Entering wall (of the entrance cell)
+var Enter = window.opener.ENTRANCE_WALL;
 
 // current locations
 var Current_Location = new Array(Start_X, Start_Y);
@@ -147,36 +229,99 @@ var User_Moves = 0;
 // Keep track of how many jumps the user has made
 var User_Jumps = 0;
 
+// Keep track of what the user's moves have cost (see terrain.js)
+var User_Cost = 0;
+
+// Keep track of how many moves the user has taken back
+var User_Undos = 0;
+
+// Every move (and jump) the user has made, in order - see "LogMove()"
+var Move_Log = new Array();
+
+// Moves the user has taken back (the last one taken back is at the end), so
+// they can be made again
+var Redo_Log = new Array();
+
+// Milliseconds the clock ran for before it was last stopped, and the time it
+// was last started (null while it's stopped) - see "StartTimer()"
+var Timer_Elapsed = 0;
+var Timer_Started = null;
+
+// Ticks the clock on the page while it's running (and how often it ticks, in
+// milliseconds)
+var Timer_Clock = null;
+var TIMER_TICK = 100;
+
+// The score for finishing the maze in the fewest moves, without jumping or
+// undoing any, in the "par" time - SCORE_PAR_TIME seconds for every move it
+// takes.  Every jump and undo takes points off.  (See "GetScore()".)
+var SCORE_POINTS = 1000;
+var SCORE_PAR_TIME = 0.5;
+var JUMP_PENALTY = 50;
+var UNDO_PENALTY = 10;
+
+// How many scores each leaderboard keeps
+var LEADERBOARD_SIZE = 10;
+
+// The leaderboard's entry for the score the user just got (null if they
+// didn't put it on the leaderboard)
+var Last_Score = null;
+
+// the code of the maze being played (the leaderboards are kept by it - the
+// page may have moved on to a new maze by the time this one is finished)
+var Maze_Code = window.opener.GetMazeCode();
+
 // Number of moves it actually takes
 var Steps_to_Solve = window.opener.Steps_to_Solve;
 
+// What the cheapest way through costs, and whether the maze has any terrain
+// (if not, the cost is always the same as the number of moves)
+var Cost_to_Solve = window.opener.Cost_to_Solve;
+var Has_Terrain = window.opener.HasTerrain();
+
 // array holding the solution
 var Solution_List = window.opener.Solution_List;
 
+// the solution's cells, keyed by "X_Y" (for quick lookups)
+var Solution_Lookup = window.opener.Solution_Lookup;
+
+// Canvas the maze is drawn on, and its drawing context
+var Canvas = document.getElementById('maze_canvas');
+var Context;
+
+// Background color of every cell in the maze (what's drawn under the dot)
+var Cell_Colors = new Array(WIDTH);
+
 
 /****************** USER LOCATION REPRESENTATION ******************************/
-// The following code represent dots based on which browser is being used
-// The dots follow these parameters:
+// The dots follow these parameters (the dot size is "CANVAS_DOT_SIZE"):
 var DOT_COLOR = "#FF0000";
 var ANS_COLOR = "#000000";
 var ANS_BG_COLOR = "#00FF00";
 var BACKGROUND = "#FFFFFF";
-var DOT_SIZE = 80;  // % of cell
 
-var User_Representation;
+// Background color of the cells on the user's path when it's played back
+var REPLAY_COLOR = "#FFD27F";
 
-var Answer_Representation;
+// Milliseconds between each move when the user's path is played back, and
+// the timer for the next one (null when it isn't playing)
+var REPLAY_TIME = 100;
+var Replay_Timer = null;
 
 /***************** END USER LOCATION REPRESENTATION ***************************/
 
 
 /******************************** MAZE CLEANUP ********************************/
 // we need to run through the entire maze and reset the "visited" element
-// to "false"
+// to "false" (and start every cell off in the color of its terrain)
 for(var i = 0; i < WIDTH; i++)
 {
+    Cell_Colors[i] = new Array(HEIGHT);
     for(var j = 0; j < HEIGHT; j++)
-        Maze[i][j][4] = false;
+    {
+        Maze[i][j][VISITED] = false;
+        Cell_Colors[i][j] = GetTerrainColor(i, j);
+    }
 }
 /*************************** END MAZE CLEANUP *********************************/
 
@@ -186,159 +331,243 @@ Start();
 function Start()
 {
     document.addEventListener('keydown', keyDown);
+    
+    // the clock stops while the user is somewhere else
+    window.addEventListener('blur', PauseTimer);
+    
+    // draw the maze (the entrance's floor), and let the user click on it to
+    // jump around
+    ShowFloor(GetFloor(Start_Y));
+    Canvas.addEventListener('click', CanvasClicked);
+    
     SetUserRepresent();
     UpdatePosition();
 }
 
-// This function is called when a regular key is pressed
-//  NOTE: it is tied to the <body> tag as "onkeypress"
-// The purpose of this function is to find if the user pressed:
+// Draws floor "floor" of the maze (see levels.js) on the canvas: the walls,
+// the color of each of its cells and the waypoints still to be collected
+function ShowFloor(floor)
+{
+    DRAW_FLOOR = floor;
+    Context = DrawMazeCanvas(Canvas);
+    
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = floor * FLOOR_HEIGHT; j < (floor + 1) * FLOOR_HEIGHT; j++)
+        {
+            if(Cell_Colors[i][j] != GetTerrainColor(i, j))
+                FillCanvasCell(Context, i, j, Cell_Colors[i][j]);
+        }
+    }
+    
+    for(var i = 0; i < Waypoints.length; i++)
+    {
+        if(IsWaypointLeft(Waypoints[i][0], Waypoints[i][1]))
+            DrawCanvasWaypoint(Context, Waypoints[i][0], Waypoints[i][1], WAYPOINT_COLOR);
+    }
+    
+    if(LEVELS > 1)
+        document.getElementById('floor_label').innerHTML = 'Floor ' + (floor + 1) + ' of ' + LEVELS;
+}
+
+// Changes the background color of a cell and redraws it
+// (along with its waypoint, if it has one that hasn't been collected yet)
+function SetCellColor(x, y, color)
+{
+    Cell_Colors[x][y] = color;
+    FillCanvasCell(Context, x, y, color);
+    
+    if(IsWaypointLeft(x, y))
+        DrawCanvasWaypoint(Context, x, y, WAYPOINT_COLOR);
+}
+
+// Returns true if the cell at "x, y" has a waypoint that hasn't been collected
+function IsWaypointLeft(x, y)
+{
+    if(Waypoints_Collected.hasOwnProperty(x + '_' + y))
+        return false;
+    
+    for(var i = 0; i < Waypoints.length; i++)
+    {
+        if(Waypoints[i][0] == x && Waypoints[i][1] == y)
+            return true;
+    }
+    return false;
+}
+
+// Picks up the waypoint in the user's current cell (if there is one)
+function CollectWaypoint()
+{
+    var x = Current_Location[0];
+    var y = Current_Location[1];
+    
+    if(!IsWaypointLeft(x, y))
+        return;
+    
+    Waypoints_Collected[x + '_' + y] = true;
+    Waypoints_Left = Waypoints_Left - 1;
+    
+    if(document.getElementById('showstats').checked)
+        document.getElementById('display_waypoints').innerHTML = (Waypoints.length - Waypoints_Left) + ' of ' + Waypoints.length;
+}
+
+// Keys that move the user's dot, and the direction each one moves in
+var MOVE_KEYS = {
+    'w': 'up', 'arrowup': 'up',
+    's': 'down', 'arrowdown': 'down',
+    'a': 'left', 'arrowleft': 'left',
+    'd': 'right', 'arrowright': 'right',
+    'q': 'upleft', 'e': 'upright',
+    'z': 'downleft', 'c': 'downright',
+    'r': 'upstairs', 'pageup': 'upstairs',
+    'f': 'downstairs', 'pagedown': 'downstairs'
+};
+
+// This function is called when a key is pressed
+// The purpose of this function is to find if the user pressed one of the
+// "MOVE_KEYS", for example:
 //  w:  Move up
 //  s:  Move down
 //  a:  Move left
 //  d:  Move right
+//  r:  Go up the stairs
+//  f:  Go down the stairs
+// or Ctrl+Z (undo) and Ctrl+Y or Ctrl+Shift+Z (redo)
 function keyDown(event)
-{       
-    // check to see which direction we should move in!
-    switch(event.which)
-    {
-        case 119: // w
-        case 38: // Up arrow
-            MoveUp();
-            break;
-        case 115: // s
-        case 40: // Down arrow
-            MoveDown();
-            break;
-        case 97: // a
-        case 37: // Left arrow
-            MoveLeft();
-            break;
-        case 100: // d
-        case 39: // Right arrow
-            MoveRight();
-            break;
-    };
-}
-
-
-function MoveUp()
 {
-    // first check if the user tries to leave the maze
-    // through the starting cell's open wall
-    if(CheckStart(0))
-        return;
+    var key = String(event.key).toLowerCase();
     
-    // check if we can move up
-    if(Maze[Current_Location[0]][Current_Location[1]][0] == '0')
-    {        
-        // clear the current cell
-        ClearCurrentCell();
-        
-        // check if we're at the end
-        if(CheckFinish(0))
+    // (checked first - "Z" on its own is a move on a hexagon grid)
+    if(event.ctrlKey || event.metaKey)
+    {
+        if(key == 'z' && !event.shiftKey)
+            Undo();
+        else if(key == 'y' || key == 'z')
+            Redo();
+        else
             return;
         
-        // move our current location up
-        Current_Location[1] = Current_Location[1] - 1;
-        
-        // update our position in the GUI!
-        UpdatePosition();
-        
-        // increment our move count!
-        User_Moves = User_Moves + 1;
-        if(document.getElementById('showstats').checked == true)
-            document.getElementById('display_moves').innerHTML = User_Moves;
+        event.preventDefault();
+        return;
     }
+    
+    // check to see which direction we should move in!
+    if(MOVE_KEYS.hasOwnProperty(key))
+        MoveDirection(MOVE_KEYS[key]);
 }
 
-function MoveDown()
+// Returns the walls of the cell at "x, y" that moving in "direction" (one
+// of the "MOVE_KEYS" directions) could go through, best first
+function GetMoveWalls(x, y, direction)
 {
-    // first check if the user tries to leave the maze
-    // through the starting cell's open wall
-    if(CheckStart(2))
-        return;
+    // the stairs are the same on every grid (see levels.js)
+    if(direction == 'upstairs' || direction == 'downstairs')
+    {
+        if(LEVELS <= 1)
+            return [];
+        return (direction == 'upstairs') ? [UP_WALL] : [DOWN_WALL];
+    }
     
-    // check if we can move down
-    if(Maze[Current_Location[0]][Current_Location[1]][2] == '0')
+    if(TOPOLOGY == 'hex')
     {
-        // clear the current cell
-        ClearCurrentCell();
-        
-        // check if we're at the end
-        if(CheckFinish(2))
-            return;
-        
-        // move our current location up
-        Current_Location[1] = Current_Location[1] + 1;
-        
-        // update our position in the GUI!
-        UpdatePosition();
+        var hex = {
+            'up': [0], 'upright': [1], 'downright': [2], 'down': [3], 'downleft': [4], 'upleft': [5],
+            'left': [4, 5], 'right': [2, 1]
+        };
+        return hex[direction];
+    }
+    
+    if(TOPOLOGY == 'triangle')
+    {
+        // the flat side is on the bottom of a triangle pointing up
+        var flat = IsTriangleUp(x, y) ? 'down' : 'up';
+        var triangle = { 'left': [2], 'right': [1] };
+        triangle[flat] = [0];
         
-        // increment our move count!
-        User_Moves = User_Moves + 1;
-        if(document.getElementById('showstats').checked)
-            document.getElementById('display_moves').innerHTML = User_Moves;
+        return triangle.hasOwnProperty(direction) ? triangle[direction] : [];
     }
+    
+    // squares and rings: up (or in), right (clockwise), down (or out), left
+    var square = { 'up': [0], 'right': [1], 'down': [2], 'left': [3] };
+    return square.hasOwnProperty(direction) ? square[direction] : [];
 }
 
-function MoveLeft()
+// Moves the user in "direction" (see "MOVE_KEYS"), through the first open
+// wall that goes that way
+function MoveDirection(direction)
 {
-    // first check if the user tries to leave the maze
-    // through the starting cell's open wall
-    if(CheckStart(3))
+    // nowhere to go once the maze is finished
+    if(Current_Location[0] < 0)
         return;
     
-    // check if we can move left
-    if(Maze[Current_Location[0]][Current_Location[1]][3] == '0')
+    var walls = GetMoveWalls(Current_Location[0], Current_Location[1], direction);
+    for(var i = 0; i < walls.length; i++)
     {
-        // clear the current cell
-        ClearCurrentCell();
-        
-        // check if we're at the end
-        if(CheckFinish(3))
+        if(Maze[Current_Location[0]][Current_Location[1]][walls[i]] == 0)
+        {
+            Move(walls[i]);
             return;
-        
-        // move our current location up
-        Current_Location[0] = Current_Location[0] - 1;
-        
-        // update our position in the GUI!
-        UpdatePosition();
-        
-        // increment our move count!
-        User_Moves = User_Moves + 1;
-        if(document.getElementById('showstats').checked)
-            document.getElementById('display_moves').innerHTML = User_Moves;
+        }
     }
 }
 
-function MoveRight()
+// Moves the user through wall "wall" of the cell they're in (if it's open)
+function Move(wall)
 {
     // first check if the user tries to leave the maze
     // through the starting cell's open wall
-    if(CheckStart(1))
+    if(CheckStart(wall))
         return;
     
-    // check if we can move right
-    if(Maze[Current_Location[0]][Current_Location[1]][1] == '0')
+    // check if we can move that way
+    if(Maze[Current_Location[0]][Current_Location[1]][wall] == 0)
     {
         // clear the current cell
         ClearCurrentCell();
         
         // check if we're at the end
-        if(CheckFinish(1))
+        if(CheckFinish(wall))
             return;
         
-        // move our current location up
-        Current_Location[0] = Current_Location[0] + 1;
+        // move our current location into the next cell (decoy exits are
+        // open, but there's nothing on the other side - see puzzle.js)
+        var next = GetNeighbor(Current_Location[0], Current_Location[1], wall);
+        if(next == null)
+        {
+            UpdatePosition();
+            return;
+        }
+        
+        // (what undoing the move has to put back - see "Undo()")
+        var from = new Array(Current_Location[0], Current_Location[1]);
+        var first = (Maze[next[0]][next[1]][VISITED] == false);
+        var waypoint = IsWaypointLeft(next[0], next[1]);
+        
+        Current_Location[0] = next[0];
+        Current_Location[1] = next[1];
         
         // update our position in the GUI!
         UpdatePosition();
         
-        // increment our move count!
-        User_Moves = User_Moves + 1;
-        if(document.getElementById('showstats').checked)
-            document.getElementById('display_moves').innerHTML = User_Moves;
+        // increment our move count (and what it cost)!
+        CountMove();
+        
+        LogMove({ from: from, to: next, wall: wall, cost: GetCellCost(next[0], next[1]), first: first, waypoint: waypoint });
+    }
+}
+
+// Adds the move the user just made to the move count, and the cost of the
+// cell they moved into to the cost so far
+function CountMove()
+{
+    User_Moves = User_Moves + 1;
+    User_Cost = User_Cost + GetCellCost(Current_Location[0], Current_Location[1]);
+    
+    if(document.getElementById('showstats').checked)
+    {
+        document.getElementById('display_moves').innerHTML = User_Moves;
+        if(Has_Terrain)
+            document.getElementById('display_cost').innerHTML = User_Cost;
     }
 }
 
@@ -346,40 +575,69 @@ function MoveRight()
 // (Used right before updating to a new location)
 function ClearCurrentCell()
 {
-    // get rid of the dot...
-    document.getElementById(Current_Location[0] + '_' + Current_Location[1]).style.backgroundImage = '';
+    var x = Current_Location[0];
+    var y = Current_Location[1];
+    var color = Cell_Colors[x][y];
     
     // update the background color (in case we have our "show visited path" checked or "show split offs" checked)
     if(document.getElementById('showpath').checked)
-        document.getElementById(Current_Location[0] + '_' + Current_Location[1]).style.backgroundColor = VistedBGColor;
-    if(document.getElementById('showsplits').checked && CountOpenings(Current_Location[0], Current_Location[1]) >= 3)
-        document.getElementById(Current_Location[0] + '_' + Current_Location[1]).style.backgroundColor = SplitOffsColor;
+        color = VistedBGColor;
+    if(document.getElementById('showsplits').checked && CountOpenings(x, y) >= 3)
+        color = SplitOffsColor;
     if(document.getElementById('showpath').checked == false && document.getElementById('showsplits').checked == false)
-        document.getElementById(Current_Location[0] + '_' + Current_Location[1]).style.backgroundColor = '#FFFFFF';
+        color = GetTerrainColor(x, y);
+    
+    // redrawing the cell gets rid of the dot...
+    SetCellColor(x, y, color);
 }
 
-// Looks at the current position and sets that DIV cell's background image
-// to contain the pre-determined "User_Representation" dot
+// Looks at the current position and draws the user's dot in that cell
+// (switching to the floor it's on, if the user just took the stairs)
 function UpdatePosition()
 {
+    if(GetFloor(Current_Location[1]) != DRAW_FLOOR)
+        ShowFloor(GetFloor(Current_Location[1]));
+    
     // set this location in the maze to being visisted
-    Maze[Current_Location[0]][Current_Location[1]][4] = true;
+    Maze[Current_Location[0]][Current_Location[1]][VISITED] = true;
+    
+    CollectWaypoint();
+    
+    // without the visited path showing, the dot fades into the cell's terrain
+    var background = BACKGROUND;
+    if(!document.getElementById('showpath').checked)
+        background = GetTerrainColor(Current_Location[0], Current_Location[1]);
     
-    document.getElementById(Current_Location[0] + '_' + Current_Location[1]).style.backgroundImage = User_Representation;
+    DrawCanvasDot(Context, Current_Location[0], Current_Location[1], DOT_COLOR, background);
 }
 
-// This function checks to see if we're in the ending cell and if so,
+// This function checks to see if we're in an exit cell and if so,
 // checks if the direction is correct for leaving the cell.
 // If it is, it displays a message saying the maze is complete!
+// (unless there are still waypoints to collect - then the user stays put)
 function CheckFinish(direction)
 {
-    if(Current_Location[0] == End_X && Current_Location[1] == End_Y && direction == Exit)
+    for(var i = 0; i < Exit_Doors.length; i++)
     {
-        alert("Congratulations!  You have solved the maze!");
-        Current_Location[0] = -1;
-        Current_Location[1] = -1;
-        ShowStats();
-        return true;
+        if(Current_Location[0] == Exit_Doors[i].x && Current_Location[1] == Exit_Doors[i].y && direction == Exit_Doors[i].wall)
+        {
+            if(Waypoints_Left > 0)
+            {
+                alert("You still need to collect " + Waypoints_Left + " more waypoint" + (Waypoints_Left == 1 ? "" : "s") + " before you can leave!");
+                
+                // the dot was already cleared, so put it back
+                UpdatePosition();
+                return true;
+            }
+            
+            PauseTimer();
+            alert("Congratulations!  You have solved the maze!");
+            Current_Location[0] = -1;
+            Current_Location[1] = -1;
+            SaveScore();
+            ShowStats();
+            return true;
+        }
     }
     return false;
 }
@@ -398,129 +656,361 @@ function CheckStart(direction)
 // to "VistedBGColor" if "showPath" is true, or white if not
 function TogglePath(showPath)
 {
-    var color = '#FFFFFF';
-    if(showPath)
-        color = VistedBGColor;
+    var color = VistedBGColor;
 
     // loop through the Maze
     for(var i = 0; i < WIDTH; i++)
         for(var j = 0; j < HEIGHT; j++)
-            if(Maze[i][j][4] == true)
+            if(Maze[i][j][VISITED] == true)
             {
                 // Check if we're currently showing our splits, and the current cell is a split
                 if(document.getElementById('showsplits').checked == true && CountOpenings(i, j) >= 3)
-                    document.getElementById(i + '_' + j).style.backgroundColor = SplitOffsColor;
+                    SetCellColor(i, j, SplitOffsColor);
+                else if(showPath)
+                    SetCellColor(i, j, color);
                 else
-                    document.getElementById(i + '_' + j).style.backgroundColor = color;
+                    SetCellColor(i, j, GetTerrainColor(i, j));
             }
                 
     SetUserRepresent();
-    UpdatePosition();
+    
+    // redraw the dot (unless the maze is already finished)
+    if(Current_Location[0] >= 0)
+        UpdatePosition();
 }
 
 // This function checks the status of "Show Visited Path"
-// If it is checked, it creates a circle represnetation of the user's location in the maze
-// determined by the user's browser, and sets the global "User_Representation" to that code
-// which is used when updating the user's position
+// and sets the global "BACKGROUND" (the color the user's dot fades into)
+// to match, which is used when updating the user's position
 function SetUserRepresent()
 {
-
     // Set the background color - determined by "Show Visited Path"
     if(document.getElementById('showpath').checked)
         BACKGROUND = VistedBGColor;
     else
         BACKGROUND = "#FFFFFF";
+}
+
+// This function is called when the user clicks on the maze's canvas
+// It works out which cell was clicked on and tries to jump there
+function CanvasClicked(event)
+{
+    var cell = GetCanvasCell(Canvas, event);
     
-    /* IE10 */ 
-    var USER_IE = '-ms-radial-gradient(center, circle contain, '+DOT_COLOR+' 0%, '+BACKGROUND+' '+DOT_SIZE+'%)';
+    if(cell != null)
+        JumpHere(cell[0], cell[1]);
+}
+
+// This function is called when the user clicks on a particular cell
+// It checks to see if the user has been to this location, and if so,
+// updates that user's position to that cell (really helps when you're
+// reeeeeaaaaaaally off the right path...)
+function JumpHere(w, h)
+{
+    // can't jump anywhere once the maze is finished
+    if(Current_Location[0] < 0)
+        return;
     
-    /* Mozilla Firefox */ 
-    var USER_MOZ = '-moz-radial-gradient(center, circle contain, '+DOT_COLOR+' 0%, '+BACKGROUND+' '+DOT_SIZE+'%)';
+    // check if we've been there
+    if(Maze[w][h][VISITED] == true)
+    {
+        // clear the current cell
+        ClearCurrentCell();
+        
+        LogMove({ from: new Array(Current_Location[0], Current_Location[1]), to: new Array(w, h), wall: -1, cost: 0, first: false, waypoint: false });
+        
+        // update our current position to that location
+        Current_Location[0] = w;
+        Current_Location[1] = h;
+        
+        // update our position in the GUI!
+        UpdatePosition();
+        
+        // update our jump count!
+        User_Jumps = User_Jumps + 1;
+        
+        if(document.getElementById('showstats').checked)
+            document.getElementById('display_jumps').innerHTML = User_Jumps;
+    }
+}
+
+// Writes down a move (or jump) the user just made at the end of "Move_Log":
+//  from, to - the cells ([x, y]) it went from and to
+//  wall     - the wall of "from" it went through (-1 for a jump)
+//  cost     - what it cost (see terrain.js - jumps are free)
+//  first    - true if "to" hadn't been visited before
+//  waypoint - true if it collected the waypoint in "to"
+// A new move means the moves taken back can't be made again.
+function LogMove(move)
+{
+    Move_Log.push(move);
+    Redo_Log = new Array();
+    
+    // (the first move starts the clock)
+    StartTimer();
+}
+
+// This function is called when the user presses Ctrl+Z
+// It takes back the last move (or jump) in the move log, putting everything
+// back how it was before it was made
+function Undo()
+{
+    // nothing to take back (or the maze is already finished)
+    if(Move_Log.length == 0 || Current_Location[0] < 0)
+        return;
+    
+    var move = Move_Log.pop();
+    var x = move.to[0];
+    var y = move.to[1];
+    
+    ClearCurrentCell();
+    
+    // put the waypoint back, and forget the cell was ever visited
+    if(move.waypoint)
+    {
+        delete Waypoints_Collected[x + '_' + y];
+        Waypoints_Left = Waypoints_Left + 1;
+    }
+    if(move.first)
+        Maze[x][y][VISITED] = false;
+    if(move.first || move.waypoint)
+        SetCellColor(x, y, move.first ? GetTerrainColor(x, y) : Cell_Colors[x][y]);
+    
+    Current_Location[0] = move.from[0];
+    Current_Location[1] = move.from[1];
+    UpdatePosition();
+    
+    if(move.wall < 0)
+        User_Jumps = User_Jumps - 1;
+    else
+    {
+        User_Moves = User_Moves - 1;
+        User_Cost = User_Cost - move.cost;
+    }
+    User_Undos = User_Undos + 1;
+    StartTimer();
+    
+    Redo_Log.push(move);
+    UpdateCurrentStats();
+}
+
+// This function is called when the user presses Ctrl+Y (or Ctrl+Shift+Z)
+// It makes the last move taken back by "Undo()" again
+function Redo()
+{
+    if(Redo_Log.length == 0 || Current_Location[0] < 0)
+        return;
+    
+    // (making the move would forget the rest of the moves taken back)
+    var move = Redo_Log.pop();
+    var redo = Redo_Log;
+    
+    if(move.wall < 0)
+        JumpHere(move.to[0], move.to[1]);
+    else
+        Move(move.wall);
     
-    /* Opera */ 
-    var USER_OPERA = '-o-radial-gradient(center, circle farthest-corner, '+DOT_COLOR+' 0%, '+BACKGROUND+' '+String(parseInt(DOT_SIZE)-20)+'%)';
+    Redo_Log = redo;
+}
+
+// Fills in every count in the current statistics (if they're showing)
+function UpdateCurrentStats()
+{
+    if(!document.getElementById('showstats').checked)
+        return;
     
-    /* Webkit (Safari/Chrome 10) */ 
-    var USER_SAFARI = '-webkit-gradient(radial, center center, 0, center center, 143, color-stop(0, '+DOT_COLOR+'), color-stop('+String(DOT_SIZE/100)+', '+BACKGROUND+'))';
+    document.getElementById('display_moves').innerHTML = User_Moves;
+    document.getElementById('display_jumps').innerHTML = User_Jumps;
+    document.getElementById('display_undos').innerHTML = User_Undos;
+    if(Has_Terrain)
+        document.getElementById('display_cost').innerHTML = User_Cost;
+    if(Waypoints.length > 0)
+        document.getElementById('display_waypoints').innerHTML = (Waypoints.length - Waypoints_Left) + ' of ' + Waypoints.length;
+}
+
+// Starts the clock (if it isn't already running, and the maze isn't finished)
+function StartTimer()
+{
+    if(Timer_Started != null || Current_Location[0] < 0)
+        return;
     
-    /* Webkit (Chrome 11+) */ 
-    var USER_CHROME = '-webkit-radial-gradient(center, circle contain, '+DOT_COLOR+' 0%, '+BACKGROUND+' '+DOT_SIZE+'%)';
+    Timer_Started = new Date().getTime();
+    Timer_Clock = window.setInterval(ShowTimer, TIMER_TICK);
+    ShowTimer();
+}
+
+// This function is called when the window loses focus (and when the maze is
+// finished): stops the clock
+function PauseTimer()
+{
+    if(Timer_Started == null)
+        return;
     
+    Timer_Elapsed = GetElapsedTime();
+    Timer_Started = null;
     
-    /* IE10 */ 
-    var ANSWER_IE = '-ms-radial-gradient(center, circle contain, '+ANS_COLOR+' 0%, '+ANS_BG_COLOR+' '+DOT_SIZE+'%)';
+    window.clearInterval(Timer_Clock);
+    Timer_Clock = null;
+    ShowTimer();
+}
+
+// Returns how long the clock has run for (in milliseconds)
+function GetElapsedTime()
+{
+    if(Timer_Started == null)
+        return Timer_Elapsed;
     
-    /* Mozilla Firefox */ 
-    var ANSWER_MOZ = '-moz-radial-gradient(center, circle contain, '+ANS_COLOR+' 0%, '+ANS_BG_COLOR+' '+DOT_SIZE+'%)';
+    return Timer_Elapsed + new Date().getTime() - Timer_Started;
+}
+
+// Shows the time on the clock under the maze
+function ShowTimer()
+{
+    var text = 'Time: ' + FormatTime(GetElapsedTime());
+    if(Timer_Started == null && Timer_Elapsed > 0 && Current_Location[0] >= 0)
+        text += ' (paused - make a move to carry on)';
     
-    /* Opera */ 
-    var ANSWER_OPERA = '-o-radial-gradient(center, circle farthest-corner, '+ANS_COLOR+' 0%, '+ANS_BG_COLOR+' '+String(parseInt(DOT_SIZE)-20)+'%)';
+    document.getElementById('timer').innerHTML = text;
+}
+
+// Returns "time" (in milliseconds) as minutes and seconds, like "2:05.3"
+function FormatTime(time)
+{
+    var tenths = Math.floor(time / 100);
+    var minutes = Math.floor(tenths / 600);
+    var seconds = (tenths % 600) / 10;
+    
+    return minutes + ':' + (seconds < 10 ? '0' : '') + seconds.toFixed(1);
+}
+
+// Returns the user's score for finishing the maze: SCORE_POINTS times how
+// close they came to the fewest moves ("Steps_to_Solve" / "User_Moves"),
+// times how quick they were - 1 in the par time (see SCORE_PAR_TIME), up to
+// 2 for no time at all and down towards 0 the longer they take - less the
+// penalties for each jump and undo
+function GetScore()
+{
+    var accuracy = (User_Moves > 0) ? Math.min(1, Steps_to_Solve / User_Moves) : 1;
     
-    /* Webkit (Safari/Chrome 10) */ 
-    var ANSWER_SAFARI = '-webkit-gradient(radial, center center, 0, center center, 143, color-stop(0, '+ANS_COLOR+'), color-stop('+String(DOT_SIZE/100)+', '+ANS_BG_COLOR+'))';
+    var par = Steps_to_Solve * SCORE_PAR_TIME;
+    var seconds = GetElapsedTime() / 1000;
+    var speed = (par + seconds > 0) ? 2 * par / (par + seconds) : 1;
     
-    /* Webkit (Chrome 11+) */ 
-    var ANSWER_CHROME = '-webkit-radial-gradient(center, circle contain, '+ANS_COLOR+' 0%, '+ANS_BG_COLOR+' '+DOT_SIZE+'%)';
+    var score = Math.round(SCORE_POINTS * accuracy * speed) - JUMP_PENALTY * User_Jumps - UNDO_PENALTY * User_Undos;
+    return Math.max(0, score);
+}
 
+// Returns the browser's localStorage, or null if there isn't one (or it
+// can't be used - some browsers block it for pages opened from a file)
+function GetStorage()
+{
+    try
+    {
+        if(window.localStorage)
+            return window.localStorage;
+    }
+    catch(error)
+    {
+    }
     
-    // get the user's browser type
-    if(navigator.userAgent.indexOf("Firefox") >= 0)
+    return null;
+}
+
+// Returns the name the maze's leaderboard is kept under in localStorage: its
+// code and a checksum of its walls
+function GetLeaderboardKey()
+{
+    var checksum = 0;
+    for(var i = 0; i < WIDTH; i++)
     {
-        User_Representation = USER_MOZ;
-        Answer_Representation = ANSWER_MOZ;
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            for(var wall = 0; wall < SIDES; wall++)
+                checksum = (checksum * 31 + Maze[i][j][wall]) % 1000000007;
+        }
     }
-    else if(navigator.userAgent.indexOf("Opera") >= 0)
+    
+    return 'maze_leaderboard_' + Maze_Code + '_' + checksum.toString(36);
+}
+
+// Returns the maze's leaderboard (best score first) - an empty list if there
+// isn't one yet
+function GetLeaderboard()
+{
+    var storage = GetStorage();
+    if(storage == null)
+        return new Array();
+    
+    try
     {
-        User_Representation = USER_OPERA;
-        Answer_Representation = ANSWER_OPERA;
+        var scores = JSON.parse(storage.getItem(GetLeaderboardKey()));
+        if(scores instanceof Array)
+            return scores;
     }
-    else if(navigator.userAgent.indexOf("SAFARI") >= 0)
+    catch(error)
     {
-        User_Representation = USER_SAFARI;
-        Answer_Representation = ANSWER_SAFARI;
     }
-    else if(navigator.appName.indexOf("Internet Explorer") >= 0)
+    
+    return new Array();
+}
+
+// Asks the user for their name, and puts their score on the maze's
+// leaderboard (unless they'd rather not)
+function SaveScore()
+{
+    var storage = GetStorage();
+    if(storage == null)
+        return;
+    
+    var score = GetScore();
+    var name = prompt("You scored " + score + "!  Enter your name to put it on the leaderboard:", storage.getItem('maze_player_name') || '');
+    if(name == null || name.replace(/\s+/g, '').length == 0)
+        return;
+    
+    Last_Score = { name: name.substring(0, 40), score: score, time: GetElapsedTime(), moves: User_Moves, jumps: User_Jumps, undos: User_Undos, date: new Date().getTime() };
+    
+    // best score first (and the quickest, for the same score)
+    var scores = GetLeaderboard();
+    scores.push(Last_Score);
+    scores.sort(function(a, b) { return (b.score - a.score) || (a.time - b.time); });
+    scores = scores.slice(0, LEADERBOARD_SIZE);
+    
+    try
     {
-        User_Representation = USER_IE;
-        Answer_Representation = ANSWER_IE;
+        storage.setItem('maze_player_name', Last_Score.name);
+        storage.setItem(GetLeaderboardKey(), JSON.stringify(scores));
     }
-    else
+    catch(error)
     {
-        User_Representation = USER_CHROME;
-        Answer_Representation = ANSWER_CHROME;
+        alert("Sorry - your score couldn't be saved (the browser's storage is full).");
     }
 }
 
-// This function is called when the user clicks on a particular cell
-// It checks to see if the user has been to this location, and if so,
-// updates that user's position to that cell (really helps when you're
-// reeeeeaaaaaaally off the right path...)
-function JumpHere(cell_id)
+// Returns the HTML for the maze's leaderboard, with the score the user just
+// got in bold
+function GetLeaderboardHTML()
 {
-    // get the coordinates
-    cell_id = cell_id.split('_');
-    var w = cell_id[0];
-    var h = cell_id[1];
+    if(GetStorage() == null)
+        return '<p>This browser can\'t save scores, so there\'s no leaderboard.</p>';
     
-    // check if we've been there
-    if(Maze[parseInt(w)][parseInt(h)][4] == true)
+    var scores = GetLeaderboard();
+    if(scores.length == 0)
+        return '<p>No one is on the leaderboard for this maze yet.</p>';
+    
+    var HTML = '<table style="margin-left: auto; margin-right: auto; text-align: left;" cellpadding="4"><tr><th>#</th><th>Name</th><th>Score</th><th>Time</th><th>Moves</th><th>Jumps</th><th>Date</th></tr>';
+    for(var i = 0; i < scores.length; i++)
     {
-        // clear the current cell
-        ClearCurrentCell();
-        
-        // update our current position to that location
-        Current_Location[0] = parseInt(w);
-        Current_Location[1] = parseInt(h);
+        var entry = scores[i];
+        var mine = (Last_Score != null && entry.date == Last_Score.date && entry.name == Last_Score.name);
         
-        // update our position in the GUI!
-        UpdatePosition();
-        
-        // update our jump count!
-        User_Jumps = User_Jumps + 1;
+        // (the names are typed in by the users, so they're escaped)
+        var name = String(entry.name).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
         
-        if(document.getElementById('showstats').checked)
-            document.getElementById('display_jumps').innerHTML = User_Jumps;
+        HTML += '<tr' + (mine ? ' style="font-weight: bold;"' : '') + '><td>' + (i + 1) + '</td><td>' + name + '</td><td>' + entry.score + '</td><td>' + FormatTime(entry.time) + '</td><td>' + entry.moves + '</td><td>' + entry.jumps + '</td><td>' + new Date(entry.date).toLocaleDateString() + '</td></tr>';
     }
+    HTML += '</table>';
+    
+    return HTML;
 }
 
 // This function is called every time the user clicks on "Show Current Stats"
@@ -541,6 +1031,17 @@ function ToggleCurrentStats(checked)
     // show current jump count
     HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Current jump count:</div><div id="display_jumps" style="display: table-cell; text-align: right; width: 200px;">'+User_Jumps+'</div></div>';
     
+    // show how many moves have been taken back
+    HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Moves undone:</div><div id="display_undos" style="display: table-cell; text-align: right; width: 200px;">' + User_Undos + '</div></div>';
+    
+    // show what the moves have cost so far
+    if(Has_Terrain)
+        HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Current cost:</div><div id="display_cost" style="display: table-cell; text-align: right; width: 200px;">' + User_Cost + '</div></div>';
+    
+    // show how many waypoints have been collected
+    if(Waypoints.length > 0)
+        HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Waypoints collected:</div><div id="display_waypoints" style="display: table-cell; text-align: right; width: 200px;">' + (Waypoints.length - Waypoints_Left) + ' of ' + Waypoints.length + '</div></div>';
+    
     
     // close off our stats DIV
     HTML += '</div>';
@@ -558,17 +1059,43 @@ function ShowStats()
     HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Minimum Move Count:</div><div style="display: table-cell; text-align: right; width: 200px;">'+Steps_to_Solve+'</div></div>';
     HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Percentage of Accuracy:</div><div style="display: table-cell; text-align: right; width: 200px;">'+String((parseFloat(Steps_to_Solve)/parseFloat(User_Moves))*100)+'%</div></div>';
     
+    // show how long it took
+    HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Total Time:</div><div style="display: table-cell; text-align: right; width: 200px;">' + FormatTime(GetElapsedTime()) + '</div></div>';
+    
+    // show the cost against the cheapest way through
+    if(Has_Terrain)
+    {
+        HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Total Cost:</div><div id="display_cost" style="display: table-cell; text-align: right; width: 200px;">' + User_Cost + '</div></div>';
+        HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Cheapest Possible Cost:</div><div style="display: table-cell; text-align: right; width: 200px;">' + Cost_to_Solve + '</div></div>';
+        HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Percentage of Cost:</div><div style="display: table-cell; text-align: right; width: 200px;">' + String((parseFloat(Cost_to_Solve)/parseFloat(User_Cost))*100) + '%</div></div>';
+    }
+    
     
     // show current jump count
     HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Total Jump Count:</div><div id="display_jumps" style="display: table-cell; text-align: right; width: 200px;">'+User_Jumps+'</div></div>';
+    HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Moves Undone:</div><div id="display_undos" style="display: table-cell; text-align: right; width: 200px;">' + User_Undos + '</div></div>';
+    
+    // show the score (see "GetScore()")
+    HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;"><b>Score:</b></div><div style="display: table-cell; text-align: right; width: 200px;"><b>' + GetScore() + '</b></div></div>';
+    
+    // show the waypoints collected
+    if(Waypoints.length > 0)
+        HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;">Waypoints Collected:</div><div id="display_waypoints" style="display: table-cell; text-align: right; width: 200px;">' + Waypoints.length + ' of ' + Waypoints.length + '</div></div>';
     
     
     // give option to show answer
     HTML += '<br><div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;"><input style="margin-left: auto; margin-right: auto;" type="checkbox" onclick="ToggleAnswer(this.checked);"> Show Answer</input></div>\
             <div style="display: table-cell; text-align: right; width: 200px;"><button type="button" onclick="PlayAnswer();">Play Answer</button></div></div>';
     
+    // give option to play back the user's own path (or scrub through it)
+    HTML += '<div style="display: table-row;"><div style="display: table-cell; text-align: left; width: 200px;"><button type="button" onclick="PlayReplay();">Replay My Path</button></div>\
+            <div style="display: table-cell; text-align: right; width: 200px;"><input type="range" id="replay_step" min="0" max="' + Move_Log.length + '" value="' + Move_Log.length + '" oninput="ScrubReplay(this.value);" title="Drag to step through your path"></div></div>';
+    
     // close off our stats DIV
-    HTML += '</div>';
+    HTML += '</div><div id="replay_label"></div>';
+    
+    // and show the leaderboard for this maze
+    HTML += '<br>Leaderboard:<br><hr width="50%">' + GetLeaderboardHTML();
     
     document.getElementById('livestats').innerHTML = HTML;
 }
@@ -587,17 +1114,14 @@ function UpdateAnswer(index)
     if(index < 0)
         return;
     
-    // get rid of the dot...
-    document.getElementById(Current_Answer_Location[0] + '_' + Current_Answer_Location[1]).style.backgroundImage = '';
-    
-    // update the background color to show this is part of the answer
-    document.getElementById(Current_Answer_Location[0] + '_' + Current_Answer_Location[1]).style.backgroundColor = ANS_BG_COLOR;
+    // get rid of the dot, and show this is part of the answer
+    ClearAnswerCurrentCell();
     
     // update our location
     Current_Answer_Location = Solution_List[index];
     
     // update our position in the GUI!
-    document.getElementById(Current_Answer_Location[0] + '_' + Current_Answer_Location[1]).style.backgroundImage = Answer_Representation;
+    UpdateAnswerPosition();
     
     window.setTimeout(function(){UpdateAnswer(index - 1)}, 100);
 }
@@ -607,24 +1131,87 @@ function UpdateAnswer(index)
 // (Used right before updating to a new location)
 function ClearAnswerCurrentCell()
 {
-    // get rid of the dot...
-    document.getElementById(Current_Answer_Location[0] + '_' + Current_Answer_Location[1]).style.backgroundImage = '';
-    
-    // update the background color to show this is part of the answer
-    document.getElementById(Current_Answer_Location[0] + '_' + Current_Answer_Location[1]).style.backgroundColor = ANS_BG_COLOR;
+    // redraw the cell (getting rid of the dot) in the answer's color
+    SetCellColor(Current_Answer_Location[0], Current_Answer_Location[1], ANS_BG_COLOR);
 }
 
-// Looks at the current position and sets that DIV cell's background image
-// to contain the pre-determined "User_Representation" dot
+// Looks at the current answer position and draws the answer's dot there
+// (switching floors to follow it)
 function UpdateAnswerPosition()
 {
-    document.getElementById(Current_Answer_Location[0] + '_' + Current_Answer_Location[1]).style.backgroundImage = Answer_Representation;
+    if(GetFloor(Current_Answer_Location[1]) != DRAW_FLOOR)
+        ShowFloor(GetFloor(Current_Answer_Location[1]));
+    
+    DrawCanvasDot(Context, Current_Answer_Location[0], Current_Answer_Location[1], ANS_COLOR, ANS_BG_COLOR);
+}
+
+// This function is called when the user clicks on the "Replay My Path" button after completing the maze.
+// It plays back every move in the move log, one after the other (starting
+// over if the slider is already at the end)
+function PlayReplay()
+{
+    var step = parseInt(document.getElementById('replay_step').value);
+    if(step >= Move_Log.length)
+        step = 0;
+    
+    StopReplay();
+    UpdateReplay(step);
+}
+
+function UpdateReplay(step)
+{
+    ShowReplay(step);
+    
+    if(step < Move_Log.length)
+        Replay_Timer = window.setTimeout(function(){UpdateReplay(step + 1)}, REPLAY_TIME);
+    else
+        Replay_Timer = null;
+}
+
+// Stops playing back the user's path (if it's playing)
+function StopReplay()
+{
+    if(Replay_Timer != null)
+        window.clearTimeout(Replay_Timer);
+    Replay_Timer = null;
+}
+
+// This function is called when the replay slider is dragged
+function ScrubReplay(step)
+{
+    StopReplay();
+    ShowReplay(parseInt(step));
+}
+
+// Shows the user's path after the first "step" moves in the move log: the
+// cells they'd been through are colored in, with the dot where they were
+// (the floor it's on is drawn again from scratch, which rubs out the last
+// step shown)
+function ShowReplay(step)
+{
+    var cells = new Array(new Array(Start_X, Start_Y));
+    for(var i = 0; i < Move_Log.length; i++)
+        cells.push(Move_Log[i].to);
+    
+    var here = cells[step];
+    ShowFloor(GetFloor(here[1]));
+    
+    for(var i = 0; i < step; i++)
+        FillCanvasCell(Context, cells[i][0], cells[i][1], REPLAY_COLOR);
+    DrawCanvasDot(Context, here[0], here[1], DOT_COLOR, REPLAY_COLOR);
+    
+    document.getElementById('replay_step').value = step;
+    
+    var label = 'Move ' + step + ' of ' + Move_Log.length;
+    if(step > 0 && Move_Log[step - 1].wall < 0)
+        label += ' (a jump)';
+    document.getElementById('replay_label').innerHTML = label;
 }
 
 // This function is called when the "Show Answer" checkbox is clicked
 // This checkbox is only displayed after the maze has been completed
-// This runs through the array "Solution_List" and colors any DIV
-// that exists in this list (matching coordinates)
+// This runs through the maze and colors any cell that exists in the
+// solution (matching coordinates)
 function ToggleAnswer(show)
 {
     var color = "#00FF00";
@@ -639,17 +1226,23 @@ function ToggleAnswer(show)
             {
                 // check if the current location is in our list
                 if(IsAnswer(i, j))
-                    document.getElementById(i + '_' + j).style.backgroundColor = color;
+                    SetCellColor(i, j, color);
             }
             else
             {
                 // check if we want to show the path and is visited
-                if(Maze[i][j][4] == true)
-                    document.getElementById(i + '_' + j).style.backgroundColor = "#FFFFFF";
-                if(Maze[i][j][4] == true && document.getElementById('showpath').checked == true)
-                    document.getElementById(i + '_' + j).style.backgroundColor = VistedBGColor;
-                if(Maze[i][j][4] == true && document.getElementById('showsplits').checked == true && CountOpenings(i, j) >= 3)
-                    document.getElementById(i + '_' + j).style.backgroundColor = SplitOffsColor;
+                var cell_color = Cell_Colors[i][j];
+                if(IsAnswer(i, j))
+                    cell_color = GetTerrainColor(i, j);
+                if(Maze[i][j][VISITED] == true)
+                    cell_color = GetTerrainColor(i, j);
+                if(Maze[i][j][VISITED] == true && document.getElementById('showpath').checked == true)
+                    cell_color = VistedBGColor;
+                if(Maze[i][j][VISITED] == true && document.getElementById('showsplits').checked == true && CountOpenings(i, j) >= 3)
+                    cell_color = SplitOffsColor;
+                
+                if(cell_color != Cell_Colors[i][j])
+                    SetCellColor(i, j, cell_color);
                 
             }
         }
@@ -668,7 +1261,7 @@ function ToggleSplits(show)
         for(var j = 0; j < HEIGHT; j++)
         {
             // check if this cell has been visited
-            if(Maze[i][j][4] == true)
+            if(Maze[i][j][VISITED] == true)
             {
                 // check if this wall has more than one missing wall
                 if(CountOpenings(i, j) >= 3)
@@ -677,20 +1270,24 @@ function ToggleSplits(show)
                     if(show)
                     {
                         // color that cell!
-                        document.getElementById(i + '_' + j).style.backgroundColor = SplitOffsColor;
+                        SetCellColor(i, j, SplitOffsColor);
                     }
                     else
                     {
                         // otherwise, check if we want to just show the path or not
                         if(document.getElementById('showpath').checked == true)
-                            document.getElementById(i + '_' + j).style.backgroundColor = VistedBGColor;
+                            SetCellColor(i, j, VistedBGColor);
                         else
-                            document.getElementById(i + '_' + j).style.backgroundColor = "#FFFFFF";
+                            SetCellColor(i, j, GetTerrainColor(i, j));
                     }
                 }
             }
         }
     }
+    
+    // coloring the cells may have covered up the dot, so draw it again
+    if(Current_Location[0] >= 0)
+        UpdatePosition();
 }
 
 // Counts how many open walls exist in the cell passed in
@@ -698,21 +1295,16 @@ function ToggleSplits(show)
 function CountOpenings(w, h)
 {
     var count = 0;
-    for(var i = 0; i < 4; i++)
+    for(var i = 0; i < SIDES; i++)
         if(Maze[w][h][i] == 0)
             count += 1;
             
     return count;
 }
 
-// basically looks through the array "Solution_List" to see if the passed in coordinates
-// are a cell that is on the solution path
+// basically looks up the passed in coordinates in "Solution_Lookup" to see if
+// they are a cell that is on the solution path
 function IsAnswer(x, y)
 {
-    for(var i = 0; i < Solution_List.length; i++)
-    {
-        if(Solution_List[i][0] == x && Solution_List[i][1] == y)
-            return true;
-    }
-    return false;
+    return Solution_Lookup.hasOwnProperty(x + '_' + y);
 }
\ No newline at end of file
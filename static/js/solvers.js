@@ -0,0 +1,683 @@
+/*******************************************************************************
+ * File: "solvers.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file solves the same maze with a whole set of different algorithms,
+ *  so they can be compared side by side (the "Compare Solvers" button).
+ *  The answer key only ever comes from "SolveShortest()" in maze.js, and it
+ *  doesn't show how it got there - these show every cell they looked at:
+ *      Depth First Search  the same search as "Solver()" in maze.js: walk
+ *                          down a passage until it stops, then back up to
+ *                          the last place there was another way to go
+ *      Breadth First Search
+ *                          spread out from the entrance one move at a time,
+ *                          so the first way to the exit found is the shortest
+ *      A*                  like the breadth first search, but trying the
+ *                          cells that look closest to the exit first (see
+ *                          "GetDistanceGuess()" in topology.js - on a square
+ *                          grid that's the Manhattan distance)
+ *      Dead-End Filling    fill in every dead end, and keep filling in the
+ *                          cells that become dead ends, until only the ways
+ *                          through are left - then walk along what's left
+ *      Wall Follower       keep one hand on the wall (left or right) and
+ *                          walk until you come out.  On a maze with no
+ *                          loops this always gets out (going down every
+ *                          passage and back, if it has to).  With loops it
+ *                          only works when both doors are on the same wall:
+ *                          it can get stuck going around and around an
+ *                          island - when a door is in the middle of a
+ *                          circular maze, say, or the loop goes up the
+ *                          stairs or under a bridge.
+ *      Tremaux's           mark each passage every time you walk down it,
+ *                          never take a passage marked twice, and turn back
+ *                          when a new passage brings you somewhere you've
+ *                          been before.  The passages marked once are the
+ *                          way through.
+ *  Every one of them goes from the entrance to the exit (it doesn't visit any
+ *  waypoints - see puzzle.js), and each step costs the same (the terrain is
+ *  left out - see terrain.js).  None of them change the maze, so they don't
+ *  touch the "visited" flags the answer key uses.
+ *
+ *  For each algorithm the comparison shows how many cells it explored, how
+ *  long a path it found (and if that's the shortest one), how long it took,
+ *  and a map of the maze with every cell it explored shaded in - the more
+ *  times it went into a cell, the darker the cell.  On a perfect maze they
+ *  should all find the same path; on a maze with loops (see "BRAID_PERCENT"
+ *  in maze.js) the breadth first search and A* should still agree.
+ ******************************************************************************/
+
+// The algorithms, in the order they're shown:
+//  name  - shown in the comparison
+//  solve - the function that solves the maze in the globals (see
+//          "RunSolver()")
+var SOLVERS = {
+    'dfs':     { name: 'Depth First Search', solve: SolveDepthFirst },
+    'bfs':     { name: 'Breadth First Search', solve: SolveBreadthFirst },
+    'astar':   { name: 'A* (Manhattan Distance)', solve: SolveAStar },
+    'deadend': { name: 'Dead-End Filling', solve: SolveDeadEndFilling },
+    'left':    { name: 'Wall Follower (Left Hand)', solve: function() { return SolveWallFollower(false); } },
+    'right':   { name: 'Wall Follower (Right Hand)', solve: function() { return SolveWallFollower(true); } },
+    'tremaux': { name: 'Tr\u00e9maux\'s', solve: SolveTremaux }
+};
+
+// Colors of the cells explored once, and the most times (the cells in
+// between are shaded from one to the other), and of the path found
+var SOLVER_HEAT_LOW = [255, 236, 153];
+var SOLVER_HEAT_HIGH = [204, 34, 0];
+var SOLVER_PATH_COLOR = "#0055FF";
+
+// Biggest each map in the comparison is drawn (in pixels)
+var SOLVER_MAP_SIZE = 320;
+
+// Solves the maze in the globals with the algorithm "key" (a key of SOLVERS)
+// and returns what it found:
+//  found    - true if it got to the exit
+//  path     - the cells ([x, y]) of the way it found, from the entrance to
+//             the exit (empty if it didn't find one)
+//  visits   - how many times it went into each cell (keyed by "X_Y")
+//  explored - how many different cells it went into
+//  time     - how long it took (in milliseconds)
+function RunSolver(key)
+{
+    var start = GetSolverTime();
+    var result = SOLVERS[key].solve();
+    result.time = GetSolverTime() - start;
+
+    result.found = (result.path.length > 0);
+    result.explored = 0;
+    for(var cell in result.visits)
+        result.explored++;
+
+    return result;
+}
+
+// Runs every algorithm in SOLVERS on the maze in the globals, and returns
+// what each one found (see "RunSolver()") keyed the same way
+function CompareSolvers()
+{
+    var results = new Object();
+    for(var key in SOLVERS)
+        results[key] = RunSolver(key);
+
+    return results;
+}
+
+// Returns the time in milliseconds (as finely as the browser - or Node -
+// can measure it)
+function GetSolverTime()
+{
+    if(typeof performance !== 'undefined' && performance.now)
+        return performance.now();
+
+    return new Date().getTime();
+}
+
+// Adds one to the number of times the cell at "x, y" was gone into
+function AddVisit(visits, x, y)
+{
+    var key = x + '_' + y;
+    visits[key] = (visits[key] || 0) + 1;
+}
+
+// Returns true if "cell" ([x, y]) is the cell the exit is in
+function IsSolverExit(cell)
+{
+    return cell[0] == STARTING_X && cell[1] == STARTING_Y;
+}
+
+// Returns the way to "cell" ([x, y]) from the entrance, following "previous"
+// (the cell each cell was reached from, keyed by "X_Y") back to it
+function GetSolverPath(previous, cell)
+{
+    var path = new Array();
+    while(cell != null)
+    {
+        path.unshift(cell);
+        cell = previous[cell[0] + '_' + cell[1]];
+    }
+
+    return path;
+}
+
+// Depth first search (like "Solver()" in maze.js).  Backing up out of a
+// dead end walks back through the cells on the way, so those count as
+// visits too.
+function SolveDepthFirst()
+{
+    var visits = new Object();
+    var seen = new Object();
+    var path = new Array();
+    var next = new Array(ENTRANCE_X, ENTRANCE_Y);
+
+    while(true)
+    {
+        if(next != null)
+        {
+            AddVisit(visits, next[0], next[1]);
+            if(IsSolverExit(next))
+            {
+                var cells = new Array();
+                for(var i = 0; i < path.length; i++)
+                    cells.push(new Array(path[i].x, path[i].y));
+                cells.push(next);
+
+                return { path: cells, visits: visits };
+            }
+
+            seen[next[0] + '_' + next[1]] = true;
+            path.push({ x: next[0], y: next[1], neighbors: GetOpenNeighbors(next[0], next[1]), next: 0 });
+            next = null;
+        }
+
+        if(path.length == 0)
+            return { path: new Array(), visits: visits };
+
+        // try this cell's next way out that hasn't been tried, or back up
+        var current = path[path.length - 1];
+        if(current.next < current.neighbors.length)
+        {
+            var cell = current.neighbors[current.next];
+            current.next++;
+            if(!seen[cell[0] + '_' + cell[1]])
+                next = cell;
+        }
+        else
+        {
+            path.pop();
+            if(path.length > 0)
+                AddVisit(visits, path[path.length - 1].x, path[path.length - 1].y);
+        }
+    }
+}
+
+// Breadth first search: every cell one move from the entrance, then every
+// cell two moves away, and so on
+function SolveBreadthFirst()
+{
+    var visits = new Object();
+    var previous = new Object();
+    var queue = new Array(new Array(ENTRANCE_X, ENTRANCE_Y));
+    previous[ENTRANCE_X + '_' + ENTRANCE_Y] = null;
+
+    for(var q = 0; q < queue.length; q++)
+    {
+        var cell = queue[q];
+        AddVisit(visits, cell[0], cell[1]);
+        if(IsSolverExit(cell))
+            return { path: GetSolverPath(previous, cell), visits: visits };
+
+        var next = GetOpenNeighbors(cell[0], cell[1]);
+        for(var n = 0; n < next.length; n++)
+        {
+            var key = next[n][0] + '_' + next[n][1];
+            if(previous[key] === undefined)
+            {
+                previous[key] = cell;
+                queue.push(next[n]);
+            }
+        }
+    }
+
+    return { path: new Array(), visits: visits };
+}
+
+// A* search (like "SolveShortest()" in maze.js, but every move costs one)
+function SolveAStar()
+{
+    var visits = new Object();
+    var previous = new Object();
+    var moves = new Object();
+    var heap = new Array();
+
+    previous[ENTRANCE_X + '_' + ENTRANCE_Y] = null;
+    moves[ENTRANCE_X + '_' + ENTRANCE_Y] = 0;
+    HeapPush(heap, { x: ENTRANCE_X, y: ENTRANCE_Y, cost: 0, score: GetDistanceGuess(ENTRANCE_X, ENTRANCE_Y, STARTING_X, STARTING_Y) });
+
+    while(heap.length > 0)
+    {
+        var cell = HeapPop(heap);
+
+        // we may have found a shorter way to this cell since it was added
+        if(visits[cell.x + '_' + cell.y])
+            continue;
+        AddVisit(visits, cell.x, cell.y);
+
+        if(IsSolverExit(new Array(cell.x, cell.y)))
+            return { path: GetSolverPath(previous, new Array(cell.x, cell.y)), visits: visits };
+
+        var next = GetOpenNeighbors(cell.x, cell.y);
+        for(var n = 0; n < next.length; n++)
+        {
+            var key = next[n][0] + '_' + next[n][1];
+            if(moves[key] === undefined || cell.cost + 1 < moves[key])
+            {
+                moves[key] = cell.cost + 1;
+                previous[key] = new Array(cell.x, cell.y);
+                HeapPush(heap, { x: next[n][0], y: next[n][1], cost: cell.cost + 1, score: cell.cost + 1 + GetDistanceGuess(next[n][0], next[n][1], STARTING_X, STARTING_Y) });
+            }
+        }
+    }
+
+    return { path: new Array(), visits: visits };
+}
+
+// Dead-end filling: fills in the dead ends (but never the cells the doors
+// are in) until there aren't any left, then walks from the entrance to the
+// exit through the cells that are left.  On a perfect maze that leaves just
+// the way through; on a maze with loops the loops are left too, and the walk
+// takes the shortest way through them.
+function SolveDeadEndFilling()
+{
+    var visits = new Object();
+    var filled = new Object();
+    var openings = new Object();
+    var dead_ends = new Array();
+
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(!IsInMask(i, j))
+                continue;
+
+            openings[i + '_' + j] = GetOpenNeighbors(i, j).length;
+            if(openings[i + '_' + j] <= 1 && !IsSolverDoor(i, j))
+                dead_ends.push(new Array(i, j));
+        }
+    }
+
+    // filling in a dead end can leave the cell next to it as a dead end
+    while(dead_ends.length > 0)
+    {
+        var cell = dead_ends.pop();
+        filled[cell[0] + '_' + cell[1]] = true;
+        AddVisit(visits, cell[0], cell[1]);
+
+        var next = GetOpenNeighbors(cell[0], cell[1]);
+        for(var n = 0; n < next.length; n++)
+        {
+            var key = next[n][0] + '_' + next[n][1];
+            if(filled[key])
+                continue;
+
+            openings[key]--;
+            if(openings[key] == 1 && !IsSolverDoor(next[n][0], next[n][1]))
+                dead_ends.push(next[n]);
+        }
+    }
+
+    // then walk through what's left
+    var previous = new Object();
+    var queue = new Array(new Array(ENTRANCE_X, ENTRANCE_Y));
+    previous[ENTRANCE_X + '_' + ENTRANCE_Y] = null;
+
+    for(var q = 0; q < queue.length; q++)
+    {
+        var cell = queue[q];
+        AddVisit(visits, cell[0], cell[1]);
+        if(IsSolverExit(cell))
+            return { path: GetSolverPath(previous, cell), visits: visits };
+
+        var next = GetOpenNeighbors(cell[0], cell[1]);
+        for(var n = 0; n < next.length; n++)
+        {
+            var key = next[n][0] + '_' + next[n][1];
+            if(!filled[key] && previous[key] === undefined)
+            {
+                previous[key] = cell;
+                queue.push(next[n]);
+            }
+        }
+    }
+
+    return { path: new Array(), visits: visits };
+}
+
+// Returns true if the cell at "x, y" has the entrance or exit in it (the
+// dead-end filling has to leave those)
+function IsSolverDoor(x, y)
+{
+    return (x == ENTRANCE_X && y == ENTRANCE_Y) || (x == STARTING_X && y == STARTING_Y);
+}
+
+// Wall follower: walks through the maze with one hand on the wall - the
+// right hand if "right" is true, or the left one.  Each cell's walls are
+// always tried in the same order around it (see "GetWallFollowerOrder()"):
+// it sweeps around from the wall it came in through, and takes the first way
+// out it comes to (so with the right hand on the wall it turns right whenever
+// it can, and going back out the way it came in is the very last choice).
+// The path it found is the walk with every trip down a dead end (or around a
+// loop) taken back out of it.
+function SolveWallFollower(right)
+{
+    var visits = new Object();
+    var x = ENTRANCE_X;
+    var y = ENTRANCE_Y;
+
+    // the wall it came in through - to start with, the entrance
+    var back = ENTRANCE_WALL;
+
+    var path = new Array(new Array(x, y));
+    var on_path = new Object();
+    on_path[x + '_' + y] = 0;
+
+    // walking into each cell the same way twice means it's going around in
+    // circles (and would forever)
+    var limit = WIDTH * HEIGHT * SIDES * 2;
+    for(var moves = 0; moves <= limit; moves++)
+    {
+        AddVisit(visits, x, y);
+        if(IsSolverExit(new Array(x, y)))
+            return { path: path, visits: visits };
+
+        var order = GetWallFollowerOrder(x, y);
+        var start = order.indexOf(back);
+        var next = null;
+        for(var n = 1; n <= order.length && next == null; n++)
+        {
+            var wall = order[(start + (right ? order.length - n : n)) % order.length];
+            if(Maze[x][y][wall] == 0)
+                next = GetNeighbor(x, y, wall);
+        }
+
+        if(next == null)
+            break;
+
+        back = GetWallBetween(next[0], next[1], new Array(x, y));
+        x = next[0];
+        y = next[1];
+
+        // coming back to a cell on the path cuts off the loop it just went
+        // around
+        var key = x + '_' + y;
+        if(on_path[key] !== undefined)
+        {
+            while(path.length > on_path[key] + 1)
+            {
+                var cut = path.pop();
+                delete on_path[cut[0] + '_' + cut[1]];
+            }
+        }
+        else
+        {
+            on_path[key] = path.length;
+            path.push(next);
+        }
+    }
+
+    return { path: new Array(), visits: visits };
+}
+
+// Returns the walls of the cell at "x, y" in the order the wall follower
+// sweeps around them: the walls around the cell clockwise (as drawn - the
+// walls of an upside down triangle aren't numbered that way), then the
+// stairs (which aren't any direction, so they always come last).  The order
+// never changes, so on a maze with no loops the walk goes down every passage
+// at most once each way and has to come out at the exit.
+function GetWallFollowerOrder(x, y)
+{
+    var walls = new Array();
+    var angles = new Array();
+    for(var wall = 0; wall < GRID_SIDES; wall++)
+    {
+        var points = GetWallPoints(x, y, wall);
+        var middle = new Array((points[0][0] + points[points.length - 1][0]) / 2, (points[0][1] + points[points.length - 1][1]) / 2);
+        walls.push(wall);
+        angles[wall] = GetSolverAngle(x, y, middle);
+    }
+    walls.sort(function(a, b) { return angles[a] - angles[b]; });
+
+    for(var wall = GRID_SIDES; wall < SIDES; wall++)
+        walls.push(wall);
+
+    return walls;
+}
+
+// Returns the angle (in radians, as drawn) from the middle of the cell at
+// "x, y" to "point" ([x, y])
+function GetSolverAngle(x, y, point)
+{
+    var center = GetCellCenter(x, y);
+    return Math.atan2(point[1] - center[1], point[0] - center[0]);
+}
+
+// Tremaux's algorithm (see the top of this file).  The marks are kept on
+// each passage - both cells' keys, the smaller one first.
+function SolveTremaux()
+{
+    var visits = new Object();
+    var marks = new Object();
+    var seen = new Object();
+    var current = new Array(ENTRANCE_X, ENTRANCE_Y);
+    var previous = null;
+
+    var limit = WIDTH * HEIGHT * SIDES * 2;
+    for(var moves = 0; moves <= limit; moves++)
+    {
+        AddVisit(visits, current[0], current[1]);
+        if(IsSolverExit(current))
+            break;
+
+        var key = current[0] + '_' + current[1];
+        var next = null;
+
+        // a new passage into somewhere we've been before: turn back
+        if(previous != null && seen[key] && GetTremauxMarks(marks, previous, current) == 1)
+            next = previous;
+        else
+        {
+            // otherwise take the passage with the fewest marks (but never
+            // one with two)
+            var ways = GetOpenNeighbors(current[0], current[1]);
+            var fewest = 2;
+            for(var n = 0; n < ways.length; n++)
+            {
+                var count = GetTremauxMarks(marks, current, ways[n]);
+                if(count < fewest)
+                {
+                    next = ways[n];
+                    fewest = count;
+                }
+            }
+        }
+
+        seen[key] = true;
+        if(next == null)
+            return { path: new Array(), visits: visits };
+
+        marks[GetPassageKey(current, next)] = GetTremauxMarks(marks, current, next) + 1;
+        previous = current;
+        current = next;
+    }
+
+    if(!IsSolverExit(current))
+        return { path: new Array(), visits: visits };
+
+    // the passages marked once lead from the entrance to where we are
+    var path = new Array(new Array(ENTRANCE_X, ENTRANCE_Y));
+    var from = null;
+    var cell = path[0];
+    while(!IsSolverExit(cell))
+    {
+        var ways = GetOpenNeighbors(cell[0], cell[1]);
+        var next = null;
+        for(var n = 0; n < ways.length && next == null; n++)
+        {
+            if((from == null || ways[n][0] != from[0] || ways[n][1] != from[1]) && GetTremauxMarks(marks, cell, ways[n]) == 1)
+                next = ways[n];
+        }
+
+        if(next == null)
+            return { path: new Array(), visits: visits };
+
+        path.push(next);
+        from = cell;
+        cell = next;
+    }
+
+    return { path: path, visits: visits };
+}
+
+// Returns the key the marks on the passage between cells "a" and "b" (both
+// [x, y]) are kept under
+function GetPassageKey(a, b)
+{
+    var first = a[0] + '_' + a[1];
+    var second = b[0] + '_' + b[1];
+    return (first < second) ? first + '|' + second : second + '|' + first;
+}
+
+// Returns how many times the passage between cells "a" and "b" is marked
+function GetTremauxMarks(marks, a, b)
+{
+    return marks[GetPassageKey(a, b)] || 0;
+}
+
+// Returns the color of a cell explored "visits" times, when the cell
+// explored the most was explored "most" times
+function GetHeatColor(visits, most)
+{
+    var amount = (most > 1) ? (visits - 1) / (most - 1) : 0;
+
+    var color = new Array();
+    for(var i = 0; i < 3; i++)
+        color.push(Math.round(SOLVER_HEAT_LOW[i] + (SOLVER_HEAT_HIGH[i] - SOLVER_HEAT_LOW[i]) * amount));
+
+    return 'rgb(' + color.join(', ') + ')';
+}
+
+// Draws the map of what "result" (see "RunSolver()") explored onto "canvas":
+// the maze, with the cells it explored shaded in and the path it found
+// drawn over the top
+function DrawSolverMap(canvas, result)
+{
+    var size = GetMazeImageSize();
+    var context = DrawMazeCanvas(canvas, Math.min(1, SOLVER_MAP_SIZE / Math.max(size[0], size[1])));
+
+    var most = 0;
+    for(var cell in result.visits)
+        most = Math.max(most, result.visits[cell]);
+
+    for(var cell in result.visits)
+    {
+        var position = SplitCellKey(cell);
+        FillCanvasCell(context, position[0], position[1], GetHeatColor(result.visits[cell], most));
+    }
+
+    // (coloring the cells in covers the walls between them and the
+    // unexplored cells, so they're drawn again)
+    DrawCanvasLines(context, GetWallLines());
+
+    // the path is drawn a floor at a time (the stairs jump between them)
+    context.strokeStyle = SOLVER_PATH_COLOR;
+    context.lineWidth = Math.max(1, CELL_SIZE / 4);
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.beginPath();
+    for(var i = 0; i < result.path.length; i++)
+    {
+        var point = GetCellCenter(result.path[i][0], result.path[i][1]);
+        if(i == 0 || GetFloor(result.path[i][1]) != GetFloor(result.path[i - 1][1]))
+            context.moveTo(point[0], point[1]);
+        else
+            context.lineTo(point[0], point[1]);
+    }
+    context.stroke();
+}
+
+// Called when the (dynamically) generated "Compare Solvers" button is
+// clicked.  Solves the maze being shown with every algorithm, and shows how
+// each one did with a map of what it explored.
+function ShowSolverComparison()
+{
+    var results = CompareSolvers();
+    var shortest = results['bfs'].found ? results['bfs'].path.length - 1 : -1;
+
+    var html = '<table class="table table-condensed" style="width: auto;">';
+    html += '<tr><th>Algorithm</th><th>Found the exit</th><th>Cells explored</th><th>Path length</th><th>Shortest?</th><th>Time</th></tr>';
+    for(var key in results)
+    {
+        var result = results[key];
+        html += '<tr><td>' + SOLVERS[key].name + '</td>';
+        html += '<td>' + (result.found ? 'Yes' : 'No') + '</td>';
+        html += '<td>' + result.explored + '</td>';
+        html += '<td>' + (result.found ? (result.path.length - 1) + ' moves' : '-') + '</td>';
+        html += '<td>' + (result.found ? (result.path.length - 1 == shortest ? 'Yes' : 'No') : '-') + '</td>';
+        html += '<td>' + result.time.toFixed(2) + ' ms</td></tr>';
+    }
+    html += '</table>';
+
+    // (the answer key is the cheapest way through, which is only the
+    // shortest one when there's no terrain or waypoints to get in the way)
+    if(!IsTourPuzzle() && !HasTerrain() && shortest != Steps_to_Solve)
+        html += '<p>The breadth first search found a way through in ' + shortest + ' moves, but the answer key takes ' + Steps_to_Solve + ' - one of them is wrong!</p>';
+
+    // (and on a maze with no loops the wall followers can't miss the exit)
+    if(!HasSolverLoops())
+    {
+        var hands = new Array('left', 'right');
+        for(var i = 0; i < hands.length; i++)
+        {
+            if(!results[hands[i]].found)
+                html += '<p>This maze has no loops, but the ' + SOLVERS[hands[i]].name + ' didn\'t find the exit - it should have!</p>';
+        }
+    }
+
+    document.getElementById('solvers_table').innerHTML = html;
+
+    // then a map for each algorithm, side by side
+    var maps = document.getElementById('solvers_maps');
+    maps.innerHTML = '';
+    for(var key in results)
+    {
+        var map = document.createElement('div');
+        map.style.display = 'inline-block';
+        map.style.margin = '10px';
+        map.style.verticalAlign = 'top';
+        map.innerHTML = '<h5>' + SOLVERS[key].name + '</h5>';
+
+        var canvas = document.createElement('canvas');
+        DrawSolverMap(canvas, results[key]);
+        map.appendChild(canvas);
+        maps.appendChild(map);
+    }
+
+    document.getElementById('solvers').style.display = '';
+}
+
+// Returns true if there's more than one way between any two cells that can be
+// reached from the entrance - more passages between them than it takes to
+// join them all up
+function HasSolverLoops()
+{
+    var seen = new Object();
+    seen[ENTRANCE_X + '_' + ENTRANCE_Y] = true;
+    var queue = new Array(new Array(ENTRANCE_X, ENTRANCE_Y));
+    var ends = 0;
+
+    for(var q = 0; q < queue.length; q++)
+    {
+        var next = GetOpenNeighbors(queue[q][0], queue[q][1]);
+        ends += next.length;
+        for(var n = 0; n < next.length; n++)
+        {
+            var key = next[n][0] + '_' + next[n][1];
+            if(!seen[key])
+            {
+                seen[key] = true;
+                queue.push(next[n]);
+            }
+        }
+    }
+
+    // (each passage has two ends)
+    return ends / 2 > queue.length - 1;
+}
+
+// Called when the "Done" button under the comparison is clicked (and when a
+// different maze is shown): hides the comparison
+function CloseSolverComparison()
+{
+    document.getElementById('solvers').style.display = 'none';
+    document.getElementById('solvers_maps').innerHTML = '';
+}
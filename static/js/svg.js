@@ -0,0 +1,162 @@
+/*******************************************************************************
+ * File: "svg.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file draws the maze as an SVG image instead of the DIV tags used by
+ *  "DrawMaze()".  SVG images are made of lines instead of pixels, so they
+ *  stay crisp no matter how big they get printed.
+ *
+ *  The walls are read straight out of the "Maze" array.  Instead of drawing
+ *  four borders around every cell, we walk along each row (and each column)
+ *  of grid lines and draw one line segment for every run of walls that are
+ *  still up.  This keeps the file small even for big mazes.  Hexagon,
+ *  triangle and circular mazes (see topology.js) draw each wall on its own,
+ *  with round ends so the walls meet up at any angle.
+ *
+ *  The sizes match the DIV version of the maze:
+ *      - Each cell is CELL_SIZE pixels on the inside
+ *      - Walls are twice BORDER_WIDTH thick (each cell has its own border)
+ *      - Walls are drawn in BORDER_COLOR
+ *  So a cell, plus its share of the walls, takes up CELL_SIZE + 2 *
+ *  BORDER_WIDTH pixels.  Every kind of grid can be drawn this way, so the
+ *  other grids use the SVG drawing for the printer-friendly pages too.
+ *
+ *  The answer key is the same drawing with the cells on the solution path
+ *  filled in red, just like "DrawMazeAnswer()".  Waypoints (see puzzle.js)
+ *  are drawn as dots on both, and terrain (see terrain.js) is colored in.
+ *  The floors of a maze with more than one (see levels.js) are drawn side by
+ *  side, with an arrow in each cell that has stairs up or down.  The
+ *  bridges of a weave maze (see weave.js) come along with the walls.
+ ******************************************************************************/
+
+// Color used to fill in the solution's path on the answer key
+var SVG_ANSWER_COLOR = "#FF0000";
+
+// Color of the background behind the maze
+var SVG_BACKGROUND = "#FFFFFF";
+
+// Returns the SVG code for the maze.  If "answer" is true, the cells on the
+// solution's path are filled in.
+function DrawMazeSVG(answer)
+{
+    // how thick the walls are
+    var wall = BORDER_WIDTH * 2;
+
+    // the outside walls are centered on the edges of the outside cells, so
+    // the drawing leaves room for them (see "GetMazeImageSize()")
+    var size = GetMazeImageSize();
+    var width = SVGNumber(size[0]);
+    var height = SVGNumber(size[1]);
+
+    var SVG = '<?xml version="1.0" encoding="UTF-8"?>\n';
+    SVG += '<svg xmlns="http://www.w3.org/2000/svg" version="1.1" width="' + width + '" height="' + height + '" viewBox="0 0 ' + width + ' ' + height + '">\n';
+    SVG += '  <rect x="0" y="0" width="' + width + '" height="' + height + '" fill="' + SVG_BACKGROUND + '"/>\n';
+
+    // color in any terrain (see terrain.js), grouped by color
+    var terrain = new Object();
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            var color = GetTerrainColor(i, j);
+            if(color == SVG_BACKGROUND)
+                continue;
+
+            if(!terrain.hasOwnProperty(color))
+                terrain[color] = '';
+            terrain[color] += '    <polygon points="' + GetSVGPoints(GetCellPolygon(i, j)) + '"/>\n';
+        }
+    }
+    for(var color in terrain)
+        SVG += '  <g fill="' + color + '">\n' + terrain[color] + '  </g>\n';
+
+    // fill in the path first so the walls get drawn over the top of it
+    if(answer)
+    {
+        SVG += '  <g fill="' + SVG_ANSWER_COLOR + '">\n';
+        for(var i = 0; i < Solution_List.length; i++)
+            SVG += '    <polygon points="' + GetSVGPoints(GetCellPolygon(Solution_List[i][0], Solution_List[i][1])) + '"/>\n';
+        SVG += '  </g>\n';
+    }
+
+    SVG += '  <path fill="none" stroke="' + BORDER_COLOR + '" stroke-width="' + wall + '" stroke-linecap="' + GetWallLineCap() + '" stroke-linejoin="round" d="' + GetWallSegments() + '"/>\n';
+
+    // the stairs between the floors (see levels.js)
+    var stairs = GetAllStairPolygons();
+    if(stairs.length > 0)
+    {
+        SVG += '  <g fill="' + STAIR_COLOR + '">\n';
+        for(var i = 0; i < stairs.length; i++)
+            SVG += '    <polygon points="' + GetSVGPoints(stairs[i]) + '"/>\n';
+        SVG += '  </g>\n';
+    }
+
+    // waypoints (puzzle.js) are drawn as dots in the middle of their cells
+    if(Waypoints.length > 0)
+    {
+        SVG += '  <g fill="' + WAYPOINT_COLOR + '">\n';
+        for(var i = 0; i < Waypoints.length; i++)
+        {
+            var center = GetCellCenter(Waypoints[i][0], Waypoints[i][1]);
+            var radius = GetCellRadius(Waypoints[i][0], Waypoints[i][1]) * (WAYPOINT_SIZE / 100);
+            SVG += '    <circle cx="' + SVGNumber(center[0]) + '" cy="' + SVGNumber(center[1]) + '" r="' + SVGNumber(radius) + '"/>\n';
+        }
+        SVG += '  </g>\n';
+    }
+    SVG += '</svg>\n';
+
+    return SVG;
+}
+
+// Returns the SVG drawing of the maze ready to be put in a web page (used
+// instead of the DIV version for grids that aren't square - see "DrawMaze()")
+function DrawMazeSVGHTML(answer)
+{
+    // web pages don't need the XML line at the top
+    var SVG = DrawMazeSVG(answer).replace(/^<\?xml[^>]*>\n/, '');
+
+    return '\n<div style="margin-left: auto; margin-right: auto; text-align: center;">\n' + SVG + '</div>\n';
+}
+
+// Builds the path data ("d" attribute) for every wall in the maze (see
+// "GetWallLines()" in topology.js)
+function GetWallSegments()
+{
+    var segments = '';
+    var lines = GetWallLines();
+
+    for(var i = 0; i < lines.length; i++)
+    {
+        segments += 'M' + SVGNumber(lines[i][0][0]) + ' ' + SVGNumber(lines[i][0][1]);
+        for(var j = 1; j < lines[i].length; j++)
+            segments += 'L' + SVGNumber(lines[i][j][0]) + ' ' + SVGNumber(lines[i][j][1]);
+    }
+
+    return segments;
+}
+
+// Returns a list of [x, y] points in the format of a polygon's "points"
+function GetSVGPoints(points)
+{
+    var list = new Array();
+    for(var i = 0; i < points.length; i++)
+        list.push(SVGNumber(points[i][0]) + ',' + SVGNumber(points[i][1]));
+
+    return list.join(' ');
+}
+
+// Writes a number with at most 2 decimal places (the corners of hexagons
+// and triangles don't land on whole pixels)
+function SVGNumber(value)
+{
+    return String(Math.round(value * 100) / 100);
+}
+
+// Called when the (dynamically) generated "Download SVG" buttons are clicked.
+// Saves the puzzle (or the answer key, if "answer" is true) as an SVG file.
+function DownloadSVG(answer)
+{
+    var name = 'maze-' + GetMazeCode() + (answer ? '-answer' : '') + '.svg';
+
+    DownloadFile(name, 'image/svg+xml', DrawMazeSVG(answer));
+}
@@ -0,0 +1,174 @@
+/*******************************************************************************
+ * File: "terrain.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file covers parts of the maze in "terrain" - mud, water and ice - that
+ *  costs more to walk through than the plain floor.  Walking into a cell costs
+ *  that cell's terrain cost (the plain floor costs 1, which is just a normal
+ *  move), and the cost is kept with the walls in each cell of the "Maze":
+ *      Maze[x][y][COST] = cost of walking into the cell (see topology.js)
+ *
+ *  With terrain in the maze, the shortest path (fewest moves) isn't always the
+ *  cheapest one: going around a pond can be cheaper than wading through it.
+ *  The solver ("SolveShortest()" in maze.js) always looks for the cheapest
+ *  path, so the answer key shows the cheapest way through, and the play
+ *  window adds up what the user's path cost to compare against it.
+ *
+ *  The terrain is laid down in patches: a random cell is picked, and a patch
+ *  of one kind of terrain grows out from it (through walls - the patches are
+ *  just painted onto the floor) until the patch is big enough.  Patches keep
+ *  being added until the "Terrain" percentage of the maze is covered.  Just
+ *  like the waypoints, the terrain is added after the maze is carved, so it
+ *  never changes the maze itself.  Cells can also be painted by hand in the
+ *  editor (see editor.js).
+ ******************************************************************************/
+
+// The kinds of terrain: the cost of walking into a cell, and the color it's
+// drawn in.  Every terrain has its own cost, so the cost in a cell says which
+// terrain it is.
+var TERRAINS = {
+    'floor': { name: 'Floor', cost: 1, color: '#FFFFFF' },
+    'ice':   { name: 'Ice', cost: 2, color: '#D6F0FF' },
+    'mud':   { name: 'Mud', cost: 3, color: '#C9A46E' },
+    'water': { name: 'Water', cost: 5, color: '#6FA8DC' }
+};
+
+// Terrain the patches are picked from
+var TERRAIN_PATCHES = ['ice', 'mud', 'water'];
+
+// Smallest and largest number of cells in a patch
+var MIN_PATCH_SIZE = 3;
+var MAX_PATCH_SIZE = 12;
+
+// Percentage (0 - 100) of the maze covered in terrain
+var TERRAIN = 0;
+
+// Covers "percent" percent of the maze in patches of terrain
+function AddTerrain(percent)
+{
+    var target = Math.round(GetMaskSize() * percent / 100);
+    var covered = 0;
+
+    // picking random cells gets slow once the maze is nearly covered, so
+    // give up after a while (the maze will be very slightly less covered)
+    var tries = WIDTH * HEIGHT * 20;
+
+    while(covered < target && tries > 0)
+    {
+        tries--;
+
+        var x = RandomInt(WIDTH);
+        var y = RandomInt(HEIGHT);
+        if(Maze[x][y][COST] != TERRAINS['floor'].cost || !IsInMask(x, y))
+            continue;
+
+        // grow a patch out from this cell
+        var cost = TERRAINS[TERRAIN_PATCHES[RandomInt(TERRAIN_PATCHES.length)]].cost;
+        var size = MIN_PATCH_SIZE + RandomInt(MAX_PATCH_SIZE - MIN_PATCH_SIZE + 1);
+        var frontier = new Array(new Array(x, y));
+
+        while(size > 0 && covered < target && frontier.length > 0)
+        {
+            var index = RandomInt(frontier.length);
+            var cell = frontier[index];
+            frontier[index] = frontier[frontier.length - 1];
+            frontier.pop();
+
+            if(Maze[cell[0]][cell[1]][COST] != TERRAINS['floor'].cost)
+                continue;
+
+            Maze[cell[0]][cell[1]][COST] = cost;
+            covered++;
+            size--;
+
+            var neighbors = GetNeighbors(cell[0], cell[1]);
+            for(var i = 0; i < neighbors.length; i++)
+            {
+                if(Maze[neighbors[i][0]][neighbors[i][1]][COST] == TERRAINS['floor'].cost)
+                    frontier.push(neighbors[i]);
+            }
+        }
+    }
+}
+
+// Returns the cost of walking into the cell at "x, y"
+function GetCellCost(x, y)
+{
+    return Maze[x][y][COST];
+}
+
+// Returns the terrain of the cell at "x, y" (one of the "TERRAINS")
+function GetTerrain(x, y)
+{
+    for(var terrain in TERRAINS)
+    {
+        if(TERRAINS[terrain].cost == Maze[x][y][COST])
+            return TERRAINS[terrain];
+    }
+
+    return TERRAINS['floor'];
+}
+
+// Returns the color the cell at "x, y" is drawn in (the color of its terrain)
+function GetTerrainColor(x, y)
+{
+    return GetTerrain(x, y).color;
+}
+
+// Returns true if any of the maze is covered in terrain
+function HasTerrain()
+{
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            if(Maze[i][j][COST] != TERRAINS['floor'].cost)
+                return true;
+        }
+    }
+
+    return false;
+}
+
+// Returns the HTML for a key showing what each terrain looks like and costs
+function GetTerrainLegend()
+{
+    var HTML = '';
+
+    for(var terrain in TERRAINS)
+    {
+        HTML += '<span style="margin-left: 10px; margin-right: 10px; white-space: nowrap;">' +
+                '<span style="display: inline-block; width: 12px; height: 12px; border: solid 1px #000; vertical-align: middle; background-color: ' + TERRAINS[terrain].color + ';"></span> ' +
+                TERRAINS[terrain].name + ': ' + TERRAINS[terrain].cost + '</span>';
+    }
+
+    return HTML;
+}
+
+// Returns the tag for the maze code (see "GetMazeCode()") for the terrain:
+//  -t[percent]     the maze is covered in terrain, for example "-t30"
+function GetTerrainCode()
+{
+    if(TERRAIN > 0)
+        return '-t' + TERRAIN;
+
+    return '';
+}
+
+// Reads the tag from "GetTerrainCode()" out of "tags" into "settings" (taking
+// it out of "tags").  Returns false if it isn't valid.
+function ParseTerrainCode(tags, settings)
+{
+    settings.terrain = 0;
+
+    if(tags.hasOwnProperty('t'))
+    {
+        if(!/^\d+$/.test(tags['t']) || parseInt(tags['t']) > 100)
+            return false;
+
+        settings.terrain = parseInt(tags['t']);
+        delete tags['t'];
+    }
+
+    return true;
+}
@@ -0,0 +1,924 @@
+/*******************************************************************************
+ * File: "topology.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file describes the shape of the grid the maze is carved into (its
+ *  "topology").  Besides the usual square cells, mazes can be made of:
+ *      - Hexagons ("honeycomb"): 6 walls per cell.  The hexagons have flat
+ *        tops, and every other column is pushed down by half a cell.
+ *      - Triangles: 3 walls per cell.  The triangles take turns pointing up
+ *        and down along each row.
+ *      - Rings ("circular" or "theta" mazes): the maze is a disc, cut into
+ *        rings (the rows) and each ring is cut into wedges (the columns).
+ *        The last wedge of a ring joins back up with the first one.
+ *        Every ring has the same number of wedges (the width), so the cells
+ *        get wider the further out they are: the first ring's cells are
+ *        about square, but the ring "n" rows out is about (1 + 6.3 n / width)
+ *        times as wide.  (A normal circular maze splits its wedges in two as
+ *        the rings grow, but here every row has to have the same number of
+ *        cells.)  So that the outside cells don't come out stretched, a
+ *        circular maze can only have about one ring for every 6 cells of
+ *        width - see "TopologyErrors()".
+ *
+ *  Every cell still lives at Maze[x][y], but the number of walls depends on
+ *  the topology, so the "visited" flag and the cost are moved along to make
+ *  room:
+ *      Maze[x][y][0 .. SIDES - 1] = the walls (1 = up, 0 = knocked down)
+ *      Maze[x][y][VISITED]        = visited
+ *      Maze[x][y][COST]           = cost of walking into the cell
+ *  For square mazes that's exactly the layout it has always been ([4] is
+ *  visited and [5] is the cost).
+ *
+ *  The walls of each kind of cell are numbered like this:
+ *      square:   0 = top, 1 = right, 2 = bottom, 3 = left
+ *      hex:      0 = top, 1 = top-right, 2 = bottom-right, 3 = bottom,
+ *                4 = bottom-left, 5 = top-left
+ *      triangle: 0 = the flat side (the bottom of a triangle pointing up,
+ *                the top of one pointing down), 1 = right, 2 = left
+ *      ring:     0 = inside (towards the center), 1 = clockwise,
+ *                2 = outside, 3 = counter-clockwise
+ *
+ *  The generators and solvers only ever ask "GetNeighbor()" what is on the
+ *  other side of a wall (see "GetNeighbors()" and "RemoveWall()" in maze.js),
+ *  so they work the same on every topology.  The drawing code (svg.js,
+ *  canvas.js and export.js) asks this file for the outline of each cell and
+ *  the line of each wall.
+ *
+ *  A maze can also be cut into a shape (see mask.js).  The cells cut out of
+ *  it don't have any neighbors, so everything else just works around them.
+ *
+ *  Mazes with more than one floor (see levels.js) give every cell two more
+ *  walls after the ones around it - the stairs up (UP_WALL) and down
+ *  (DOWN_WALL) - so "SIDES" counts those too, and "GRID_SIDES" is just the
+ *  walls around the cell.  Only the walls around the cell are ever drawn.
+ *  Each floor is drawn on its own, side by side with the others, so
+ *  everything below works out which floor a cell is on and where that floor
+ *  is drawn.
+ *
+ *  Square mazes can also have passages that tunnel under each other (see
+ *  weave.js): "GetNeighbor()" goes straight under a crossing, to the cell
+ *  on the other side of it.
+ *
+ *  Doors (the entrance and exits) are still described by the side of the
+ *  maze they're on and a position along it (see maze.js), and
+ *  "GetDoorWall()" works out which wall of the cell they go through.  Not
+ *  every spot can have a door: on a triangle grid only the triangles with a
+ *  flat side on the top (or bottom) edge can have one there, and the rings
+ *  only have an inside and an outside - so their doors go on the "top"
+ *  (the center) and the "bottom" (the outside edge).
+ ******************************************************************************/
+
+// The topologies, keyed by the "Grid" drop-down value:
+//  sides - how many walls each cell has
+//  rows  - true if the cells next to each other in a row, and above and
+//          below each other in a column, are always neighbors (some of the
+//          generators need this - see generators.js)
+//  door_sides - sides of the maze [0 = top, 1 = right, 2 = bottom, 3 = left]
+//          that can have doors in them
+//  letter - used in maze codes
+var TOPOLOGIES = {
+    'square':   { name: 'Square', letter: 's', sides: 4, rows: true, door_sides: [0, 1, 2, 3] },
+    'hex':      { name: 'Hexagon (Honeycomb)', letter: 'h', sides: 6, rows: true, door_sides: [0, 1, 2, 3] },
+    'triangle': { name: 'Triangle', letter: 't', sides: 3, rows: false, door_sides: [0, 1, 2, 3] },
+    'polar':    { name: 'Circular (Rings)', letter: 'p', sides: 4, rows: true, door_sides: [0, 2] }
+};
+
+// Topology of the maze (key into "TOPOLOGIES")
+var TOPOLOGY = 'square';
+
+// Number of walls each cell has, and where the "visited" flag and the cost
+// are kept in each cell (right after the walls)
+var SIDES = 4;
+var VISITED = 4;
+var COST = 5;
+
+// Number of walls around each cell (the same as "SIDES", unless the maze has
+// more than one floor), and which walls are the stairs up and down (see
+// levels.js)
+var GRID_SIDES = 4;
+var UP_WALL = 4;
+var DOWN_WALL = 5;
+
+// How many times wider than the cells in the first ring the cells in the
+// outside ring of a circular maze can be
+var MAX_RING_STRETCH = 2;
+
+// Names of the sides of a circular maze for the door drop-downs (the top
+// door goes into the center, the bottom door is on the outside)
+var RING_WALL_NAMES = ['Center', 'Right Wall', 'Outside Edge', 'Left Wall'];
+
+// Switches to the topology "name" (key into "TOPOLOGIES")
+function SetTopology(name)
+{
+    if(!TOPOLOGIES.hasOwnProperty(name))
+        name = 'square';
+
+    TOPOLOGY = name;
+    GRID_SIDES = TOPOLOGIES[name].sides;
+    UP_WALL = GRID_SIDES;
+    DOWN_WALL = GRID_SIDES + 1;
+
+    // the stairs only take up room when there's more than one floor
+    SIDES = GRID_SIDES + (LEVELS > 1 ? 2 : 0);
+    VISITED = SIDES;
+    COST = SIDES + 1;
+}
+
+// Returns the current topology (from "TOPOLOGIES")
+function GetTopology()
+{
+    return TOPOLOGIES[TOPOLOGY];
+}
+
+// Called when the "Grid" drop-down changes: switches topology and moves the
+// doors somewhere they're allowed
+function UpdateTopology()
+{
+    SetTopology(document.getElementById('topology').value);
+
+    var doors = new Array('entrance', 'exit');
+    for(var i = 0; i < doors.length; i++)
+        UpdateDoorOptions(doors[i], document.getElementById(doors[i]).value);
+
+    FixDoors();
+    DrawDoorPreview();
+}
+
+// Checks the grid settings (called from "ICanHazErrors()"): a circular maze
+// with too many rings for its width would have outside cells more than
+// MAX_RING_STRETCH times as wide as the ones in the middle (see the top of
+// this file).  Returns the error message, or null if they're fine.
+function TopologyErrors()
+{
+    if(TOPOLOGY != 'polar' || GetRingStretch(WIDTH, FLOOR_HEIGHT) <= MAX_RING_STRETCH)
+        return null;
+
+    // the most rings that fit this width, and the fewest wedges that fit
+    // this many rings
+    var rings = 1;
+    while(GetRingStretch(WIDTH, rings + 1) <= MAX_RING_STRETCH)
+        rings++;
+    var width = WIDTH;
+    while(GetRingStretch(width, FLOOR_HEIGHT) > MAX_RING_STRETCH)
+        width++;
+
+    var error = "A circular maze " + WIDTH + " cells wide can only be " + rings + (rings == 1 ? " ring" : " rings") + " high - any more and the cells in the outside ring would be more than " + MAX_RING_STRETCH + " times as wide as the ones in the middle.  Please make it " + rings + " cells high";
+    if(width <= MAX_WIDTH)
+        error += ", or " + width + " cells wide";
+
+    return error + (LEVELS > 1 ? " (on each floor)." : ".");
+}
+
+// Returns how many times wider the cells in the outside ring of a circular
+// maze "width" wedges around and "rings" rings high are than the cells in
+// its first ring (across the middle of each ring - see
+// "GetRingCenterRadius()")
+function GetRingStretch(width, rings)
+{
+    var center = Math.max(1, width / (2 * Math.PI));
+    return (center + rings - 0.5) / (center + 0.5);
+}
+
+/******************************************************************************/
+//                          NEIGHBORS                                         //
+/******************************************************************************/
+
+// Returns the cell [x, y] on the other side of wall "wall" of the cell at
+// "x, y", or null if that wall is on the outside of the maze (or the edge of
+// its shape, or its floor)
+function GetNeighbor(x, y, wall)
+{
+    var nx = x;
+    var ny = y;
+
+    // the stairs go straight up (or down) to the next floor (see levels.js)
+    if(wall >= GRID_SIDES)
+    {
+        var stairs = GetStairNeighbor(x, y, wall);
+        if(stairs == null || !IsInMask(x, y) || !IsInMask(stairs[0], stairs[1]))
+            return null;
+        return stairs;
+    }
+
+    if(TOPOLOGY == 'hex')
+    {
+        // odd columns are pushed down half a cell, so their neighbors to the
+        // sides are half a cell lower too
+        var offsets = (x % 2 == 0) ? HEX_EVEN_OFFSETS : HEX_ODD_OFFSETS;
+        nx = x + offsets[wall][0];
+        ny = y + offsets[wall][1];
+    }
+    else if(TOPOLOGY == 'triangle')
+    {
+        if(wall == 0)
+            ny = IsTriangleUp(x, y) ? y + 1 : y - 1;
+        else if(wall == 1)
+            nx = x + 1;
+        else
+            nx = x - 1;
+    }
+    else
+    {
+        if(wall == 0)
+            ny = y - 1;
+        else if(wall == 1)
+            nx = x + 1;
+        else if(wall == 2)
+            ny = y + 1;
+        else
+            nx = x - 1;
+
+        // the rings wrap around
+        if(TOPOLOGY == 'polar')
+            nx = (nx + WIDTH) % WIDTH;
+
+        // a crossing's tunnel goes straight under it to the cell on the
+        // other side, so the crossing itself is only joined to the cells on
+        // its bridge (see weave.js)
+        if(IsTunnelWall(x, y, wall))
+            return null;
+        if(IsTunnelWall(nx, ny, wall))
+        {
+            nx += nx - x;
+            ny += ny - y;
+        }
+    }
+
+    if(nx < 0 || ny < 0 || nx >= WIDTH || ny >= HEIGHT)
+        return null;
+
+    // the floors are stacked one after another in the "Maze" array, so the
+    // rows either side of where one floor ends and the next begins aren't
+    // really next to each other
+    if(LEVELS > 1 && GetFloor(ny) != GetFloor(y))
+        return null;
+
+    // cells cut out of the maze's shape are outside the maze too (see mask.js)
+    if(!IsInMask(x, y) || !IsInMask(nx, ny))
+        return null;
+
+    return new Array(nx, ny);
+}
+
+// How far [x, y] away the neighbor through each wall of a hexagon is
+var HEX_EVEN_OFFSETS = [[0, -1], [1, -1], [1, 0], [0, 1], [-1, 0], [-1, -1]];
+var HEX_ODD_OFFSETS = [[0, -1], [1, 0], [1, 1], [0, 1], [-1, 1], [-1, 0]];
+
+// Returns true if the triangle at "x, y" points up (its flat side is on the
+// bottom).  Every floor starts off the same way.
+function IsTriangleUp(x, y)
+{
+    return (x + GetFloorRow(y)) % 2 == 0;
+}
+
+// Returns which of the cell's walls is between it and the neighboring cell
+// "neighbor[w,h]" (-1 if they aren't neighbors)
+function GetWallBetween(w, h, neighbor)
+{
+    // this is asked about every wall that gets knocked down, so on a square
+    // grid (where it's easy) work out which way the neighbor is and only
+    // check that wall, instead of finding the neighbor through every wall
+    if(TOPOLOGY == 'square')
+    {
+        var wall = GetSquareWallToward(neighbor[0] - w, neighbor[1] - h);
+        var cell = (wall < 0) ? null : GetNeighbor(w, h, wall);
+        if(cell != null && cell[0] == neighbor[0] && cell[1] == neighbor[1])
+            return wall;
+    }
+
+    // (the other grids, and any neighbor the quick way misses, still get here)
+    for(var i = 0; i < SIDES; i++)
+    {
+        var cell = GetNeighbor(w, h, i);
+        if(cell != null && cell[0] == neighbor[0] && cell[1] == neighbor[1])
+            return i;
+    }
+
+    return -1;
+}
+
+// Returns the wall of a square cell facing a neighbor "dx, dy" cells away -
+// straight up, right, down or left, one cell away (or two, through a tunnel -
+// see weave.js).  Returns -1 if it isn't in one of those directions.
+function GetSquareWallToward(dx, dy)
+{
+    if(dx == 0 && (dy == -1 || dy == -2))
+        return 0;
+    if(dy == 0 && (dx == 1 || dx == 2))
+        return 1;
+    if(dx == 0 && (dy == 1 || dy == 2))
+        return 2;
+    if(dy == 0 && (dx == -1 || dx == -2))
+        return 3;
+
+    return -1;
+}
+
+// Returns a guess of what it costs to get from "x1, y1" to "x2, y2" that is
+// never more than it really costs (used by the A* search in "SolveShortest()")
+function GetDistanceGuess(x1, y1, x2, y2)
+{
+    var dx = Math.abs(x2 - x1);
+    var dy = Math.abs(GetFloorRow(y2) - GetFloorRow(y1));
+
+    // every floor in between takes (at least) one step up or down the stairs
+    var dz = Math.abs(GetFloor(y2) - GetFloor(y1));
+
+    // a step on a hex grid can go across and up (or down) at the same time
+    if(TOPOLOGY == 'hex')
+        return Math.max(dx, dy) + dz;
+
+    // the rings can be walked around either way
+    if(TOPOLOGY == 'polar')
+        dx = Math.min(dx, WIDTH - dx);
+
+    // a step through a tunnel (see weave.js) goes two cells
+    if(HasCrossings())
+        return (dx + dy) / 2 + dz;
+
+    return dx + dy + dz;
+}
+
+/******************************************************************************/
+//                          DOORS                                             //
+/******************************************************************************/
+
+// Returns which wall of the cell at "x, y" a door on side "side" of the maze
+// [0 = top, 1 = right, 2 = bottom, 3 = left] goes through, or -1 if a door
+// can't go there
+function GetDoorWall(side, x, y)
+{
+    if(GetTopology().door_sides.indexOf(side) < 0 || !IsInMask(x, y))
+        return -1;
+
+    var wall = side;
+    if(TOPOLOGY == 'hex')
+        wall = [0, 1, 3, 5][side];
+    else if(TOPOLOGY == 'triangle')
+    {
+        // only a triangle with its flat side on the edge can have a door in it
+        if(side == 0)
+            wall = IsTriangleUp(x, y) ? -1 : 0;
+        else if(side == 2)
+            wall = IsTriangleUp(x, y) ? 0 : -1;
+        else
+            wall = (side == 1) ? 1 : 2;
+    }
+
+    // the door has to lead out of the maze (on a shaped maze, the wall can
+    // be next to another cell of the shape - see mask.js)
+    if(wall >= 0 && GetNeighbor(x, y, wall) != null)
+        return -1;
+
+    return wall;
+}
+
+// Returns true if a door can go at "position" along side "side"
+function IsDoorAllowed(side, position)
+{
+    if(!(position >= 0 && position < GetWallLength(side)))
+        return false;
+
+    var cell = GetDoorCell(side, position);
+    return GetDoorWall(side, cell[0], cell[1]) >= 0;
+}
+
+// Returns the closest position to "position" along side "side" that a door
+// can go at (-1 if there isn't one)
+function GetClosestDoorPosition(side, position)
+{
+    var length = GetWallLength(side);
+    position = Math.max(0, Math.min(length - 1, position));
+
+    for(var distance = 0; distance < length; distance++)
+    {
+        if(IsDoorAllowed(side, position - distance))
+            return position - distance;
+        if(IsDoorAllowed(side, position + distance))
+            return position + distance;
+    }
+
+    return -1;
+}
+
+// Moves any door that isn't allowed where it is (after the grid or the size
+// changes) to the closest spot where it is - on the same side if it can,
+// otherwise on the first side it's allowed on
+function FixDoors()
+{
+    var doors = new Array('entrance', 'exit');
+    var topology = GetTopology();
+
+    for(var i = 0; i < doors.length; i++)
+    {
+        var side = parseInt(document.getElementById('wall_' + doors[i]).value);
+        var position = parseInt(document.getElementById(doors[i] + '_position').value) - 1;
+
+        if(!(position >= 0))
+            continue;
+        if(IsDoorAllowed(side, position))
+            continue;
+
+        var closest = GetClosestDoorPosition(side, position);
+        for(var j = 0; j < topology.door_sides.length && closest < 0; j++)
+        {
+            side = topology.door_sides[j];
+            closest = GetClosestDoorPosition(side, position);
+        }
+
+        if(closest >= 0)
+            SetDoor(doors[i], side, closest);
+    }
+
+    GetEntrance();
+    GetExit();
+}
+
+// Returns the name of side "side" of the maze for the drop-downs and messages
+function GetSideName(side)
+{
+    if(TOPOLOGY == 'polar')
+        return RING_WALL_NAMES[side];
+
+    return WALL_NAMES[side];
+}
+
+// Returns the tag for the maze code (see "GetMazeCode()") for the grid -
+// nothing for square mazes, so old codes stay the same:
+//  -g[letter]      the topology's letter, for example "-gh" for hexagons
+function GetTopologyCode()
+{
+    if(TOPOLOGY != 'square')
+        return '-g' + GetTopology().letter;
+
+    return '';
+}
+
+// Reads the tag from "GetTopologyCode()" out of "tags" into "settings" (taking
+// it out of "tags").  Returns false if it isn't valid.
+function ParseTopologyCode(tags, settings)
+{
+    settings.topology = 'square';
+
+    if(tags.hasOwnProperty('g'))
+    {
+        settings.topology = null;
+        for(var name in TOPOLOGIES)
+        {
+            if(TOPOLOGIES[name].letter == tags['g'])
+                settings.topology = name;
+        }
+
+        if(settings.topology == null)
+            return false;
+        delete tags['g'];
+    }
+
+    return true;
+}
+
+/******************************************************************************/
+//                          GEOMETRY                                          //
+/******************************************************************************/
+// Everything below is in pixels, with the top-left corner of the drawing at
+// 0, 0.  Cells are sized so that a dot CELL_SIZE across fits inside them, and
+// the walls (twice BORDER_WIDTH thick) are centered on the lines between the
+// cells - just like the square mazes have always been drawn.
+
+// Returns how far apart the cells of a square maze are (or how thick each
+// ring of a circular one is)
+function GetCellStep()
+{
+    return CELL_SIZE + BORDER_WIDTH * 2;
+}
+
+// Returns how far in from the edge of the drawing the maze starts
+function GetDrawingMargin()
+{
+    // square mazes start half a wall in (their walls are square ended)
+    if(TOPOLOGY == 'square')
+        return BORDER_WIDTH;
+    return BORDER_WIDTH * 2;
+}
+
+// Returns the radius of the middle of a circular maze (the hole the rings go
+// around).  It's big enough that the cells in the first ring are about as
+// wide as they are deep.
+function GetRingCenterRadius()
+{
+    return Math.max(GetCellStep(), WIDTH * GetCellStep() / (2 * Math.PI));
+}
+
+// Returns the size [width, height] of the whole drawing of the maze (every
+// floor being drawn, side by side - see levels.js)
+function GetMazeImageSize()
+{
+    var size = GetFloorImageSize();
+    var floors = GetFloorsShown();
+
+    return new Array(size[0] * floors + FLOOR_GAP * GetCellStep() * (floors - 1), size[1]);
+}
+
+// Returns the size [width, height] of the drawing of one floor of the maze
+function GetFloorImageSize()
+{
+    var step = GetCellStep();
+    var margin = GetDrawingMargin();
+
+    if(TOPOLOGY == 'hex')
+    {
+        var radius = step / Math.sqrt(3);
+        return new Array(margin * 2 + radius * 2 + radius * 1.5 * (WIDTH - 1),
+                         margin * 2 + step * FLOOR_HEIGHT + (WIDTH > 1 ? step / 2 : 0));
+    }
+
+    if(TOPOLOGY == 'triangle')
+    {
+        var side = step * Math.sqrt(3);
+        return new Array(margin * 2 + side / 2 * (WIDTH + 1), margin * 2 + step * 1.5 * FLOOR_HEIGHT);
+    }
+
+    if(TOPOLOGY == 'polar')
+    {
+        var size = (GetRingCenterRadius() + FLOOR_HEIGHT * step + margin) * 2;
+        return new Array(size, size);
+    }
+
+    return new Array(WIDTH * step + margin * 2, FLOOR_HEIGHT * step + margin * 2);
+}
+
+// Returns the corners of the cell at "x, y" as a list of [x, y] points, in
+// order around the cell (see "GetWallPoints()" for which corners each wall
+// runs between).  Circular mazes use "GetCellPolygon()" instead, since their
+// cells have curved sides.
+function GetCellCorners(x, y)
+{
+    var step = GetCellStep();
+    var margin = GetDrawingMargin();
+
+    if(TOPOLOGY == 'hex')
+    {
+        var radius = step / Math.sqrt(3);
+        var center = GetCellCenter(x, y);
+        var cx = center[0];
+        var cy = center[1];
+        var half = step / 2;
+
+        return new Array(new Array(cx - radius / 2, cy - half), new Array(cx + radius / 2, cy - half), new Array(cx + radius, cy),
+                         new Array(cx + radius / 2, cy + half), new Array(cx - radius / 2, cy + half), new Array(cx - radius, cy));
+    }
+
+    if(TOPOLOGY == 'triangle')
+    {
+        var side = step * Math.sqrt(3);
+        var left = margin + GetFloorLeft(y) + x * side / 2;
+        var top = margin + GetFloorRow(y) * step * 1.5;
+        var bottom = top + step * 1.5;
+
+        // pointing up: the tip, then the bottom-right and bottom-left corners
+        if(IsTriangleUp(x, y))
+            return new Array(new Array(left + side / 2, top), new Array(left + side, bottom), new Array(left, bottom));
+
+        // pointing down: the top-left and top-right corners, then the tip
+        return new Array(new Array(left, top), new Array(left + side, top), new Array(left + side / 2, bottom));
+    }
+
+    var left = margin + GetFloorLeft(y) + x * step;
+    var top = margin + GetFloorRow(y) * step;
+    return new Array(new Array(left, top), new Array(left + step, top), new Array(left + step, top + step), new Array(left, top + step));
+}
+
+// Returns the line along wall "wall" of the cell at "x, y" as a list of
+// [x, y] points
+function GetWallPoints(x, y, wall)
+{
+    if(TOPOLOGY == 'polar')
+    {
+        var ring = GetRingRadii(y);
+        var angles = GetWedgeAngles(x);
+
+        if(wall == 0)
+            return GetArcPoints(ring[0], angles[0], angles[1], y);
+        if(wall == 2)
+            return GetArcPoints(ring[1], angles[1], angles[0], y);
+
+        var angle = (wall == 1) ? angles[1] : angles[0];
+        return new Array(GetPolarPoint(ring[0], angle, y), GetPolarPoint(ring[1], angle, y));
+    }
+
+    var corners = GetCellCorners(x, y);
+
+    // a triangle pointing up has its walls in a different order than its
+    // corners: its right wall (tip to bottom-right) comes first, then the
+    // flat side, then the left wall
+    if(TOPOLOGY == 'triangle' && IsTriangleUp(x, y))
+        wall = [1, 0, 2][wall];
+
+    return new Array(corners[wall], corners[(wall + 1) % corners.length]);
+}
+
+// Returns the outline of the cell at "x, y" as a list of [x, y] points
+function GetCellPolygon(x, y)
+{
+    if(TOPOLOGY == 'polar')
+        return GetWallPoints(x, y, 0).concat(GetWallPoints(x, y, 2));
+
+    return GetCellCorners(x, y);
+}
+
+// Returns the middle of the cell at "x, y" as [x, y]
+function GetCellCenter(x, y)
+{
+    var step = GetCellStep();
+    var margin = GetDrawingMargin();
+
+    if(TOPOLOGY == 'hex')
+    {
+        var radius = step / Math.sqrt(3);
+        return new Array(margin + GetFloorLeft(y) + radius + radius * 1.5 * x, margin + step / 2 + step * GetFloorRow(y) + (x % 2 == 1 ? step / 2 : 0));
+    }
+
+    if(TOPOLOGY == 'triangle')
+    {
+        // the middle of a triangle is a third of the way up from its flat side
+        var side = step * Math.sqrt(3);
+        var top = margin + GetFloorRow(y) * step * 1.5;
+        return new Array(margin + GetFloorLeft(y) + side / 2 + x * side / 2, top + (IsTriangleUp(x, y) ? step : step / 2));
+    }
+
+    if(TOPOLOGY == 'polar')
+    {
+        var ring = GetRingRadii(y);
+        var angles = GetWedgeAngles(x);
+        return GetPolarPoint((ring[0] + ring[1]) / 2, (angles[0] + angles[1]) / 2, y);
+    }
+
+    return new Array(margin + GetFloorLeft(y) + BORDER_WIDTH + x * step + CELL_SIZE / 2, margin + BORDER_WIDTH + GetFloorRow(y) * step + CELL_SIZE / 2);
+}
+
+// Returns the radius of the biggest dot that fits inside the cell at "x, y"
+// (without touching its walls)
+function GetCellRadius(x, y)
+{
+    if(TOPOLOGY == 'polar')
+    {
+        // the cells in the inside rings are narrower than they are deep
+        var width = GetRingRadii(y)[0] * 2 * Math.PI / WIDTH;
+        return Math.max(1, Math.min(GetCellStep(), width) / 2 - BORDER_WIDTH);
+    }
+
+    return CELL_SIZE / 2;
+}
+
+// Returns the cell [x, y] the pixel at "px, py" is in, or null if it isn't
+// in the maze (or is in a cell cut out of its shape)
+function GetCellAt(px, py)
+{
+    var step = GetCellStep();
+    var margin = GetDrawingMargin();
+
+    // work out which floor was clicked on first (see levels.js), then where
+    // on that floor
+    var floor = DRAW_FLOOR;
+    if(floor < 0)
+    {
+        floor = Math.floor(px / (GetFloorImageSize()[0] + FLOOR_GAP * step));
+        if(floor < 0 || floor >= LEVELS)
+            return null;
+    }
+    var base = floor * FLOOR_HEIGHT;
+    var left = GetFloorLeft(base);
+
+    if(TOPOLOGY == 'polar')
+    {
+        var size = GetFloorImageSize();
+        var dx = px - left - size[0] / 2;
+        var dy = py - size[1] / 2;
+
+        var ring = Math.floor((Math.sqrt(dx * dx + dy * dy) - GetRingCenterRadius()) / step);
+        var angle = Math.atan2(dy, dx) + Math.PI / 2;
+        if(angle < 0)
+            angle += Math.PI * 2;
+        var wedge = Math.floor(angle / (Math.PI * 2 / WIDTH)) % WIDTH;
+
+        if(ring < 0 || ring >= FLOOR_HEIGHT || !IsInMask(wedge, base + ring))
+            return null;
+        return new Array(wedge, base + ring);
+    }
+
+    // work out roughly which cell it is, then check the cells around it
+    var guess_x = Math.floor((px - left - margin) / step);
+    var guess_y = Math.floor((py - margin) / step);
+    if(TOPOLOGY == 'hex')
+        guess_x = Math.floor((px - left - margin) / (step / Math.sqrt(3) * 1.5));
+    else if(TOPOLOGY == 'triangle')
+    {
+        guess_x = Math.floor((px - left - margin) / (step * Math.sqrt(3) / 2));
+        guess_y = Math.floor((py - margin) / (step * 1.5));
+    }
+
+    for(var i = guess_x - 1; i <= guess_x + 1; i++)
+    {
+        for(var j = guess_y - 1; j <= guess_y + 1; j++)
+        {
+            if(i >= 0 && j >= 0 && i < WIDTH && j < FLOOR_HEIGHT && IsInsidePolygon(px, py, GetCellPolygon(i, base + j)))
+                return IsInMask(i, base + j) ? new Array(i, base + j) : null;
+        }
+    }
+
+    return null;
+}
+
+// Returns true if the point "px, py" is inside the polygon "points"
+function IsInsidePolygon(px, py, points)
+{
+    var inside = false;
+
+    // count how many edges a line going right from the point crosses
+    for(var i = 0, j = points.length - 1; i < points.length; j = i++)
+    {
+        var xi = points[i][0], yi = points[i][1];
+        var xj = points[j][0], yj = points[j][1];
+
+        if((yi > py) != (yj > py) && px < (xj - xi) * (py - yi) / (yj - yi) + xi)
+            inside = !inside;
+    }
+
+    return inside;
+}
+
+// Returns the inside and outside radius [inner, outer] of ring "y" of a
+// circular maze (each floor's rings start again from the middle)
+function GetRingRadii(y)
+{
+    var inner = GetRingCenterRadius() + GetFloorRow(y) * GetCellStep();
+    return new Array(inner, inner + GetCellStep());
+}
+
+// Returns the angles [start, end] (clockwise from straight up) of wedge "x"
+// of a circular maze
+function GetWedgeAngles(x)
+{
+    var size = Math.PI * 2 / WIDTH;
+    return new Array(x * size, (x + 1) * size);
+}
+
+// Returns the point [x, y] "radius" out from the middle of a circular maze,
+// at "angle" (clockwise from straight up), on the floor that row "y" is on
+function GetPolarPoint(radius, angle, y)
+{
+    var center = GetFloorImageSize()[0] / 2;
+    return new Array(GetFloorLeft(y) + center + radius * Math.sin(angle), center - radius * Math.cos(angle));
+}
+
+// Returns points along the curve "radius" out from the middle of a circular
+// maze, from angle "start" to angle "end", on the floor that row "y" is on.
+// The curve is drawn as short straight lines, a few pixels long each.
+function GetArcPoints(radius, start, end, y)
+{
+    var count = Math.max(1, Math.ceil(radius * Math.abs(end - start) / 4));
+    var points = new Array();
+
+    for(var i = 0; i <= count; i++)
+        points.push(GetPolarPoint(radius, start + (end - start) * i / count, y));
+
+    return points;
+}
+
+// Returns every wall in the maze that's still up as a list of lines (each
+// line is a list of [x, y] points).  Each wall is only in the list once.
+function GetWallLines()
+{
+    var lines = new Array();
+
+    // square mazes join walls that line up into long runs (see
+    // "GetWallRuns()"), one floor at a time
+    if(TOPOLOGY == 'square')
+    {
+        var step = GetCellStep();
+        var margin = GetDrawingMargin();
+
+        for(var floor = 0; floor < LEVELS; floor++)
+        {
+            if(!IsFloorShown(floor * FLOOR_HEIGHT))
+                continue;
+
+            var left = margin + GetFloorLeft(floor * FLOOR_HEIGHT);
+            var runs = GetWallRuns(floor);
+
+            for(var i = 0; i < runs.length; i++)
+            {
+                lines.push(new Array(new Array(left + runs[i][0] * step, margin + runs[i][1] * step),
+                                     new Array(left + runs[i][2] * step, margin + runs[i][3] * step)));
+            }
+        }
+
+        // and the bridges over the tunnels (see weave.js)
+        return lines.concat(GetAllBridgeLines());
+    }
+
+    // (the stairs aren't walls that get drawn - see levels.js)
+    for(var i = 0; i < WIDTH; i++)
+    {
+        for(var j = 0; j < HEIGHT; j++)
+        {
+            for(var wall = 0; wall < GRID_SIDES; wall++)
+            {
+                if(!IsWallDrawn(i, j, wall))
+                    continue;
+
+                // walls between two cells are drawn by the cell that comes
+                // first (going down each column)
+                var neighbor = GetNeighbor(i, j, wall);
+                if(neighbor != null && (neighbor[0] < i || (neighbor[0] == i && neighbor[1] < j)))
+                    continue;
+
+                lines.push(GetWallPoints(i, j, wall));
+            }
+        }
+    }
+
+    return lines;
+}
+
+// Returns a list of every run of walls on floor "floor" of the maze (see
+// levels.js) as [x1, y1, x2, y2], in grid lines (so [0, 0, 3, 0] is the top
+// wall of the first 3 cells).  Walls that line up next to each other are
+// joined into one long run, which keeps the drawings (SVG and PDF) small.
+function GetWallRuns(floor)
+{
+    var runs = new Array();
+    var base = floor * FLOOR_HEIGHT;
+
+    // horizontal grid lines: line "j" is the top wall of row "j" and the
+    // bottom wall of row "j - 1" (either one may be missing, or cut out of
+    // the maze's shape - and the rows above and below the floor are on other
+    // floors)
+    for(var j = 0; j <= FLOOR_HEIGHT; j++)
+    {
+        var run_start = -1;
+
+        for(var i = 0; i <= WIDTH; i++)
+        {
+            var has_wall = (j < FLOOR_HEIGHT && IsWallDrawn(i, base + j, 0)) || (j > 0 && IsWallDrawn(i, base + j - 1, 2));
+
+            // start a new run of walls, or finish the one we're on
+            if(has_wall && run_start < 0)
+                run_start = i;
+            else if(!has_wall && run_start >= 0)
+            {
+                runs.push(new Array(run_start, j, i, j));
+                run_start = -1;
+            }
+        }
+    }
+
+    // vertical grid lines: line "i" is the left wall of column "i" and the
+    // right wall of column "i - 1"
+    for(var i = 0; i <= WIDTH; i++)
+    {
+        var run_start = -1;
+
+        for(var j = 0; j <= FLOOR_HEIGHT; j++)
+        {
+            var has_wall = j < FLOOR_HEIGHT && (IsWallDrawn(i, base + j, 3) || IsWallDrawn(i - 1, base + j, 1));
+
+            if(has_wall && run_start < 0)
+                run_start = j;
+            else if(!has_wall && run_start >= 0)
+            {
+                runs.push(new Array(i, run_start, i, j));
+                run_start = -1;
+            }
+        }
+    }
+
+    return runs;
+}
+
+// Returns true if wall "wall" of the cell at "x, y" is up and should be
+// drawn.  Cells outside the maze, or cut out of its shape (see mask.js),
+// don't have any walls of their own - the cells next to them draw the edge.
+// Neither do the cells on floors that aren't being drawn (see levels.js), or
+// the sides of a crossing that a tunnel has been carved through (its bridge
+// is drawn instead - see weave.js).
+function IsWallDrawn(x, y, wall)
+{
+    if(x < 0 || y < 0 || x >= WIDTH || y >= HEIGHT || !IsInMask(x, y) || !IsFloorShown(y))
+        return false;
+
+    if(IsTunnelWall(x, y, wall) && IsTunnelOpen(x, y))
+        return false;
+
+    return Maze[x][y][wall] == 1;
+}
+
+// Returns how the ends of the walls are drawn: square mazes use square ends
+// (so the corners join up), the others use round ends (the walls meet at
+// angles)
+function GetWallLineCap()
+{
+    if(TOPOLOGY == 'square')
+        return 'square';
+    return 'round';
+}
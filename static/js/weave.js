@@ -0,0 +1,234 @@
+/*******************************************************************************
+ * File: "weave.js"
+ * Author: David Pettifor
+ * Description:
+ *  This file lets the passages of a square maze tunnel under one another -
+ *  a "weave" maze.
+ *
+ *  Before the maze is carved, WEAVE percent of the cells are picked at random
+ *  to be "crossings".  Each crossing has a tunnel going straight through it,
+ *  either across ('h') or up and down ('v'), and a bridge going the other
+ *  way.  "GetNeighbor()" (see topology.js) then treats the crossing like
+ *  this (for a tunnel going across):
+ *
+ *          +---+---+---+
+ *          |   | B |   |       A's right wall is the tunnel: it leads
+ *          +---+   +---+       straight under X to C (and C's left wall
+ *          | A   X   C |       leads back to A).  X is only joined to the
+ *          +---+   +---+       cells on its bridge (B and D) - its left
+ *          |   | D |   |       and right walls never come down.
+ *          +---+---+---+
+ *
+ *  So the generators carve tunnels, and the solvers (and the play window)
+ *  walk through them, without knowing anything about crossings - the tunnel
+ *  is just one more wall that can be knocked down.  Going through a tunnel
+ *  is one step, even though it goes two cells over.
+ *
+ *  Crossings are kept away from each other (and from the edges of the maze,
+ *  its shape and any stairs), so a tunnel always comes out next to the
+ *  crossing it went under.  When a tunnel is carved the crossing is drawn as
+ *  a bridge: two rails set in from its sides, with the walls of the tunnel
+ *  stopping short at them.  A tunnel that was never carved leaves the
+ *  crossing looking like any other cell.
+ ******************************************************************************/
+
+// Percentage (0 - 100) of the cells that can have a tunnel under them
+var WEAVE = 0;
+
+// Crossings, keyed by "X_Y": which way their tunnel goes ('h' for across and
+// 'v' for up and down)
+var CROSSINGS = new Object();
+
+// How far the bridge's rails are set in from the sides of the cell (% of the
+// cell)
+var BRIDGE_INSET = 25;
+
+// Returns true if the maze has any crossings in it
+function HasCrossings()
+{
+    for(var cell in CROSSINGS)
+        return true;
+
+    return false;
+}
+
+// Returns true if wall "wall" of the cell at "x, y" is one of the two sides of
+// a crossing that its tunnel goes through
+function IsTunnelWall(x, y, wall)
+{
+    // (this is asked about every wall the generators look at, so mazes
+    // without any weave skip looking the cell up)
+    if(WEAVE <= 0)
+        return false;
+
+    var tunnel = CROSSINGS[x + '_' + y];
+    if(tunnel === undefined || wall >= 4)
+        return false;
+
+    // walls 1 and 3 are the left and right
+    return (tunnel == 'h') == (wall % 2 == 1);
+}
+
+// Returns true if a tunnel has been carved under the crossing at "x, y"
+function IsTunnelOpen(x, y)
+{
+    var tunnel = CROSSINGS[x + '_' + y];
+    if(tunnel === undefined)
+        return false;
+
+    // the tunnel is the wall of the cell before the crossing (on its left, or
+    // above it) that leads under it
+    if(tunnel == 'h')
+        return Maze[x - 1][y][1] == 0;
+    return Maze[x][y - 1][2] == 0;
+}
+
+// Returns true if the cell at "x, y" can be a crossing: it and the cells
+// around it all have to be plain cells in the maze (on the same floor)
+function CanCross(x, y)
+{
+    if(x < 1 || x >= WIDTH - 1 || GetFloorRow(y) < 1 || GetFloorRow(y) >= FLOOR_HEIGHT - 1)
+        return false;
+
+    for(var i = x - 1; i <= x + 1; i++)
+    {
+        for(var j = y - 1; j <= y + 1; j++)
+        {
+            // (two crossings next to each other would tunnel into each other)
+            if(CROSSINGS[i + '_' + j] !== undefined)
+                return false;
+
+            // corners aren't joined up to the crossing
+            if(i != x && j != y)
+                continue;
+
+            if(!IsInMask(i, j) || (LEVELS > 1 && (GetStairNeighbor(i, j, UP_WALL) != null || GetStairNeighbor(i, j, DOWN_WALL) != null)))
+                return false;
+        }
+    }
+
+    return true;
+}
+
+// Picks which cells are crossings (see the top of this file).  Called after
+// the random numbers are seeded (and the stairs are placed), so the same seed
+// always picks the same crossings - and a maze without any weave doesn't use
+// up any random numbers.
+function PlaceCrossings()
+{
+    CROSSINGS = new Object();
+    if(WEAVE <= 0)
+        return;
+
+    for(var j = 0; j < HEIGHT; j++)
+    {
+        for(var i = 0; i < WIDTH; i++)
+        {
+            if(!CanCross(i, j) || Random() * 100 >= WEAVE)
+                continue;
+
+            CROSSINGS[i + '_' + j] = (Random() < 0.5) ? 'h' : 'v';
+        }
+    }
+}
+
+// Returns the bridge drawn over the crossing at "x, y" (if its tunnel has
+// been carved) as a list of lines (each line is a list of [x, y] points -
+// see "GetWallLines()"): one rail along each side of the bridge, with the
+// tunnel's walls running in to meet it
+function GetBridgeLines(x, y)
+{
+    var lines = new Array();
+    if(!IsTunnelOpen(x, y) || !IsFloorShown(y))
+        return lines;
+
+    var corners = GetCellCorners(x, y);
+    var left = corners[0][0];
+    var top = corners[0][1];
+    var right = corners[2][0];
+    var bottom = corners[2][1];
+    var inset = GetCellStep() * (BRIDGE_INSET / 100);
+
+    if(CROSSINGS[x + '_' + y] == 'h')
+    {
+        // the bridge goes up and down, so its rails are on the left and right
+        lines.push(new Array(new Array(left, top), new Array(left + inset, top), new Array(left + inset, bottom), new Array(left, bottom)));
+        lines.push(new Array(new Array(right, top), new Array(right - inset, top), new Array(right - inset, bottom), new Array(right, bottom)));
+    }
+    else
+    {
+        lines.push(new Array(new Array(left, top), new Array(left, top + inset), new Array(right, top + inset), new Array(right, top)));
+        lines.push(new Array(new Array(left, bottom), new Array(left, bottom - inset), new Array(right, bottom - inset), new Array(right, bottom)));
+    }
+
+    return lines;
+}
+
+// Returns every bridge in the floors being drawn (see "GetBridgeLines()")
+function GetAllBridgeLines()
+{
+    var lines = new Array();
+
+    for(var cell in CROSSINGS)
+    {
+        var xy = cell.split('_');
+        lines = lines.concat(GetBridgeLines(parseInt(xy[0]), parseInt(xy[1])));
+    }
+
+    return lines;
+}
+
+// Sets the weave setting.  The old crossings are thrown away (they'd join up
+// the wrong cells if the size or shape of the maze changed).
+function SetWeave(percent)
+{
+    WEAVE = percent;
+    CROSSINGS = new Object();
+}
+
+// Checks the weave setting before the maze is generated.  Returns a message
+// saying what the problem is, or null if there isn't one.
+function WeaveErrors()
+{
+    if(!(WEAVE >= 0 && WEAVE <= 100))
+        return "The weave setting is the percentage of cells that can have a passage tunnel under them - please pick a number from 0 to 100.";
+
+    if(WEAVE > 0 && TOPOLOGY != 'square')
+        return "Only square mazes can have passages that tunnel under each other - please set the weave to 0, or pick the square grid.";
+
+    // the algorithms that work along whole rows and columns only carve to
+    // the cells right next to each other
+    if(WEAVE > 0 && GetGenerator(ALGORITHM).rows)
+        return "The " + GetGenerator(ALGORITHM).name + " algorithm can't make passages that tunnel under each other - please pick a different algorithm.";
+
+    return null;
+}
+
+// Returns the tag for the maze code (see "GetMazeCode()") for the weave:
+//  -x[percent]     passages can tunnel under each other, for example "-x20"
+//                  (nothing is added when they can't)
+function GetWeaveCode()
+{
+    if(WEAVE > 0)
+        return '-x' + WEAVE;
+
+    return '';
+}
+
+// Reads the tag from "GetWeaveCode()" out of "tags" into "settings" (taking
+// it out of "tags").  Returns false if it isn't valid.
+function ParseWeaveCode(tags, settings)
+{
+    settings.weave = 0;
+
+    if(tags.hasOwnProperty('x'))
+    {
+        if(!/^\d+$/.test(tags['x']) || parseInt(tags['x']) > 100)
+            return false;
+
+        settings.weave = parseInt(tags['x']);
+        delete tags['x'];
+    }
+
+    return true;
+}